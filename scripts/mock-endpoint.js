@@ -0,0 +1,109 @@
+import { createServer } from "node:http";
+import { readFileSync } from "node:fs";
+import { fileURLToPath } from "node:url";
+import { parseArgs } from "node:util";
+import { parseRdf, formatFromFileName } from "../src/rdf/parse.js";
+import { executeQuery } from "../src/rdf/sparql.js";
+import { serializeNTriples } from "../src/rdf/serialize.js";
+import { XSD } from "../src/rdf/terms.js";
+
+// --- Mock SPARQL Endpoint ---
+// A small SPARQL 1.1 Protocol server for trying the endpoint data source
+// locally. It answers queries with the app's own query engine.
+//
+//   npm run mock-endpoint -- --port 3030 --data my.ttl --user demo --password secret --delay 2000
+
+const { values: options } = parseArgs({
+  options: {
+    port: { type: "string", default: "3030" },
+    data: { type: "string", default: fileURLToPath(new URL("./mock-data.ttl", import.meta.url)) },
+    user: { type: "string", default: "" },
+    password: { type: "string", default: "" },
+    delay: { type: "string", default: "0" }
+  }
+});
+
+const { quads } = parseRdf(readFileSync(options.data, "utf8"), formatFromFileName(options.data) || "turtle");
+const delayMs = Number(options.delay);
+
+const CORS_HEADERS = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+  "Access-Control-Allow-Headers": "Authorization, Content-Type, Accept"
+};
+
+function send(response, status, body, contentType = "text/plain; charset=utf-8") {
+  response.writeHead(status, { ...CORS_HEADERS, "Content-Type": contentType });
+  response.end(body);
+}
+
+function isAuthorized(request) {
+  if (!options.user) return true;
+  const expected = `Basic ${Buffer.from(`${options.user}:${options.password}`).toString("base64")}`;
+  return request.headers.authorization === expected;
+}
+
+// SPARQL 1.1 Query Results JSON Format.
+function jsonTerm(term) {
+  if (term.termType === "NamedNode") return { type: "uri", value: term.value };
+  if (term.termType === "BlankNode") return { type: "bnode", value: term.value };
+  const result = { type: "literal", value: term.value };
+  if (term.language) result["xml:lang"] = term.language;
+  else if (term.datatype.value !== `${XSD}string`) result.datatype = term.datatype.value;
+  return result;
+}
+
+function formatResult(result) {
+  if (result.type === "construct") {
+    return { body: serializeNTriples(result.quads), contentType: "application/n-triples; charset=utf-8" };
+  }
+  const json = result.type === "ask"
+    ? { head: {}, boolean: result.boolean }
+    : {
+      head: { vars: result.variables },
+      results: {
+        bindings: result.bindings.map(row =>
+          Object.fromEntries(Object.entries(row).map(([name, term]) => [name, jsonTerm(term)]))
+        )
+      }
+    };
+  return { body: JSON.stringify(json), contentType: "application/sparql-results+json; charset=utf-8" };
+}
+
+async function readQuery(request) {
+  const url = new URL(request.url, "http://localhost");
+  if (request.method === "GET") return url.searchParams.get("query");
+  let body = "";
+  for await (const chunk of request) body += chunk;
+  const contentType = request.headers["content-type"] || "";
+  if (contentType.startsWith("application/sparql-query")) return body;
+  return new URLSearchParams(body).get("query");
+}
+
+const server = createServer(async (request, response) => {
+  if (request.method === "OPTIONS") {
+    send(response, 204, "");
+    return;
+  }
+  if (!isAuthorized(request)) {
+    response.setHeader("WWW-Authenticate", "Basic realm=\"mock-endpoint\"");
+    send(response, 401, "Authentication required");
+    return;
+  }
+  const query = await readQuery(request);
+  if (!query) {
+    send(response, 400, "Missing query parameter");
+    return;
+  }
+  if (delayMs) await new Promise(resolve => setTimeout(resolve, delayMs));
+  try {
+    const { body, contentType } = formatResult(executeQuery(quads, query));
+    send(response, 200, body, contentType);
+  } catch (err) {
+    send(response, err.name === "SparqlSyntaxError" ? 400 : 500, err.message);
+  }
+});
+
+server.listen(Number(options.port), () => {
+  console.log(`Mock SPARQL endpoint with ${quads.length} triples at http://localhost:${options.port}/sparql`);
+});
@@ -1,83 +1,261 @@
-import React, { useEffect, useRef, useState } from "react";
+import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
 import * as d3 from "d3";
 import Joyride from "react-joyride";
+import { RDF, RDFS, namedNode, quad, quadKey, termToString } from "./rdf/terms.js";
+import { RDF_FORMATS, formatFromFileName, sniffFormat, parseRdf } from "./rdf/parse.js";
+import { DEFAULT_PREFIXES, compactIri, expandCurie, formatTerm } from "./rdf/prefixes.js";
+import ContextCachePanel from "./components/ContextCachePanel.jsx";
+import PrefixPanel from "./components/PrefixPanel.jsx";
+import SparqlPanel from "./components/SparqlPanel.jsx";
+import EndpointPanel from "./components/EndpointPanel.jsx";
+import ShaclPanel from "./components/ShaclPanel.jsx";
+import ExportMenu from "./components/ExportMenu.jsx";
+import ExpansionPicker from "./components/ExpansionPicker.jsx";
+import EditorPanel from "./components/EditorPanel.jsx";
+import PredicatePicker from "./components/PredicatePicker.jsx";
+import WorkspacePanel from "./components/WorkspacePanel.jsx";
+import StyleProfilePanel from "./components/StyleProfilePanel.jsx";
+import OntologyPanel from "./components/OntologyPanel.jsx";
+import FacetPanel from "./components/FacetPanel.jsx";
+import SearchBox from "./components/SearchBox.jsx";
+import EntityPanel from "./components/EntityPanel.jsx";
+import LayoutPanel from "./components/LayoutPanel.jsx";
+import PathFinderPanel from "./components/PathFinderPanel.jsx";
+import AnalyticsPanel from "./components/AnalyticsPanel.jsx";
+import NamedGraphPanel from "./components/NamedGraphPanel.jsx";
+import DiffPanel from "./components/DiffPanel.jsx";
+import TaskPanel from "./components/TaskPanel.jsx";
+import { upgradeViewState, viewStateFromHash, viewStateToHash } from "./workspace/viewState.js";
+import { EMPTY_FACETS, facetFilter, literalFacets } from "./graph/facets.js";
+import { buildSearchIndex, searchEntities } from "./graph/searchIndex.js";
+import { NO_ENTITY_TABS, activeEntity, visitEntity } from "./graph/entityTabs.js";
+import { DEFAULT_TASKS, serializeTaskLibrary } from "./workspace/taskLibrary.js";
+import { DEFAULT_TIMEOUT_MS } from "./rdf/endpoint.js";
+import { diffDatasets, diffSummary, nodeDiffStatus, tripleKey } from "./rdf/diff.js";
+import { parseShapes, validateShacl, describeViolation } from "./rdf/shacl.js";
+import { SUB_CLASS_OF, classTree, inferTriples, readOntology } from "./rdf/ontology.js";
+import {
+  addNodeEdit,
+  addTripleEdit,
+  applyEdit,
+  changePredicateEdit,
+  deleteNodeEdit,
+  deleteTripleEdit,
+  effectiveEdit,
+  invertEdit,
+  netChanges,
+  renameNodeEdit,
+  serializeSparqlUpdate,
+  setClassEdit
+} from "./rdf/edits.js";
+import { downloadBlob } from "./download.js";
+import { SCALE_EXTENT, createMinimap, fitTransform } from "./graph/viewport.js";
+import { createForceLayout } from "./graph/forceLayout.js";
+import { createCanvasRenderer } from "./graph/canvasRenderer.js";
+import { DEFAULT_LAYOUT_SETTINGS, layoutPositions } from "./graph/layouts.js";
+import {
+  ARROW_LENGTH,
+  assignEdgeOffsets,
+  edgeGeometry,
+  edgePath,
+  estimateLabelWidth,
+  placeEdgeLabels
+} from "./graph/edgeGeometry.js";
+import {
+  INSTANCE_LEVEL,
+  SEMANTIC_LEVELS,
+  buildClassView,
+  groupRadius,
+  levelForScale,
+  weightWidth
+} from "./graph/semanticZoom.js";
+import {
+  startExploration,
+  exploredNodeIds,
+  isExpanded,
+  neighbourGroups,
+  expandNode,
+  collapseNode
+} from "./graph/exploration.js";
+import { describePath } from "./graph/paths.js";
+import { computeAnalytics, metricColor, metricSize } from "./graph/analytics.js";
+import {
+  DEFAULT_NODE_SIZE,
+  UNTYPED,
+  createStyleResolver,
+  deriveProfile,
+  mergeProfiles,
+  serializeProfile,
+  setProfileEntry
+} from "./graph/styleProfile.js";
 
 // --- Constants and Data ---
-const predicateConstraints = {
-  worksAt: { min: 1, max: 1, label: "Works At (required, one company)" },
-  hasSkill: { min: 1, max: Infinity, label: "Has Skill (at least one)" },
-  knows: { min: 0, max: Infinity, label: "Knows (optional, many)" },
-  livesIn: { min: 1, max: 1, label: "Lives In (required, one location)" },
-  locatedIn: { min: 1, max: 1, label: "Located In (required, one location)" },
-  involves: { min: 0, max: Infinity, label: "Involves (many allowed)" }
-};
+// Default SHACL shapes graph, used until the user loads their own shapes.
+const defaultShapesTurtle = `@prefix sh: <http://www.w3.org/ns/shacl#> .
+@prefix ex: <http://example.org/> .
+
+ex:PersonShape a sh:NodeShape ;
+  sh:targetClass ex:Person ;
+  sh:property [ sh:path ex:worksAt ; sh:minCount 1 ; sh:maxCount 1 ; sh:class ex:Organization ;
+    sh:name "Works At" ; sh:description "Works At (required, one company)" ] ;
+  sh:property [ sh:path ex:hasSkill ; sh:minCount 1 ; sh:class ex:Skill ;
+    sh:name "Has Skill" ; sh:description "Has Skill (at least one)" ] ;
+  sh:property [ sh:path ex:knows ; sh:class ex:Person ;
+    sh:name "Knows" ; sh:description "Knows (optional, many)" ] ;
+  sh:property [ sh:path ex:livesIn ; sh:minCount 1 ; sh:maxCount 1 ; sh:class ex:Location ;
+    sh:name "Lives In" ; sh:description "Lives In (required, one location)" ] .
+
+ex:OrganizationShape a sh:NodeShape ;
+  sh:targetClass ex:Organization ;
+  sh:property [ sh:path ex:locatedIn ; sh:minCount 1 ; sh:maxCount 1 ; sh:class ex:Location ;
+    sh:name "Located In" ; sh:description "Located In (required, one location)" ] .
+
+ex:ProjectShape a sh:NodeShape ;
+  sh:targetClass ex:Project ;
+  sh:property [ sh:path ex:involves ; sh:class ex:Person ;
+    sh:name "Involves" ; sh:description "Involves (many allowed)" ] .
+`;
 
 const sampleTriples = [
-  ["Alice", "knows", "Bob"],
-  ["Bob", "knows", "Charlie"],
-  ["Charlie", "type", "Person"],
-  ["Alice", "type", "Person"],
-  ["Bob", "type", "Person"],
-  ["Alice", "worksAt", "CompanyX"],
-  ["Bob", "worksAt", "CompanyY"],
-  ["Charlie", "livesIn", "CityZ"],
-  ["CompanyX", "type", "Organization"],
-  ["CompanyY", "type", "Organization"],
-  ["CityZ", "type", "Location"],
-  ["Alice", "hasSkill", "SPARQL"],
-  ["Charlie", "hasSkill", "JavaScript"],
-  ["Bob", "hasSkill", "Python"],
-  ["SPARQL", "type", "Skill"],
-  ["JavaScript", "type", "Skill"],
-  ["Python", "type", "Skill"],
-  ["CompanyX", "locatedIn", "CityZ"],
-  ["CompanyY", "locatedIn", "CityZ"],
-  ["ProjectX", "involves", "Alice"]
+  ["Alice", "knows", "Bob", "people"],
+  ["Bob", "knows", "Charlie", "people"],
+  ["Charlie", "type", "Person", "people"],
+  ["Alice", "type", "Person", "people"],
+  ["Bob", "type", "Person", "people"],
+  ["Alice", "worksAt", "CompanyX", "organizations"],
+  ["Bob", "worksAt", "CompanyY", "organizations"],
+  ["Charlie", "livesIn", "CityZ", "people"],
+  ["CompanyX", "type", "Organization", "organizations"],
+  ["CompanyY", "type", "Organization", "organizations"],
+  ["CityZ", "type", "Location", "organizations"],
+  ["Alice", "hasSkill", "SPARQL", "skills"],
+  ["Charlie", "hasSkill", "JavaScript", "skills"],
+  ["Bob", "hasSkill", "Python", "skills"],
+  ["SPARQL", "type", "Skill", "skills"],
+  ["JavaScript", "type", "Skill", "skills"],
+  ["Python", "type", "Skill", "skills"],
+  ["CompanyX", "locatedIn", "CityZ", "organizations"],
+  ["CompanyY", "locatedIn", "CityZ", "organizations"],
+  ["ProjectX", "involves", "Alice", "projects"]
 ];
 
-const labelsMap = {
-  knows: "Knows",
-  type: "Is a",
-  worksAt: "Works At",
-  livesIn: "Lives In",
-  hasSkill: "Has Skill",
-  locatedIn: "Located In",
-  involves: "Involves"
-};
+const RDF_TYPE = `${RDF}type`;
+const EX = DEFAULT_PREFIXES.ex;
 
-const typeIcons = {
-  Person: "👤",
-  Skill: "🛠️",
-  Organization: "🏢",
-  Location: "📍",
-  Unknown: "❓"
-};
+// The demo data lives in the ex: namespace, with "type" standing for rdf:type,
+// spread over a few named graphs.
+const sampleQuads = sampleTriples.map(([s, p, o, g]) =>
+  quad(namedNode(EX + s), namedNode(p === "type" ? RDF_TYPE : EX + p), namedNode(EX + o), namedNode(EX + g))
+);
 
-const businessIcons = {
-  worksAt: "💼",
-  hasSkill: "🧠",
-  knows: "🤝",
-  livesIn: "🏠",
-  locatedIn: "🌍",
-  involves: "📁"
-};
+async function loadRdfFiles(files, contextCache) {
+  const quads = [];
+  const prefixes = {};
+  for (const file of files) {
+    const text = await file.text();
+    const format = formatFromFileName(file.name) || sniffFormat(text);
+    try {
+      const result = parseRdf(text, format, { contextCache });
+      quads.push(...result.quads);
+      Object.assign(prefixes, result.prefixes);
+    } catch (err) {
+      err.message = `${file.name}: ${err.message}`;
+      throw err;
+    }
+  }
+  return { quads, prefixes };
+}
 
-const predicateExplanations = {
-  worksAt: "This person is employed at the organization.",
-  hasSkill: "This person possesses this skill.",
-  knows: "This person knows the other person.",
-  livesIn: "This person lives in the location.",
-  locatedIn: "This organization is located in the location.",
-  involves: "This project involves the person."
-};
+// Links between resources become [subject, predicate, object] id triples for
+// the graph; literal values are collected per subject as node attributes.
+function splitQuads(quads) {
+  const triples = [];
+  const attributes = {};
+  quads.forEach(({ subject, predicate, object }) => {
+    const s = termToString(subject);
+    if (object.termType === "Literal") {
+      attributes[s] = attributes[s] || [];
+      attributes[s].push({ predicate: predicate.value, value: object });
+    } else {
+      triples.push([s, predicate.value, termToString(object)]);
+    }
+  });
+  return { triples, attributes };
+}
 
-const predicateColors = {
-  worksAt: "#1976d2",
-  hasSkill: "#388e3c",
-  knows: "#fbc02d",
-  livesIn: "#8d6e63",
-  locatedIn: "#6d4c41",
-  involves: "#7b1fa2"
+const escapeHtml = value => String(value).replace(/[&<>"']/g, ch => `&#${ch.charCodeAt(0)};`);
+
+// Style profile for the demo vocabulary; other vocabularies bring their own
+// or are styled from their labels and annotations.
+const demoProfile = {
+  classes: {
+    [`${EX}Person`]: {
+      color: "#1f77b4",
+      icon: "👤",
+      explanation: "A Person represents an individual in the organization or network."
+    },
+    [`${EX}Organization`]: {
+      color: "#ff7f0e",
+      icon: "🏢",
+      explanation: "An Organization is a company or institution where people work."
+    },
+    [`${EX}Location`]: {
+      color: "#2ca02c",
+      icon: "📍",
+      explanation: "A Location is a place where entities reside or operate."
+    },
+    [`${EX}Skill`]: {
+      color: "#d62728",
+      icon: "🛠️",
+      explanation: "A Skill is a capability or expertise possessed by a person."
+    }
+  },
+  predicates: {
+    [RDF_TYPE]: { label: "Is a" },
+    [`${EX}knows`]: {
+      label: "Knows",
+      color: "#fbc02d",
+      icon: "🤝",
+      explanation: "This person knows the other person."
+    },
+    [`${EX}worksAt`]: {
+      label: "Works At",
+      color: "#1976d2",
+      icon: "💼",
+      explanation: "This person is employed at the organization."
+    },
+    [`${EX}livesIn`]: {
+      label: "Lives In",
+      color: "#8d6e63",
+      icon: "🏠",
+      explanation: "This person lives in the location."
+    },
+    [`${EX}hasSkill`]: {
+      label: "Has Skill",
+      color: "#388e3c",
+      icon: "🧠",
+      explanation: "This person possesses this skill."
+    },
+    [`${EX}locatedIn`]: {
+      label: "Located In",
+      color: "#6d4c41",
+      icon: "🌍",
+      explanation: "This organization is located in the location."
+    },
+    [`${EX}involves`]: {
+      label: "Involves",
+      color: "#7b1fa2",
+      icon: "📁",
+      explanation: "This project involves the person."
+    }
+  },
+  modules: {
+    Employment: [`${EX}worksAt`, `${EX}locatedIn`, `${EX}Organization`],
+    Skills: [`${EX}hasSkill`, `${EX}Skill`],
+    Projects: [`${EX}involves`, `${EX}Project`],
+    Social: [`${EX}knows`],
+    Residence: [`${EX}livesIn`, `${EX}Location`]
+  }
 };
 
 // ...existing code...
@@ -93,7 +271,7 @@ const tourSteps = [
   },
   {
     title: "Semantic Zoom",
-    content: "Use the semantic zoom controls to switch between a high-level class view and a detailed entity view. This helps you explore the graph at different abstraction levels."
+    content: "Zoom out to see classes, in between to see how many instances each class has and how strongly classes are linked, and zoom in to see the entities themselves. Double-click a class to open just its instances."
   },
   {
     title: "Zoom and Pan",
@@ -113,11 +291,11 @@ const tourSteps = [
   },
   {
     title: "Guided Tasks",
-    content: "Try clicking a Guided Task to answer real-world questions like 'Who knows Alice?' or 'Who has Python skills?'."
+    content: "Pick a Guided Task such as 'Who has skill {?skill}?', choose its parameters from the data and run it to see the answer and why each node matched."
   },
   {
     title: "That’s It!",
-    content: "You’re ready to explore the RDF data. Click on a node to collapse groups or view tooltips for info."
+    content: "You’re ready to explore the RDF data. Double-click a node to expand its neighbours, click it again to collapse them, or hover for tooltips."
   }
 ];
 
@@ -130,15 +308,65 @@ const joyrideSteps = [
     content: "Click here to start a guided tour of the RDF Graph features.",
     disableBeacon: true
   },
+  {
+    target: '[data-joyride-id="data-source"]',
+    title: "Load RDF Data",
+    content: "Open Turtle, TriG, N-Triples, N-Quads, JSON-LD or RDF/XML files here, or drop them onto the graph canvas. JSON-LD remote contexts are resolved from the local context cache. A SPARQL endpoint can add the neighbourhood of the Described Entity or the resources matching your search."
+  },
+  {
+    target: '[data-joyride-id="named-graphs"]',
+    title: "Named Graphs",
+    content: "Each named graph in TriG or N-Quads data gets a color. Untick a graph to hide its triples, or color the edges by the graph they come from."
+  },
+  {
+    target: '[data-joyride-id="diff"]',
+    title: "Compare Datasets",
+    content: "Load a before and an after file (either side can be the loaded data) and show the difference: the graph draws both, with added triples in green, removed ones in red and unchanged ones in grey, and the tables count the changes per predicate and per class."
+  },
+  {
+    target: '[data-joyride-id="workspaces"]',
+    title: "Workspaces",
+    content: "Save the data, filters, layout and viewport under a name and reopen them later from this browser. The address bar always holds the current filters, so copying the link shares the same view."
+  },
+  {
+    target: '[data-joyride-id="shacl-report"]',
+    title: "SHACL Validation",
+    content: "Load SHACL shapes to validate the data. Violating nodes get a red outline and a badge; click a report entry to center its node."
+  },
+  {
+    target: '[data-joyride-id="ontology"]',
+    title: "Ontology",
+    content: "Subclasses, subproperties, domains, ranges and inverse properties in the data or in a separately loaded ontology are used to infer more types and triples. Inferred triples are dashed and can be hidden."
+  },
+  {
+    target: '[data-joyride-id="editor"]',
+    title: "Editing",
+    content: "Turn on Edit mode to add, rename or delete nodes and edges and change a node's class. Drag from one node to another to connect them. Ctrl+Z and Ctrl+Shift+Z undo and redo, and the list of changed triples can be downloaded as a SPARQL Update."
+  },
+  {
+    target: '[data-joyride-id="export"]',
+    title: "Export",
+    content: "Download the current drawing as SVG or PNG, or the triples in the current view as Turtle, N-Triples or JSON-LD."
+  },
   {
     target: '[data-joyride-id="semantic-zoom"]',
     title: "Semantic Zoom",
-    content: "Switch between a high-level class view and a detailed entity view using these controls."
+    content: "Step between classes, classes with instance counts and edge weights, and individual entities. With Follow the zoom checked the level changes as you scroll; double-click a class node to drill into its instances and click it again to collapse it."
   },
   {
-    target: '[data-joyride-id="domain-module"]',
-    title: "Domain Module Filter",
-    content: "Filter the graph by domain (Employment, Skills, etc)."
+    target: '[data-joyride-id="style-profile"]',
+    title: "Legend and Style Profile",
+    content: "The legend lists the classes and relationships in view. Click one to change its label, color, icon, size or dash pattern, its explanation and its modules. Load a style profile as JSON for another vocabulary, or let the rdfs:label, rdfs:comment and viz: annotations in the data style it."
+  },
+  {
+    target: '[data-joyride-id="layout"]',
+    title: "Layout",
+    content: "Switch between the force-directed layout, a hierarchy along a predicate such as rdfs:subClassOf, rings around the Described Entity, a circle grouped by class and a grid. The force layout's repulsion, link distance and collision radius can be tuned."
+  },
+  {
+    target: '[data-joyride-id="renderer"]',
+    title: "Renderer",
+    content: "Switch to the canvas renderer for graphs with thousands of nodes. Labels appear as you zoom in."
   },
   {
     target: '[data-joyride-id="node-limit"]',
@@ -146,130 +374,706 @@ const joyrideSteps = [
     content: "Set the maximum number of nodes shown in the graph to keep the visualization clear."
   },
   {
-    target: '[data-joyride-id="class-filter"]',
-    title: "Class Filter",
-    content: "Filter nodes by their class (Person, Organization, etc)."
+    target: '[data-joyride-id="facets"]',
+    title: "Filters",
+    content: "Tick classes, predicates, modules or literal values to narrow the graph to the nodes that have them, and choose whether a node must match all facets or any. A class includes the instances of its subclasses. Hide drops the edges of a predicate from the view."
   },
   {
     target: '[data-joyride-id="search-input"]',
     title: "Search",
-    content: "Type here to search and highlight nodes by name."
+    content: "Search names, labels and literal values of everything loaded, typos included. Arrow keys step through the results; Enter makes the highlighted one the Described Entity and brings its neighbours into view, even when the filters hide them."
   },
   {
     target: '[data-joyride-id="described-entity"]',
     title: "Described Entity Highlight",
-    content: "Select an entity to highlight it in the graph. The selected entity will appear larger, in a unique color, and fixed in the center."
+    content: "Select an entity to highlight it in the graph. The selected entity will appear larger, in a unique color, and fixed in the center, and its details open in the panel on the right."
+  },
+  {
+    target: '[data-joyride-id="exploration"]',
+    title: "Exploration",
+    content: "Start from the Described Entity or the first search match and grow the graph one neighbourhood at a time. Back and Forward step through the expansions."
+  },
+  {
+    target: '[data-joyride-id="path-finder"]',
+    title: "Path Finder",
+    content: "Pick two entities to list the shortest ways they are connected. Restrict the predicates or their direction under Predicates, and click a path to fade out everything else and read it as a sentence."
   },
   {
     target: '[data-joyride-id="guided-tasks"]',
     title: "Guided Tasks",
-    content: "Click a guided task to answer common questions about the graph."
+    content: "Run a question over the data, choosing its parameters from dropdowns; every matched node lists the triples or query results that explain it. Build your own tasks from triple patterns or SPARQL, and import or export them as a JSON library."
   },
   {
     target: '[data-joyride-id="graph-canvas"]',
     title: "Graph Canvas",
-    content: "This is the interactive RDF graph. Zoom, pan, and click nodes to explore."
-  }
-];
-
-const color = d3.scaleOrdinal()
-  .domain(["Person", "Organization", "Location", "Skill", "Unknown"])
-  .range(["#1f77b4", "#ff7f0e", "#2ca02c", "#d62728", "#9467bd"]);
-
-const domainModules = {
-  All: [],
-  Employment: ["worksAt", "locatedIn", "Organization"],
-  Skills: ["hasSkill", "Skill"],
-  Projects: ["involves", "Project"],
-  Social: ["knows"],
-  Residence: ["livesIn", "Location"]
-};
-
-const classExplanations = {
-  Person: "A Person represents an individual in the organization or network.",
-  Organization: "An Organization is a company or institution where people work.",
-  Skill: "A Skill is a capability or expertise possessed by a person.",
-  Location: "A Location is a place where entities reside or operate.",
-  Unknown: "This node's type is not specified."
-};
-
-const guidedTasks = [
-  {
-    label: "Show Alice's coworkers",
-    filter: ([s, p, o]) => (s === "Alice" && p === "knows") || (o === "Alice" && p === "knows")
-  },
-  {
-    label: "Who has Python skills?",
-    filter: ([s, p, o]) => p === "hasSkill" && o === "Python"
+    content: "This is the interactive RDF graph. Zoom, pan, and double-click nodes to expand their neighbours."
   },
   {
-    label: "Where does Bob work?",
-    filter: ([s, p]) => s === "Bob" && p === "worksAt"
+    target: '[data-joyride-id="viewport-controls"]',
+    title: "Zoom and Pan",
+    content: "Scroll to zoom and drag the background to pan. Fit shows the whole graph, Selection zooms to the Described Entity, highlighted nodes and search matches. Drag the rectangle in the minimap to move around."
   },
   {
-    label: "What skills are in ProjectX?",
-    filter: ([s, p, o]) =>
-      (s === "ProjectX" && p === "involves") ||
-      (p === "hasSkill" && s !== "ProjectX")
+    target: '[data-joyride-id="sparql-panel"]',
+    title: "SPARQL Queries",
+    content: "Run SELECT, CONSTRUCT or ASK queries against the loaded data. CONSTRUCT results replace the graph; click a SELECT row to highlight its nodes."
   },
   {
-    label: "Reset View",
-    filter: null
+    target: '[data-joyride-id="analytics"]',
+    title: "Graph Analytics",
+    content: "Find hubs and clusters: degrees, betweenness, PageRank, connected components and communities of the filtered graph. Size or color the nodes by any metric, sort the tables by any column and click a row to make it the Described Entity."
   }
 ];
 
+const defaultShapesSource = {
+  name: "Built-in shapes",
+  isDefault: true,
+  ...parseShapes(parseRdf(defaultShapesTurtle, "turtle").quads)
+};
+
+// --- Constraint Violations ---
+// Groups SHACL validation results by focus node id.
+function getNodeConstraintViolations(results) {
+  const violations = {};
+  results.forEach(result => {
+    violations[result.focusKey] = violations[result.focusKey] || [];
+    violations[result.focusKey].push(result);
+  });
+  return violations;
+}
+
+const CANVAS_WIDTH = 1200;
+const CANVAS_HEIGHT = 800;
+// Node limits applied when switching renderers; SVG slows down well before
+// the canvas view does.
+const SVG_NODE_LIMIT = 1000;
+const CANVAS_NODE_LIMIT = 50000;
+
+const semanticButtonStyle = {
+  fontSize: 20,
+  width: 36,
+  height: 36,
+  borderRadius: "50%",
+  background: "#eee",
+  color: "#333",
+  border: "none",
+  cursor: "pointer"
+};
+
+const viewportButtonStyle = {
+  minWidth: 32,
+  height: 32,
+  padding: "0 8px",
+  borderRadius: "4px",
+  border: "1px solid #bbb",
+  background: "#fff",
+  cursor: "pointer",
+  fontSize: 14
+};
+
 const DESCRIBED_ENTITY_COLOR = "#e91e63";
+const QUERY_HIGHLIGHT_COLOR = "#ff9800";
+// Fade in/out time for graph elements, in ms.
+const FADE_DURATION = 400;
+// How long a click waits to find out whether it is part of a double-click.
+const DOUBLE_CLICK_DELAY = 250;
+// Expanding more new neighbours than this asks which predicates to follow.
+const EXPANSION_PICKER_THRESHOLD = 15;
+const EXPANDED_NODE_COLOR = "#37474f";
+const INFERRED_DASH = [4, 4];
+// Time for nodes to move into a newly chosen layout, in ms.
+const LAYOUT_TRANSITION_MS = 750;
+const EDIT_SELECTION_COLOR = "#ff9800";
+const VIOLATION_COLOR = "#d32f2f";
+const DIFF_COLORS = { added: "#2e7d32", removed: "#c62828", unchanged: "#bbb" };
+const DEFAULT_GRAPH_COLOR = "#9e9e9e";
+// Results listed under the search field; the graph highlights all matches.
+const SEARCH_RESULT_LIMIT = 12;
 
 const App = () => {
   const svgRef = useRef();
   const tooltipRef = useRef();
+  const graphRef = useRef(null);
+  const canvasRef = useRef();
+  const minimapSvgRef = useRef();
+  const zoomRef = useRef(null);
+  const zoomTransformRef = useRef(d3.zoomIdentity);
+  const selectionIdsRef = useRef(new Set());
 
   const [tourStep, setTourStep] = useState(null);
   const [joyrideRun, setJoyrideRun] = useState(false);
 
-  const [classFilter, setClassFilter] = useState("All");
-  const [objectFilter, setObjectFilter] = useState("All");
-  const [searchQuery, setSearchQuery] = useState("");
-  const [selectedModule, setSelectedModule] = useState("All");
-  const [guidedFilter, setGuidedFilter] = useState(null);
-  const [highlightNodes, setHighlightNodes] = useState(new Set());
-  const [highlightLinks, setHighlightLinks] = useState(new Set());
-  const [semanticLevel, setSemanticLevel] = useState(1);
-  const [nodeLimit, setNodeLimit] = useState(20);
-  const [describedEntity, setDescribedEntity] = useState(""); // NEW
+  // The view a shared link describes, read once on load.
+  const [initialView] = useState(() => viewStateFromHash(window.location.hash));
+  const [facets, setFacets] = useState(initialView.facets);
+  const [searchQuery, setSearchQuery] = useState(initialView.search);
+  // The entity last picked from the search results; its neighbourhood stays
+  // in view while it is the Described Entity.
+  const [searchFocus, setSearchFocus] = useState(null);
+  const [entityTabs, setEntityTabs] = useState(NO_ENTITY_TABS);
+  const [taskResult, setTaskResult] = useState(null);
+  const [selectedPath, setSelectedPath] = useState(null);
+  const [analyticsEnabled, setAnalyticsEnabled] = useState(false);
+  const [metricMapping, setMetricMapping] = useState({ size: "", color: "" });
+  const [semanticLevel, setSemanticLevel] = useState(initialView.level);
+  const [followZoom, setFollowZoom] = useState(true);
+  const [drilledClasses, setDrilledClasses] = useState(() => new Set(initialView.drilled));
+  const [nodeLimit, setNodeLimit] = useState(initialView.nodeLimit);
+  const [renderer, setRenderer] = useState(initialView.renderer);
+  const [explorationHistory, setExplorationHistory] = useState(null);
+  const [expansionPicker, setExpansionPicker] = useState(null);
+  const [describedEntity, setDescribedEntity] = useState(initialView.describedEntity);
+  const [editMode, setEditMode] = useState(false);
+  const [editHistory, setEditHistory] = useState({ done: [], undone: [] });
+  const [editSelection, setEditSelection] = useState(null);
+  const [edgeDraft, setEdgeDraft] = useState(null);
+  const [quads, setQuads] = useState(sampleQuads);
+  const [prefixes, setPrefixes] = useState(DEFAULT_PREFIXES);
+  const [dataSourceName, setDataSourceName] = useState("Sample data");
+  const [loadError, setLoadError] = useState("");
+  const [isDraggingFile, setIsDraggingFile] = useState(false);
+  const [constructQuads, setConstructQuads] = useState(null);
+  const [queryHighlight, setQueryHighlight] = useState(new Set());
+  const [contextCache, setContextCache] = useState(() =>
+    JSON.parse(localStorage.getItem("rdfContextCache") || "{}")
+  );
+  const [shapesSource, setShapesSource] = useState(defaultShapesSource);
+  const [endpointConfig, setEndpointConfig] = useState(() => ({
+    url: "",
+    username: "",
+    password: "",
+    timeoutMs: DEFAULT_TIMEOUT_MS,
+    pageSize: 200,
+    ...JSON.parse(localStorage.getItem("rdfEndpoint") || "{}")
+  }));
+  // A separately loaded ontology: { name, quads }.
+  const [ontologySource, setOntologySource] = useState(null);
+  const [showInferred, setShowInferred] = useState(true);
+  const [layoutSettings, setLayoutSettings] = useState(DEFAULT_LAYOUT_SETTINGS);
+  const [hiddenGraphs, setHiddenGraphs] = useState(new Set());
+  const [colorByGraph, setColorByGraph] = useState(false);
+  const [diffSources, setDiffSources] = useState({ before: null, after: null });
+  const [diffActive, setDiffActive] = useState(false);
+  const [styleProfile, setStyleProfile] = useState(() =>
+    JSON.parse(localStorage.getItem("rdfStyleProfile") || "null") || demoProfile
+  );
+  const [tasks, setTasks] = useState(() =>
+    JSON.parse(localStorage.getItem("rdfTaskLibrary") || "null") || DEFAULT_TASKS
+  );
+
+  // --- Named Graphs and Diff ---
+  // The diff draws the union of both datasets, either side defaulting to the
+  // loaded data. Hidden graphs leave the view; validation, editing and export
+  // keep working on the loaded quads.
+  const diff = useMemo(() => {
+    if (!diffActive || (!diffSources.before && !diffSources.after)) return null;
+    const side = source => (source ? source.quads : quads);
+    return diffDatasets(side(diffSources.before), side(diffSources.after));
+  }, [diffActive, diffSources, quads]);
+  const datasetQuads = diff ? diff.quads : quads;
+  const namedGraphs = useMemo(() => {
+    const counts = d3.rollup(datasetQuads, v => v.length, q => termToString(q.graph));
+    const ids = Array.from(counts.keys()).filter(Boolean).sort();
+    const palette = d3.schemeSet2;
+    return [
+      ...(counts.has("") ? [{ id: "", count: counts.get(""), color: DEFAULT_GRAPH_COLOR }] : []),
+      ...ids.map((id, i) => ({ id, count: counts.get(id), color: palette[i % palette.length] }))
+    ];
+  }, [datasetQuads]);
+  const viewQuads = useMemo(
+    () => (hiddenGraphs.size ? datasetQuads.filter(q => !hiddenGraphs.has(termToString(q.graph))) : datasetQuads),
+    [datasetQuads, hiddenGraphs]
+  );
+  // The graphs holding each shown triple, by link key, once there are named ones.
+  const tripleGraphs = useMemo(() => {
+    if (!namedGraphs.some(g => g.id)) return null;
+    const map = new Map();
+    viewQuads.forEach(q => {
+      const key = tripleKey(q);
+      if (!map.has(key)) map.set(key, []);
+      if (!map.get(key).includes(termToString(q.graph))) map.get(key).push(termToString(q.graph));
+    });
+    return map;
+  }, [namedGraphs, viewQuads]);
+  const graphColors = useMemo(() => new Map(namedGraphs.map(g => [g.id, g.color])), [namedGraphs]);
+  const diffNodes = useMemo(() => diff && nodeDiffStatus(diff), [diff]);
+  const diffOverview = useMemo(() => diff && diffSummary(diff), [diff]);
+
+  const { triples, attributes } = useMemo(() => splitQuads(viewQuads), [viewQuads]);
+  const curie = useCallback(iri => compactIri(iri, prefixes), [prefixes]);
+  const constructResult = useMemo(() => constructQuads && splitQuads(constructQuads), [constructQuads]);
+
+  // --- Style Profile ---
+  // The loaded or edited profile wins over what the data says about itself.
+  const dataProfile = useMemo(() => deriveProfile(quads), [quads]);
+  const effectiveProfile = useMemo(() => mergeProfiles(dataProfile, styleProfile), [dataProfile, styleProfile]);
+  const styles = useMemo(() => createStyleResolver(effectiveProfile), [effectiveProfile]);
+
+  // --- Ontology and Inference ---
+  // The schema comes from the data and the ontology file together; inferred
+  // triples join the graph while showInferred is on.
+  const ontology = useMemo(() => readOntology(
+    ontologySource ? [...triples, ...splitQuads(ontologySource.quads).triples] : triples
+  ), [triples, ontologySource]);
+  const inferredTriples = useMemo(() => {
+    const literalStatements = Object.entries(attributes).flatMap(([s, values]) => values.map(a => [s, a.predicate]));
+    return inferTriples(triples, literalStatements, ontology);
+  }, [triples, attributes, ontology]);
+  const inferredKeys = useMemo(() => new Set(inferredTriples.map(triple => triple.join(" "))), [inferredTriples]);
+  const graphTriples = useMemo(
+    () => (showInferred ? [...triples, ...inferredTriples] : triples),
+    [triples, inferredTriples, showInferred]
+  );
+  // The path picked in the path finder, until one of its triples goes away.
+  const activePath = useMemo(() => {
+    if (!selectedPath) return null;
+    const keys = new Set(graphTriples.map(triple => triple.join(" ")));
+    return selectedPath.steps.every(step => keys.has(step.triple.join(" "))) ? selectedPath : null;
+  }, [selectedPath, graphTriples]);
 
   // --- Class Map ---
-  const classMap = {};
-  sampleTriples.forEach(([s, p, o]) => {
-    if (p === "type") classMap[s] = o;
-  });
+  // Every type of every node, asserted ones first. classMap keeps the most
+  // specific type, which decides the node's color and class group; an
+  // inferred type only wins when it is more specific.
+  const typeMap = useMemo(() => {
+    const map = {};
+    graphTriples.forEach(([s, p, o]) => {
+      if (p !== RDF_TYPE) return;
+      map[s] = map[s] || [];
+      if (!map[s].includes(o)) map[s].push(o);
+    });
+    return map;
+  }, [graphTriples]);
+  const classMap = useMemo(() => {
+    const map = {};
+    graphTriples.forEach(([s, p, o]) => {
+      if (p !== RDF_TYPE) return;
+      if (!map[s] || ontology.superClassesOf(o).has(map[s])) map[s] = o;
+    });
+    return map;
+  }, [graphTriples, ontology]);
+  const classIris = useMemo(() => Array.from(new Set([
+    ...Object.values(typeMap).flat(),
+    ...graphTriples.filter(([, p]) => p === SUB_CLASS_OF).flatMap(([s, , o]) => [s, o]),
+    ...ontology.superClasses.keys()
+  ])).sort(), [typeMap, graphTriples, ontology]);
+  // A class matches its own instances and those of its subclasses.
+  const hasClass = useCallback((id, cls) => {
+    const classes = new Set([cls, ...ontology.subClassesOf(cls)]);
+    return (typeMap[id] || []).some(type => classes.has(type));
+  }, [typeMap, ontology]);
 
   // --- Filter Options ---
-  const classOptions = ["All", ...new Set(sampleTriples.filter(([_, p]) => p === "type").map(([s, , o]) => o))];
-  const objectOptions = classFilter !== "All"
-    ? ["All", ...sampleTriples.filter(([_, p, o]) => p === "type" && o === classFilter).map(([s]) => s)]
-    : [];
-
-  // --- Constraint Violations ---
-  function getNodeConstraintViolations(nodes, links) {
-    const violations = {};
-    nodes.forEach(n => {
-      const outgoing = links.filter(l => l.source.id === n.id || l.source === n.id);
-      Object.keys(predicateConstraints).forEach(pred => {
-        const count = outgoing.filter(l => l.label === (labelsMap[pred] || pred)).length;
-        const { min, max } = predicateConstraints[pred] || {};
-        if (min !== undefined && count < min) {
-          violations[n.id] = violations[n.id] || [];
-          violations[n.id].push(`Missing required "${labelsMap[pred] || pred}" (${count}/${min})`);
-        }
-        if (max !== undefined && count > max) {
-          violations[n.id] = violations[n.id] || [];
-          violations[n.id].push(`Too many "${labelsMap[pred] || pred}" (${count}/${max})`);
-        }
+  const entityOptions = useMemo(
+    () => Array.from(new Set(triples.flatMap(([s, , o]) => [s, o]))).sort(),
+    [triples]
+  );
+  const graphPredicates = useMemo(() => Array.from(new Set(graphTriples.map(([, p]) => p))).sort(), [graphTriples]);
+  const classTreeRoots = useMemo(() => classTree(classIris, ontology), [classIris, ontology]);
+  // Instances per class, subclasses included.
+  const classCounts = useMemo(() => {
+    const counts = {};
+    Object.values(typeMap).forEach(types => {
+      new Set(types.flatMap(type => [type, ...ontology.superClassesOf(type)])).forEach(cls => {
+        counts[cls] = (counts[cls] || 0) + 1;
       });
     });
-    return violations;
-  }
+    return counts;
+  }, [typeMap, ontology]);
+
+  // --- Facets ---
+  // Generated from the data, counted over everything loaded.
+  const predicateFacets = useMemo(() => {
+    const counts = d3.rollup(graphTriples, v => v.length, ([, p]) => p);
+    return Array.from(counts, ([iri, count]) => ({ iri, count })).sort((a, b) => a.iri.localeCompare(b.iri));
+  }, [graphTriples]);
+  const literalFacetList = useMemo(() => literalFacets(attributes), [attributes]);
+  // A triple belongs to a module through its predicate or the classes of
+  // its ends; rdf:type triples belong to every module.
+  const inModule = useCallback(([s, p, o], name) => {
+    const members = styles.moduleMembers(name);
+    if (!members) return false;
+    const inClass = id => (typeMap[id] || []).some(type => members.has(type));
+    return p === RDF_TYPE || members.has(p) || inClass(s) || inClass(o);
+  }, [styles, typeMap]);
+  const moduleFacets = useMemo(
+    () => Object.keys(effectiveProfile.modules).map(name => ({
+      name,
+      count: graphTriples.filter(triple => inModule(triple, name)).length
+    })),
+    [effectiveProfile, graphTriples, inModule]
+  );
+
+  // --- Search ---
+  // The index covers everything loaded, whatever the filters and the node
+  // limit; the graph fades to the matches among the nodes in view.
+  const searchIndex = useMemo(() => buildSearchIndex(graphTriples, attributes, curie), [graphTriples, attributes, curie]);
+  const searchResults = useMemo(() => searchEntities(searchIndex, searchQuery), [searchIndex, searchQuery]);
+  const searchMatchIds = useMemo(() => new Set(searchResults.map(result => result.id)), [searchResults]);
+  const focusedEntity = searchFocus && searchFocus === describedEntity ? searchFocus : null;
+  // Set by a pick until the picked entity has joined the graph and been
+  // zoomed to: { id, neighbours } where neighbours zooms to its
+  // neighbourhood rather than the entity alone.
+  const pendingZoomRef = useRef(null);
+  const handleSearchPick = id => {
+    setSemanticLevel(INSTANCE_LEVEL);
+    setDescribedEntity(id);
+    setSearchFocus(id);
+    setSearchQuery("");
+    pendingZoomRef.current = { id, neighbours: true };
+  };
+
+  // --- Entity Details ---
+  // The active tab follows the Described Entity, however it was chosen, and
+  // navigating in the panel chooses the Described Entity.
+  useEffect(() => {
+    setEntityTabs(prev => (describedEntity && describedEntity !== activeEntity(prev) ? visitEntity(prev, describedEntity) : prev));
+  }, [describedEntity]);
+  const handleEntityTabsChange = next => {
+    setEntityTabs(next);
+    setDescribedEntity(activeEntity(next));
+    if (activeEntity(next)) setSemanticLevel(INSTANCE_LEVEL);
+  };
+  const entityLabel = id => {
+    const label = (attributes[id] || []).find(({ predicate }) => predicate === `${RDFS}label`);
+    return label ? label.value.value : curie(id);
+  };
+
+  // --- Data Loading ---
+  const handleFiles = async files => {
+    if (!files.length) return;
+    try {
+      const loaded = await loadRdfFiles(Array.from(files), contextCache);
+      setQuads(loaded.quads);
+      setPrefixes(prev => ({ ...prev, ...loaded.prefixes }));
+      setDataSourceName(Array.from(files).map(f => f.name).join(", "));
+      setLoadError("");
+      setFacets(EMPTY_FACETS);
+      setTaskResult(null);
+      setDescribedEntity("");
+      setConstructQuads(null);
+      setQueryHighlight(new Set());
+      setExplorationHistory(null);
+      setExpansionPicker(null);
+      setDrilledClasses(new Set());
+      setHiddenGraphs(new Set());
+      setSearchFocus(null);
+      setEntityTabs(NO_ENTITY_TABS);
+      setEditHistory({ done: [], undone: [] });
+      setEditSelection(null);
+      setEdgeDraft(null);
+    } catch (err) {
+      setLoadError(err.message);
+    }
+  };
+
+  // Back to the sample data with nothing left over from the previous dataset.
+  const handleReset = () => {
+    setQuads(sampleQuads);
+    setPrefixes(DEFAULT_PREFIXES);
+    setFacets(EMPTY_FACETS);
+    setTaskResult(null);
+    setDescribedEntity("");
+    setExplorationHistory(null);
+    setExpansionPicker(null);
+    setDrilledClasses(new Set());
+    setHiddenGraphs(new Set());
+    setSearchFocus(null);
+    setEntityTabs(NO_ENTITY_TABS);
+    setEditHistory({ done: [], undone: [] });
+    setEditSelection(null);
+    setEdgeDraft(null);
+    setConstructQuads(null);
+    setQueryHighlight(new Set());
+    setDataSourceName("Sample data");
+    setLoadError("");
+  };
+
+  // The SPARQL panel clears its results whenever the quads change, by a
+  // load, an endpoint merge or an edit; the CONSTRUCT view and the row
+  // highlight it handed to the graph go with them.
+  useEffect(() => {
+    setConstructQuads(null);
+    setQueryHighlight(new Set());
+  }, [quads]);
+
+  // Adds endpoint results to the current data and returns how many were new.
+  const mergeQuads = (incoming, incomingPrefixes) => {
+    const seen = new Set(quads.map(quadKey));
+    const added = incoming.filter(q => {
+      const key = quadKey(q);
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+    if (added.length) setQuads([...quads, ...added]);
+    setPrefixes(prev => ({ ...incomingPrefixes, ...prev }));
+    setDataSourceName(prev => (prev.includes(endpointConfig.url) ? prev : `${prev} + ${endpointConfig.url}`));
+    return added.length;
+  };
+
+  // --- SHACL Validation ---
+  const validationReport = useMemo(
+    () => validateShacl(quads, shapesSource.shapes),
+    [quads, shapesSource]
+  );
+  const nodeViolations = useMemo(
+    () => getNodeConstraintViolations(validationReport.results),
+    [validationReport]
+  );
+  // Shape descriptions per predicate IRI, shown in edge tooltips.
+  const constraintDescriptions = useMemo(() => {
+    const descriptions = {};
+    shapesSource.shapes.forEach(shape => shape.properties.forEach(property => {
+      if (!property.description) return;
+      descriptions[property.path.iri] = descriptions[property.path.iri] || [];
+      descriptions[property.path.iri].push(property.description);
+    }));
+    return descriptions;
+  }, [shapesSource]);
+
+  // --- Editing ---
+  // Edits change quads directly, so validation and the graph follow. The
+  // history holds the applied edits; the diff is their net effect.
+  const editChanges = useMemo(() => netChanges(editHistory.done), [editHistory]);
+  const editedIds = useMemo(() => new Set(editChanges.added
+    .flatMap(({ subject, object }) => [subject, object])
+    .filter(term => term.termType !== "Literal")
+    .map(termToString)), [editChanges]);
+  const predicateOptions = useMemo(() => Array.from(new Set(triples.map(([, p]) => p))).sort(), [triples]);
+  const expandIri = value => expandCurie(value, prefixes);
+
+  const commitEdit = (label, edit) => {
+    const effective = effectiveEdit(quads, { ...edit, label });
+    if (!effective.added.length && !effective.removed.length) return;
+    setQuads(applyEdit(quads, effective));
+    setEditHistory(prev => ({ done: [...prev.done, effective], undone: [] }));
+  };
+  const handleUndo = () => {
+    const edit = editHistory.done[editHistory.done.length - 1];
+    if (!edit) return;
+    setQuads(applyEdit(quads, invertEdit(edit)));
+    setEditHistory({ done: editHistory.done.slice(0, -1), undone: [...editHistory.undone, edit] });
+    setEditSelection(null);
+  };
+  const handleRedo = () => {
+    const edit = editHistory.undone[editHistory.undone.length - 1];
+    if (!edit) return;
+    setQuads(applyEdit(quads, edit));
+    setEditHistory({ done: [...editHistory.done, edit], undone: editHistory.undone.slice(0, -1) });
+    setEditSelection(null);
+  };
+  const handleEditModeChange = enabled => {
+    setEditMode(enabled);
+    setEditSelection(null);
+    setEdgeDraft(null);
+    if (enabled) setSemanticLevel(INSTANCE_LEVEL);
+  };
+  const handleRenameNode = (id, iri) => {
+    commitEdit(`Rename ${curie(id)}`, renameNodeEdit(quads, id, iri));
+    setEditSelection({ kind: "node", id: iri });
+    if (describedEntity === id) setDescribedEntity(iri);
+  };
+  const handleDeleteNode = id => {
+    commitEdit(`Delete ${curie(id)}`, deleteNodeEdit(quads, id));
+    setEditSelection(null);
+    if (describedEntity === id) setDescribedEntity("");
+  };
+  const handleChangePredicate = (triple, predicate) => {
+    commitEdit(`Change ${curie(triple[1])} to ${curie(predicate)}`, changePredicateEdit(quads, triple, predicate));
+    setEditSelection({ kind: "link", triple: [triple[0], predicate, triple[2]] });
+  };
+  const handleDeleteTriple = triple => {
+    commitEdit(`Delete ${curie(triple[1])} edge`, deleteTripleEdit(quads, triple));
+    setEditSelection(null);
+  };
+  const handleDownloadDiff = () => downloadBlob(
+    new Blob([serializeSparqlUpdate(editChanges)], { type: "application/sparql-update;charset=utf-8" }),
+    "rdf-edits.ru"
+  );
+  const formatQuad = ({ subject, predicate, object }) =>
+    [subject, predicate, object].map(term => formatTerm(term, prefixes)).join(" ");
+
+  // The selection as the editor shows it, with the node's SHACL results.
+  const editorSelection = editSelection && (editSelection.kind === "node"
+    ? {
+      ...editSelection,
+      classIri: classMap[editSelection.id],
+      violations: (nodeViolations[editSelection.id] || [])
+        .map(v => describeViolation(v, term => formatTerm(term, prefixes)))
+    }
+    : editSelection);
+
+  // In edit mode Ctrl/Cmd+Z undoes, Ctrl/Cmd+Shift+Z or Ctrl+Y redoes, and
+  // Delete removes the selection. Text fields keep their own shortcuts. The
+  // listener is added once and reads the current state through the ref.
+  const keyDownRef = useRef(null);
+  keyDownRef.current = event => {
+    if (event.target.closest && event.target.closest("input, textarea, select")) return;
+    const key = event.key.toLowerCase();
+    if (editMode && (event.ctrlKey || event.metaKey) && key === "z") {
+      event.preventDefault();
+      if (event.shiftKey) handleRedo();
+      else handleUndo();
+    } else if (editMode && (event.ctrlKey || event.metaKey) && key === "y") {
+      event.preventDefault();
+      handleRedo();
+    } else if (editMode && editSelection && (key === "delete" || key === "backspace")) {
+      event.preventDefault();
+      if (editSelection.kind === "node") handleDeleteNode(editSelection.id);
+      else handleDeleteTriple(editSelection.triple);
+    } else if (key === "escape") {
+      setEditSelection(null);
+      setEdgeDraft(null);
+    }
+  };
+  useEffect(() => {
+    const handleKeyDown = event => keyDownRef.current(event);
+    window.addEventListener("keydown", handleKeyDown);
+    return () => window.removeEventListener("keydown", handleKeyDown);
+  }, []);
+
+  // --- View State and Workspaces ---
+  const viewState = {
+    facets,
+    search: searchQuery,
+    level: semanticLevel,
+    nodeLimit,
+    describedEntity,
+    renderer,
+    drilled: Array.from(drilledClasses)
+  };
+  const viewHash = viewStateToHash(viewState);
+  const applyViewState = saved => {
+    const view = upgradeViewState(saved);
+    setFacets(view.facets);
+    setSearchQuery(view.search);
+    setSemanticLevel(view.level);
+    setNodeLimit(view.nodeLimit);
+    setDescribedEntity(view.describedEntity);
+    setRenderer(view.renderer);
+    setDrilledClasses(new Set(view.drilled));
+  };
+
+  // The hash follows the view without adding history entries; editing the
+  // hash by hand, or following a link in this tab, applies it.
+  useEffect(() => {
+    if (window.location.hash.replace(/^#/, "") === viewHash) return;
+    const { pathname, search } = window.location;
+    window.history.replaceState(null, "", viewHash ? `#${viewHash}` : `${pathname}${search}`);
+  }, [viewHash]);
+  useEffect(() => {
+    const handleHashChange = () => applyViewState(viewStateFromHash(window.location.hash));
+    window.addEventListener("hashchange", handleHashChange);
+    return () => window.removeEventListener("hashchange", handleHashChange);
+  }, []);
+
+  const getWorkspaceSnapshot = () => {
+    const { x, y, k } = zoomTransformRef.current;
+    return {
+      dataSourceName,
+      quads,
+      prefixes,
+      view: viewState,
+      styleProfile,
+      ontology: ontologySource,
+      positions: graphRef.current.layout.nodes().map(n => [n.id, n.x, n.y, n.fx ?? null, n.fy ?? null]),
+      viewport: { x, y, k }
+    };
+  };
+  const handleOpenWorkspace = workspace => {
+    setQuads(workspace.quads);
+    setPrefixes(workspace.prefixes);
+    setDataSourceName(workspace.dataSourceName);
+    setLoadError("");
+    applyViewState(workspace.view);
+    setSearchFocus(null);
+    setEntityTabs(NO_ENTITY_TABS);
+    setHiddenGraphs(new Set());
+    // Workspaces saved before style profiles keep the current one.
+    if (workspace.styleProfile) setStyleProfile(workspace.styleProfile);
+    setOntologySource(workspace.ontology || null);
+    setTaskResult(null);
+    setConstructQuads(null);
+    setQueryHighlight(new Set());
+    setExplorationHistory(null);
+    setExpansionPicker(null);
+    setEditHistory({ done: [], undone: [] });
+    setEditSelection(null);
+    setEdgeDraft(null);
+    // Picked up by the next data join.
+    // Workspaces saved before pins were kept have [id, x, y] rows.
+    graphRef.current.savedPositions = new Map(workspace.positions.map(([id, x, y, fx = null, fy = null]) => [id, { x, y, fx, fy }]));
+    const { x, y, k } = workspace.viewport;
+    graphRef.current.surface.call(zoomRef.current.transform, d3.zoomIdentity.translate(x, y).scale(k));
+  };
+
+  // Modules that the new profile no longer has leave the module facet.
+  const handleStyleProfileChange = profile => {
+    setStyleProfile(profile);
+    const modules = mergeProfiles(dataProfile, profile).modules;
+    const kept = facets.modules.filter(name => modules[name]);
+    if (kept.length !== facets.modules.length) setFacets({ ...facets, modules: kept });
+  };
+  const handleStyleEntryChange = (kind, iri, entry, moduleNames) =>
+    handleStyleProfileChange(setProfileEntry(styleProfile, kind, iri, entry, moduleNames));
+  const handleDownloadStyleProfile = () => downloadBlob(
+    new Blob([serializeProfile(effectiveProfile, prefixes)], { type: "application/json" }),
+    "style-profile.json"
+  );
+
+  // --- Guided Tasks ---
+  // The view keeps the triples that answer the task, or for SELECT queries
+  // the triples between the nodes it matched.
+  const { guidedFilter, highlightNodes, highlightLinks } = useMemo(() => {
+    if (!taskResult) return { guidedFilter: null, highlightNodes: new Set(), highlightLinks: new Set() };
+    const nodes = new Set(taskResult.explanations.keys());
+    const links = new Set(taskResult.triples.map(triple => triple.join(" ")));
+    return {
+      guidedFilter: taskResult.triples.length
+        ? ([s, p, o]) => links.has(`${s} ${p} ${o}`)
+        : ([s, , o]) => nodes.has(s) && nodes.has(o),
+      highlightNodes: nodes,
+      highlightLinks: links
+    };
+  }, [taskResult]);
+  // Imported tasks replace those with the same id.
+  const handleImportTasks = library => {
+    const ids = new Set(library.tasks.map(task => task.id));
+    setTasks([...tasks.filter(task => !ids.has(task.id)), ...library.tasks]);
+    setPrefixes(prev => ({ ...library.prefixes, ...prev }));
+  };
+  const handleExportTasks = () => downloadBlob(
+    new Blob([serializeTaskLibrary(tasks, prefixes)], { type: "application/json" }),
+    "guided-tasks.json"
+  );
+
+  // Used by the SHACL report and the analytics tables: the entity is
+  // centered once it is in view, or right away when it already is.
+  const handleSelectFocus = id => {
+    pendingZoomRef.current = { id, neighbours: false };
+    if (id === describedEntity && semanticLevel === INSTANCE_LEVEL) zoomToPending();
+    setSemanticLevel(INSTANCE_LEVEL);
+    setDescribedEntity(id);
+  };
+
+  useEffect(() => {
+    localStorage.setItem("rdfContextCache", JSON.stringify(contextCache));
+  }, [contextCache]);
+
+  // The password is kept for this session only.
+  useEffect(() => {
+    const { url, username, timeoutMs, pageSize } = endpointConfig;
+    localStorage.setItem("rdfEndpoint", JSON.stringify({ url, username, timeoutMs, pageSize }));
+  }, [endpointConfig]);
+
+  useEffect(() => {
+    localStorage.setItem("rdfStyleProfile", JSON.stringify(styleProfile));
+  }, [styleProfile]);
+
+  useEffect(() => {
+    localStorage.setItem("rdfTaskLibrary", JSON.stringify(tasks));
+  }, [tasks]);
 
   useEffect(() => {
     const seenTour = localStorage.getItem("rdfTourSeen");
@@ -279,288 +1083,1033 @@ const App = () => {
     }
   }, []);
 
-  // --- D3 Graph Rendering ---
-  useEffect(() => {
-    const width = 1200;
-    const height = 800;
-    let filteredTriples = [...sampleTriples];
-
-    if (selectedModule !== "All") {
-      const allowedPredicates = domainModules[selectedModule];
-      filteredTriples = filteredTriples.filter(([s, p, o]) =>
-        p === "type" ||
-        allowedPredicates.includes(p) ||
-        allowedPredicates.includes(classMap[o]) ||
-        allowedPredicates.includes(classMap[s])
-      );
+  // --- Filtered Triples ---
+  const filteredTriples = useMemo(() => {
+    let filteredTriples = [...graphTriples];
+
+    const matchesFacets = facetFilter(facets, {
+      triples: graphTriples,
+      attributes,
+      hasClass,
+      inModule,
+      literals: literalFacetList
+    });
+    if (matchesFacets) {
+      filteredTriples = filteredTriples.filter(matchesFacets);
     }
 
-    if (classFilter !== "All") {
-      if (objectFilter !== "All") {
-        filteredTriples = filteredTriples.filter(([s]) => s === objectFilter);
-      } else {
-        filteredTriples = filteredTriples.filter(([s]) => classMap[s] === classFilter);
-      }
+    if (facets.hiddenPredicates.length) {
+      const hidden = new Set(facets.hiddenPredicates);
+      filteredTriples = filteredTriples.filter(([, p]) => !hidden.has(p));
     }
 
     if (guidedFilter) {
       filteredTriples = filteredTriples.filter(guidedFilter);
     }
 
-    let nodes = [];
-    let links = [];
+    // A CONSTRUCT result replaces the filtered view until it is cleared.
+    if (constructResult) {
+      filteredTriples = [...constructResult.triples];
+    }
+    return filteredTriples;
+  }, [
+    graphTriples,
+    attributes,
+    hasClass,
+    inModule,
+    literalFacetList,
+    facets,
+    guidedFilter,
+    constructResult
+  ]);
+
+  // --- Analytics ---
+  // Computed over the filtered triples, only while the panel is switched on.
+  const analytics = useMemo(
+    () => (analyticsEnabled ? computeAnalytics(filteredTriples) : null),
+    [analyticsEnabled, filteredTriples]
+  );
+  const metricSizeOf = useMemo(
+    () => (analytics && metricMapping.size ? metricSize(analytics, metricMapping.size) : null),
+    [analytics, metricMapping.size]
+  );
+  const metricColorScale = useMemo(
+    () => (analytics && metricMapping.color ? metricColor(analytics, metricMapping.color) : null),
+    [analytics, metricMapping.color]
+  );
 
+  // --- Exploration ---
+  const exploration = explorationHistory && explorationHistory.entries[explorationHistory.index];
+  const exploredIds = useMemo(() => exploration && exploredNodeIds(exploration), [exploration]);
+
+  // --- Graph View ---
+  // Nodes and links for the current filters and semantic level. Positions
+  // are not part of this; they live on the layout's node objects.
+  const graphView = useMemo(() => {
     // --- Semantic Zooming ---
-    if (semanticLevel === 1) {
-      const classSet = new Set();
-      filteredTriples.forEach(([s, p, o]) => {
-        if (p === "type") classSet.add(o);
+    if (semanticLevel < INSTANCE_LEVEL) {
+      const { nodes, links } = buildClassView(filteredTriples, classMap, {
+        level: semanticLevel,
+        drilled: drilledClasses,
+        instanceLimit: nodeLimit
       });
-      nodes = Array.from(classSet).map(type => ({
-        id: type,
-        type,
-        isGroup: true
-      }));
-
-      const classLinksMap = {};
-      filteredTriples.forEach(([s, p, o]) => {
-        if (p === "type") return;
-        const sClass = classMap[s];
-        const oClass = classMap[o];
-        if (sClass && oClass) {
-          const key = `${sClass}->${oClass}->${p}`;
-          if (!classLinksMap[key]) {
-            classLinksMap[key] = {
-              source: sClass,
-              target: oClass,
-              predicate: p
-            };
-          }
+      return {
+        nodes,
+        links: links.map(l => ({ ...l, label: curie(l.predicate) })),
+        triples: filteredTriples,
+        nodeIds: new Set(filteredTriples.flatMap(([s, , o]) => [s, o]))
+      };
+    }
+
+    // A selected path, and the neighbourhood of an entity picked from the
+    // search results, stay in view whatever the filters and the node limit.
+    const pathTriples = activePath ? activePath.steps.map(step => step.triple) : [];
+    let focusTriples = [];
+    let focusNodes = [];
+    if (focusedEntity) {
+      focusTriples = graphTriples.filter(([s, , o]) => s === focusedEntity || o === focusedEntity);
+      const neighbours = Array.from(new Set(focusTriples.flatMap(([s, , o]) => [s, o])))
+        .filter(id => id !== focusedEntity)
+        .slice(0, Math.max(0, nodeLimit - 1));
+      focusNodes = [focusedEntity, ...neighbours];
+      const focusIds = new Set(focusNodes);
+      focusTriples = focusTriples.filter(([s, , o]) => focusIds.has(s) && focusIds.has(o));
+    }
+    const pinnedTriples = [...pathTriples, ...focusTriples];
+    const filteredKeys = new Set(pinnedTriples.length ? filteredTriples.map(triple => triple.join(" ")) : []);
+    const viewTriples = [...filteredTriples];
+    pinnedTriples.forEach(triple => {
+      const key = triple.join(" ");
+      if (filteredKeys.has(key)) return;
+      filteredKeys.add(key);
+      viewTriples.push(triple);
+    });
+    const pinnedNodes = Array.from(new Set([...(activePath ? activePath.nodes : []), ...focusNodes]));
+
+    let limitedNodes;
+    if (exploredIds) {
+      limitedNodes = Array.from(new Set([...exploredIds, ...pinnedNodes]));
+    } else {
+      // The best-connected nodes make it past the node limit.
+      const degrees = new Map();
+      viewTriples.forEach(([s, , o]) => {
+        degrees.set(s, (degrees.get(s) || 0) + 1);
+        degrees.set(o, (degrees.get(o) || 0) + 1);
+      });
+      limitedNodes = Array.from(degrees.keys())
+        .sort((a, b) => degrees.get(b) - degrees.get(a))
+        .slice(0, nodeLimit);
+      // Keep the Described Entity, edited nodes, the selected path and the
+      // search focus visible even past the node limit.
+      const shown = new Set(limitedNodes);
+      const kept = Array.from(new Set([
+        ...[describedEntity, ...editedIds].filter(id => degrees.has(id)),
+        ...pinnedNodes
+      ])).filter(id => !shown.has(id));
+      if (kept.length) limitedNodes = [...kept, ...limitedNodes.slice(0, Math.max(0, nodeLimit - kept.length))];
+    }
+    const classIds = new Set(classIris);
+    const nodes = limitedNodes.map(id => ({
+      id,
+      type: classMap[id] || (classIds.has(id) ? id : UNTYPED),
+      isGroup: false
+    }));
+    const visibleNodeIds = new Set(nodes.map(n => n.id));
+    const visibleTriples = viewTriples.filter(([s, , o]) => visibleNodeIds.has(s) && visibleNodeIds.has(o));
+    const links = visibleTriples.map(([source, predicate, target]) => ({
+      key: `${source} ${predicate} ${target}`,
+      source,
+      target,
+      label: curie(predicate),
+      predicate,
+      level: INSTANCE_LEVEL
+    }));
+    return { nodes, links, triples: visibleTriples, nodeIds: visibleNodeIds };
+  }, [
+    filteredTriples,
+    exploredIds,
+    classMap,
+    classIris,
+    curie,
+    semanticLevel,
+    drilledClasses,
+    nodeLimit,
+    describedEntity,
+    editedIds,
+    activePath,
+    focusedEntity,
+    graphTriples
+  ]);
+
+  // Classes and predicates in the current view, most frequent first.
+  const legend = useMemo(() => {
+    const count = values => Array.from(d3.rollup(values, v => v.length, value => value), ([iri, n]) => ({ iri, count: n }))
+      .sort((a, b) => b.count - a.count);
+    return {
+      classes: count(graphView.nodes.map(n => n.type)),
+      predicates: count(graphView.links.map(l => l.predicate))
+    };
+  }, [graphView]);
+
+  // Quads behind the current view: links between visible nodes plus the
+  // literal attributes of those nodes.
+  const getViewQuads = () => {
+    const { triples: visible, nodeIds } = graphView;
+    const keys = new Set(visible.map(triple => triple.join(" ")));
+    return (constructQuads || quads).filter(({ subject, predicate, object }) => {
+      const s = termToString(subject);
+      if (object.termType === "Literal") return nodeIds.has(s);
+      return keys.has(`${s} ${predicate.value} ${termToString(object)}`);
+    });
+  };
+
+  // --- Exploration Controls ---
+  // Every expansion or collapse is a new history entry; stepping back and
+  // then changing something drops the entries ahead.
+  const pushExploration = state => setExplorationHistory(prev => {
+    const entries = prev ? prev.entries.slice(0, prev.index + 1) : [];
+    return { entries: [...entries, state], index: entries.length };
+  });
+  const handleStartExploration = roots => {
+    setSemanticLevel(INSTANCE_LEVEL);
+    setExpansionPicker(null);
+    setExplorationHistory({ entries: [startExploration(roots)], index: 0 });
+  };
+  const handleExplorationStep = delta => {
+    setExpansionPicker(null);
+    setExplorationHistory(prev => ({
+      ...prev,
+      index: Math.max(0, Math.min(prev.entries.length - 1, prev.index + delta))
+    }));
+  };
+  const handleExitExploration = () => {
+    setExpansionPicker(null);
+    setExplorationHistory(null);
+  };
+  const expand = (base, id, ids) => {
+    setExpansionPicker(null);
+    if (base === exploration) pushExploration(expandNode(base, id, ids));
+    else setExplorationHistory({ entries: [base, expandNode(base, id, ids)], index: 1 });
+  };
+  // Double-clicking outside exploration mode starts exploring from that node.
+  const handleExpandRequest = id => {
+    const base = exploration || startExploration([id]);
+    const groups = neighbourGroups(filteredTriples, id, exploredIds || new Set([id]));
+    const ids = new Set(groups.flatMap(group => group.ids));
+    if (!ids.size) return;
+    setSemanticLevel(INSTANCE_LEVEL);
+    if (ids.size > EXPANSION_PICKER_THRESHOLD) setExpansionPicker({ base, nodeId: id, groups });
+    else expand(base, id, Array.from(ids));
+  };
+  const handleCollapse = id => {
+    if (exploration && isExpanded(exploration, id)) pushExploration(collapseNode(exploration, id));
+  };
+
+  // --- Path Finder ---
+  // Paths run between instances, so picking one shows the instance level.
+  const handleSelectPath = path => {
+    setSelectedPath(path);
+    if (path) setSemanticLevel(INSTANCE_LEVEL);
+  };
+  const predicateLabel = iri => {
+    const label = styles.predicateStyle(iri).label;
+    return label ? label.toLowerCase() : curie(iri);
+  };
+  const describeSelectedPath = path =>
+    describePath(path, id => styles.classStyle(id).label || curie(id), predicateLabel);
+
+  // --- Drill-down ---
+  const handleDrillDown = id => {
+    if (!drilledClasses.has(id)) setDrilledClasses(new Set([...drilledClasses, id]));
+  };
+  const handleDrillUp = id => {
+    if (!drilledClasses.has(id)) return;
+    const next = new Set(drilledClasses);
+    next.delete(id);
+    setDrilledClasses(next);
+  };
+
+  const searchHit = searchResults.length ? searchResults[0].id : null;
+
+  // --- D3 Scene ---
+  // Built once. The effects below join data into these layers and restyle
+  // them, so the layout and the viewport persist across state changes. The
+  // same scene drives the SVG view and the canvas view for large graphs.
+  useEffect(() => {
+    const width = CANVAS_WIDTH;
+    const height = CANVAS_HEIGHT;
+    const svg = d3.select(svgRef.current);
+    svg.selectAll("*").remove();
+    const markers = svg.append("defs");
+    const g = svg.append("g");
+    const layers = {
+      markers,
+      links: g.append("g").attr("class", "link-group").attr("stroke", "#aaa").attr("fill", "none"),
+      edgeLabels: g.append("g").attr("class", "edge-label-group"),
+      nodes: g.append("g").attr("class", "node-group"),
+      labels: g.append("g").attr("class", "node-label-group"),
+      badges: g.append("g").attr("class", "violation-badge-group").style("pointer-events", "none"),
+      draft: g.append("line")
+        .attr("class", "draft-link")
+        .attr("stroke", EDIT_SELECTION_COLOR)
+        .attr("stroke-width", 3)
+        .attr("stroke-dasharray", "6 4")
+        .style("pointer-events", "none")
+        .style("display", "none")
+    };
+    const canvasRenderer = createCanvasRenderer(canvasRef.current, { width, height });
+
+    const graph = {
+      layers,
+      canvasRenderer,
+      renderer: "svg",
+      surface: svg,
+      link: layers.links.selectAll("path"),
+      edgeLabel: layers.edgeLabels.selectAll("text"),
+      node: layers.nodes.selectAll("circle"),
+      label: layers.labels.selectAll("text"),
+      badge: layers.badges.selectAll("g"),
+      style: null,
+      hoverId: null,
+      draft: null
+    };
+
+    // Positions the SVG elements, or redraws the canvas, and the minimap.
+    // After a pure zoom the SVG elements are already in place.
+    graph.render = (moved = true) => {
+      const nodes = graph.layout.nodes();
+      if (graph.renderer === "canvas") {
+        if (graph.style) {
+          canvasRenderer.draw({
+            nodes,
+            links: graph.layout.links(),
+            transform: zoomTransformRef.current,
+            style: graph.style,
+            hoverId: graph.hoverId,
+            draft: graph.draft
+          });
         }
+      } else if (moved) {
+        const radius = d => (graph.style ? graph.style.nodeRadius(d) : DEFAULT_NODE_SIZE);
+        const geometries = new Map(graph.link.data().map(d => [d.key, edgeGeometry(d, radius)]));
+        graph.link.attr("d", d => edgePath(geometries.get(d.key)));
+
+        graph.node.attr("cx", d => d.x).attr("cy", d => d.y);
+        graph.label.attr("x", d => d.x).attr("y", d => d.y);
+        if (graph.style) {
+          graph.badge.attr("transform", d =>
+            `translate(${d.x + graph.style.nodeRadius(d) * 0.7}, ${d.y - graph.style.nodeRadius(d) * 0.7})`
+          );
+        }
+
+        // Labels are placed in order, so a label keeps its spot while the
+        // ones before it stay put.
+        const labels = graph.edgeLabel.data();
+        const spots = placeEdgeLabels(
+          labels.map(d => ({ ...geometries.get(d.key).label, width: estimateLabelWidth(graph.style ? graph.style.edgeLabel(d) : d.label) })),
+          nodes.map(n => ({ x: n.x, y: n.y, r: radius(n) }))
+        );
+        const spotOf = new Map(labels.map((d, i) => [d.key, spots[i]]));
+        graph.edgeLabel
+          .attr("x", d => spotOf.get(d.key).x)
+          .attr("y", d => spotOf.get(d.key).y)
+          .attr("transform", d => {
+            const { x, y } = spotOf.get(d.key);
+            return `rotate(${geometries.get(d.key).label.angle * 180 / Math.PI}, ${x}, ${y})`;
+          });
+      }
+      minimap.update({
+        nodes,
+        transform: zoomTransformRef.current,
+        width,
+        height,
+        highlightId: graph.style ? graph.style.describedId : ""
       });
-      links = Object.values(classLinksMap).map(l => ({
-        ...l,
-        label: labelsMap[l.predicate] || l.predicate,
-        level: 1
-      }));
-    } else {
-      let nodesSet = new Set();
-      filteredTriples.forEach(([s, , o]) => {
-        nodesSet.add(s);
-        nodesSet.add(o);
+    };
+    let frame = null;
+    let movedSinceFrame = false;
+    graph.scheduleRender = (moved = true) => {
+      movedSinceFrame = movedSinceFrame || moved;
+      if (frame !== null) return;
+      frame = requestAnimationFrame(() => {
+        frame = null;
+        graph.render(movedSinceFrame);
+        movedSinceFrame = false;
       });
-      let limitedNodes = Array.from(nodesSet).slice(0, nodeLimit);
-      nodes = limitedNodes.map(id => ({
-        id,
-        type: classMap[id] || (sampleTriples.find(([s, p, o]) => o === id && p === "type")?.[2] || "Unknown"),
-        isGroup: false
-      }));
-      const visibleNodeIds = new Set(nodes.map(n => n.id));
-      links = filteredTriples
-        .filter(([s, , o]) => visibleNodeIds.has(s) && visibleNodeIds.has(o))
-        .map(([source, predicate, target]) => ({
-          source,
-          target,
-          label: labelsMap[predicate] || predicate,
-          predicate,
-          level: predicate === "type" ? 3 : 2
-        }));
+    };
+    graph.layout = createForceLayout({
+      center: [width / 2, height / 2],
+      onTick: () => graph.scheduleRender()
+    });
+
+    graph.showTooltip = (event, html) => {
+      const containerRect = tooltipRef.current.parentNode.getBoundingClientRect();
+      d3.select(tooltipRef.current)
+        .style("left", `${event.clientX - containerRect.left + 10}px`)
+        .style("top", `${event.clientY - containerRect.top + 10}px`)
+        .style("display", "block")
+        .html(html);
+    };
+    graph.hideTooltip = () => d3.select(tooltipRef.current).style("display", "none");
+
+    // The edge being drawn in edit mode: { source, x, y }, or null.
+    graph.setDraft = draft => {
+      graph.draft = draft;
+      if (graph.renderer === "canvas") {
+        graph.scheduleRender(false);
+        return;
+      }
+      layers.draft.style("display", draft ? null : "none");
+      if (draft) {
+        layers.draft
+          .attr("x1", draft.source.x)
+          .attr("y1", draft.source.y)
+          .attr("x2", draft.x)
+          .attr("y2", draft.y);
+      }
+    };
+
+    // A click waits briefly so that a double-click does not also collapse.
+    let clickTimer = null;
+    graph.nodeClick = d => {
+      clearTimeout(clickTimer);
+      clickTimer = setTimeout(() => graph.onNodeClick(d), DOUBLE_CLICK_DELAY);
+    };
+    graph.nodeDoubleClick = d => {
+      clearTimeout(clickTimer);
+      graph.onNodeDoubleClick(d);
+    };
+
+    // --- Viewport ---
+    // The zoom transform lives in a ref so it can be restored and saved.
+    // Zooming across a semantic level's scale by hand switches the level;
+    // programmatic zooms such as Fit leave it alone.
+    let zoomLevel = levelForScale(zoomTransformRef.current.k);
+    const zoom = d3.zoom()
+      .extent([[0, 0], [width, height]])
+      .scaleExtent(SCALE_EXTENT)
+      .on("zoom", event => {
+        g.attr("transform", event.transform);
+        zoomTransformRef.current = event.transform;
+        graph.scheduleRender(false);
+        const level = levelForScale(event.transform.k);
+        if (event.sourceEvent && level !== zoomLevel) graph.onZoomLevel(level);
+        zoomLevel = level;
+      });
+    const minimap = createMinimap(minimapSvgRef.current, {
+      onPan: ([x, y]) => graph.surface.call(zoom.translateTo, x, y)
+    });
+    svg.call(zoom).call(zoom.transform, zoomTransformRef.current);
+    zoomRef.current = zoom;
+
+    // --- Canvas Interaction ---
+    // Hit-testing stands in for the per-element SVG handlers. The drag is
+    // attached before the zoom so grabbing a node does not pan.
+    const canvas = d3.select(canvasRef.current);
+    const pointerPosition = event => zoomTransformRef.current.invert(d3.pointer(event, canvasRef.current));
+    canvas
+      .call(d3.drag()
+        .subject(event => canvasRenderer.nodeAt(...pointerPosition(event)))
+        .on("start", event => graph.dragStarted(event, event.subject))
+        .on("drag", event => graph.dragged(event.subject, ...pointerPosition(event)))
+        .on("end", event => graph.dragEnded(event, event.subject)))
+      .on("click", event => {
+        const [x, y] = pointerPosition(event);
+        const node = canvasRenderer.nodeAt(x, y);
+        const link = node ? null : canvasRenderer.linkAt(x, y);
+        if (node) graph.nodeClick(node);
+        else if (link) graph.onLinkClick(link);
+      })
+      .on("dblclick", event => {
+        const node = canvasRenderer.nodeAt(...pointerPosition(event));
+        if (!node) return;
+        // Keeps the zoom behaviour from zooming in as well.
+        event.stopImmediatePropagation();
+        graph.nodeDoubleClick(node);
+      })
+      .call(zoom)
+      .on("mousemove", event => {
+        if (event.buttons || !graph.style) return;
+        const [x, y] = pointerPosition(event);
+        const node = canvasRenderer.nodeAt(x, y);
+        const link = node ? null : canvasRenderer.linkAt(x, y);
+        canvasRef.current.style.cursor = node ? "pointer" : "grab";
+        if (graph.hoverId !== (node ? node.id : null)) {
+          graph.hoverId = node ? node.id : null;
+          graph.scheduleRender(false);
+        }
+        if (node) graph.showTooltip(event, graph.nodeTooltip(node));
+        else if (link) graph.showTooltip(event, graph.linkTooltip(link));
+        else graph.hideTooltip();
+      })
+      .on("mouseleave", () => {
+        graph.hoverId = null;
+        graph.hideTooltip();
+        graph.scheduleRender(false);
+      });
+
+    graphRef.current = graph;
+
+    return () => {
+      graph.layout.stop();
+      cancelAnimationFrame(frame);
+      clearTimeout(clickTimer);
+      svg.on(".zoom", null);
+      canvas
+        .on(".zoom", null)
+        .on(".drag", null)
+        .on("click", null)
+        .on("dblclick", null)
+        .on("mousemove", null)
+        .on("mouseleave", null);
+      graphRef.current = null;
+    };
+  }, []);
+
+  // The D3 handlers call whatever the latest render defined. Declared after the
+  // scene so the graph object exists. Class nodes drill down instead of
+  // expanding; an exploration or edit mode keeps the instance level.
+  useEffect(() => {
+    const graph = graphRef.current;
+    graph.onNodeClick = d => {
+      if (editMode && !d.isGroup) setEditSelection({ kind: "node", id: d.id });
+      else if (d.isGroup) handleDrillUp(d.id);
+      else handleCollapse(d.id);
+    };
+    graph.onLinkClick = d => {
+      // Inferred triples follow from the data and cannot be edited directly.
+      if (editMode && d.level === INSTANCE_LEVEL && !inferredKeys.has(d.key)) {
+        setEditSelection({ kind: "link", triple: [d.source.id, d.predicate, d.target.id] });
+      }
+    };
+    graph.onLinkDraw = (source, target) => {
+      if (!source.isGroup && !target.isGroup) setEdgeDraft({ source: source.id, target: target.id });
+    };
+    graph.onNodeDoubleClick = d => {
+      if (d.isGroup) handleDrillDown(d.id);
+      else handleExpandRequest(d.id);
+    };
+    graph.onZoomLevel = level => {
+      if (followZoom && !exploration && !editMode) setSemanticLevel(level);
+    };
+    // Moves the nodes into the chosen layout and returns their positions,
+    // or returns null under the force layout.
+    graph.layoutSettings = layoutSettings;
+    graph.arrange = duration => {
+      const positions = layoutPositions(layoutSettings.mode, graph.layout.nodes(), graph.layout.links(), {
+        predicate: layoutSettings.predicate,
+        reverse: layoutSettings.reverse,
+        rootId: describedEntity,
+        center: [CANVAS_WIDTH / 2, CANVAS_HEIGHT / 2]
+      });
+      if (positions) graph.layout.arrange(positions, duration);
+      return positions;
+    };
+  });
+
+  // --- Renderer Switch ---
+  // Moves the zoom behaviour's state to the surface that is now visible.
+  useEffect(() => {
+    const graph = graphRef.current;
+    graph.renderer = renderer;
+    graph.surface = d3.select(renderer === "canvas" ? canvasRef.current : svgRef.current);
+    graph.surface.call(zoomRef.current.transform, zoomTransformRef.current);
+    graph.hideTooltip();
+  }, [renderer]);
+
+  // --- Layout Switch ---
+  // Fixed layouts pin every node and bring the result into view; going back
+  // to the force layout releases them, except the Described Entity.
+  const { charge, linkDistance, collide } = layoutSettings;
+  useEffect(() => {
+    graphRef.current.layout.setForces({
+      charge,
+      linkScale: linkDistance / DEFAULT_LAYOUT_SETTINGS.linkDistance,
+      collide
+    });
+  }, [charge, linkDistance, collide]);
+
+  useEffect(() => {
+    const graph = graphRef.current;
+    const positions = graph.arrange(LAYOUT_TRANSITION_MS);
+    if (positions) {
+      graph.arranged = true;
+      zoomToNodes(Array.from(positions.values()));
+    } else if (graph.arranged) {
+      graph.arranged = false;
+      graph.layout.release(0.5);
+      const described = graph.layout.nodes().find(n => n.id === describedEntity);
+      if (described) graph.layout.fix(described, CANVAS_WIDTH / 2, CANVAS_HEIGHT / 2);
     }
+  }, [layoutSettings.mode, layoutSettings.predicate, layoutSettings.reverse, describedEntity]);
+
+  // --- Graph Data Join ---
+  // Keyed joins keep the elements and positions of nodes that stay visible.
+  // New nodes start next to a neighbour that is already placed; removed
+  // elements fade out.
+  useEffect(() => {
+    const graph = graphRef.current;
+    const { layout, layers } = graph;
+    const previous = new Map(layout.nodes().map(n => [n.id, n]));
+    const previousLinkKeys = new Set(layout.links().map(l => l.key));
+    // The layout mutates its nodes and links, so it gets copies.
+    const nodes = graphView.nodes.map(n => ({ ...n }));
+    const links = graphView.links.map(l => ({ ...l }));
+    assignEdgeOffsets(links);
 
+    // A workspace that was just opened brings its own positions.
+    const saved = graph.savedPositions || new Map();
+    graph.savedPositions = null;
+    nodes.forEach(n => {
+      const old = saved.get(n.id) || previous.get(n.id);
+      if (old) Object.assign(n, { x: old.x, y: old.y, fx: old.fx, fy: old.fy });
+    });
+    const entered = nodes.filter(n => !previous.has(n.id) && !saved.has(n.id));
+    if (previous.size || saved.size) {
+      const placed = id => saved.get(id) || previous.get(id);
+      const anchors = new Map();
+      links.forEach(({ source, target }) => {
+        if (placed(target) && !anchors.has(source)) anchors.set(source, placed(target));
+        if (placed(source) && !anchors.has(target)) anchors.set(target, placed(source));
+      });
+      const [cx, cy] = zoomTransformRef.current.invert([CANVAS_WIDTH / 2, CANVAS_HEIGHT / 2]);
+      entered.forEach(n => {
+        const anchor = anchors.get(n.id) || { x: cx, y: cy };
+        n.x = anchor.x + (Math.random() - 0.5) * 60;
+        n.y = anchor.y + (Math.random() - 0.5) * 60;
+      });
+    }
+
+    const exitedCount = previous.size - (nodes.length - entered.length);
+    // A saved layout is shown as it was saved: alpha stays 0 and the
+    // simulation is paused below.
+    let alpha = 0;
+    if (saved.size) alpha = 0;
+    else if (!previous.size) alpha = 1;
+    else if (entered.length || exitedCount) alpha = 0.5;
+    else if (links.length !== previousLinkKeys.size || links.some(l => !previousLinkKeys.has(l.key))) alpha = 0.2;
+    // Class-level links are longer to leave room for the bigger group nodes.
+    // Under a fixed layout the new nodes are arranged instead.
+    const arranged = graph.layoutSettings.mode !== "force";
+    layout.update(nodes, links, { distance: l => (l.level === INSTANCE_LEVEL ? 300 : 400), alpha: arranged ? 0 : alpha });
+    if (saved.size) layout.pause();
+    if (arranged) graph.arrange(LAYOUT_TRANSITION_MS);
+
+    // The canvas view draws straight from the layout; the SVG layers empty.
+    const svgNodes = renderer === "svg" ? layout.nodes() : [];
+    const svgLinks = renderer === "svg" ? layout.links() : [];
+    const fadeOut = exit => exit
+      .interrupt("style")
+      .transition("exit")
+      .duration(FADE_DURATION)
+      .attr("opacity", 0)
+      .remove();
+    // Elements still fading out are picked up again if their key returns.
+    const revive = update => update.interrupt("exit");
+
+    graph.link = layers.links.selectAll("path")
+      .data(svgLinks, d => d.key)
+      .join(
+        enter => enter.append("path").attr("stroke-width", 3).attr("opacity", 0),
+        revive,
+        fadeOut
+      );
+    graph.edgeLabel = layers.edgeLabels.selectAll("text")
+      .data(svgLinks, d => d.key)
+      .join(
+        enter => enter.append("text")
+          .attr("text-anchor", "middle")
+          .attr("dy", "0.35em")
+          .style("font-size", "12px")
+          .style("pointer-events", "all")
+          .attr("opacity", 0),
+        revive,
+        fadeOut
+      )
+      .attr("class", d => `edge-label edge-label-level-${d.level}`);
+    graph.node = layers.nodes.selectAll("circle")
+      .data(svgNodes, d => d.id)
+      .join(
+        enter => enter.append("circle").attr("r", 0).attr("opacity", 0),
+        revive,
+        fadeOut
+      );
+    graph.label = layers.labels.selectAll("text")
+      .data(svgNodes, d => d.id)
+      .join(
+        enter => enter.append("text")
+          .attr("class", "node-label")
+          .attr("text-anchor", "middle")
+          .attr("opacity", 0),
+        revive,
+        fadeOut
+      );
+  }, [graphView, renderer]);
+
+  // --- Graph Styling ---
+  // Search, highlights, violations and the Described Entity only restyle;
+  // the layout is left alone. The accessors are shared with the canvas view.
+  useEffect(() => {
+    const graph = graphRef.current;
+    const { layout, layers } = graph;
+    const nodes = layout.nodes();
+    const links = layout.links();
+
+    // A selected path fades everything else the way a search does, and
+    // takes over from the search while it is selected.
     let searchFadedNodes = new Set();
     let searchFadedLinks = new Set();
-    if (searchQuery.trim()) {
-      const matched = nodes.filter(n => n.id.toLowerCase().includes(searchQuery.toLowerCase()));
-      const matchedIds = new Set(matched.map(n => n.id));
-      const neighborIds = new Set(matched.map(n => n.id));
+    if (activePath) {
+      const pathNodes = new Set(activePath.nodes);
+      const pathKeys = new Set(activePath.steps.map(step => step.triple.join(" ")));
+      searchFadedNodes = new Set(nodes.map(n => n.id).filter(id => !pathNodes.has(id)));
+      searchFadedLinks = new Set(links.filter(l => !pathKeys.has(l.key)).map(l => l.key));
+    } else if (searchQuery.trim()) {
+      const matchedIds = new Set(nodes.filter(n => searchMatchIds.has(n.id)).map(n => n.id));
+      const neighborIds = new Set(matchedIds);
       links.forEach(l => {
-        if (matchedIds.has(l.source)) neighborIds.add(l.target);
-        if (matchedIds.has(l.target)) neighborIds.add(l.source);
+        if (matchedIds.has(l.source.id)) neighborIds.add(l.target.id);
+        if (matchedIds.has(l.target.id)) neighborIds.add(l.source.id);
       });
       searchFadedNodes = new Set(nodes.map(n => n.id).filter(id => !neighborIds.has(id)));
-      searchFadedLinks = new Set(links.map(l => `${l.source}->${l.target}`).filter(key => {
-        const l = key.split("->");
-        return !(neighborIds.has(l[0]) && neighborIds.has(l[1]));
-      }));
+      searchFadedLinks = new Set(links
+        .filter(l => !(neighborIds.has(l.source.id) && neighborIds.has(l.target.id)))
+        .map(l => l.key));
     }
 
-    // --- D3 Drawing ---
-    d3.select(svgRef.current).selectAll("*").remove();
-    const svg = d3.select(svgRef.current);
-    const g = svg.append("g");
+    selectionIdsRef.current = new Set(nodes
+      .filter(n =>
+        n.id === describedEntity ||
+        queryHighlight.has(n.id) ||
+        highlightNodes.has(n.id) ||
+        ((activePath || searchQuery.trim()) && !searchFadedNodes.has(n.id))
+      )
+      .map(n => n.id));
 
-    const simulation = d3.forceSimulation(nodes)
-      .force("link", d3.forceLink(links).id(d => d.id).distance(semanticLevel === 1 ? 400 : 300))
-      .force("charge", d3.forceManyBody().strength(-300))
-      .force("center", d3.forceCenter(width / 2, height / 2));
-
-    const link = g.append("g")
-      .attr("class", "link-group")
-      .attr("stroke", "#aaa")
-      .selectAll("line")
-      .data(links)
-      .join("line")
-      .attr("stroke", d => predicateColors[d.predicate] || (highlightLinks.has(`${d.source}->${d.target}`) ? "#f00" : "#aaa"))
-      .attr("stroke-width", 3)
-      .attr("opacity", d =>
-        (searchQuery && searchFadedLinks.has(`${d.source}->${d.target}`))
-          ? 0.1 : 1
-      );
+    // Class nodes count their instances that have SHACL results.
+    const classViolationCounts = {};
+    Object.keys(nodeViolations).forEach(id => {
+      if (classMap[id]) classViolationCounts[classMap[id]] = (classViolationCounts[classMap[id]] || 0) + 1;
+    });
+    const violationCount = d => (d.isGroup ? classViolationCounts[d.id] || 0 : (nodeViolations[d.id] || []).length);
+    const expandedIds = new Set(exploration ? exploration.expansions.map(([id]) => id) : []);
+    // Expanded instances and drilled class nodes collapse on click.
+    const collapsible = d => (d.isGroup ? d.drilled : expandedIds.has(d.id));
+    const selectedNode = editMode && editSelection && editSelection.kind === "node" ? editSelection.id : null;
+    const selectedLinkKey = editMode && editSelection && editSelection.kind === "link" ? editSelection.triple.join(" ") : null;
+    const diffStatus = d => (diff ? diff.status.get(d.key) : undefined);
+    const diffNodeStatus = d => (diffNodes ? diffNodes.get(d.id) : undefined);
 
-    const edgeLabels = g.append("g")
-      .attr("class", "edge-label-group")
-      .selectAll("text")
-      .data(links)
-      .join("text")
-      .attr("class", d => `edge-label edge-label-level-${d.level}`)
-      .text(d => `${businessIcons[d.predicate] || ""} ${labelsMap[d.predicate] || d.predicate}`)
-      .style("font-size", "12px")
-      .style("fill", d => predicateColors[d.predicate] || "#888")
-      .style("pointer-events", "all")
-      .attr("opacity", d =>
-        (searchQuery && searchFadedLinks.has(`${d.source}->${d.target}`))
-          ? 0.1 : 1
-      )
-      .on("mouseover", function (event, d) {
-  const svgRect = svgRef.current.getBoundingClientRect();
-  d3.select(tooltipRef.current)
-    .style("left", `${event.clientX - svgRect.left + 10}px`)
-    .style("top", `${event.clientY - svgRect.top + 10}px`)
-    .style("display", "block")
-    .html(
-      `<strong style="font-size:1.2em">${businessIcons[d.predicate] || ""} ${labelsMap[d.predicate] || d.predicate}</strong><br/>
-      <span style="color:${predicateColors[d.predicate] || "#333"}">${predicateExplanations[d.predicate] || ""}</span>
-      ${predicateConstraints[d.predicate] ? `<br/><b>Constraint:</b> ${predicateConstraints[d.predicate].label}` : ""}`
-    );
-})
-      .on("mouseout", () => {
-        d3.select(tooltipRef.current).style("display", "none");
+    const style = {
+      describedId: describedEntity,
+      // Analytics metrics override the class style for instance nodes.
+      nodeRadius: d => {
+        if (d.id === describedEntity) return 45;
+        if (d.count) return groupRadius(d.count);
+        return (metricSizeOf && !d.isGroup && metricSizeOf(d.id)) || styles.classStyle(d.type).size;
+      },
+      nodeFill: d => {
+        if (d.id === describedEntity) return DESCRIBED_ENTITY_COLOR;
+        return (metricColorScale && !d.isGroup && metricColorScale.color(d.id)) || styles.classStyle(d.type).color;
+      },
+      nodeStroke: d => {
+        if (d.id === selectedNode) return EDIT_SELECTION_COLOR;
+        if (d.id === describedEntity) return "#c2185b";
+        if (queryHighlight.has(d.id)) return QUERY_HIGHLIGHT_COLOR;
+        if (diffNodeStatus(d)) return DIFF_COLORS[diffNodeStatus(d)];
+        if (violationCount(d)) return VIOLATION_COLOR;
+        return collapsible(d) ? EXPANDED_NODE_COLOR : "#fff";
+      },
+      nodeStrokeWidth: d => {
+        if (d.id === selectedNode || d.id === describedEntity || queryHighlight.has(d.id) || diffNodeStatus(d) || violationCount(d)) return 5;
+        return collapsible(d) ? 3 : 2;
+      },
+      nodeDash: d => (collapsible(d) ? [6, 4] : null),
+      nodeOpacity: d => (searchFadedNodes.has(d.id) ? 0.1 : 1),
+      nodeLabel: d => `${styles.classStyle(d.type).icon} ${curie(d.id)}${d.count ? ` (${d.count})` : ""}`,
+      linkColor: d => {
+        if (d.key === selectedLinkKey) return EDIT_SELECTION_COLOR;
+        if (diffStatus(d)) return DIFF_COLORS[diffStatus(d)];
+        if (colorByGraph && tripleGraphs && tripleGraphs.has(d.key)) return graphColors.get(tripleGraphs.get(d.key)[0]);
+        return styles.predicateStyle(d.predicate).color ||
+          (highlightLinks.has(d.key) ? "#f00" : "#aaa");
+      },
+      linkOpacity: d => (searchFadedLinks.has(d.key) ? 0.1 : 1),
+      linkWidth: d => (d.weight ? weightWidth(d.weight) : 3),
+      linkDash: d => (inferredKeys.has(d.key) ? INFERRED_DASH : styles.predicateStyle(d.predicate).dash),
+      edgeLabel: d => `${styles.predicateStyle(d.predicate).icon} ${d.label}${d.weight ? ` ×${d.weight}` : ""}`,
+      edgeLabelColor: d => (diffStatus(d) ? DIFF_COLORS[diffStatus(d)] : styles.predicateStyle(d.predicate).color || "#888"),
+      violationCount,
+      violationColor: VIOLATION_COLOR
+    };
+    graph.style = style;
+
+    graph.linkTooltip = d => {
+      const predicateStyle = styles.predicateStyle(d.predicate);
+      return `<strong style="font-size:1.2em">${predicateStyle.icon} ${escapeHtml(predicateStyle.label || d.label)}</strong><br/>
+      <code>${escapeHtml(d.label)}</code><br/>
+      <span style="color:${predicateStyle.color || "#333"}">${escapeHtml(predicateStyle.explanation)}</span>
+      ${inferredKeys.has(d.key) ? "<br/><em>Inferred from the ontology</em>" : ""}
+      ${diffStatus(d) ? `<br/><b style="color:${DIFF_COLORS[diffStatus(d)]}">${diffStatus(d)[0].toUpperCase()}${diffStatus(d).slice(1)}</b>` : ""}
+      ${tripleGraphs && tripleGraphs.has(d.key) ? `<br/>Graph: ${tripleGraphs.get(d.key).map(id => (id ? escapeHtml(curie(id)) : "default")).join(", ")}` : ""}
+      ${d.weight ? `<br/>${d.weight} ${d.weight === 1 ? "triple" : "triples"}` : ""}
+      ${(constraintDescriptions[d.predicate] || []).map(text => `<br/><b>Constraint:</b> ${escapeHtml(text)}`).join("")}`;
+    };
+    // Asserted types first; inferred ones are marked.
+    const formatTypes = d => {
+      const types = typeMap[d.id] || [d.type];
+      const names = types.map(type => {
+        const name = escapeHtml(styles.classStyle(type).label || curie(type));
+        return inferredKeys.has(`${d.id} ${RDF_TYPE} ${type}`) ? `<em>${name} (inferred)</em>` : name;
       });
+      return `${types.length > 1 ? "Types" : "Type"}: ${names.join(", ")}`;
+    };
+    graph.nodeTooltip = d => {
+      const classStyle = styles.classStyle(d.type);
+      const nodeAttributes = (attributes[d.id] || [])
+        .map(a => `<br/><b>${escapeHtml(curie(a.predicate))}:</b> ${escapeHtml(formatTerm(a.value, prefixes))}`)
+        .join("");
+      const violations = d.isGroup
+        ? (violationCount(d) ? `<br/><b style="color:${VIOLATION_COLOR}">⚠ ${violationCount(d)} instances with SHACL results</b>` : "")
+        : (nodeViolations[d.id] || [])
+          .map(v => `<br/><b style="color:${VIOLATION_COLOR}">⚠ ${escapeHtml(describeViolation(v, term => formatTerm(term, prefixes)))}</b>`)
+          .join("");
+      return `<strong>${classStyle.icon} ${escapeHtml(curie(d.id))}</strong><br/>
+      ${curie(d.id) !== d.id ? `<span style="color:#666">${escapeHtml(d.id)}</span><br/>` : ""}
+      ${d.isGroup ? `Type: ${escapeHtml(classStyle.label || curie(d.type))}` : formatTypes(d)}<br/><em>${escapeHtml(classStyle.explanation)}</em>${nodeAttributes}${violations}
+      ${d.count ? `<br/>${d.count} ${d.count === 1 ? "instance" : "instances"}` : ""}`;
+    };
 
-    // --- Highlight described entity ---
-    const describedNode = nodes.find(n => n.id === describedEntity);
-
-    const node = g.append("g")
-      .attr("class", "node-group")
-      .selectAll("circle")
-      .data(nodes, d => d.id)
-      .join("circle")
-      .attr("r", d => d.id === describedEntity ? 45 : 30)
-      .attr("fill", d => d.id === describedEntity ? DESCRIBED_ENTITY_COLOR : color(d.type))
-      .style("stroke", d => d.id === describedEntity ? "#c2185b" : "#fff")
-      .style("stroke-width", d => d.id === describedEntity ? 5 : 2)
-      .attr("opacity", d =>
-        (searchQuery && searchFadedNodes.has(d.id))
-          ? 0.1 : 1
-      )
-      .on("mouseover", (event, d) => {
-  d3.select(event.currentTarget)
-    .style("stroke", "black")
-    .style("stroke-width", 4);
-
-  const svgRect = svgRef.current.getBoundingClientRect();
-  d3.select(tooltipRef.current)
-    .style("left", `${event.clientX - svgRect.left + 10}px`)
-    .style("top", `${event.clientY - svgRect.top + 10}px`)
-    .style("display", "block")
-    .html(
-      `<strong>${typeIcons[d.type] || ""} ${d.id}</strong><br/>Type: ${d.type}<br/><em>${classExplanations[d.type] || ""}</em>`
+    // --- Dragging ---
+    // In edit mode dragging from a node draws an edge instead of moving it.
+    const nodeAtPoint = (x, y, except) => nodes.find(n =>
+      n !== except && Math.hypot(n.x - x, n.y - y) <= style.nodeRadius(n)
     );
-})
+    graph.dragStarted = (event, d) => {
+      if (editMode) {
+        graph.setDraft({ source: d, x: d.x, y: d.y });
+        return;
+      }
+      if (!event.active) layout.alphaTarget(0.3);
+      layout.fix(d, d.x, d.y);
+    };
+    graph.dragged = (d, x, y) => {
+      if (editMode) graph.setDraft({ source: d, x, y });
+      else layout.fix(d, x, y);
+    };
+    graph.dragEnded = (event, d) => {
+      if (editMode) {
+        const target = graph.draft && nodeAtPoint(graph.draft.x, graph.draft.y, d);
+        graph.setDraft(null);
+        if (target) graph.onLinkDraw(d, target);
+        return;
+      }
+      if (!event.active) layout.alphaTarget(0);
+      // Fixed layouts keep the node where it was dropped.
+      if (graph.layoutSettings.mode !== "force") return;
+      if (d.id === describedEntity) layout.fix(d, CANVAS_WIDTH / 2, CANVAS_HEIGHT / 2);
+      else layout.fix(d, null, null);
+    };
+
+    // One arrowhead marker per link color; markers take their color from
+    // their own fill, not from the path that uses them.
+    const markerColors = Array.from(new Set(graph.link.data().map(style.linkColor)));
+    const markerId = new Map(markerColors.map((color, i) => [color, `link-arrow-${i}`]));
+    layers.markers.selectAll("marker")
+      .data(markerColors)
+      .join(enter => enter.append("marker")
+        .attr("viewBox", "0 -5 10 10")
+        .attr("refX", 10)
+        .attr("markerUnits", "userSpaceOnUse")
+        .attr("markerWidth", ARROW_LENGTH)
+        .attr("markerHeight", ARROW_LENGTH)
+        .attr("orient", "auto")
+        .call(marker => marker.append("path").attr("d", "M0,-5L10,0L0,5Z")))
+      .attr("id", color => markerId.get(color))
+      .select("path")
+      .attr("fill", color => color);
+
+    graph.link
+      .attr("stroke", style.linkColor)
+      .attr("marker-end", d => `url(#${markerId.get(style.linkColor(d))})`)
+      .attr("stroke-width", style.linkWidth)
+      .style("stroke-dasharray", d => (style.linkDash(d) ? style.linkDash(d).join(" ") : null))
+      .style("cursor", editMode ? "pointer" : null)
+      .on("click", (event, d) => graph.onLinkClick(d))
+      .transition("style")
+      .duration(FADE_DURATION)
+      .attr("opacity", style.linkOpacity);
+
+    graph.edgeLabel
+      .text(style.edgeLabel)
+      .style("fill", style.edgeLabelColor)
+      .on("click", (event, d) => graph.onLinkClick(d))
+      .on("mouseover", (event, d) => graph.showTooltip(event, graph.linkTooltip(d)))
+      .on("mouseout", graph.hideTooltip)
+      .transition("style")
+      .duration(FADE_DURATION)
+      .attr("opacity", style.linkOpacity);
+
+    graph.node
+      .attr("fill", style.nodeFill)
+      .style("stroke", style.nodeStroke)
+      .style("stroke-width", style.nodeStrokeWidth)
+      .style("stroke-dasharray", d => (style.nodeDash(d) ? style.nodeDash(d).join(" ") : null))
+      .style("cursor", "pointer")
+      .on("click", (event, d) => graph.nodeClick(d))
+      .on("dblclick", (event, d) => {
+        // Keeps the zoom behaviour from zooming in as well.
+        event.stopPropagation();
+        graph.nodeDoubleClick(d);
+      })
+      .on("mouseover", (event, d) => {
+        d3.select(event.currentTarget)
+          .style("stroke", "black")
+          .style("stroke-width", 4);
+        graph.showTooltip(event, graph.nodeTooltip(d));
+      })
       .on("mouseout", (event, d) => {
         d3.select(event.currentTarget)
-          .style("stroke", d.id === describedEntity ? "#c2185b" : "#fff")
-          .style("stroke-width", d.id === describedEntity ? 5 : 2);
-
-        d3.select(tooltipRef.current)
-          .style("display", "none");
+          .style("stroke", style.nodeStroke(d))
+          .style("stroke-width", style.nodeStrokeWidth(d));
+        graph.hideTooltip();
       })
       .call(
         d3.drag()
-          .on("start", (event, d) => {
-            if (!event.active) simulation.alphaTarget(0.3).restart();
-            d.fx = d.x;
-            d.fy = d.y;
-          })
-          .on("drag", (event, d) => {
-            d.fx = event.x;
-            d.fy = event.y;
-          })
-          .on("end", (event, d) => {
-            if (!event.active) simulation.alphaTarget(0);
-            if (d.id === describedEntity) {
-              d.fx = width / 2;
-              d.fy = height / 2;
-            } else {
-              d.fx = null;
-              d.fy = null;
-            }
-          })
-      );
+          .on("start", graph.dragStarted)
+          .on("drag", (event, d) => graph.dragged(d, event.x, event.y))
+          .on("end", graph.dragEnded)
+      )
+      .transition("style")
+      .duration(FADE_DURATION)
+      .attr("r", style.nodeRadius)
+      .attr("opacity", style.nodeOpacity);
 
     // Draw described node on top
-    if (describedNode) {
-      node.filter(d => d.id === describedEntity).raise();
-    }
+    graph.node.filter(d => d.id === describedEntity).raise();
 
-    const label = g.append("g")
-      .attr("class", "node-label-group")
-      .selectAll("text")
-      .data(nodes)
-      .join("text")
-      .attr("class", "node-label")
-      .text(d => `${typeIcons[d.type] || ""} ${d.id}`)
+    graph.label
+      .text(style.nodeLabel)
       .attr("dy", d => d.id === describedEntity ? 7 : 4) // Slightly lower for big node
-      .attr("text-anchor", "middle")
       .style("font-size", d => d.id === describedEntity ? "20px" : "13px")
-      .attr("opacity", d =>
-        (searchQuery && searchFadedNodes.has(d.id))
-          ? 0.1 : 1
-      )
       .style("font-weight", d => d.id === describedEntity ? 700 : 400)
+      .transition("style")
+      .duration(FADE_DURATION)
+      .attr("opacity", style.nodeOpacity);
 
-    simulation.on("tick", () => {
-      link.attr("x1", d => d.source.x)
-        .attr("y1", d => d.source.y)
-        .attr("x2", d => d.target.x)
-        .attr("y2", d => d.target.y);
-
-      node.attr("cx", d => d.x).attr("cy", d => d.y);
-      label.attr("x", d => d.x).attr("y", d => d.y);
-
-      edgeLabels
-        .attr("x", d => (d.source.x + d.target.x) / 2 + 6)
-        .attr("y", d => (d.source.y + d.target.y) / 2 - 6)
-        .attr("transform", d => {
-          const dx = d.target.x - d.source.x;
-          const dy = d.target.y - d.source.y;
-          const angle = Math.atan2(dy, dx) * 180 / Math.PI;
-          return `rotate(${angle}, ${(d.source.x + d.target.x) / 2}, ${(d.source.y + d.target.y) / 2})`;
-        });
-
-      // Fix described entity in center
-      if (describedNode) {
-        describedNode.x = width / 2;
-        describedNode.y = height / 2;
+    graph.badge = layers.badges.selectAll("g")
+      .data(graph.renderer === "svg" ? nodes.filter(violationCount) : [], d => d.id)
+      .join(enter => {
+        const badge = enter.append("g");
+        badge.append("circle")
+          .attr("r", 10)
+          .attr("fill", VIOLATION_COLOR)
+          .style("stroke", "#fff")
+          .style("stroke-width", 2);
+        badge.append("text")
+          .attr("class", "violation-badge")
+          .attr("dy", 4)
+          .attr("text-anchor", "middle")
+          .style("font-size", "11px")
+          .style("font-weight", 700)
+          .style("fill", "#fff");
+        return badge;
+      })
+      .attr("opacity", style.nodeOpacity);
+    graph.badge.select("text").text(violationCount);
+
+    // --- Pin described entity in center ---
+    // Fixed layouts place it themselves. Only the center pin of a former
+    // Described Entity is released; other pins, such as those of a restored
+    // workspace, stay.
+    let repinned = false;
+    if (graph.layoutSettings.mode === "force") nodes.forEach(n => {
+      const centered = n.fx === CANVAS_WIDTH / 2 && n.fy === CANVAS_HEIGHT / 2;
+      if (n.id === describedEntity) {
+        if (!centered) {
+          layout.fix(n, CANVAS_WIDTH / 2, CANVAS_HEIGHT / 2);
+          repinned = true;
+        }
+      } else if (centered) {
+        layout.fix(n, null, null);
+        repinned = true;
       }
     });
-
+    if (repinned) layout.reheat(0.3);
+    graph.render();
   }, [
-    classFilter,
-    objectFilter,
+    graphView,
+    renderer,
+    attributes,
+    classMap,
+    prefixes,
+    curie,
     searchQuery,
-    selectedModule,
-    guidedFilter,
+    searchMatchIds,
     highlightNodes,
     highlightLinks,
-    semanticLevel,
-    nodeLimit,
-    describedEntity
+    activePath,
+    queryHighlight,
+    diff,
+    diffNodes,
+    colorByGraph,
+    tripleGraphs,
+    graphColors,
+    nodeViolations,
+    constraintDescriptions,
+    describedEntity,
+    exploration,
+    editMode,
+    editSelection,
+    styles,
+    typeMap,
+    inferredKeys,
+    metricSizeOf,
+    metricColorScale
   ]);
 
+  // A picked entity is zoomed to once the data join has placed it and the
+  // styling has pinned it; pinned nodes are zoomed to where they are headed.
+  const zoomToPending = () => {
+    const pending = pendingZoomRef.current;
+    const nodes = graphRef.current.layout.nodes();
+    if (!pending || !nodes.some(n => n.id === pending.id)) return;
+    pendingZoomRef.current = null;
+    const ids = new Set([pending.id]);
+    if (pending.neighbours) {
+      graphView.links
+        .filter(l => l.source === pending.id || l.target === pending.id)
+        .forEach(l => ids.add(l.source).add(l.target));
+    }
+    zoomToNodes(nodes.filter(n => ids.has(n.id)).map(n => ({ x: n.fx ?? n.x, y: n.fy ?? n.y })));
+  };
+  useEffect(zoomToPending, [graphView]);
+
+  // --- Viewport Controls ---
+  const zoomToNodes = points => {
+    if (!graphRef.current || !points.length) return;
+    graphRef.current.surface
+      .transition()
+      .duration(600)
+      .call(zoomRef.current.transform, fitTransform(points, { width: CANVAS_WIDTH, height: CANVAS_HEIGHT }));
+  };
+  const handleZoomBy = factor => {
+    if (graphRef.current) graphRef.current.surface.transition().duration(300).call(zoomRef.current.scaleBy, factor);
+  };
+  const layoutNodes = () => (graphRef.current ? graphRef.current.layout.nodes() : []);
+  const handleZoomToFit = () => zoomToNodes(layoutNodes());
+  const handleZoomToSelection = () =>
+    zoomToNodes(layoutNodes().filter(n => selectionIdsRef.current.has(n.id)));
+
+  const handleRendererChange = value => {
+    setRenderer(value);
+    if (value === "canvas" && nodeLimit < CANVAS_NODE_LIMIT) setNodeLimit(CANVAS_NODE_LIMIT);
+    if (value === "svg" && nodeLimit > SVG_NODE_LIMIT) setNodeLimit(SVG_NODE_LIMIT);
+  };
+
   // --- Semantic Zoom Controls ---
-  const handleZoomIn = () => setSemanticLevel(2);
-  const handleZoomOut = () => setSemanticLevel(1);
+  const handleSemanticStep = delta =>
+    setSemanticLevel(level => Math.max(1, Math.min(INSTANCE_LEVEL, level + delta)));
 
   // --- Render ---
   return (
@@ -626,59 +2175,241 @@ const App = () => {
         </button>
         <hr style={{margin: "0 0 0 0", border: "none", borderTop: "1px solid #eee" }} />
 
-        <section data-joyride-id="semantic-zoom">
-          <h4 style={{ marginBottom: 6 }}>Semantic Zoom</h4>
-          <div style={{ display: "flex", gap: 8 }}>
+        <section data-joyride-id="data-source">
+          <h4 style={{ marginBottom: 0 }}>Data Source</h4>
+          <input
+            type="file"
+            multiple
+            accept={Object.values(RDF_FORMATS).flatMap(f => f.extensions).join(",")}
+            onChange={e => {
+              handleFiles(e.target.files);
+              e.target.value = "";
+            }}
+            style={{ width: "100%", fontSize: 12, marginTop: 6 }}
+          />
+          <div style={{ fontSize: 12, marginTop: 4 }}>
+            {dataSourceName} ({triples.length} triples)
+          </div>
+          {dataSourceName !== "Sample data" && (
             <button
-              onClick={handleZoomOut}
+              onClick={handleReset}
               style={{
-                fontSize: 20,
-                width: 36,
-                height: 36,
-                borderRadius: "50%",
-                background: semanticLevel === 1 ? "#1976d2" : "#eee",
-                color: semanticLevel === 1 ? "#fff" : "#333",
-                border: "none",
+                marginTop: 6,
+                fontSize: 12,
+                padding: "4px 8px",
+                borderRadius: "4px",
+                border: "1px solid #bbb",
+                background: "#fafafa",
                 cursor: "pointer"
               }}
-              title="Show class nodes"
-            >+</button>
+            >
+              Reset to sample data
+            </button>
+          )}
+          {loadError && (
+            <div style={{
+              marginTop: 6,
+              padding: "6px",
+              borderRadius: "4px",
+              background: "#fdecea",
+              color: "#b71c1c",
+              fontSize: 12,
+              wordBreak: "break-word"
+            }}>
+              {loadError}
+            </div>
+          )}
+          <ContextCachePanel contextCache={contextCache} onChange={setContextCache} />
+          <EndpointPanel
+            config={endpointConfig}
+            onConfigChange={setEndpointConfig}
+            describedEntity={describedEntity}
+            searchText={searchQuery}
+            onMerge={mergeQuads}
+          />
+        </section>
+
+        <section data-joyride-id="named-graphs">
+          <h4 style={{ marginBottom: 0 }}>Named Graphs</h4>
+          <NamedGraphPanel
+            graphs={namedGraphs}
+            hidden={hiddenGraphs}
+            onHiddenChange={setHiddenGraphs}
+            colorByGraph={colorByGraph}
+            onColorByGraphChange={setColorByGraph}
+            formatIri={curie}
+          />
+        </section>
+
+        <section data-joyride-id="diff">
+          <h4 style={{ marginBottom: 0 }}>Compare Datasets</h4>
+          <DiffPanel
+            sources={diffSources}
+            onSourcesChange={sources => {
+              setDiffSources(sources);
+              if (!sources.before && !sources.after) setDiffActive(false);
+            }}
+            active={diffActive}
+            onActiveChange={setDiffActive}
+            summary={diffOverview}
+            colors={DIFF_COLORS}
+            formatIri={curie}
+            contextCache={contextCache}
+          />
+        </section>
+
+        <section data-joyride-id="workspaces">
+          <h4 style={{ marginBottom: 0 }}>Workspaces</h4>
+          <WorkspacePanel getSnapshot={getWorkspaceSnapshot} onOpen={handleOpenWorkspace} />
+        </section>
+
+        <section>
+          <PrefixPanel prefixes={prefixes} onChange={setPrefixes} />
+        </section>
+
+        <section data-joyride-id="shacl-report">
+          <h4 style={{ marginBottom: 0 }}>SHACL Validation</h4>
+          <ShaclPanel
+            shapesSource={shapesSource}
+            report={validationReport}
+            onShapesChange={source => setShapesSource(source || defaultShapesSource)}
+            onSelectFocus={handleSelectFocus}
+            formatTerm={term => formatTerm(term, prefixes)}
+          />
+        </section>
+
+        <section data-joyride-id="ontology">
+          <h4 style={{ marginBottom: 0 }}>Ontology</h4>
+          <OntologyPanel
+            source={ontologySource}
+            axiomCounts={ontology.axiomCounts}
+            inferredCount={inferredTriples.length}
+            showInferred={showInferred}
+            onShowInferredChange={setShowInferred}
+            onSourceChange={setOntologySource}
+          />
+        </section>
+
+        <section data-joyride-id="editor">
+          <h4 style={{ marginBottom: 0 }}>Editing</h4>
+          <EditorPanel
+            editMode={editMode}
+            onEditModeChange={handleEditModeChange}
+            disabledReason={constructQuads ? "Clear the CONSTRUCT result to edit the data" : ""}
+            history={{
+              undoLabel: editHistory.done.length ? editHistory.done[editHistory.done.length - 1].label : "",
+              redoLabel: editHistory.undone.length ? editHistory.undone[editHistory.undone.length - 1].label : ""
+            }}
+            onUndo={handleUndo}
+            onRedo={handleRedo}
+            selection={editorSelection}
+            classOptions={classIris}
+            predicateOptions={predicateOptions}
+            formatIri={curie}
+            expandIri={expandIri}
+            onAddNode={(iri, classIri) => {
+              commitEdit(`Add ${curie(iri)}`, addNodeEdit(iri, classIri));
+              setEditSelection({ kind: "node", id: iri });
+            }}
+            onRenameNode={handleRenameNode}
+            onSetClass={(id, classIri) => commitEdit(`Set class of ${curie(id)}`, setClassEdit(quads, id, classIri))}
+            onDeleteNode={handleDeleteNode}
+            onChangePredicate={handleChangePredicate}
+            onDeleteTriple={handleDeleteTriple}
+            changes={editChanges}
+            formatQuad={formatQuad}
+            onDownloadDiff={handleDownloadDiff}
+          />
+        </section>
+
+        <section data-joyride-id="export">
+          <h4 style={{ marginBottom: 0 }}>Export</h4>
+          <ExportMenu
+            svgRef={svgRef}
+            renderPng={renderer === "canvas"
+              ? (scale, background) => graphRef.current.canvasRenderer.toBlob(scale, background)
+              : null}
+            getViewQuads={getViewQuads}
+            prefixes={prefixes}
+            background="#f0f4f8"
+          />
+        </section>
+
+        <section data-joyride-id="semantic-zoom">
+          <h4 style={{ marginBottom: 6 }}>Semantic Zoom</h4>
+          <div style={{ display: "flex", gap: 8 }}>
             <button
-              onClick={handleZoomIn}
-              style={{
-                fontSize: 20,
-                width: 36,
-                height: 36,
-                borderRadius: "50%",
-                background: semanticLevel === 2 ? "#1976d2" : "#eee",
-                color: semanticLevel === 2 ? "#fff" : "#333",
-                border: "none",
-                cursor: "pointer"
-              }}
-              title="Show all nodes"
+              onClick={() => handleSemanticStep(-1)}
+              disabled={semanticLevel === 1}
+              style={semanticButtonStyle}
+              title="Less detail"
             >−</button>
+            <button
+              onClick={() => handleSemanticStep(1)}
+              disabled={semanticLevel === INSTANCE_LEVEL}
+              style={semanticButtonStyle}
+              title="More detail"
+            >+</button>
           </div>
           <div style={{ fontSize: 12, marginTop: 4 }}>
-            {semanticLevel === 1 ? "Level 1: Class nodes only" : "Level 2: All nodes"}
+            Level {semanticLevel}: {SEMANTIC_LEVELS[semanticLevel]}
           </div>
+          <label style={{ display: "flex", alignItems: "center", gap: 6, fontSize: 12, marginTop: 4 }}>
+            <input type="checkbox" checked={followZoom} onChange={e => setFollowZoom(e.target.checked)} />
+            Follow the zoom
+          </label>
+          {semanticLevel < INSTANCE_LEVEL && drilledClasses.size > 0 && (
+            <div style={{ fontSize: 12, marginTop: 6 }}>
+              Drilled into:
+              {Array.from(drilledClasses).map(id => (
+                <div key={id} style={{ display: "flex", alignItems: "center", gap: 4, wordBreak: "break-all" }}>
+                  <span style={{ flex: 1 }}>{curie(id)}</span>
+                  <button onClick={() => handleDrillUp(id)} title="Collapse this class" style={{ cursor: "pointer" }}>×</button>
+                </div>
+              ))}
+            </div>
+          )}
         </section>
 
-        <section data-joyride-id="domain-module">
-          <h4 style={{ marginBottom: 0 }}>Domain Module</h4>
+        <section data-joyride-id="style-profile">
+          <h4 style={{ marginBottom: 0 }}>Legend</h4>
+          <StyleProfilePanel
+            legend={legend}
+            styles={styles}
+            modules={effectiveProfile.modules}
+            prefixes={prefixes}
+            formatIri={curie}
+            onEntryChange={handleStyleEntryChange}
+            onProfileLoad={handleStyleProfileChange}
+            onDownload={handleDownloadStyleProfile}
+            onReset={() => handleStyleProfileChange(demoProfile)}
+          />
+        </section>
+
+        <section data-joyride-id="layout">
+          <h4 style={{ marginBottom: 0 }}>Layout</h4>
+          <LayoutPanel
+            settings={layoutSettings}
+            onChange={setLayoutSettings}
+            predicateOptions={legend.predicates.map(({ iri }) => iri)}
+            formatIri={curie}
+          />
+        </section>
+
+        <section data-joyride-id="renderer">
+          <h4 style={{ marginBottom: 0 }}>Renderer</h4>
           <select
-            value={selectedModule}
-            onChange={(e) => setSelectedModule(e.target.value)}
+            value={renderer}
+            onChange={e => handleRendererChange(e.target.value)}
             style={{
               width: "100%",
               padding: "6px",
               borderRadius: "4px",
-              border: "1px solid #bbb",
-              marginBottom: "10px"
+              border: "1px solid #bbb"
             }}
           >
-            {Object.keys(domainModules).map(mod => (
-              <option key={mod} value={mod}>{mod}</option>
-            ))}
+            <option value="svg">SVG (up to {SVG_NODE_LIMIT} nodes)</option>
+            <option value="canvas">Canvas (large graphs)</option>
           </select>
         </section>
 
@@ -697,57 +2428,34 @@ const App = () => {
           />
         </section>
 
-        <section data-joyride-id="class-filter">
-          <h4 style={{ marginBottom: 0 }}>Filter by Class</h4>
-          <select
-            onChange={e => {
-              setClassFilter(e.target.value);
-              setObjectFilter("All");
-            }}
-            value={classFilter}
-            style={{
-              width: "100%",
-              padding: "6px",
-              borderRadius: "4px",
-              border: "1px solid #bbb"
-            }}
-          >
-            {classOptions.map(cls => (
-              <option key={cls} value={cls}>{cls}</option>
-            ))}
-          </select>
-          {classFilter !== "All" && (
-            <select
-              style={{
-                width: "100%",
-                marginTop: "8px",
-                padding: "6px",
-                borderRadius: "4px",
-                border: "1px solid #bbb"
-              }}
-              value={objectFilter}
-              onChange={e => setObjectFilter(e.target.value)}
-            >
-              {objectOptions.map(obj => (
-                <option key={obj} value={obj}>{obj}</option>
-              ))}
-            </select>
-          )}
+        <section data-joyride-id="facets">
+          <h4 style={{ marginBottom: 0 }}>Filters</h4>
+          <FacetPanel
+            facets={facets}
+            onChange={setFacets}
+            classRoots={classTreeRoots}
+            classCounts={classCounts}
+            formatClass={cls => `${styles.classStyle(cls).icon} ${styles.classStyle(cls).label || curie(cls)}`.trim()}
+            predicates={predicateFacets}
+            modules={moduleFacets}
+            literals={literalFacetList}
+            formatIri={curie}
+            shown={filteredTriples.length}
+            total={graphTriples.length}
+          />
         </section>
 
         <section data-joyride-id="search-input">
           <h4 style={{ marginBottom: 0 }}>Search Node</h4>
-          <input
-            type="text"
-            placeholder="Search..."
-            value={searchQuery}
-            onChange={(e) => setSearchQuery(e.target.value)}
-            style={{
-              width: "100%",
-              padding: "6px",
-              borderRadius: "4px",
-              border: "1px solid #bbb"
-            }}
+          <SearchBox
+            query={searchQuery}
+            onQueryChange={setSearchQuery}
+            results={searchResults.slice(0, SEARCH_RESULT_LIMIT)}
+            total={searchResults.length}
+            formatIri={curie}
+            formatPredicate={predicateLabel}
+            classStyleOf={id => styles.classStyle(classMap[id] || UNTYPED)}
+            onPick={handleSearchPick}
           />
         </section>
 
@@ -765,59 +2473,99 @@ const App = () => {
             }}
           >
             <option value="">(None)</option>
-            {Array.from(new Set(sampleTriples.flatMap(([s, , o]) => [s, o])))
-              .sort()
-              .map(id => (
-                <option key={id} value={id}>{id}</option>
-              ))}
+            {entityOptions.map(id => (
+              <option key={id} value={id}>{curie(id)}</option>
+            ))}
           </select>
           <div style={{ fontSize: 12, color: DESCRIBED_ENTITY_COLOR }}>
-            {describedEntity && `Highlighting: ${describedEntity}`}
+            {describedEntity && `Highlighting: ${curie(describedEntity)}`}
           </div>
         </section>
 
-        <section data-joyride-id="guided-tasks">
-          <h4 style={{ marginBottom: 0 }}>Guided Tasks</h4>
-          <div  style={{ display: "flex", flexDirection: "column", gap: "6px" }}>
-            {guidedTasks.map(task => (
+        <section data-joyride-id="exploration">
+          <h4 style={{ marginBottom: 0 }}>Exploration</h4>
+          {exploration ? (
+            <>
+              <div style={{ fontSize: 12, marginBottom: 6, wordBreak: "break-all" }}>
+                {exploredIds.size} nodes from {exploration.roots.map(curie).join(", ")}
+              </div>
+              <div style={{ display: "flex", gap: 4 }}>
+                <button
+                  onClick={() => handleExplorationStep(-1)}
+                  disabled={explorationHistory.index === 0}
+                  style={viewportButtonStyle}
+                >
+                  Back
+                </button>
+                <button
+                  onClick={() => handleExplorationStep(1)}
+                  disabled={explorationHistory.index === explorationHistory.entries.length - 1}
+                  style={viewportButtonStyle}
+                >
+                  Forward
+                </button>
+                <button onClick={handleExitExploration} style={viewportButtonStyle}>Exit</button>
+              </div>
+            </>
+          ) : (
+            <div style={{ display: "flex", flexDirection: "column", gap: 4 }}>
               <button
-                key={task.label}
-                onClick={() => {
-                  if (!task.filter) {
-                    setGuidedFilter(null);
-                    setHighlightNodes(new Set());
-                    setHighlightLinks(new Set());
-                  } else {
-                    const matchedTriples = sampleTriples.filter(task.filter);
-                    const nodes = new Set();
-                    const links = new Set();
-                    matchedTriples.forEach(([s, , o]) => {
-                      nodes.add(s);
-                      nodes.add(o);
-                      links.add(`${s}->${o}`);
-                    });
-                    setGuidedFilter(() => task.filter);
-                    setHighlightNodes(nodes);
-                    setHighlightLinks(links);
-                  }
-                }}
-                style={{
-                  width: "100%",
-                  fontSize: "12px",
-                  padding: "7px",
-                  borderRadius: "4px",
-                  border: "1px solid #bbb",
-                  background: "#fafafa",
-                  cursor: "pointer",
-                  fontWeight: 500,
-                  transition: "background 0.2s"
-                }}
+                onClick={() => handleStartExploration([describedEntity])}
+                disabled={!describedEntity}
+                style={viewportButtonStyle}
               >
-                {task.label}
+                Explore from Described Entity
               </button>
-            ))}
+              <button
+                onClick={() => handleStartExploration([searchHit])}
+                disabled={!searchHit}
+                title={searchHit ? curie(searchHit) : "Type a search first"}
+                style={viewportButtonStyle}
+              >
+                Explore from search match
+              </button>
+            </div>
+          )}
+          <div style={{ fontSize: 12, color: "#666", marginTop: 6 }}>
+            Double-click a node to expand its neighbours; click an expanded node to collapse it.
           </div>
         </section>
+
+        <section data-joyride-id="path-finder">
+          <h4 style={{ marginBottom: 0 }}>Path Finder</h4>
+          <PathFinderPanel
+            triples={graphTriples}
+            entityOptions={entityOptions}
+            predicateOptions={graphPredicates}
+            formatIri={curie}
+            predicateLabel={predicateLabel}
+            describe={describeSelectedPath}
+            selectedPath={activePath}
+            onSelect={handleSelectPath}
+          />
+        </section>
+
+        <section data-joyride-id="guided-tasks">
+          <h4 style={{ marginBottom: 0 }}>Guided Tasks</h4>
+          <TaskPanel
+            tasks={tasks}
+            quads={quads}
+            prefixes={prefixes}
+            entityOptions={entityOptions}
+            predicateOptions={graphPredicates}
+            classOptions={classIris}
+            result={taskResult}
+            formatIri={curie}
+            formatTerm={term => formatTerm(term, prefixes)}
+            labelOf={entityLabel}
+            onResult={setTaskResult}
+            onPick={handleSelectFocus}
+            onTasksChange={setTasks}
+            onImport={handleImportTasks}
+            onExport={handleExportTasks}
+            onReset={() => setTasks(DEFAULT_TASKS)}
+          />
+        </section>
       </aside>
 
       <main style={{
@@ -831,23 +2579,106 @@ const App = () => {
         padding: "32px 0 0 0",
         position: "relative"
       }}>
-        <div style={{
-          position: "relative",
-          width: 1200,
-          height: 800,
-          background: "#f0f4f8",
-          borderRadius: "10px",
-          boxShadow: "0 2px 12px rgba(0,0,0,0.07)",
-          border: "1px solid #e0e0e0"
-        }}>
+        <div
+          onDragOver={e => {
+            e.preventDefault();
+            setIsDraggingFile(true);
+          }}
+          onDragLeave={() => setIsDraggingFile(false)}
+          onDrop={e => {
+            e.preventDefault();
+            setIsDraggingFile(false);
+            handleFiles(e.dataTransfer.files);
+          }}
+          style={{
+            position: "relative",
+            width: CANVAS_WIDTH,
+            height: CANVAS_HEIGHT,
+            background: "#f0f4f8",
+            borderRadius: "10px",
+            boxShadow: "0 2px 12px rgba(0,0,0,0.07)",
+            border: isDraggingFile ? "2px dashed #1976d2" : "1px solid #e0e0e0"
+          }}
+        >
           <svg
             ref={svgRef}
-            width={1200}
-            height={800}
-            viewBox="0 0 1200 800"
-            style={{ border: "none", borderRadius: "10px" }}
+            width={CANVAS_WIDTH}
+            height={CANVAS_HEIGHT}
+            viewBox={`0 0 ${CANVAS_WIDTH} ${CANVAS_HEIGHT}`}
+            style={{
+              display: renderer === "svg" ? "block" : "none",
+              border: "none",
+              borderRadius: "10px",
+              cursor: "grab"
+            }}
             data-joyride-id="graph-canvas"
           />
+          <canvas
+            ref={canvasRef}
+            style={{
+              display: renderer === "canvas" ? "block" : "none",
+              width: CANVAS_WIDTH,
+              height: CANVAS_HEIGHT,
+              borderRadius: "10px",
+              cursor: "grab"
+            }}
+          />
+          <div
+            data-joyride-id="viewport-controls"
+            style={{ position: "absolute", top: 10, right: 10, display: "flex", gap: 4 }}
+          >
+            <button onClick={() => handleZoomBy(1.4)} title="Zoom in" style={viewportButtonStyle}>+</button>
+            <button onClick={() => handleZoomBy(1 / 1.4)} title="Zoom out" style={viewportButtonStyle}>−</button>
+            <button onClick={handleZoomToFit} title="Fit the whole graph into view" style={viewportButtonStyle}>Fit</button>
+            <button
+              onClick={handleZoomToSelection}
+              title="Zoom to the Described Entity, highlighted nodes and search matches"
+              style={viewportButtonStyle}
+            >
+              Selection
+            </button>
+          </div>
+          {edgeDraft && (
+            <PredicatePicker
+              key={`${edgeDraft.source} ${edgeDraft.target}`}
+              source={edgeDraft.source}
+              target={edgeDraft.target}
+              predicates={predicateOptions}
+              initialPredicate={predicateOptions.find(p => p !== RDF_TYPE)}
+              formatIri={curie}
+              expandIri={expandIri}
+              onPick={predicate => {
+                commitEdit(`Add ${curie(predicate)} edge`, addTripleEdit(quads, edgeDraft.source, predicate, edgeDraft.target));
+                setEditSelection({ kind: "link", triple: [edgeDraft.source, predicate, edgeDraft.target] });
+                setEdgeDraft(null);
+              }}
+              onCancel={() => setEdgeDraft(null)}
+            />
+          )}
+          {expansionPicker && (
+            <ExpansionPicker
+              key={expansionPicker.nodeId}
+              nodeLabel={curie(expansionPicker.nodeId)}
+              groups={expansionPicker.groups}
+              formatIri={curie}
+              onExpand={groups => expand(expansionPicker.base, expansionPicker.nodeId, groups.flatMap(group => group.ids))}
+              onCancel={() => setExpansionPicker(null)}
+            />
+          )}
+          <svg
+            ref={minimapSvgRef}
+            width={200}
+            height={134}
+            style={{
+              position: "absolute",
+              right: 10,
+              bottom: 10,
+              border: "1px solid #ccc",
+              borderRadius: "4px",
+              background: "#fff",
+              boxShadow: "0 1px 4px rgba(0,0,0,0.15)"
+            }}
+          />
           <div ref={tooltipRef}
             style={{
               position: "absolute",
@@ -862,6 +2693,33 @@ const App = () => {
             }}
           />
         </div>
+        <SparqlPanel
+          quads={quads}
+          prefixes={prefixes}
+          onConstruct={result => {
+            setConstructQuads(result);
+            // Constructed triples rarely carry rdf:type, so show instances.
+            if (result) setSemanticLevel(INSTANCE_LEVEL);
+          }}
+          onHighlight={ids => {
+            setQueryHighlight(ids);
+            if (ids.size) setSemanticLevel(INSTANCE_LEVEL);
+          }}
+        />
+        <AnalyticsPanel
+          enabled={analyticsEnabled}
+          onEnabledChange={setAnalyticsEnabled}
+          analytics={analytics}
+          mapping={metricMapping}
+          onMappingChange={setMetricMapping}
+          colorScale={metricColorScale}
+          formatIri={curie}
+          describedEntity={describedEntity}
+          onDescribe={id => {
+            setDescribedEntity(id);
+            setSemanticLevel(INSTANCE_LEVEL);
+          }}
+        />
         {tourStep !== null && (
           <div style={{
             position: "absolute",
@@ -896,6 +2754,39 @@ const App = () => {
           </div>
         )}
       </main>
+
+      {entityTabs.tabs.length > 0 && (
+        <aside
+          data-joyride-id="entity-details"
+          style={{
+            width: 300,
+            flexShrink: 0,
+            maxHeight: "100vh",
+            position: "sticky",
+            top: 0,
+            background: "#fff",
+            boxShadow: "-2px 0 8px rgba(0,0,0,0.06)",
+            padding: "24px 14px 14px 14px",
+            overflowY: "auto"
+          }}
+        >
+          <h4 style={{ marginTop: 0, marginBottom: 6 }}>Entity Details</h4>
+          <EntityPanel
+            tabs={entityTabs}
+            onChange={handleEntityTabsChange}
+            triples={graphTriples}
+            attributes={attributes}
+            types={typeMap}
+            classOf={id => classMap[id] || UNTYPED}
+            inferredKeys={inferredKeys}
+            violationsOf={id => (nodeViolations[id] || []).map(v => describeViolation(v, term => formatTerm(term, prefixes)))}
+            styles={styles}
+            formatIri={curie}
+            formatTerm={term => formatTerm(term, prefixes)}
+            labelOf={entityLabel}
+          />
+        </aside>
+      )}
     </div>
   );
 };
@@ -0,0 +1,183 @@
+import React, { useState } from "react";
+import * as d3 from "d3";
+import { METRICS } from "../graph/analytics.js";
+
+const MAX_ROWS = 200;
+
+const selectStyle = {
+  padding: "4px",
+  borderRadius: "4px",
+  border: "1px solid #bbb"
+};
+
+const cellStyle = {
+  padding: "3px 6px",
+  borderBottom: "1px solid #eee",
+  textAlign: "left",
+  whiteSpace: "nowrap"
+};
+
+const tableBoxStyle = {
+  maxHeight: 300,
+  overflow: "auto",
+  background: "#fff",
+  border: "1px solid #e0e0e0",
+  borderRadius: "4px"
+};
+
+const formatScore = d3.format(".4f");
+
+// Click a header to sort by it, again to flip the order. columns: [{ key,
+// label, value, format }]; onRowClick gets the row.
+const SortableTable = ({ columns, rows, initialSort, onRowClick, isSelected }) => {
+  const [sort, setSort] = useState(initialSort);
+  const column = columns.find(c => c.key === sort.key);
+  const sorted = [...rows].sort((a, b) => {
+    const x = column.value(a);
+    const y = column.value(b);
+    const order = typeof x === "string" ? x.localeCompare(y) : x - y;
+    return sort.descending ? -order : order;
+  });
+
+  return (
+    <div style={tableBoxStyle}>
+      <table style={{ borderCollapse: "collapse", width: "100%" }}>
+        <thead>
+          <tr>
+            {columns.map(c => (
+              <th
+                key={c.key}
+                onClick={() => setSort({ key: c.key, descending: sort.key === c.key ? !sort.descending : c.key !== "id" })}
+                style={{ ...cellStyle, background: "#f0f4f8", position: "sticky", top: 0, cursor: "pointer" }}
+              >
+                {c.label}{sort.key === c.key ? (sort.descending ? " ▼" : " ▲") : ""}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {sorted.slice(0, MAX_ROWS).map((row, index) => (
+            <tr
+              key={index}
+              onClick={() => onRowClick(row)}
+              style={{ cursor: "pointer", background: isSelected(row) ? "#fff3e0" : undefined }}
+            >
+              {columns.map(c => (
+                <td key={c.key} style={cellStyle}>{(c.format || String)(c.value(row))}</td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+      {rows.length > MAX_ROWS && <div style={{ padding: "3px 6px", color: "#666" }}>Showing {MAX_ROWS} of {rows.length}</div>}
+    </div>
+  );
+};
+
+// Continuous metrics show their range on the viridis gradient; categories
+// list the colors in use.
+const ColorKey = ({ scale }) => {
+  if (scale.categorical) {
+    return (
+      <span>
+        {scale.domain.map(index => (
+          <span key={index} style={{ marginRight: 6, whiteSpace: "nowrap" }}>
+            <span style={{ display: "inline-block", width: 10, height: 10, borderRadius: "50%", background: d3.schemeTableau10[index - 1], marginRight: 2 }} />
+            {index}
+          </span>
+        ))}
+        <span style={{ color: "#666" }}>others grey</span>
+      </span>
+    );
+  }
+  const stops = d3.range(0, 1.01, 0.25).map(t => d3.interpolateViridis(t)).join(", ");
+  return (
+    <span style={{ display: "inline-flex", alignItems: "center", gap: 4 }}>
+      {formatScore(scale.domain[0])}
+      <span style={{ display: "inline-block", width: 100, height: 10, background: `linear-gradient(to right, ${stops})` }} />
+      {formatScore(scale.domain[1])}
+    </span>
+  );
+};
+
+// Metrics of the filtered graph in sortable tables, and which metrics drive
+// node size and color. analytics is the result of computeAnalytics, or null
+// while the panel is off. Clicking a node row describes that node; a
+// community or component row describes its best-connected member.
+const AnalyticsPanel = ({ enabled, onEnabledChange, analytics, mapping, onMappingChange, colorScale, formatIri, describedEntity, onDescribe }) => {
+  const format = key => (key === "betweenness" || key === "pagerank" ? formatScore : String);
+  const nodeColumns = [
+    { key: "id", label: "Entity", value: row => formatIri(row.id) },
+    ...Object.entries(METRICS).map(([key, { label }]) => ({ key, label, value: row => row[key], format: format(key) }))
+  ];
+  const groupColumns = [
+    { key: "index", label: "#", value: group => group.index },
+    { key: "size", label: "Nodes", value: group => group.size },
+    { key: "members", label: "Best connected", value: group => group.ids.slice(0, 3).map(formatIri).join(", ") }
+  ];
+  const groupTable = (title, groups) => (
+    <div style={{ flex: 1, minWidth: 0 }}>
+      <div style={{ fontWeight: 600, margin: "6px 0 4px" }}>{title} ({groups.length})</div>
+      <SortableTable
+        columns={groupColumns}
+        rows={groups}
+        initialSort={{ key: "index", descending: false }}
+        onRowClick={group => onDescribe(group.ids[0])}
+        isSelected={group => group.ids.includes(describedEntity)}
+      />
+    </div>
+  );
+
+  return (
+    <section data-joyride-id="analytics" style={{ width: 1200, marginTop: 16, fontSize: 12 }}>
+      <h4 style={{ margin: "0 0 6px 0" }}>Graph Analytics</h4>
+      <label style={{ display: "flex", alignItems: "center", gap: 6 }}>
+        <input type="checkbox" checked={enabled} onChange={e => onEnabledChange(e.target.checked)} />
+        Compute degree, betweenness, PageRank, components and communities for the filtered graph
+      </label>
+
+      {analytics && (
+        <>
+          <div style={{ marginTop: 6 }}>
+            {analytics.rows.length} nodes, {analytics.linkCount} links, {analytics.components.length} components,{" "}
+            {analytics.communities.length} communities (modularity {analytics.modularity.toFixed(3)})
+            {analytics.sampled && "; betweenness is estimated from a sample of nodes"}
+          </div>
+          <div style={{ display: "flex", alignItems: "center", gap: 12, marginTop: 6, flexWrap: "wrap" }}>
+            {["size", "color"].map(channel => (
+              <label key={channel}>
+                {channel === "size" ? "Size by" : "Color by"}{" "}
+                <select
+                  value={mapping[channel]}
+                  onChange={e => onMappingChange({ ...mapping, [channel]: e.target.value })}
+                  style={selectStyle}
+                >
+                  <option value="">Class style</option>
+                  {Object.entries(METRICS).map(([key, { label }]) => (
+                    <option key={key} value={key}>{label}</option>
+                  ))}
+                </select>
+              </label>
+            ))}
+            {colorScale && <ColorKey scale={colorScale} />}
+          </div>
+
+          <div style={{ fontWeight: 600, margin: "6px 0 4px" }}>Nodes</div>
+          <SortableTable
+            columns={nodeColumns}
+            rows={analytics.rows}
+            initialSort={{ key: "degree", descending: true }}
+            onRowClick={row => onDescribe(row.id)}
+            isSelected={row => row.id === describedEntity}
+          />
+          <div style={{ display: "flex", gap: 12 }}>
+            {groupTable("Communities", analytics.communities)}
+            {groupTable("Components", analytics.components)}
+          </div>
+        </>
+      )}
+    </section>
+  );
+};
+
+export default AnalyticsPanel;
@@ -0,0 +1,88 @@
+import React, { useState } from "react";
+
+const toggleStyle = {
+  width: 16,
+  border: "none",
+  background: "none",
+  padding: 0,
+  cursor: "pointer",
+  fontSize: 10,
+  color: "#555"
+};
+
+// Path of iris from a root down to target, or null.
+const pathTo = (nodes, target) => {
+  for (const node of nodes) {
+    if (node.iri === target) return [node.iri];
+    const below = pathTo(node.children, target);
+    if (below) return [node.iri, ...below];
+  }
+  return null;
+};
+
+// Collapsible class hierarchy with a checkbox per class, for the class
+// facet. roots come from classTree; counts include the instances of
+// subclasses; selected lists the ticked classes. Branches start collapsed
+// except the ones holding a ticked class.
+const ClassTree = ({ roots, counts, selected, onToggle, formatClass }) => {
+  // iri -> open, for the branches the user has toggled.
+  const [toggled, setToggled] = useState(() => new Map());
+  const selectedPath = new Set(selected.flatMap(iri => (pathTo(roots, iri) || []).slice(0, -1)));
+  const isOpen = iri => (toggled.has(iri) ? toggled.get(iri) : selectedPath.has(iri));
+
+  const toggle = iri => setToggled(new Map(toggled).set(iri, !isOpen(iri)));
+
+  const row = (label, iri, depth, hasChildren, count) => (
+    <div
+      style={{
+        display: "flex",
+        alignItems: "center",
+        paddingLeft: depth * 14,
+        background: selected.includes(iri) ? "#e3f2fd" : "transparent",
+        borderRadius: "3px"
+      }}
+    >
+      {hasChildren
+        ? <button onClick={() => toggle(iri)} style={toggleStyle} title={isOpen(iri) ? "Collapse" : "Expand"}>
+          {isOpen(iri) ? "▾" : "▸"}
+        </button>
+        : <span style={{ width: 16 }} />}
+      <label style={{ flex: 1, display: "flex", alignItems: "center", gap: 4, cursor: "pointer", wordBreak: "break-all" }}>
+        <input type="checkbox" checked={selected.includes(iri)} onChange={() => onToggle(iri)} style={{ margin: 0 }} />
+        {label}
+      </label>
+      {count !== undefined && <span style={{ color: "#666", marginLeft: 4 }}>{count}</span>}
+    </div>
+  );
+
+  const renderNode = (node, depth) => (
+    <li key={node.iri}>
+      {row(formatClass(node.iri), node.iri, depth, node.children.length > 0, counts[node.iri] || 0)}
+      {node.children.length > 0 && isOpen(node.iri) && (
+        <ul style={{ listStyle: "none", padding: 0, margin: 0 }}>
+          {node.children.map(child => renderNode(child, depth + 1))}
+        </ul>
+      )}
+    </li>
+  );
+
+  return (
+    <div
+      style={{
+        fontSize: 13,
+        maxHeight: 220,
+        overflowY: "auto",
+        padding: "4px",
+        border: "1px solid #bbb",
+        borderRadius: "4px",
+        background: "#fff"
+      }}
+    >
+      <ul style={{ listStyle: "none", padding: 0, margin: 0 }}>
+        {roots.map(node => renderNode(node, 0))}
+      </ul>
+    </div>
+  );
+};
+
+export default ClassTree;
@@ -0,0 +1,74 @@
+import React, { useState } from "react";
+
+// Offline stand-in for fetching remote JSON-LD contexts: the user uploads a
+// context document and says which URL it answers for.
+const ContextCachePanel = ({ contextCache, onChange }) => {
+  const [url, setUrl] = useState("");
+  const [error, setError] = useState("");
+
+  const handleUpload = async file => {
+    if (!file) return;
+    if (!url.trim()) {
+      setError("Enter the context URL before choosing its file.");
+      return;
+    }
+    try {
+      const document = JSON.parse(await file.text());
+      onChange({ ...contextCache, [url.trim()]: document });
+      setUrl("");
+      setError("");
+    } catch (err) {
+      setError(`${file.name}: ${err.message}`);
+    }
+  };
+
+  const handleRemove = cachedUrl => {
+    const next = { ...contextCache };
+    delete next[cachedUrl];
+    onChange(next);
+  };
+
+  return (
+    <div style={{ marginTop: 8, fontSize: 12 }}>
+      <div style={{ fontWeight: 600 }}>JSON-LD Context Cache</div>
+      <input
+        type="url"
+        placeholder="https://schema.org/"
+        value={url}
+        onChange={e => setUrl(e.target.value)}
+        style={{
+          width: "100%",
+          padding: "4px",
+          marginTop: 4,
+          borderRadius: "4px",
+          border: "1px solid #bbb",
+          boxSizing: "border-box"
+        }}
+      />
+      <input
+        type="file"
+        accept=".json,.jsonld"
+        onChange={e => {
+          handleUpload(e.target.files[0]);
+          e.target.value = "";
+        }}
+        style={{ width: "100%", marginTop: 4 }}
+      />
+      {error && <div style={{ color: "#b71c1c", marginTop: 4 }}>{error}</div>}
+      <ul style={{ listStyle: "none", padding: 0, margin: "4px 0 0 0" }}>
+        {Object.keys(contextCache).map(cachedUrl => (
+          <li key={cachedUrl} style={{ display: "flex", justifyContent: "space-between", gap: 4, wordBreak: "break-all" }}>
+            <span>{cachedUrl}</span>
+            <button
+              onClick={() => handleRemove(cachedUrl)}
+              title="Remove from cache"
+              style={{ border: "none", background: "none", cursor: "pointer", padding: 0, color: "#b71c1c" }}
+            >✕</button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default ContextCachePanel;
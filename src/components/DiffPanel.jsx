@@ -0,0 +1,125 @@
+import React, { useState } from "react";
+import { RDF_FORMATS, parseRdf, formatFromFileName, sniffFormat } from "../rdf/parse.js";
+
+const SIDES = { before: "Before", after: "After" };
+
+const buttonStyle = {
+  marginLeft: 6,
+  fontSize: 11,
+  border: "1px solid #bbb",
+  borderRadius: "4px",
+  background: "#fafafa",
+  cursor: "pointer"
+};
+
+const cellStyle = {
+  padding: "2px 4px",
+  borderBottom: "1px solid #eee",
+  textAlign: "right"
+};
+
+// Compares two datasets. sources holds { name, quads } per side, or null
+// for the loaded data; summary is the result of diffSummary while the diff
+// is shown. colors maps "added", "removed" and "unchanged" to a color.
+const DiffPanel = ({ sources, onSourcesChange, active, onActiveChange, summary, colors, formatIri, contextCache }) => {
+  const [error, setError] = useState("");
+
+  const handleFile = async (side, file) => {
+    if (!file) return;
+    try {
+      const text = await file.text();
+      const { quads } = parseRdf(text, formatFromFileName(file.name) || sniffFormat(text), { contextCache });
+      onSourcesChange({ ...sources, [side]: { name: file.name, quads } });
+      setError("");
+    } catch (err) {
+      setError(`${file.name}: ${err.message}`);
+    }
+  };
+
+  const counts = row => ["added", "removed", "unchanged"].map(kind => (
+    <td key={kind} style={{ ...cellStyle, color: colors[kind] }}>{row[kind] || ""}</td>
+  ));
+  const table = (title, rows, name) => (
+    <table style={{ borderCollapse: "collapse", width: "100%", marginTop: 6 }}>
+      <thead>
+        <tr>
+          <th style={{ ...cellStyle, textAlign: "left" }}>{title}</th>
+          <th style={{ ...cellStyle, color: colors.added }}>+</th>
+          <th style={{ ...cellStyle, color: colors.removed }}>−</th>
+          <th style={{ ...cellStyle, color: colors.unchanged }}>=</th>
+        </tr>
+      </thead>
+      <tbody>
+        {rows.map(row => (
+          <tr key={row.iri || ""}>
+            <td style={{ ...cellStyle, textAlign: "left", wordBreak: "break-all" }}>{name(row.iri)}</td>
+            {counts(row)}
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+
+  return (
+    <div style={{ fontSize: 12 }}>
+      {Object.entries(SIDES).map(([side, label]) => (
+        <div key={side} style={{ marginTop: 6 }}>
+          <div>
+            <b>{label}:</b> {sources[side] ? `${sources[side].name} (${sources[side].quads.length} triples)` : "the loaded data"}
+            {sources[side] && (
+              <button onClick={() => onSourcesChange({ ...sources, [side]: null })} style={buttonStyle}>
+                Use loaded data
+              </button>
+            )}
+          </div>
+          <input
+            type="file"
+            accept={Object.values(RDF_FORMATS).flatMap(f => f.extensions).join(",")}
+            onChange={e => {
+              handleFile(side, e.target.files[0]);
+              e.target.value = "";
+            }}
+            style={{ width: "100%", fontSize: 12, marginTop: 2 }}
+          />
+        </div>
+      ))}
+      {error && (
+        <div style={{
+          marginTop: 6,
+          padding: "6px",
+          borderRadius: "4px",
+          background: "#fdecea",
+          color: "#b71c1c",
+          wordBreak: "break-word"
+        }}>
+          {error}
+        </div>
+      )}
+      <label style={{ display: "flex", alignItems: "center", gap: 6, marginTop: 6 }}>
+        <input
+          type="checkbox"
+          checked={active}
+          disabled={!sources.before && !sources.after}
+          onChange={e => onActiveChange(e.target.checked)}
+        />
+        Show the difference
+      </label>
+
+      {summary && (
+        <>
+          <div style={{ marginTop: 4 }}>
+            <span style={{ color: colors.added }}>{summary.totals.added} added</span>,{" "}
+            <span style={{ color: colors.removed }}>{summary.totals.removed} removed</span>,{" "}
+            <span style={{ color: colors.unchanged }}>{summary.totals.unchanged} unchanged</span>
+          </div>
+          <div style={{ maxHeight: 240, overflowY: "auto" }}>
+            {table("Predicate", summary.predicates, formatIri)}
+            {table("Class", summary.classes, iri => (iri ? formatIri(iri) : "(untyped)"))}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default DiffPanel;
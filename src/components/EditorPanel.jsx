@@ -0,0 +1,272 @@
+import React, { useState } from "react";
+
+const MAX_CHANGES = 200;
+
+const inputStyle = {
+  flex: 1,
+  minWidth: 0,
+  padding: "4px",
+  borderRadius: "4px",
+  border: "1px solid #bbb",
+  boxSizing: "border-box",
+  fontSize: 12
+};
+
+const buttonStyle = {
+  fontSize: 12,
+  padding: "4px 8px",
+  borderRadius: "4px",
+  border: "1px solid #bbb",
+  background: "#fafafa",
+  cursor: "pointer"
+};
+
+const rowStyle = { display: "flex", gap: 4, marginTop: 4 };
+
+// Text input for an IRI or CURIE with the known values as suggestions.
+export const IriInput = ({ id, value, onChange, options, formatIri, placeholder, onEnter }) => (
+  <>
+    <input
+      list={id}
+      value={value}
+      onChange={e => onChange(e.target.value)}
+      onKeyDown={e => {
+        if (e.key === "Enter" && onEnter) onEnter();
+      }}
+      placeholder={placeholder}
+      style={inputStyle}
+    />
+    <datalist id={id}>
+      {options.map(iri => (
+        <option key={iri} value={formatIri(iri)} />
+      ))}
+    </datalist>
+  </>
+);
+
+const NodeEditor = ({ selection, classOptions, formatIri, expandIri, onRenameNode, onSetClass, onDeleteNode }) => {
+  const [name, setName] = useState(formatIri(selection.id));
+  const [classValue, setClassValue] = useState(selection.classIri ? formatIri(selection.classIri) : "");
+  const rename = () => name.trim() && onRenameNode(selection.id, expandIri(name.trim()));
+  const setClass = () => classValue.trim() && onSetClass(selection.id, expandIri(classValue.trim()));
+
+  return (
+    <>
+      <div style={{ fontWeight: 600, wordBreak: "break-all" }}>{formatIri(selection.id)}</div>
+      <div style={rowStyle}>
+        <input value={name} onChange={e => setName(e.target.value)} onKeyDown={e => e.key === "Enter" && rename()} style={inputStyle} />
+        <button onClick={rename} style={buttonStyle}>Rename</button>
+      </div>
+      <div style={rowStyle}>
+        <IriInput
+          id="editor-node-class"
+          value={classValue}
+          onChange={setClassValue}
+          options={classOptions}
+          formatIri={formatIri}
+          placeholder="Class"
+          onEnter={setClass}
+        />
+        <button onClick={setClass} style={buttonStyle}>Set class</button>
+      </div>
+      <div style={rowStyle}>
+        <button onClick={() => onDeleteNode(selection.id)} style={{ ...buttonStyle, color: "#b71c1c" }}>
+          Delete node
+        </button>
+      </div>
+      {selection.violations.map(text => (
+        <div key={text} style={{ color: "#b71c1c", marginTop: 4 }}>⚠ {text}</div>
+      ))}
+    </>
+  );
+};
+
+const LinkEditor = ({ selection, predicateOptions, formatIri, expandIri, onChangePredicate, onDeleteTriple }) => {
+  const [s, p, o] = selection.triple;
+  const [predicate, setPredicate] = useState(formatIri(p));
+  const change = () => predicate.trim() && onChangePredicate(selection.triple, expandIri(predicate.trim()));
+
+  return (
+    <>
+      <div style={{ fontWeight: 600, wordBreak: "break-all" }}>
+        {formatIri(s)} {formatIri(p)} {formatIri(o)}
+      </div>
+      <div style={rowStyle}>
+        <IriInput
+          id="editor-link-predicate"
+          value={predicate}
+          onChange={setPredicate}
+          options={predicateOptions}
+          formatIri={formatIri}
+          placeholder="Predicate"
+          onEnter={change}
+        />
+        <button onClick={change} style={buttonStyle}>Change</button>
+      </div>
+      <div style={rowStyle}>
+        <button onClick={() => onDeleteTriple(selection.triple)} style={{ ...buttonStyle, color: "#b71c1c" }}>
+          Delete edge
+        </button>
+      </div>
+    </>
+  );
+};
+
+// Edit mode toggle, undo/redo, a form for new nodes, the editor for the
+// selected node or edge, and the net changes since loading. All edits go
+// through the callbacks; selection.violations are the node's SHACL results.
+const EditorPanel = ({
+  editMode,
+  onEditModeChange,
+  disabledReason,
+  history,
+  onUndo,
+  onRedo,
+  selection,
+  classOptions,
+  predicateOptions,
+  formatIri,
+  expandIri,
+  onAddNode,
+  onRenameNode,
+  onSetClass,
+  onDeleteNode,
+  onChangePredicate,
+  onDeleteTriple,
+  changes,
+  formatQuad,
+  onDownloadDiff
+}) => {
+  const [newIri, setNewIri] = useState("");
+  const [newClass, setNewClass] = useState("");
+  // Why the last diff download failed.
+  const [diffError, setDiffError] = useState("");
+  const addNode = () => {
+    if (!newIri.trim() || !newClass.trim()) return;
+    onAddNode(expandIri(newIri.trim()), expandIri(newClass.trim()));
+    setNewIri("");
+  };
+  const changeCount = changes.added.length + changes.removed.length;
+
+  return (
+    <div style={{ fontSize: 12 }}>
+      <label style={{ display: "flex", alignItems: "center", gap: 6 }} title={disabledReason || undefined}>
+        <input
+          type="checkbox"
+          checked={editMode}
+          disabled={Boolean(disabledReason)}
+          onChange={e => onEditModeChange(e.target.checked)}
+        />
+        Edit mode
+      </label>
+      <div style={rowStyle}>
+        <button
+          onClick={onUndo}
+          disabled={!history.undoLabel}
+          title={history.undoLabel ? `Undo: ${history.undoLabel} (Ctrl+Z)` : "Nothing to undo"}
+          style={buttonStyle}
+        >
+          Undo
+        </button>
+        <button
+          onClick={onRedo}
+          disabled={!history.redoLabel}
+          title={history.redoLabel ? `Redo: ${history.redoLabel} (Ctrl+Shift+Z)` : "Nothing to redo"}
+          style={buttonStyle}
+        >
+          Redo
+        </button>
+      </div>
+
+      {editMode && (
+        <>
+          <div style={{ marginTop: 8, fontWeight: 600 }}>New node</div>
+          <div style={rowStyle}>
+            <input
+              value={newIri}
+              onChange={e => setNewIri(e.target.value)}
+              onKeyDown={e => e.key === "Enter" && addNode()}
+              placeholder="ex:NewNode"
+              style={inputStyle}
+            />
+          </div>
+          <div style={rowStyle}>
+            <IriInput
+              id="editor-new-class"
+              value={newClass}
+              onChange={setNewClass}
+              options={classOptions}
+              formatIri={formatIri}
+              placeholder="Class"
+              onEnter={addNode}
+            />
+            <button onClick={addNode} disabled={!newIri.trim() || !newClass.trim()} style={buttonStyle}>Add</button>
+          </div>
+
+          <div style={{ marginTop: 8, padding: "6px", borderRadius: "4px", background: "#fff8e1" }}>
+            {!selection && "Click a node or edge to edit it. Drag from one node to another to connect them."}
+            {selection && selection.kind === "node" && (
+              <NodeEditor
+                key={selection.id}
+                selection={selection}
+                classOptions={classOptions}
+                formatIri={formatIri}
+                expandIri={expandIri}
+                onRenameNode={onRenameNode}
+                onSetClass={onSetClass}
+                onDeleteNode={onDeleteNode}
+              />
+            )}
+            {selection && selection.kind === "link" && (
+              <LinkEditor
+                key={selection.triple.join(" ")}
+                selection={selection}
+                predicateOptions={predicateOptions}
+                formatIri={formatIri}
+                expandIri={expandIri}
+                onChangePredicate={onChangePredicate}
+                onDeleteTriple={onDeleteTriple}
+              />
+            )}
+          </div>
+        </>
+      )}
+
+      {changeCount > 0 && (
+        <>
+          <div style={{ ...rowStyle, alignItems: "center", marginTop: 8 }}>
+            <span style={{ flex: 1, fontWeight: 600 }}>
+              <span style={{ color: "#2e7d32" }}>+{changes.added.length}</span>{" "}
+              <span style={{ color: "#b71c1c" }}>−{changes.removed.length}</span> triples changed
+            </span>
+            <button
+              onClick={() => {
+                try {
+                  onDownloadDiff();
+                  setDiffError("");
+                } catch (err) {
+                  setDiffError(err.message);
+                }
+              }}
+              title="SPARQL Update with the changes"
+              style={buttonStyle}
+            >
+              Download diff
+            </button>
+          </div>
+          <ul style={{ listStyle: "none", padding: 0, margin: "4px 0", maxHeight: 200, overflowY: "auto", fontFamily: "monospace" }}>
+            {changes.removed.slice(0, MAX_CHANGES).map(q => (
+              <li key={`-${formatQuad(q)}`} style={{ color: "#b71c1c", wordBreak: "break-all" }}>− {formatQuad(q)}</li>
+            ))}
+            {changes.added.slice(0, MAX_CHANGES).map(q => (
+              <li key={`+${formatQuad(q)}`} style={{ color: "#2e7d32", wordBreak: "break-all" }}>+ {formatQuad(q)}</li>
+            ))}
+          </ul>
+          {diffError && <div style={{ color: "#b71c1c", wordBreak: "break-word" }}>{diffError}</div>}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default EditorPanel;
@@ -0,0 +1,173 @@
+import React, { useRef, useState } from "react";
+import {
+  askEndpoint,
+  constructFromEndpoint,
+  neighbourhoodQuery,
+  searchMatchesQuery
+} from "../rdf/endpoint.js";
+
+const inputStyle = {
+  width: "100%",
+  padding: "4px",
+  borderRadius: "4px",
+  border: "1px solid #bbb",
+  boxSizing: "border-box",
+  fontSize: 12
+};
+
+const buttonStyle = {
+  fontSize: 12,
+  padding: "4px 8px",
+  borderRadius: "4px",
+  border: "1px solid #bbb",
+  background: "#fafafa",
+  cursor: "pointer"
+};
+
+// Connects to a SPARQL 1.1 Protocol endpoint and pulls in the neighbourhood
+// of the Described Entity or the resources matching the search text. Each
+// fetch is paged; "Next page" repeats the last request with a higher offset.
+const EndpointPanel = ({ config, onConfigChange, describedEntity, searchText, onMerge }) => {
+  const [isLoading, setIsLoading] = useState(false);
+  const [status, setStatus] = useState("");
+  const [error, setError] = useState("");
+  const [lastRequest, setLastRequest] = useState(null);
+  const abortRef = useRef(null);
+
+  const update = changes => onConfigChange({ ...config, ...changes });
+  const canFetchNeighbourhood = describedEntity && !describedEntity.startsWith("_:") && !describedEntity.startsWith("\"");
+
+  const run = async (description, task) => {
+    abortRef.current = new AbortController();
+    setIsLoading(true);
+    setError("");
+    setStatus(`${description}…`);
+    try {
+      setStatus(await task(abortRef.current.signal));
+    } catch (err) {
+      setStatus("");
+      setError(err.message);
+    } finally {
+      setIsLoading(false);
+      abortRef.current = null;
+    }
+  };
+
+  const fetchPage = request => run(
+    request.kind === "neighbourhood" ? "Fetching neighbourhood" : "Fetching search matches",
+    async signal => {
+      const query = request.kind === "neighbourhood"
+        ? neighbourhoodQuery(request.target, { limit: config.pageSize, offset: request.offset })
+        : searchMatchesQuery(request.target, { limit: config.pageSize, offset: request.offset });
+      const { quads, prefixes } = await constructFromEndpoint(config, query, { signal });
+      const added = onMerge(quads, prefixes);
+      setLastRequest(request);
+      return `Received ${quads.length} triples, ${added} new (page ${request.offset / config.pageSize + 1})`;
+    }
+  );
+
+  const handleTest = () => run("Connecting", async signal => {
+    await askEndpoint(config, "ASK { ?s ?p ?o }", { signal });
+    return "Connection OK";
+  });
+
+  return (
+    <details style={{ fontSize: 12, marginTop: 8 }}>
+      <summary style={{ cursor: "pointer", fontWeight: 600 }}>SPARQL endpoint</summary>
+      <div style={{ display: "flex", flexDirection: "column", gap: 4, marginTop: 4 }}>
+        <input
+          placeholder="http://localhost:3030/sparql"
+          value={config.url}
+          onChange={e => update({ url: e.target.value.trim() })}
+          style={inputStyle}
+        />
+        <div style={{ display: "flex", gap: 4 }}>
+          <input
+            placeholder="user (optional)"
+            value={config.username}
+            onChange={e => update({ username: e.target.value })}
+            style={inputStyle}
+            autoComplete="username"
+          />
+          <input
+            type="password"
+            placeholder="password"
+            value={config.password}
+            onChange={e => update({ password: e.target.value })}
+            style={inputStyle}
+            autoComplete="current-password"
+          />
+        </div>
+        <div style={{ display: "flex", gap: 4, alignItems: "center" }}>
+          <label style={{ flex: 1 }}>
+            Timeout (s)
+            <input
+              type="number"
+              min={1}
+              value={config.timeoutMs / 1000}
+              onChange={e => update({ timeoutMs: Math.max(1, Number(e.target.value)) * 1000 })}
+              style={inputStyle}
+            />
+          </label>
+          <label style={{ flex: 1 }}>
+            Page size
+            <input
+              type="number"
+              min={1}
+              value={config.pageSize}
+              onChange={e => update({ pageSize: Math.max(1, Number(e.target.value)) })}
+              style={inputStyle}
+            />
+          </label>
+        </div>
+        <div style={{ display: "flex", flexWrap: "wrap", gap: 4 }}>
+          <button onClick={handleTest} disabled={isLoading || !config.url} style={buttonStyle}>Test</button>
+          <button
+            onClick={() => fetchPage({ kind: "neighbourhood", target: describedEntity, offset: 0 })}
+            disabled={isLoading || !config.url || !canFetchNeighbourhood}
+            title="Outgoing and incoming triples of the Described Entity"
+            style={buttonStyle}
+          >
+            Fetch neighbourhood
+          </button>
+          <button
+            onClick={() => fetchPage({ kind: "search", target: searchText.trim(), offset: 0 })}
+            disabled={isLoading || !config.url || !searchText.trim()}
+            title="Resources whose IRI or values contain the search text"
+            style={buttonStyle}
+          >
+            Fetch search matches
+          </button>
+          {lastRequest && (
+            <button
+              onClick={() => fetchPage({ ...lastRequest, offset: lastRequest.offset + config.pageSize })}
+              disabled={isLoading}
+              style={buttonStyle}
+            >
+              Next page
+            </button>
+          )}
+          {isLoading && (
+            <button onClick={() => abortRef.current && abortRef.current.abort()} style={buttonStyle}>
+              Cancel
+            </button>
+          )}
+        </div>
+        {status && <div style={{ color: "#333" }}>{status}</div>}
+        {error && (
+          <div style={{
+            padding: "6px",
+            borderRadius: "4px",
+            background: "#fdecea",
+            color: "#b71c1c",
+            wordBreak: "break-word"
+          }}>
+            {error}
+          </div>
+        )}
+      </div>
+    </details>
+  );
+};
+
+export default EndpointPanel;
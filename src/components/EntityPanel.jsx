@@ -0,0 +1,226 @@
+import React, { useMemo, useState } from "react";
+import {
+  activeEntity,
+  closeEntityTab,
+  openEntityTab,
+  selectEntityTab,
+  stepEntityTrail,
+  visitEntity
+} from "../graph/entityTabs.js";
+import { RDF } from "../rdf/terms.js";
+
+const RDF_TYPE = `${RDF}type`;
+// Values listed per predicate before "Show all".
+const MAX_VALUES = 20;
+
+const linkStyle = {
+  border: "none",
+  background: "none",
+  padding: 0,
+  color: "#1565c0",
+  cursor: "pointer",
+  textAlign: "left",
+  fontSize: 12,
+  wordBreak: "break-all"
+};
+
+const tabStyle = active => ({
+  display: "flex",
+  alignItems: "center",
+  gap: 2,
+  maxWidth: 140,
+  padding: "3px 6px",
+  border: "1px solid #bbb",
+  borderBottom: active ? "1px solid #fff" : "1px solid #bbb",
+  borderRadius: "4px 4px 0 0",
+  background: active ? "#fff" : "#eef2f5",
+  fontSize: 12,
+  cursor: "pointer"
+});
+
+const sectionTitleStyle = { fontWeight: 600, margin: "10px 0 4px" };
+
+// [{ predicate, values: [id] }] for one side of an entity's triples,
+// ordered by predicate.
+function groupByPredicate(triples, id, side) {
+  const groups = new Map();
+  triples.forEach(([s, p, o]) => {
+    const [self, other] = side === "out" ? [s, o] : [o, s];
+    if (self !== id || (side === "out" && p === RDF_TYPE)) return;
+    if (!groups.has(p)) groups.set(p, new Set());
+    groups.get(p).add(other);
+  });
+  return Array.from(groups, ([predicate, values]) => ({ predicate, values: Array.from(values) }))
+    .sort((a, b) => a.predicate.localeCompare(b.predicate));
+}
+
+// Details of the entities open as tabs: classes, literal properties,
+// outgoing and incoming triples grouped by predicate, and SHACL results.
+// Clicking an entity navigates the tab to it; Ctrl/Cmd-click opens it in a
+// new tab. tabs is the state from graph/entityTabs.js and every change goes
+// to onChange. triples and attributes cover all loaded data; types maps ids
+// to all their classes and classOf gives the one that styles the node;
+// inferredKeys holds the "s p o" keys of inferred triples;
+// violationsOf gives an entity's SHACL messages.
+const EntityPanel = ({
+  tabs,
+  onChange,
+  triples,
+  attributes,
+  types,
+  classOf,
+  inferredKeys,
+  violationsOf,
+  styles,
+  formatIri,
+  formatTerm,
+  labelOf
+}) => {
+  // "id side predicate" keys of the groups listed in full.
+  const [expanded, setExpanded] = useState(() => new Set());
+  const id = activeEntity(tabs);
+
+  const details = useMemo(() => id && {
+    outgoing: groupByPredicate(triples, id, "out"),
+    incoming: groupByPredicate(triples, id, "in"),
+    literals: Array.from(
+      (attributes[id] || []).reduce((groups, { predicate, value }) => {
+        if (!groups.has(predicate)) groups.set(predicate, []);
+        groups.get(predicate).push(value);
+        return groups;
+      }, new Map()),
+      ([predicate, values]) => ({ predicate, values })
+    ).sort((a, b) => a.predicate.localeCompare(b.predicate))
+  }, [id, triples, attributes]);
+
+  if (!tabs.tabs.length) return null;
+
+  const navigate = (event, target) => {
+    onChange(event.ctrlKey || event.metaKey ? openEntityTab(tabs, target) : visitEntity(tabs, target));
+  };
+  const entityLink = target => (
+    <button
+      key={target}
+      onClick={e => navigate(e, target)}
+      title={`${formatIri(target)}\nCtrl/Cmd-click opens a new tab`}
+      style={linkStyle}
+    >
+      {styles.classStyle(classOf(target)).icon} {labelOf(target)}
+    </button>
+  );
+  const predicateHeading = predicate => {
+    const { icon, color } = styles.predicateStyle(predicate);
+    return <span style={{ color: color || "#333" }}>{icon} {formatIri(predicate)}</span>;
+  };
+  const tripleGroups = (groups, side) => groups.map(({ predicate, values }) => {
+    const key = `${id} ${side} ${predicate}`;
+    const shown = expanded.has(key) ? values : values.slice(0, MAX_VALUES);
+    return (
+      <div key={key} style={{ marginBottom: 6 }}>
+        <div>{side === "in" ? "← " : "→ "}{predicateHeading(predicate)} <span style={{ color: "#666" }}>({values.length})</span></div>
+        <div style={{ display: "flex", flexDirection: "column", alignItems: "flex-start", paddingLeft: 14 }}>
+          {shown.map(value => {
+            const tripleKey = side === "out" ? `${id} ${predicate} ${value}` : `${value} ${predicate} ${id}`;
+            return (
+              <span key={value}>
+                {entityLink(value)}
+                {inferredKeys.has(tripleKey) && <em style={{ color: "#666" }}> inferred</em>}
+              </span>
+            );
+          })}
+          {shown.length < values.length && (
+            <button onClick={() => setExpanded(new Set([...expanded, key]))} style={{ ...linkStyle, color: "#555" }}>
+              Show all {values.length}
+            </button>
+          )}
+        </div>
+      </div>
+    );
+  });
+
+  const tab = tabs.tabs[tabs.active];
+  const classes = types[id] || [];
+  const violations = violationsOf(id);
+
+  return (
+    <div style={{ fontSize: 12 }}>
+      <div style={{ display: "flex", flexWrap: "wrap", gap: 2, borderBottom: "1px solid #bbb" }}>
+        {tabs.tabs.map((t, index) => (
+          <div key={index} onClick={() => onChange(selectEntityTab(tabs, index))} style={tabStyle(index === tabs.active)}>
+            <span style={{ overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>{labelOf(t.trail[t.index])}</span>
+            <button
+              onClick={e => {
+                e.stopPropagation();
+                onChange(closeEntityTab(tabs, index));
+              }}
+              title="Close this tab"
+              style={{ border: "none", background: "none", cursor: "pointer", padding: 0 }}
+            >
+              ×
+            </button>
+          </div>
+        ))}
+      </div>
+
+      {tab.trail.length > 1 && (
+        <div style={{ marginTop: 6, color: "#666", wordBreak: "break-all" }}>
+          {tab.trail.map((crumb, index) => (
+            <span key={index}>
+              {index > 0 && " › "}
+              {index === tab.index
+                ? <b style={{ color: "#333" }}>{labelOf(crumb)}</b>
+                : <button onClick={() => onChange(stepEntityTrail(tabs, index))} style={linkStyle}>{labelOf(crumb)}</button>}
+            </span>
+          ))}
+        </div>
+      )}
+
+      <h3 style={{ margin: "8px 0 2px", fontSize: 15, wordBreak: "break-all" }}>
+        {styles.classStyle(classOf(id)).icon} {labelOf(id)}
+      </h3>
+      <div style={{ color: "#666", wordBreak: "break-all" }}>{id}</div>
+
+      <div style={sectionTitleStyle}>Classes</div>
+      {classes.length
+        ? classes.map(cls => (
+          <div key={cls}>
+            {entityLink(cls)}
+            {inferredKeys.has(`${id} ${RDF_TYPE} ${cls}`) && <em style={{ color: "#666" }}> inferred</em>}
+            {styles.classStyle(cls).explanation && <div style={{ color: "#555", paddingLeft: 14 }}>{styles.classStyle(cls).explanation}</div>}
+          </div>
+        ))
+        : <div style={{ color: "#666" }}>No rdf:type.</div>}
+
+      {violations.length > 0 && (
+        <>
+          <div style={{ ...sectionTitleStyle, color: "#d32f2f" }}>Constraint violations ({violations.length})</div>
+          <ul style={{ margin: 0, paddingLeft: 18, color: "#b71c1c" }}>
+            {violations.map((message, index) => <li key={index}>{message}</li>)}
+          </ul>
+        </>
+      )}
+
+      {details.literals.length > 0 && (
+        <>
+          <div style={sectionTitleStyle}>Properties</div>
+          {details.literals.map(({ predicate, values }) => (
+            <div key={predicate} style={{ marginBottom: 4 }}>
+              {predicateHeading(predicate)}
+              {values.map((value, index) => (
+                <div key={index} style={{ paddingLeft: 14, wordBreak: "break-word" }}>{formatTerm(value)}</div>
+              ))}
+            </div>
+          ))}
+        </>
+      )}
+
+      <div style={sectionTitleStyle}>Outgoing</div>
+      {details.outgoing.length ? tripleGroups(details.outgoing, "out") : <div style={{ color: "#666" }}>None.</div>}
+
+      <div style={sectionTitleStyle}>Incoming</div>
+      {details.incoming.length ? tripleGroups(details.incoming, "in") : <div style={{ color: "#666" }}>None.</div>}
+    </div>
+  );
+};
+
+export default EntityPanel;
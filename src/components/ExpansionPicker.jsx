@@ -0,0 +1,69 @@
+import React, { useState } from "react";
+
+const buttonStyle = {
+  fontSize: 12,
+  padding: "4px 8px",
+  borderRadius: "4px",
+  border: "1px solid #bbb",
+  background: "#fafafa",
+  cursor: "pointer"
+};
+
+// Lets the user choose which predicates to follow when a node has too many
+// neighbours to expand at once. groups come from neighbourGroups; onExpand
+// receives the chosen ones.
+const ExpansionPicker = ({ nodeLabel, groups, formatIri, onExpand, onCancel }) => {
+  const [selected, setSelected] = useState(() => new Set());
+
+  const toggle = key => {
+    const next = new Set(selected);
+    if (next.has(key)) next.delete(key);
+    else next.add(key);
+    setSelected(next);
+  };
+  const count = new Set(groups.filter(group => selected.has(group.key)).flatMap(group => group.ids)).size;
+
+  return (
+    <div
+      data-joyride-id="expansion-picker"
+      style={{
+        position: "absolute",
+        top: 10,
+        left: 10,
+        width: 300,
+        maxHeight: 400,
+        overflowY: "auto",
+        padding: "10px",
+        background: "#fff",
+        border: "1px solid #ccc",
+        borderRadius: "6px",
+        boxShadow: "0 2px 8px rgba(0,0,0,0.15)",
+        fontSize: 12,
+        zIndex: 5
+      }}
+    >
+      <div style={{ fontWeight: 600, marginBottom: 6, wordBreak: "break-all" }}>Expand {nodeLabel}</div>
+      {groups.map(group => (
+        <label key={group.key} style={{ display: "flex", gap: 6, alignItems: "baseline", marginBottom: 2 }}>
+          <input type="checkbox" checked={selected.has(group.key)} onChange={() => toggle(group.key)} />
+          <span style={{ flex: 1, wordBreak: "break-all" }}>
+            {group.direction === "out" ? "→" : "←"} {formatIri(group.predicate)}
+          </span>
+          <span style={{ color: "#666" }}>{group.ids.length}</span>
+        </label>
+      ))}
+      <div style={{ display: "flex", gap: 4, marginTop: 8 }}>
+        <button
+          onClick={() => onExpand(groups.filter(group => selected.has(group.key)))}
+          disabled={!count}
+          style={buttonStyle}
+        >
+          Expand {count} nodes
+        </button>
+        <button onClick={onCancel} style={buttonStyle}>Cancel</button>
+      </div>
+    </div>
+  );
+};
+
+export default ExpansionPicker;
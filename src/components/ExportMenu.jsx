@@ -0,0 +1,189 @@
+import React, { useState } from "react";
+import { EXPORT_FORMATS } from "../rdf/serialize.js";
+import { downloadBlob } from "../download.js";
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+
+// Presentation properties copied from the live DOM so the exported file
+// looks the same without the app's stylesheets.
+const INLINED_PROPERTIES = [
+  "fill",
+  "fill-opacity",
+  "stroke",
+  "stroke-width",
+  "stroke-opacity",
+  "stroke-dasharray",
+  "opacity",
+  "font-family",
+  "font-size",
+  "font-weight",
+  "font-style",
+  "text-anchor",
+  "dominant-baseline",
+  "visibility",
+  "display"
+];
+
+// Appended to every font stack so viewers without the page's fonts still
+// render the emoji icons in labels.
+const EMOJI_FONTS = "\"Apple Color Emoji\", \"Segoe UI Emoji\", \"Noto Color Emoji\", sans-serif";
+
+const selectStyle = {
+  flex: 1,
+  padding: "4px",
+  borderRadius: "4px",
+  border: "1px solid #bbb",
+  fontSize: 12
+};
+
+const buttonStyle = {
+  fontSize: 12,
+  padding: "4px 8px",
+  borderRadius: "4px",
+  border: "1px solid #bbb",
+  background: "#fafafa",
+  cursor: "pointer"
+};
+
+function svgSize(svg) {
+  const viewBox = svg.viewBox && svg.viewBox.baseVal;
+  if (viewBox && viewBox.width) return { width: viewBox.width, height: viewBox.height };
+  return { width: Number(svg.getAttribute("width")), height: Number(svg.getAttribute("height")) };
+}
+
+// Standalone SVG document with computed styles inlined on every element.
+function serializeSvg(svg, background) {
+  const clone = svg.cloneNode(true);
+  const sources = [svg, ...svg.querySelectorAll("*")];
+  const targets = [clone, ...clone.querySelectorAll("*")];
+  sources.forEach((source, i) => {
+    const computed = getComputedStyle(source);
+    const declarations = INLINED_PROPERTIES
+      .map(property => {
+        const value = computed.getPropertyValue(property);
+        if (property === "font-family") return `font-family: ${value ? `${value}, ` : ""}${EMOJI_FONTS}`;
+        return value ? `${property}: ${value}` : null;
+      })
+      .filter(Boolean);
+    targets[i].setAttribute("style", declarations.join("; "));
+  });
+
+  const { width, height } = svgSize(svg);
+  clone.setAttribute("xmlns", SVG_NS);
+  clone.removeAttribute("data-joyride-id");
+  clone.setAttribute("width", width);
+  clone.setAttribute("height", height);
+  const backdrop = document.createElementNS(SVG_NS, "rect");
+  backdrop.setAttribute("width", "100%");
+  backdrop.setAttribute("height", "100%");
+  backdrop.setAttribute("fill", background);
+  clone.insertBefore(backdrop, clone.firstChild);
+  return `<?xml version="1.0" encoding="UTF-8"?>\n${new XMLSerializer().serializeToString(clone)}`;
+}
+
+function rasterize(svgText, { width, height }, scale) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(new Blob([svgText], { type: "image/svg+xml;charset=utf-8" }));
+    const image = new Image();
+    image.onload = () => {
+      const canvas = document.createElement("canvas");
+      canvas.width = Math.round(width * scale);
+      canvas.height = Math.round(height * scale);
+      const context = canvas.getContext("2d");
+      context.scale(scale, scale);
+      context.drawImage(image, 0, 0, width, height);
+      URL.revokeObjectURL(url);
+      canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error("Could not encode the PNG"))), "image/png");
+    };
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error("Could not render the SVG for rasterizing"));
+    };
+    image.src = url;
+  });
+}
+
+// Exports the current drawing as SVG or PNG, and the triples behind the
+// current view as RDF. getViewQuads is called at export time. When the graph
+// is drawn on a canvas, renderPng(scale, background) supplies the PNG and
+// SVG export is unavailable.
+const ExportMenu = ({ svgRef, renderPng, getViewQuads, prefixes, background = "#fff", fileName = "rdf-graph" }) => {
+  const [scale, setScale] = useState(2);
+  const [format, setFormat] = useState("turtle");
+  const [status, setStatus] = useState("");
+  const [error, setError] = useState("");
+
+  const run = async task => {
+    try {
+      setError("");
+      setStatus(await task());
+    } catch (err) {
+      setStatus("");
+      setError(err.message);
+    }
+  };
+
+  const handleSvg = () => run(() => {
+    const svgText = serializeSvg(svgRef.current, background);
+    downloadBlob(new Blob([svgText], { type: "image/svg+xml;charset=utf-8" }), `${fileName}.svg`);
+    return `Saved ${fileName}.svg`;
+  });
+
+  const handlePng = () => run(async () => {
+    const blob = renderPng
+      ? await renderPng(scale, background)
+      : await rasterize(serializeSvg(svgRef.current, background), svgSize(svgRef.current), scale);
+    downloadBlob(blob, `${fileName}@${scale}x.png`);
+    return `Saved ${fileName}@${scale}x.png`;
+  });
+
+  const handleRdf = () => run(() => {
+    const { serialize, extension, mediaType } = EXPORT_FORMATS[format];
+    const quads = getViewQuads();
+    downloadBlob(new Blob([serialize(quads, prefixes)], { type: `${mediaType};charset=utf-8` }), `${fileName}${extension}`);
+    return `Saved ${quads.length} triples as ${fileName}${extension}`;
+  });
+
+  return (
+    <div style={{ display: "flex", flexDirection: "column", gap: 6, fontSize: 12, marginTop: 6 }}>
+      <button
+        onClick={handleSvg}
+        disabled={Boolean(renderPng)}
+        title={renderPng ? "Switch to the SVG renderer to export SVG" : undefined}
+        style={buttonStyle}
+      >
+        Download SVG
+      </button>
+      <div style={{ display: "flex", gap: 4 }}>
+        <select value={scale} onChange={e => setScale(Number(e.target.value))} style={selectStyle} title="PNG scale">
+          {[1, 2, 3, 4].map(value => (
+            <option key={value} value={value}>{value}×</option>
+          ))}
+        </select>
+        <button onClick={handlePng} style={buttonStyle}>Download PNG</button>
+      </div>
+      <div style={{ display: "flex", gap: 4 }}>
+        <select value={format} onChange={e => setFormat(e.target.value)} style={selectStyle} title="RDF format">
+          {Object.entries(EXPORT_FORMATS).map(([key, { label }]) => (
+            <option key={key} value={key}>{label}</option>
+          ))}
+        </select>
+        <button onClick={handleRdf} style={buttonStyle} title="Triples in the current view">Download RDF</button>
+      </div>
+      {status && <div style={{ color: "#333" }}>{status}</div>}
+      {error && (
+        <div style={{
+          padding: "6px",
+          borderRadius: "4px",
+          background: "#fdecea",
+          color: "#b71c1c",
+          wordBreak: "break-word"
+        }}>
+          {error}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ExportMenu;
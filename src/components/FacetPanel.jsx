@@ -0,0 +1,201 @@
+import React from "react";
+import ClassTree from "./ClassTree.jsx";
+import { EMPTY_FACETS, hasActiveFacets } from "../graph/facets.js";
+
+const buttonStyle = {
+  fontSize: 11,
+  padding: "2px 6px",
+  borderRadius: "4px",
+  border: "1px solid #bbb",
+  background: "#fafafa",
+  cursor: "pointer"
+};
+
+const inputStyle = {
+  width: "50%",
+  minWidth: 0,
+  padding: "3px",
+  borderRadius: "4px",
+  border: "1px solid #bbb",
+  fontSize: 12
+};
+
+const listStyle = {
+  maxHeight: 160,
+  overflowY: "auto",
+  padding: "4px",
+  border: "1px solid #bbb",
+  borderRadius: "4px",
+  background: "#fff"
+};
+
+const groupTitleStyle = { fontWeight: 600, marginTop: 8, marginBottom: 2 };
+
+const toggleIn = (list, item) => (list.includes(item) ? list.filter(x => x !== item) : [...list, item]);
+
+const CheckRow = ({ checked, onChange, label, count, children }) => (
+  <div style={{ display: "flex", alignItems: "center", gap: 4 }}>
+    <label style={{ flex: 1, display: "flex", alignItems: "center", gap: 4, cursor: "pointer", wordBreak: "break-all" }}>
+      <input type="checkbox" checked={checked} onChange={onChange} style={{ margin: 0 }} />
+      {label}
+    </label>
+    {children}
+    <span style={{ color: "#666" }}>{count}</span>
+  </div>
+);
+
+// Facets generated from the data: classes (as a tree), predicates,
+// modules of the style profile and literal values. facets is the selection
+// described in graph/facets.js; every change goes to onChange as a whole
+// new selection. predicates and modules are [{ iri | name, count }],
+// literals comes from literalFacets. shown and total count the triples in
+// view and in the data.
+const FacetPanel = ({
+  facets,
+  onChange,
+  classRoots,
+  classCounts,
+  formatClass,
+  predicates,
+  modules,
+  literals,
+  formatIri,
+  shown,
+  total
+}) => {
+  const update = changes => onChange({ ...facets, ...changes });
+  const setLiteral = (predicate, selection) => {
+    const next = { ...facets.literals };
+    if (selection) next[predicate] = selection;
+    else delete next[predicate];
+    update({ literals: next });
+  };
+  const hidden = new Set(facets.hiddenPredicates);
+
+  const literalControls = facet => {
+    const selection = facets.literals[facet.predicate] || {};
+    if (facet.kind === "string") {
+      const values = selection.values || [];
+      return facet.values.map(({ value, count }) => (
+        <CheckRow
+          key={value}
+          checked={values.includes(value)}
+          onChange={() => {
+            const next = toggleIn(values, value);
+            setLiteral(facet.predicate, next.length ? { values: next } : null);
+          }}
+          label={value || "(empty)"}
+          count={count}
+        />
+      ));
+    }
+    const type = facet.kind === "date" ? "date" : "number";
+    const setBound = (bound, value) => {
+      const next = { min: selection.min, max: selection.max, [bound]: value };
+      setLiteral(facet.predicate, next.min === undefined && next.max === undefined ? null : next);
+    };
+    const boundInput = bound => (
+      <input
+        type={type}
+        value={selection[bound] ?? ""}
+        placeholder={String(facet[bound])}
+        title={`${bound === "min" ? "From" : "To"} (${facet[bound]} in the data)`}
+        onChange={e => setBound(bound, e.target.value === "" ? undefined : e.target.value)}
+        style={inputStyle}
+      />
+    );
+    return (
+      <>
+        <div style={{ display: "flex", gap: 4, alignItems: "center" }}>
+          {boundInput("min")}–{boundInput("max")}
+        </div>
+        <div style={{ color: "#666" }}>{facet.min} to {facet.max}</div>
+      </>
+    );
+  };
+
+  return (
+    <div style={{ fontSize: 12 }}>
+      <div style={{ display: "flex", alignItems: "center", gap: 8, marginTop: 6 }}>
+        <span>Match</span>
+        {[["and", "all facets"], ["or", "any facet"]].map(([mode, label]) => (
+          <label key={mode} style={{ display: "flex", alignItems: "center", gap: 2, cursor: "pointer" }}>
+            <input type="radio" checked={facets.mode === mode} onChange={() => update({ mode })} />
+            {label}
+          </label>
+        ))}
+      </div>
+      <div style={{ display: "flex", alignItems: "center", marginTop: 4, color: "#555" }}>
+        <span style={{ flex: 1 }}>{shown} of {total} triples</span>
+        <button
+          onClick={() => onChange({ ...EMPTY_FACETS, mode: facets.mode })}
+          disabled={!hasActiveFacets(facets) && !hidden.size}
+          style={buttonStyle}
+        >
+          Clear all
+        </button>
+      </div>
+
+      <div style={groupTitleStyle}>Class</div>
+      {classRoots.length
+        ? <ClassTree
+          roots={classRoots}
+          counts={classCounts}
+          selected={facets.classes}
+          onToggle={iri => update({ classes: toggleIn(facets.classes, iri) })}
+          formatClass={formatClass}
+        />
+        : <div style={{ color: "#666" }}>No typed nodes.</div>}
+
+      <div style={groupTitleStyle}>Predicate</div>
+      <div style={listStyle}>
+        {predicates.map(({ iri, count }) => (
+          <CheckRow
+            key={iri}
+            checked={facets.predicates.includes(iri)}
+            onChange={() => update({ predicates: toggleIn(facets.predicates, iri) })}
+            label={<span style={{ textDecoration: hidden.has(iri) ? "line-through" : "none" }}>{formatIri(iri)}</span>}
+            count={count}
+          >
+            <button
+              onClick={() => update({ hiddenPredicates: toggleIn(facets.hiddenPredicates, iri) })}
+              title={hidden.has(iri) ? "Show these edges again" : "Hide the edges of this predicate"}
+              style={{ ...buttonStyle, padding: "0 4px", opacity: hidden.has(iri) ? 1 : 0.6 }}
+            >
+              {hidden.has(iri) ? "Show" : "Hide"}
+            </button>
+          </CheckRow>
+        ))}
+      </div>
+
+      {modules.length > 0 && (
+        <>
+          <div style={groupTitleStyle}>Module</div>
+          {modules.map(({ name, count }) => (
+            <CheckRow
+              key={name}
+              checked={facets.modules.includes(name)}
+              onChange={() => update({ modules: toggleIn(facets.modules, name) })}
+              label={name}
+              count={count}
+            />
+          ))}
+        </>
+      )}
+
+      {literals.map(facet => (
+        <div key={facet.predicate}>
+          <div style={{ ...groupTitleStyle, display: "flex" }}>
+            <span style={{ flex: 1, wordBreak: "break-all" }}>{formatIri(facet.predicate)}</span>
+            {facets.literals[facet.predicate] && (
+              <button onClick={() => setLiteral(facet.predicate, null)} title="Clear this facet" style={{ ...buttonStyle, padding: "0 4px" }}>×</button>
+            )}
+          </div>
+          <div style={facet.kind === "string" ? listStyle : undefined}>{literalControls(facet)}</div>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default FacetPanel;
@@ -0,0 +1,94 @@
+import React from "react";
+import { DEFAULT_LAYOUT_SETTINGS, LAYOUTS } from "../graph/layouts.js";
+
+const selectStyle = {
+  width: "100%",
+  padding: "6px",
+  borderRadius: "4px",
+  border: "1px solid #bbb"
+};
+
+const buttonStyle = {
+  fontSize: 12,
+  padding: "4px 8px",
+  borderRadius: "4px",
+  border: "1px solid #bbb",
+  background: "#fafafa",
+  cursor: "pointer"
+};
+
+const FORCE_SLIDERS = [
+  { key: "charge", label: "Repulsion", min: 0, max: 1500, step: 50, toValue: v => -v, fromValue: v => -v },
+  { key: "linkDistance", label: "Link distance", min: 50, max: 800, step: 25 },
+  { key: "collide", label: "Collision radius", min: 0, max: 100, step: 5 }
+];
+
+// Picks the layout and its options: the predicate a hierarchy follows, or
+// the force parameters. settings has the shape of DEFAULT_LAYOUT_SETTINGS.
+const LayoutPanel = ({ settings, onChange, predicateOptions, formatIri }) => {
+  const set = changes => onChange({ ...settings, ...changes });
+  const predicates = predicateOptions.includes(settings.predicate)
+    ? predicateOptions
+    : [settings.predicate, ...predicateOptions];
+
+  return (
+    <div style={{ fontSize: 12 }}>
+      <select value={settings.mode} onChange={e => set({ mode: e.target.value })} style={selectStyle}>
+        {Object.entries(LAYOUTS).map(([mode, label]) => (
+          <option key={mode} value={mode}>{label}</option>
+        ))}
+      </select>
+
+      {settings.mode === "hierarchical" && (
+        <>
+          <div style={{ marginTop: 6 }}>Along</div>
+          <select value={settings.predicate} onChange={e => set({ predicate: e.target.value })} style={selectStyle}>
+            {predicates.map(iri => (
+              <option key={iri} value={iri}>{formatIri(iri)}</option>
+            ))}
+          </select>
+          <label style={{ display: "flex", alignItems: "center", gap: 6, marginTop: 4 }}>
+            <input type="checkbox" checked={settings.reverse} onChange={e => set({ reverse: e.target.checked })} />
+            Subjects are the parents
+          </label>
+        </>
+      )}
+      {settings.mode === "radial" && (
+        <div style={{ marginTop: 4, color: "#555" }}>
+          Rings by hop distance from the Described Entity, or from the best-connected node.
+        </div>
+      )}
+
+      {settings.mode === "force" && (
+        <>
+          {FORCE_SLIDERS.map(({ key, label, min, max, step, toValue = v => v, fromValue = v => v }) => (
+            <label key={key} style={{ display: "block", marginTop: 6 }}>
+              {label}: {fromValue(settings[key])}
+              <input
+                type="range"
+                min={min}
+                max={max}
+                step={step}
+                value={fromValue(settings[key])}
+                onChange={e => set({ [key]: toValue(Number(e.target.value)) })}
+                style={{ width: "100%" }}
+              />
+            </label>
+          ))}
+          <button
+            onClick={() => set({
+              charge: DEFAULT_LAYOUT_SETTINGS.charge,
+              linkDistance: DEFAULT_LAYOUT_SETTINGS.linkDistance,
+              collide: DEFAULT_LAYOUT_SETTINGS.collide
+            })}
+            style={buttonStyle}
+          >
+            Reset forces
+          </button>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default LayoutPanel;
@@ -0,0 +1,38 @@
+import React from "react";
+
+// Shows, hides and colors the named graphs of the loaded data. graphs is
+// [{ id, count, color }] where id "" is the default graph; hidden holds the
+// ids taken out of the view.
+const NamedGraphPanel = ({ graphs, hidden, onHiddenChange, colorByGraph, onColorByGraphChange, formatIri }) => {
+  const toggle = id => {
+    const next = new Set(hidden);
+    if (next.has(id)) next.delete(id);
+    else next.add(id);
+    onHiddenChange(next);
+  };
+
+  if (graphs.length < 2 && !hidden.size) {
+    return <div style={{ fontSize: 12, marginTop: 6, color: "#555" }}>All triples are in the {graphs.length && graphs[0].id ? formatIri(graphs[0].id) : "default"} graph.</div>;
+  }
+
+  return (
+    <div style={{ fontSize: 12 }}>
+      <div style={{ maxHeight: 160, overflowY: "auto", marginTop: 6 }}>
+        {graphs.map(({ id, count, color }) => (
+          <label key={id} style={{ display: "flex", alignItems: "center", gap: 4, marginBottom: 2 }}>
+            <input type="checkbox" checked={!hidden.has(id)} onChange={() => toggle(id)} />
+            <span style={{ display: "inline-block", flexShrink: 0, width: 10, height: 10, borderRadius: "2px", background: color }} />
+            <span style={{ flex: 1, wordBreak: "break-all" }}>{id ? formatIri(id) : "Default graph"}</span>
+            <span style={{ color: "#666" }}>{count}</span>
+          </label>
+        ))}
+      </div>
+      <label style={{ display: "flex", alignItems: "center", gap: 6, marginTop: 4 }}>
+        <input type="checkbox" checked={colorByGraph} onChange={e => onColorByGraphChange(e.target.checked)} />
+        Color edges by graph
+      </label>
+    </div>
+  );
+};
+
+export default NamedGraphPanel;
@@ -0,0 +1,79 @@
+import React, { useState } from "react";
+import { parseRdf, formatFromFileName, sniffFormat } from "../rdf/parse.js";
+
+const AXIOM_LABELS = {
+  subClassOf: "rdfs:subClassOf",
+  subPropertyOf: "rdfs:subPropertyOf",
+  domain: "rdfs:domain",
+  range: "rdfs:range",
+  inverseOf: "owl:inverseOf"
+};
+
+// Loads an ontology next to the data, summarises the schema statements the
+// graph uses and toggles the inferred triples. source is { name, quads } or
+// null when only the data's own schema statements apply.
+const OntologyPanel = ({ source, axiomCounts, inferredCount, showInferred, onShowInferredChange, onSourceChange }) => {
+  const [error, setError] = useState("");
+
+  const handleFile = async file => {
+    if (!file) return;
+    try {
+      const text = await file.text();
+      const { quads } = parseRdf(text, formatFromFileName(file.name) || sniffFormat(text));
+      onSourceChange({ name: file.name, quads });
+      setError("");
+    } catch (err) {
+      setError(`${file.name}: ${err.message}`);
+    }
+  };
+
+  const axioms = Object.entries(axiomCounts).filter(([, count]) => count);
+
+  return (
+    <div style={{ fontSize: 12 }}>
+      <input
+        type="file"
+        accept=".ttl,.nt,.jsonld,.rdf,.owl"
+        onChange={e => {
+          handleFile(e.target.files[0]);
+          e.target.value = "";
+        }}
+        style={{ width: "100%", fontSize: 12, marginTop: 6 }}
+      />
+      <div style={{ marginTop: 4 }}>
+        {source ? `${source.name} (${source.quads.length} triples) and the loaded data` : "Schema statements in the loaded data"}
+        {source && (
+          <button
+            onClick={() => onSourceChange(null)}
+            style={{ marginLeft: 6, fontSize: 11, border: "1px solid #bbb", borderRadius: "4px", background: "#fafafa", cursor: "pointer" }}
+          >
+            Remove
+          </button>
+        )}
+      </div>
+      {error && (
+        <div style={{
+          marginTop: 6,
+          padding: "6px",
+          borderRadius: "4px",
+          background: "#fdecea",
+          color: "#b71c1c",
+          wordBreak: "break-word"
+        }}>
+          {error}
+        </div>
+      )}
+      <div style={{ marginTop: 4, color: "#555" }}>
+        {axioms.length
+          ? axioms.map(([key, count]) => `${count} ${AXIOM_LABELS[key]}`).join(", ")
+          : "No subclass, subproperty, domain, range or inverse statements"}
+      </div>
+      <label style={{ display: "flex", alignItems: "center", gap: 6, marginTop: 4 }}>
+        <input type="checkbox" checked={showInferred} onChange={e => onShowInferredChange(e.target.checked)} />
+        Show inferred triples ({inferredCount}, dashed)
+      </label>
+    </div>
+  );
+};
+
+export default OntologyPanel;
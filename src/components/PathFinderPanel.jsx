@@ -0,0 +1,158 @@
+import React, { useMemo, useState } from "react";
+import { PATH_DIRECTIONS, findPaths, pathKey } from "../graph/paths.js";
+import { RDF } from "../rdf/terms.js";
+
+const RDF_TYPE = `${RDF}type`;
+const MAX_PATHS = 10;
+
+const selectStyle = {
+  width: "100%",
+  padding: "6px",
+  borderRadius: "4px",
+  border: "1px solid #bbb"
+};
+
+const buttonStyle = {
+  fontSize: 12,
+  padding: "4px 8px",
+  borderRadius: "4px",
+  border: "1px solid #bbb",
+  background: "#fafafa",
+  cursor: "pointer"
+};
+
+const DIRECTION_LABELS = {
+  both: "⇄ Both ways",
+  out: "→ Subject to object",
+  in: "← Object to subject",
+  none: "Not followed"
+};
+
+// rdf:type would connect every two instances of a class, so it is off
+// unless turned on.
+const defaultDirection = iri => (iri === RDF_TYPE ? "none" : "both");
+
+const searchPaths = (triples, { from, to, k, directions }) => findPaths(triples, from, to, {
+  k,
+  directionOf: iri => directions[iri] || defaultDirection(iri)
+});
+
+// Finds the k shortest paths between two entities and reports the one
+// picked to onSelect (null to clear). Paths are recomputed from triples
+// when the data changes.
+const PathFinderPanel = ({ triples, entityOptions, predicateOptions, formatIri, predicateLabel, describe, selectedPath, onSelect }) => {
+  const [from, setFrom] = useState("");
+  const [to, setTo] = useState("");
+  const [k, setK] = useState(3);
+  const [directions, setDirections] = useState({});
+  const [query, setQuery] = useState(null);
+
+  const directionOf = iri => directions[iri] || defaultDirection(iri);
+  const paths = useMemo(() => (query ? searchPaths(triples, query) : []), [triples, query]);
+  const selectedKey = selectedPath ? pathKey(selectedPath) : null;
+  const restricted = predicateOptions.filter(iri => directionOf(iri) !== "both").length;
+
+  const handleFind = () => {
+    const next = { from, to, k, directions };
+    setQuery(next);
+    onSelect(searchPaths(triples, next)[0] || null);
+  };
+
+  const chain = path => [
+    formatIri(path.nodes[0]),
+    ...path.steps.map(({ triple, direction }, i) => {
+      const label = predicateLabel(triple[1]);
+      const arrow = direction === "out" ? ` —${label}→ ` : ` ←${label}— `;
+      return `${arrow}${formatIri(path.nodes[i + 1])}`;
+    })
+  ].join("");
+
+  return (
+    <div style={{ fontSize: 12 }}>
+      <div style={{ marginTop: 6 }}>From</div>
+      <select value={from} onChange={e => setFrom(e.target.value)} style={selectStyle}>
+        <option value="">(Choose)</option>
+        {entityOptions.map(id => <option key={id} value={id}>{formatIri(id)}</option>)}
+      </select>
+      <div style={{ marginTop: 4 }}>To</div>
+      <select value={to} onChange={e => setTo(e.target.value)} style={selectStyle}>
+        <option value="">(Choose)</option>
+        {entityOptions.map(id => <option key={id} value={id}>{formatIri(id)}</option>)}
+      </select>
+
+      <details style={{ marginTop: 6 }}>
+        <summary style={{ cursor: "pointer" }}>
+          Predicates{restricted ? ` (${restricted} restricted)` : ""}
+        </summary>
+        <div style={{ maxHeight: 160, overflowY: "auto", marginTop: 4 }}>
+          {predicateOptions.map(iri => (
+            <label key={iri} style={{ display: "flex", alignItems: "center", gap: 4, marginBottom: 2 }}>
+              <span style={{ flex: 1, wordBreak: "break-all" }}>{formatIri(iri)}</span>
+              <select
+                value={directionOf(iri)}
+                onChange={e => setDirections({ ...directions, [iri]: e.target.value })}
+                style={{ fontSize: 11 }}
+              >
+                {PATH_DIRECTIONS.map(direction => (
+                  <option key={direction} value={direction}>{DIRECTION_LABELS[direction]}</option>
+                ))}
+              </select>
+            </label>
+          ))}
+        </div>
+      </details>
+
+      <div style={{ display: "flex", alignItems: "center", gap: 4, marginTop: 6 }}>
+        <label>
+          Paths{" "}
+          <input
+            type="number"
+            min={1}
+            max={MAX_PATHS}
+            value={k}
+            onChange={e => setK(Math.max(1, Math.min(MAX_PATHS, Number(e.target.value) || 1)))}
+            style={{ width: 44 }}
+          />
+        </label>
+        <button onClick={handleFind} disabled={!from || !to || from === to} style={buttonStyle}>
+          Find paths
+        </button>
+        <button onClick={() => onSelect(null)} disabled={!selectedPath} style={buttonStyle}>
+          Clear
+        </button>
+      </div>
+
+      {query && !paths.length && (
+        <div style={{ marginTop: 6, color: "#555" }}>
+          No path from {formatIri(query.from)} to {formatIri(query.to)} over the allowed predicates.
+        </div>
+      )}
+      <ol style={{ margin: "6px 0 0", paddingLeft: 18 }}>
+        {paths.map(path => {
+          const key = pathKey(path);
+          return (
+            <li
+              key={key}
+              onClick={() => onSelect(key === selectedKey ? null : path)}
+              style={{
+                cursor: "pointer",
+                marginBottom: 4,
+                wordBreak: "break-word",
+                fontWeight: key === selectedKey ? 700 : 400
+              }}
+            >
+              {chain(path)} ({path.steps.length} {path.steps.length === 1 ? "step" : "steps"})
+            </li>
+          );
+        })}
+      </ol>
+      {selectedPath && (
+        <div style={{ marginTop: 6, padding: "6px", borderRadius: "4px", background: "#f5f5f5" }}>
+          {describe(selectedPath)}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PathFinderPanel;
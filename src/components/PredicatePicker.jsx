@@ -0,0 +1,57 @@
+import React, { useState } from "react";
+import { IriInput } from "./EditorPanel.jsx";
+
+const buttonStyle = {
+  fontSize: 12,
+  padding: "4px 8px",
+  borderRadius: "4px",
+  border: "1px solid #bbb",
+  background: "#fafafa",
+  cursor: "pointer"
+};
+
+// Asks for the predicate of an edge drawn between two nodes in edit mode.
+const PredicatePicker = ({ source, target, predicates, initialPredicate, formatIri, expandIri, onPick, onCancel }) => {
+  const [value, setValue] = useState(initialPredicate ? formatIri(initialPredicate) : "");
+  const pick = () => value.trim() && onPick(expandIri(value.trim()));
+
+  return (
+    <div
+      data-joyride-id="predicate-picker"
+      style={{
+        position: "absolute",
+        top: 10,
+        left: 10,
+        width: 300,
+        padding: "10px",
+        background: "#fff",
+        border: "1px solid #ccc",
+        borderRadius: "6px",
+        boxShadow: "0 2px 8px rgba(0,0,0,0.15)",
+        fontSize: 12,
+        zIndex: 5
+      }}
+    >
+      <div style={{ fontWeight: 600, marginBottom: 6, wordBreak: "break-all" }}>
+        {formatIri(source)} → {formatIri(target)}
+      </div>
+      <div style={{ display: "flex", gap: 4 }}>
+        <IriInput
+          id="predicate-picker-options"
+          value={value}
+          onChange={setValue}
+          options={predicates}
+          formatIri={formatIri}
+          placeholder="Predicate"
+          onEnter={pick}
+        />
+      </div>
+      <div style={{ display: "flex", gap: 4, marginTop: 8 }}>
+        <button onClick={pick} disabled={!value.trim()} style={buttonStyle}>Add edge</button>
+        <button onClick={onCancel} style={buttonStyle}>Cancel</button>
+      </div>
+    </div>
+  );
+};
+
+export default PredicatePicker;
@@ -0,0 +1,71 @@
+import React, { useState } from "react";
+
+const inputStyle = {
+  padding: "4px",
+  borderRadius: "4px",
+  border: "1px solid #bbb",
+  boxSizing: "border-box",
+  minWidth: 0
+};
+
+// Lists the prefixes used to compact IRIs into CURIEs and lets the user
+// add or remove them.
+const PrefixPanel = ({ prefixes, onChange }) => {
+  const [prefix, setPrefix] = useState("");
+  const [namespace, setNamespace] = useState("");
+
+  const handleAdd = e => {
+    e.preventDefault();
+    const name = prefix.trim().replace(/:$/, "");
+    if (!/^[A-Za-z][\w-]*$|^$/.test(name) || !namespace.trim()) return;
+    onChange({ ...prefixes, [name]: namespace.trim() });
+    setPrefix("");
+    setNamespace("");
+  };
+
+  const handleRemove = name => {
+    const next = { ...prefixes };
+    delete next[name];
+    onChange(next);
+  };
+
+  return (
+    <details style={{ fontSize: 12 }}>
+      <summary style={{ cursor: "pointer", fontWeight: 600 }}>
+        Prefixes ({Object.keys(prefixes).length})
+      </summary>
+      <ul style={{ listStyle: "none", padding: 0, margin: "4px 0" }}>
+        {Object.entries(prefixes)
+          .sort(([a], [b]) => a.localeCompare(b))
+          .map(([name, ns]) => (
+            <li key={name} style={{ display: "flex", gap: 4, alignItems: "baseline", wordBreak: "break-all" }}>
+              <b>{name}:</b>
+              <span style={{ flex: 1, color: "#555" }}>{ns}</span>
+              <button
+                onClick={() => handleRemove(name)}
+                title="Remove prefix"
+                style={{ border: "none", background: "none", cursor: "pointer", padding: 0, color: "#b71c1c" }}
+              >✕</button>
+            </li>
+          ))}
+      </ul>
+      <form onSubmit={handleAdd} style={{ display: "flex", gap: 4 }}>
+        <input
+          placeholder="prefix"
+          value={prefix}
+          onChange={e => setPrefix(e.target.value)}
+          style={{ ...inputStyle, width: "30%" }}
+        />
+        <input
+          placeholder="http://…"
+          value={namespace}
+          onChange={e => setNamespace(e.target.value)}
+          style={{ ...inputStyle, flex: 1 }}
+        />
+        <button type="submit" style={{ padding: "2px 6px", fontSize: 12 }}>Add</button>
+      </form>
+    </details>
+  );
+};
+
+export default PrefixPanel;
@@ -0,0 +1,125 @@
+import React, { useState } from "react";
+
+const inputStyle = {
+  width: "100%",
+  padding: "6px",
+  borderRadius: "4px",
+  border: "1px solid #bbb"
+};
+
+// Search field with a dropdown of ranked results. results come from
+// searchEntities; classStyleOf gives the style of an entity's class, whose
+// icon (or else color) marks the result. Arrow keys
+// step through the results, Enter or a click passes the highlighted one to
+// onPick and Escape closes the list.
+const SearchBox = ({ query, onQueryChange, results, total, formatIri, formatPredicate, classStyleOf, onPick }) => {
+  const [open, setOpen] = useState(false);
+  const [active, setActive] = useState(0);
+  const shown = open && query.trim() !== "";
+
+  const pick = result => {
+    setOpen(false);
+    setActive(0);
+    onPick(result.id);
+  };
+
+  const handleKeyDown = event => {
+    if (event.key === "ArrowDown" || event.key === "ArrowUp") {
+      event.preventDefault();
+      if (!results.length) return;
+      setOpen(true);
+      const step = event.key === "ArrowDown" ? 1 : -1;
+      setActive(index => (index + step + results.length) % results.length);
+    } else if (event.key === "Enter") {
+      event.preventDefault();
+      if (results[active]) pick(results[active]);
+    } else if (event.key === "Escape") {
+      setOpen(false);
+    }
+  };
+
+  return (
+    <div style={{ position: "relative" }}>
+      <input
+        type="text"
+        placeholder="Search names, labels and values..."
+        value={query}
+        role="combobox"
+        aria-expanded={shown}
+        aria-autocomplete="list"
+        onChange={e => {
+          onQueryChange(e.target.value);
+          setOpen(true);
+          setActive(0);
+        }}
+        onFocus={() => setOpen(true)}
+        onBlur={() => setOpen(false)}
+        onKeyDown={handleKeyDown}
+        style={inputStyle}
+      />
+      {shown && (
+        <div
+          role="listbox"
+          style={{
+            position: "absolute",
+            zIndex: 10,
+            left: 0,
+            right: 0,
+            marginTop: 2,
+            maxHeight: 280,
+            overflowY: "auto",
+            background: "#fff",
+            border: "1px solid #bbb",
+            borderRadius: "4px",
+            boxShadow: "0 2px 8px rgba(0,0,0,0.15)",
+            fontSize: 12
+          }}
+        >
+          {results.length === 0 && <div style={{ padding: "6px", color: "#666" }}>No matches.</div>}
+          {results.map((result, index) => (
+            <div
+              key={result.id}
+              role="option"
+              aria-selected={index === active}
+              // Picked on mousedown, before the input's blur closes the list.
+              onMouseDown={e => {
+                e.preventDefault();
+                pick(result);
+              }}
+              onMouseEnter={() => setActive(index)}
+              style={{
+                display: "flex",
+                gap: 6,
+                padding: "4px 6px",
+                cursor: "pointer",
+                background: index === active ? "#e3f2fd" : "transparent"
+              }}
+            >
+              <span style={{ width: 16, flexShrink: 0, textAlign: "center" }}>
+                {classStyleOf(result.id).icon || (
+                  <span style={{ display: "inline-block", width: 10, height: 10, borderRadius: "50%", background: classStyleOf(result.id).color }} />
+                )}
+              </span>
+              <span style={{ flex: 1, minWidth: 0, wordBreak: "break-all" }}>
+                {result.label || formatIri(result.id)}
+                {result.label && <span style={{ color: "#888" }}> {formatIri(result.id)}</span>}
+                {result.match.predicate && result.match.text !== result.label && (
+                  <div style={{ color: "#666", overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}>
+                    {formatPredicate(result.match.predicate)}: {result.match.text}
+                  </div>
+                )}
+              </span>
+            </div>
+          ))}
+          {total > results.length && (
+            <div style={{ padding: "4px 6px", color: "#666", borderTop: "1px solid #eee" }}>
+              {total - results.length} more; keep typing to narrow down.
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SearchBox;
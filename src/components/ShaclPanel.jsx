@@ -0,0 +1,113 @@
+import React, { useState } from "react";
+import { parseRdf, formatFromFileName, sniffFormat } from "../rdf/parse.js";
+import { parseShapes, describeViolation, SH } from "../rdf/shacl.js";
+
+const MAX_ENTRIES = 200;
+
+const SEVERITY_ICONS = {
+  [`${SH}Violation`]: "⛔",
+  [`${SH}Warning`]: "⚠️",
+  [`${SH}Info`]: "ℹ️"
+};
+
+// Loads a SHACL shapes graph and lists the validation report. Clicking an
+// entry hands its focus node to onSelectFocus.
+const ShaclPanel = ({ shapesSource, report, onShapesChange, onSelectFocus, formatTerm }) => {
+  const [error, setError] = useState("");
+
+  const handleFile = async file => {
+    if (!file) return;
+    try {
+      const text = await file.text();
+      const { quads } = parseRdf(text, formatFromFileName(file.name) || sniffFormat(text));
+      const { shapes, warnings } = parseShapes(quads);
+      if (!shapes.length) throw new Error("No shapes with targets and property constraints found");
+      onShapesChange({ name: file.name, shapes, warnings });
+      setError("");
+    } catch (err) {
+      setError(`${file.name}: ${err.message}`);
+    }
+  };
+
+  const violationCount = report.results.filter(r => r.severity === `${SH}Violation`).length;
+  const focusCount = new Set(report.results.map(r => r.focusKey)).size;
+
+  return (
+    <div style={{ fontSize: 12 }}>
+      <input
+        type="file"
+        accept=".ttl,.nt,.jsonld,.rdf"
+        onChange={e => {
+          handleFile(e.target.files[0]);
+          e.target.value = "";
+        }}
+        style={{ width: "100%", fontSize: 12, marginTop: 6 }}
+      />
+      <div style={{ marginTop: 4 }}>
+        {shapesSource.name} ({shapesSource.shapes.length} shapes)
+        {shapesSource.isDefault || (
+          <button
+            onClick={() => onShapesChange(null)}
+            style={{ marginLeft: 6, fontSize: 11, border: "1px solid #bbb", borderRadius: "4px", background: "#fafafa", cursor: "pointer" }}
+          >
+            Use built-in
+          </button>
+        )}
+      </div>
+      {shapesSource.warnings.map(warning => (
+        <div key={warning} style={{ color: "#8a6d00" }}>{warning}</div>
+      ))}
+      {error && (
+        <div style={{
+          marginTop: 6,
+          padding: "6px",
+          borderRadius: "4px",
+          background: "#fdecea",
+          color: "#b71c1c",
+          wordBreak: "break-word"
+        }}>
+          {error}
+        </div>
+      )}
+
+      <div style={{ marginTop: 6, fontWeight: 600, color: report.conforms ? "#2e7d32" : "#b71c1c" }}>
+        {report.results.length === 0
+          ? "✓ Data conforms to the shapes"
+          : `${violationCount} violations, ${report.results.length - violationCount} other results on ${focusCount} nodes`}
+      </div>
+      {report.results.length > 0 && (
+        <ul style={{ listStyle: "none", padding: 0, margin: "4px 0", maxHeight: 240, overflowY: "auto" }}>
+          {report.results.slice(0, MAX_ENTRIES).map((result, index) => (
+            <li key={index}>
+              <button
+                onClick={() => onSelectFocus(result.focusKey)}
+                title="Center this node"
+                style={{
+                  width: "100%",
+                  textAlign: "left",
+                  fontSize: 12,
+                  padding: "4px",
+                  marginBottom: 2,
+                  border: "1px solid #f0c2c2",
+                  borderRadius: "4px",
+                  background: "#fff",
+                  cursor: "pointer",
+                  wordBreak: "break-word"
+                }}
+              >
+                {SEVERITY_ICONS[result.severity] || "⛔"} <b>{formatTerm(result.focusNode)}</b>
+                <br />
+                {describeViolation(result, formatTerm)}
+              </button>
+            </li>
+          ))}
+          {report.results.length > MAX_ENTRIES && (
+            <li style={{ color: "#666" }}>…and {report.results.length - MAX_ENTRIES} more</li>
+          )}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default ShaclPanel;
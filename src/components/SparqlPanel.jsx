@@ -0,0 +1,185 @@
+import React, { useEffect, useState } from "react";
+import { executeQuery } from "../rdf/sparql.js";
+import { formatTerm } from "../rdf/prefixes.js";
+import { termToString } from "../rdf/terms.js";
+
+const EXAMPLE_QUERY = `SELECT ?person (COUNT(?skill) AS ?skills)
+WHERE {
+  ?person a ex:Person ;
+          ex:hasSkill ?skill .
+}
+GROUP BY ?person
+ORDER BY DESC(?skills)`;
+
+const MAX_ROWS = 500;
+
+const buttonStyle = {
+  fontSize: 12,
+  padding: "4px 10px",
+  borderRadius: "4px",
+  border: "1px solid #bbb",
+  background: "#fafafa",
+  cursor: "pointer"
+};
+
+const cellStyle = {
+  padding: "3px 6px",
+  borderBottom: "1px solid #eee",
+  textAlign: "left",
+  whiteSpace: "nowrap"
+};
+
+// SPARQL editor that runs SELECT, CONSTRUCT and ASK queries against the
+// loaded quads. CONSTRUCT results are handed to the graph; clicking a SELECT
+// row highlights the resources bound in that row.
+const SparqlPanel = ({ quads, prefixes, onConstruct, onHighlight }) => {
+  const [queryText, setQueryText] = useState(EXAMPLE_QUERY);
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState("");
+  const [selectedRow, setSelectedRow] = useState(null);
+
+  // Results refer to the previous dataset once new data is loaded.
+  useEffect(() => {
+    setResult(null);
+    setSelectedRow(null);
+  }, [quads]);
+
+  const runQuery = () => {
+    const started = performance.now();
+    try {
+      const output = executeQuery(quads, queryText, { prefixes });
+      setResult({ ...output, elapsed: Math.round(performance.now() - started) });
+      setError("");
+      setSelectedRow(null);
+      onHighlight(new Set());
+      onConstruct(output.type === "construct" ? output.quads : null);
+    } catch (err) {
+      setResult(null);
+      setError(err.message);
+    }
+  };
+
+  const handleClear = () => {
+    setResult(null);
+    setError("");
+    setSelectedRow(null);
+    onHighlight(new Set());
+    onConstruct(null);
+  };
+
+  const handleRowClick = (row, index) => {
+    if (selectedRow === index) {
+      setSelectedRow(null);
+      onHighlight(new Set());
+      return;
+    }
+    setSelectedRow(index);
+    onHighlight(new Set(
+      Object.values(row)
+        .filter(term => term.termType !== "Literal")
+        .map(termToString)
+    ));
+  };
+
+  return (
+    <section data-joyride-id="sparql-panel" style={{ width: 1200, marginTop: 16, fontSize: 12 }}>
+      <h4 style={{ margin: "0 0 6px 0" }}>SPARQL Query</h4>
+      <textarea
+        value={queryText}
+        onChange={e => setQueryText(e.target.value)}
+        onKeyDown={e => {
+          if (e.key === "Enter" && (e.ctrlKey || e.metaKey)) {
+            e.preventDefault();
+            runQuery();
+          }
+        }}
+        spellCheck={false}
+        rows={8}
+        style={{
+          width: "100%",
+          boxSizing: "border-box",
+          fontFamily: "monospace",
+          fontSize: 13,
+          padding: "6px",
+          borderRadius: "4px",
+          border: "1px solid #bbb"
+        }}
+      />
+      <div style={{ display: "flex", gap: 8, alignItems: "center", marginTop: 6 }}>
+        <button
+          onClick={runQuery}
+          style={{ ...buttonStyle, background: "#1976d2", borderColor: "#1976d2", color: "#fff", fontWeight: 600 }}
+          title="Run query (Ctrl+Enter)"
+        >
+          Run
+        </button>
+        <button onClick={handleClear} style={buttonStyle}>Clear result</button>
+        <span style={{ color: "#666" }}>
+          Prefixes from the Prefixes list are available without PREFIX declarations.
+        </span>
+      </div>
+
+      {error && (
+        <div style={{
+          marginTop: 6,
+          padding: "6px",
+          borderRadius: "4px",
+          background: "#fdecea",
+          color: "#b71c1c",
+          wordBreak: "break-word"
+        }}>
+          {error}
+        </div>
+      )}
+
+      {result && result.type === "ask" && (
+        <div style={{ marginTop: 6 }}>
+          ASK → <b>{result.boolean ? "true" : "false"}</b> ({result.elapsed} ms)
+        </div>
+      )}
+
+      {result && result.type === "construct" && (
+        <div style={{ marginTop: 6 }}>
+          CONSTRUCT produced {result.quads.length} triples ({result.elapsed} ms); the graph now shows this result.
+        </div>
+      )}
+
+      {result && result.type === "select" && (
+        <div style={{ marginTop: 6 }}>
+          <div style={{ marginBottom: 4 }}>
+            {result.bindings.length} rows ({result.elapsed} ms)
+            {result.bindings.length > MAX_ROWS && `, showing the first ${MAX_ROWS}`}
+          </div>
+          <div style={{ maxHeight: 300, overflow: "auto", background: "#fff", border: "1px solid #e0e0e0", borderRadius: "4px" }}>
+            <table style={{ borderCollapse: "collapse", width: "100%" }}>
+              <thead>
+                <tr>
+                  {result.variables.map(name => (
+                    <th key={name} style={{ ...cellStyle, background: "#f0f4f8", position: "sticky", top: 0 }}>?{name}</th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {result.bindings.slice(0, MAX_ROWS).map((row, index) => (
+                  <tr
+                    key={index}
+                    onClick={() => handleRowClick(row, index)}
+                    style={{ cursor: "pointer", background: selectedRow === index ? "#fff3e0" : undefined }}
+                  >
+                    {result.variables.map(name => (
+                      <td key={name} style={cellStyle} title={row[name] ? formatTerm(row[name], prefixes) : ""}>
+                        {row[name] && (row[name].termType === "Literal" ? row[name].value : formatTerm(row[name], prefixes))}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </section>
+  );
+};
+
+export default SparqlPanel;
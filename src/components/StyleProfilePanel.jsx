@@ -0,0 +1,203 @@
+import React, { useState } from "react";
+import { UNTYPED, parseProfile } from "../graph/styleProfile.js";
+
+const inputStyle = {
+  flex: 1,
+  minWidth: 0,
+  padding: "4px",
+  borderRadius: "4px",
+  border: "1px solid #bbb",
+  boxSizing: "border-box",
+  fontSize: 12
+};
+
+const buttonStyle = {
+  fontSize: 12,
+  padding: "4px 8px",
+  borderRadius: "4px",
+  border: "1px solid #bbb",
+  background: "#fafafa",
+  cursor: "pointer"
+};
+
+const rowStyle = { display: "flex", gap: 4, marginTop: 4, alignItems: "center" };
+
+const EntryEditor = ({ kind, iri, style, moduleNames, formatIri, onSave, onCancel }) => {
+  const [form, setForm] = useState({
+    label: style.label || "",
+    color: style.color || "",
+    icon: style.icon,
+    size: kind === "classes" ? String(style.size) : "",
+    dash: kind === "predicates" && style.dash ? style.dash.join(" ") : "",
+    explanation: style.explanation,
+    modules: moduleNames.join(", ")
+  });
+  const field = name => ({
+    value: form[name],
+    onChange: e => setForm({ ...form, [name]: e.target.value }),
+    style: inputStyle
+  });
+  const save = () => {
+    const { modules, ...entry } = form;
+    onSave(entry, modules.split(",").map(name => name.trim()).filter(name => name && name !== "All"));
+  };
+
+  return (
+    <div style={{ marginTop: 8, padding: "6px", borderRadius: "4px", background: "#f5f5f5" }}>
+      <div style={{ fontWeight: 600, wordBreak: "break-all" }}>{formatIri(iri)}</div>
+      <div style={rowStyle}>
+        <input placeholder="Label" {...field("label")} />
+        <input placeholder="Icon" {...field("icon")} style={{ ...inputStyle, flex: "0 0 48px" }} />
+      </div>
+      <div style={rowStyle}>
+        <input placeholder="Color" {...field("color")} />
+        <input
+          type="color"
+          value={/^#[0-9a-f]{6}$/i.test(form.color) ? form.color : "#aaaaaa"}
+          onChange={e => setForm({ ...form, color: e.target.value })}
+          style={{ width: 32, height: 24, padding: 0, border: "none" }}
+        />
+        {kind === "classes"
+          ? <input type="number" min="1" title="Node radius" placeholder="Size" {...field("size")} style={{ ...inputStyle, flex: "0 0 56px" }} />
+          : <input title="Dash pattern, e.g. 6 4" placeholder="Dash" {...field("dash")} style={{ ...inputStyle, flex: "0 0 56px" }} />}
+      </div>
+      <div style={rowStyle}>
+        <textarea placeholder="Explanation" rows={2} {...field("explanation")} style={{ ...inputStyle, resize: "vertical" }} />
+      </div>
+      <div style={rowStyle}>
+        <input placeholder="Modules, comma separated" {...field("modules")} />
+      </div>
+      <div style={rowStyle}>
+        <button onClick={save} style={buttonStyle}>Save</button>
+        <button onClick={onCancel} style={buttonStyle}>Cancel</button>
+      </div>
+    </div>
+  );
+};
+
+// Legend for the classes and predicates in the current view, with an editor
+// for their styles. Edits, loaded files and resets go to the callbacks as
+// profile changes; styles is the resolver for the profile in use.
+const StyleProfilePanel = ({
+  legend,
+  styles,
+  modules,
+  prefixes,
+  formatIri,
+  onEntryChange,
+  onProfileLoad,
+  onDownload,
+  onReset
+}) => {
+  const [editing, setEditing] = useState(null);
+  const [error, setError] = useState("");
+
+  const handleFile = async file => {
+    if (!file) return;
+    try {
+      onProfileLoad(parseProfile(await file.text(), prefixes));
+      setEditing(null);
+      setError("");
+    } catch (err) {
+      setError(`${file.name}: ${err.message}`);
+    }
+  };
+
+  const moduleNamesOf = iri => Object.keys(modules).filter(name => modules[name].includes(iri));
+  const row = (kind, { iri, count }) => {
+    const style = kind === "classes" ? styles.classStyle(iri) : styles.predicateStyle(iri);
+    const active = editing && editing.kind === kind && editing.iri === iri;
+    return (
+      <li
+        key={iri}
+        onClick={() => iri !== UNTYPED && setEditing({ kind, iri })}
+        title={style.explanation || (iri === UNTYPED ? undefined : "Click to edit the style")}
+        style={{
+          display: "flex",
+          gap: 6,
+          alignItems: "center",
+          padding: "1px 2px",
+          cursor: iri === UNTYPED ? "default" : "pointer",
+          background: active ? "#fff8e1" : "transparent"
+        }}
+      >
+        {kind === "classes"
+          ? <span style={{ width: 12, height: 12, borderRadius: "50%", background: style.color, flex: "none" }} />
+          : (
+            <svg width="24" height="8" style={{ flex: "none" }}>
+              <line
+                x1="0" y1="4" x2="24" y2="4"
+                stroke={style.color || "#aaa"}
+                strokeWidth="3"
+                strokeDasharray={style.dash ? style.dash.join(" ") : undefined}
+              />
+            </svg>
+          )}
+        <span style={{ flex: 1, wordBreak: "break-all" }}>
+          {style.icon} {style.label || formatIri(iri)}
+        </span>
+        <span style={{ color: "#666" }}>{count}</span>
+      </li>
+    );
+  };
+
+  return (
+    <div style={{ fontSize: 12 }}>
+      <div style={{ fontWeight: 600, marginTop: 4 }}>Classes</div>
+      <ul style={{ listStyle: "none", padding: 0, margin: "2px 0", maxHeight: 160, overflowY: "auto" }}>
+        {legend.classes.map(entry => row("classes", entry))}
+      </ul>
+      <div style={{ fontWeight: 600, marginTop: 4 }}>Predicates</div>
+      <ul style={{ listStyle: "none", padding: 0, margin: "2px 0", maxHeight: 160, overflowY: "auto" }}>
+        {legend.predicates.map(entry => row("predicates", entry))}
+      </ul>
+
+      {editing && (
+        <EntryEditor
+          key={`${editing.kind} ${editing.iri}`}
+          kind={editing.kind}
+          iri={editing.iri}
+          style={editing.kind === "classes" ? styles.classStyle(editing.iri) : styles.predicateStyle(editing.iri)}
+          moduleNames={moduleNamesOf(editing.iri)}
+          formatIri={formatIri}
+          onSave={(entry, moduleNames) => {
+            onEntryChange(editing.kind, editing.iri, entry, moduleNames);
+            setEditing(null);
+          }}
+          onCancel={() => setEditing(null)}
+        />
+      )}
+
+      <div style={{ marginTop: 8 }}>Load a style profile (JSON)</div>
+      <input
+        type="file"
+        accept=".json"
+        onChange={e => {
+          handleFile(e.target.files[0]);
+          e.target.value = "";
+        }}
+        style={{ width: "100%", fontSize: 12, marginTop: 2 }}
+      />
+      <div style={rowStyle}>
+        <button onClick={onDownload} title="The profile in use, including what the data defines" style={buttonStyle}>
+          Download profile
+        </button>
+        <button onClick={onReset} title="Go back to the built-in profile" style={buttonStyle}>Reset</button>
+      </div>
+      {error && (
+        <div style={{
+          marginTop: 6,
+          padding: "6px",
+          borderRadius: "4px",
+          background: "#fdecea",
+          color: "#b71c1c",
+          wordBreak: "break-word"
+        }}>
+          {error}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default StyleProfilePanel;
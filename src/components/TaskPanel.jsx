@@ -0,0 +1,358 @@
+import React, { useId, useMemo, useState } from "react";
+import {
+  parameterOptions,
+  parseTaskLibrary,
+  runTask,
+  taskLabel,
+  taskParameters,
+  validateTask
+} from "../workspace/taskLibrary.js";
+
+const inputStyle = {
+  flex: 1,
+  minWidth: 0,
+  padding: "4px",
+  borderRadius: "4px",
+  border: "1px solid #bbb",
+  boxSizing: "border-box",
+  fontSize: 12
+};
+
+const buttonStyle = {
+  fontSize: 12,
+  padding: "4px 8px",
+  borderRadius: "4px",
+  border: "1px solid #bbb",
+  background: "#fafafa",
+  cursor: "pointer"
+};
+
+const linkStyle = {
+  border: "none",
+  background: "none",
+  padding: 0,
+  color: "#1565c0",
+  cursor: "pointer",
+  textAlign: "left",
+  fontSize: 12,
+  wordBreak: "break-all"
+};
+
+const rowStyle = { display: "flex", gap: 4, marginTop: 4, alignItems: "center" };
+
+const errorStyle = {
+  marginTop: 6,
+  padding: "6px",
+  borderRadius: "4px",
+  background: "#fdecea",
+  color: "#b71c1c",
+  wordBreak: "break-word"
+};
+
+// Matched nodes listed before "Show all".
+const MAX_MATCHES = 30;
+
+const newTask = () => ({
+  id: `task-${Date.now()}`,
+  title: "",
+  kind: "patterns",
+  patterns: [["", "", ""]],
+  query: "SELECT * WHERE {\n  \n}",
+  params: {}
+});
+
+// Form for a task's title, triple patterns or SPARQL query and parameter
+// classes. termOptions are the CURIEs suggested in pattern fields.
+const TaskEditor = ({ task, classOptions, termOptions, formatIri, onSave, onCancel }) => {
+  const [draft, setDraft] = useState(() => ({ ...newTask(), ...task }));
+  const listId = useId();
+  const problems = validateTask(draft);
+  const variables = Array.from(new Set(draft.patterns.flat().filter(term => term.startsWith("?"))));
+
+  const setPattern = (index, position, value) => setDraft({
+    ...draft,
+    patterns: draft.patterns.map((pattern, i) => (i === index ? pattern.map((term, j) => (j === position ? value : term)) : pattern))
+  });
+  const setParamClass = (name, cls) => {
+    const params = { ...draft.params };
+    if (cls) params[name] = { class: cls };
+    else delete params[name];
+    setDraft({ ...draft, params });
+  };
+  // Only the form of the chosen kind is saved.
+  const save = () => {
+    const { query, patterns, ...rest } = draft;
+    const names = taskParameters(draft);
+    const params = Object.fromEntries(Object.entries(draft.params).filter(([name]) => names.includes(name)));
+    onSave({ ...rest, ...(draft.kind === "sparql" ? { query } : { patterns }), params });
+  };
+
+  return (
+    <div style={{ marginTop: 8, padding: "6px", borderRadius: "4px", background: "#f5f5f5" }}>
+      <div style={rowStyle}>
+        <input
+          placeholder="Question, e.g. Who has skill {?skill}?"
+          value={draft.title}
+          onChange={e => setDraft({ ...draft, title: e.target.value })}
+          style={inputStyle}
+        />
+      </div>
+      <div style={{ color: "#666", marginTop: 2 }}>Each {"{?name}"} in the title is a parameter binding ?name.</div>
+      <div style={rowStyle}>
+        {[["patterns", "Triple patterns"], ["sparql", "SPARQL"]].map(([kind, label]) => (
+          <label key={kind}>
+            <input type="radio" checked={draft.kind === kind} onChange={() => setDraft({ ...draft, kind })} /> {label}
+          </label>
+        ))}
+      </div>
+
+      {draft.kind === "patterns" ? (
+        <>
+          <datalist id={listId}>
+            {[...variables, "a", ...termOptions].map(term => <option key={term} value={term} />)}
+          </datalist>
+          {draft.patterns.map((pattern, index) => (
+            <div key={index} style={rowStyle}>
+              {["Subject", "Predicate", "Object"].map((placeholder, position) => (
+                <input
+                  key={placeholder}
+                  list={listId}
+                  placeholder={placeholder}
+                  value={pattern[position]}
+                  onChange={e => setPattern(index, position, e.target.value)}
+                  style={inputStyle}
+                />
+              ))}
+              <button
+                onClick={() => setDraft({ ...draft, patterns: draft.patterns.filter((_, i) => i !== index) })}
+                title="Remove this pattern"
+                style={{ ...buttonStyle, padding: "2px 6px" }}
+              >
+                ×
+              </button>
+            </div>
+          ))}
+          <div style={rowStyle}>
+            <button onClick={() => setDraft({ ...draft, patterns: [...draft.patterns, ["", "", ""]] })} style={buttonStyle}>
+              Add pattern
+            </button>
+          </div>
+          <div style={{ color: "#666", marginTop: 2 }}>Use ?variables, CURIEs, IRIs or "quoted" literals.</div>
+        </>
+      ) : (
+        <div style={rowStyle}>
+          <textarea
+            rows={6}
+            value={draft.query}
+            onChange={e => setDraft({ ...draft, query: e.target.value })}
+            spellCheck={false}
+            style={{ ...inputStyle, fontFamily: "monospace", resize: "vertical" }}
+          />
+        </div>
+      )}
+
+      {taskParameters(draft).map(name => (
+        <div key={name} style={rowStyle}>
+          <span style={{ flex: "0 0 auto" }}>?{name} from</span>
+          <select
+            value={(draft.params[name] && draft.params[name].class) || ""}
+            onChange={e => setParamClass(name, e.target.value)}
+            style={inputStyle}
+          >
+            <option value="">Values the query finds</option>
+            {classOptions.map(cls => <option key={cls} value={formatIri(cls)}>Instances of {formatIri(cls)}</option>)}
+          </select>
+        </div>
+      ))}
+
+      {problems.length > 0 && (
+        <ul style={{ margin: "6px 0 0", paddingLeft: 18, color: "#b71c1c" }}>
+          {problems.map(problem => <li key={problem}>{problem}</li>)}
+        </ul>
+      )}
+      <div style={rowStyle}>
+        <button onClick={save} disabled={problems.length > 0} style={buttonStyle}>Save</button>
+        <button onClick={onCancel} style={buttonStyle}>Cancel</button>
+      </div>
+    </div>
+  );
+};
+
+// Parameterized questions answered over the loaded quads, with a builder
+// for new ones and a JSON library to import and export. Parameters offer
+// the values the data holds for them. A run goes to onResult as { title,
+// triples, explanations, rows } from runTask, or null when cleared; result
+// is the one shown, and each matched node lists why it matched. Clicking
+// a node passes it to onPick.
+const TaskPanel = ({
+  tasks,
+  quads,
+  prefixes,
+  entityOptions,
+  predicateOptions,
+  classOptions,
+  result,
+  formatIri,
+  formatTerm,
+  labelOf,
+  onResult,
+  onPick,
+  onTasksChange,
+  onImport,
+  onExport,
+  onReset
+}) => {
+  const [selectedId, setSelectedId] = useState("");
+  const [values, setValues] = useState({});
+  // The task being edited, or "new".
+  const [editing, setEditing] = useState(null);
+  const [showAll, setShowAll] = useState(false);
+  const [error, setError] = useState("");
+
+  const task = tasks.find(t => t.id === selectedId) || tasks[0];
+  const options = useMemo(() => {
+    if (!task) return {};
+    return Object.fromEntries(taskParameters(task).map(name =>
+      [name, parameterOptions(quads, task, name, { prefixes }) || entityOptions]));
+  }, [task, quads, prefixes, entityOptions]);
+  const termOptions = useMemo(
+    () => Array.from(new Set([...predicateOptions, ...entityOptions].map(formatIri))),
+    [predicateOptions, entityOptions, formatIri]
+  );
+
+  const selectTask = id => {
+    setSelectedId(id);
+    setValues({});
+    setError("");
+  };
+  const run = () => {
+    const chosen = Object.fromEntries(Object.entries(values).filter(([, id]) => id));
+    try {
+      onResult({ title: taskLabel(task, chosen, labelOf), ...runTask(quads, task, chosen, { prefixes }) });
+      setShowAll(false);
+      setError("");
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+  const handleFile = async file => {
+    if (!file) return;
+    try {
+      onImport(parseTaskLibrary(await file.text()));
+      setError("");
+    } catch (err) {
+      setError(`${file.name}: ${err.message}`);
+    }
+  };
+  const describeReason = reason => (reason.triple
+    ? reason.triple.map(formatIri).join(" ")
+    : reason.binding.map(([name, term]) => `?${name} = ${formatTerm(term)}`).join(", "));
+
+  const matches = result ? Array.from(result.explanations) : [];
+  const shownMatches = showAll ? matches : matches.slice(0, MAX_MATCHES);
+
+  return (
+    <div style={{ fontSize: 12 }}>
+      {task && (
+        <>
+          <div style={rowStyle}>
+            <select value={task.id} onChange={e => selectTask(e.target.value)} style={inputStyle}>
+              {tasks.map(t => <option key={t.id} value={t.id}>{t.title}</option>)}
+            </select>
+          </div>
+          {taskParameters(task).map(name => (
+            <div key={name} style={rowStyle}>
+              <span style={{ flex: "0 0 auto" }}>?{name}</span>
+              <select
+                value={values[name] || ""}
+                onChange={e => setValues({ ...values, [name]: e.target.value })}
+                style={inputStyle}
+              >
+                <option value="">Any</option>
+                {options[name].map(id => <option key={id} value={id}>{labelOf(id)}</option>)}
+              </select>
+            </div>
+          ))}
+          <div style={rowStyle}>
+            <button onClick={run} style={{ ...buttonStyle, fontWeight: 500 }}>Run</button>
+            <button onClick={() => onResult(null)} disabled={!result} style={buttonStyle}>Reset View</button>
+            <button onClick={() => setEditing(task)} style={buttonStyle}>Edit</button>
+            <button
+              onClick={() => {
+                onTasksChange(tasks.filter(t => t.id !== task.id));
+                selectTask("");
+              }}
+              style={buttonStyle}
+            >
+              Delete
+            </button>
+          </div>
+        </>
+      )}
+      {!tasks.length && <div style={{ color: "#666" }}>No tasks in the library.</div>}
+
+      {result && (
+        <div style={{ marginTop: 8 }}>
+          <div style={{ fontWeight: 600 }}>{result.title}</div>
+          <div style={{ color: "#666" }}>
+            {result.rows} {result.rows === 1 ? "answer" : "answers"}, {matches.length} matched {matches.length === 1 ? "node" : "nodes"}
+          </div>
+          <ul style={{ listStyle: "none", padding: 0, margin: "4px 0", maxHeight: 240, overflowY: "auto" }}>
+            {shownMatches.map(([id, reasons]) => (
+              <li key={id} style={{ marginBottom: 4 }}>
+                <button onClick={() => onPick(id)} title={formatIri(id)} style={linkStyle}>{labelOf(id)}</button>
+                {reasons.map((reason, index) => (
+                  <div key={index} style={{ color: "#555", paddingLeft: 12, wordBreak: "break-all" }}>
+                    {reason.triple ? "matched " : "bound in "}{describeReason(reason)}
+                  </div>
+                ))}
+              </li>
+            ))}
+          </ul>
+          {shownMatches.length < matches.length && (
+            <button onClick={() => setShowAll(true)} style={{ ...linkStyle, color: "#555" }}>Show all {matches.length}</button>
+          )}
+        </div>
+      )}
+
+      {editing ? (
+        <TaskEditor
+          key={editing === "new" ? "new" : editing.id}
+          task={editing === "new" ? newTask() : editing}
+          classOptions={classOptions}
+          termOptions={termOptions}
+          formatIri={formatIri}
+          onSave={saved => {
+            const exists = tasks.some(t => t.id === saved.id);
+            onTasksChange(exists ? tasks.map(t => (t.id === saved.id ? saved : t)) : [...tasks, saved]);
+            selectTask(saved.id);
+            setEditing(null);
+          }}
+          onCancel={() => setEditing(null)}
+        />
+      ) : (
+        <div style={rowStyle}>
+          <button onClick={() => setEditing("new")} style={buttonStyle}>New task</button>
+        </div>
+      )}
+
+      <div style={{ marginTop: 8 }}>Import a task library (JSON)</div>
+      <input
+        type="file"
+        accept=".json"
+        onChange={e => {
+          handleFile(e.target.files[0]);
+          e.target.value = "";
+        }}
+        style={{ width: "100%", fontSize: 12, marginTop: 2 }}
+      />
+      <div style={rowStyle}>
+        <button onClick={onExport} disabled={!tasks.length} style={buttonStyle}>Export library</button>
+        <button onClick={onReset} title="Go back to the built-in tasks" style={buttonStyle}>Reset</button>
+      </div>
+      {error && <div style={errorStyle}>{error}</div>}
+    </div>
+  );
+};
+
+export default TaskPanel;
@@ -0,0 +1,122 @@
+import React, { useEffect, useState } from "react";
+import { deleteWorkspace, listWorkspaces, loadWorkspace, saveWorkspace } from "../workspace/workspaceStore.js";
+
+const inputStyle = {
+  flex: 1,
+  minWidth: 0,
+  padding: "4px",
+  borderRadius: "4px",
+  border: "1px solid #bbb",
+  boxSizing: "border-box",
+  fontSize: 12
+};
+
+const buttonStyle = {
+  fontSize: 12,
+  padding: "4px 8px",
+  borderRadius: "4px",
+  border: "1px solid #bbb",
+  background: "#fafafa",
+  cursor: "pointer"
+};
+
+// Saves the current dataset and view as a named workspace and reopens saved
+// ones. getSnapshot() returns everything but the name; onOpen receives the
+// stored workspace.
+const WorkspacePanel = ({ getSnapshot, onOpen }) => {
+  const [name, setName] = useState("");
+  const [workspaces, setWorkspaces] = useState([]);
+  const [status, setStatus] = useState("");
+  const [error, setError] = useState("");
+
+  const run = async task => {
+    try {
+      setError("");
+      setStatus(await task());
+      setWorkspaces(await listWorkspaces());
+    } catch (err) {
+      setStatus("");
+      setError(err.message);
+    }
+  };
+
+  useEffect(() => {
+    listWorkspaces().then(setWorkspaces, err => setError(err.message));
+  }, []);
+
+  const handleSave = () => run(async () => {
+    const trimmed = name.trim();
+    if (workspaces.some(w => w.name === trimmed) && !window.confirm(`Replace the workspace "${trimmed}"?`)) return "";
+    await saveWorkspace({ name: trimmed, ...getSnapshot() });
+    return `Saved "${trimmed}"`;
+  });
+
+  const handleOpen = workspaceName => run(async () => {
+    const workspace = await loadWorkspace(workspaceName);
+    if (!workspace) throw new Error(`The workspace "${workspaceName}" no longer exists`);
+    onOpen(workspace);
+    setName(workspaceName);
+    return `Opened "${workspaceName}"`;
+  });
+
+  const handleDelete = workspaceName => run(async () => {
+    if (!window.confirm(`Delete the workspace "${workspaceName}"?`)) return "";
+    await deleteWorkspace(workspaceName);
+    return `Deleted "${workspaceName}"`;
+  });
+
+  const handleCopyLink = () => run(async () => {
+    await navigator.clipboard.writeText(window.location.href);
+    return "Copied a link to this view";
+  });
+
+  return (
+    <div style={{ fontSize: 12, marginTop: 6 }}>
+      <div style={{ display: "flex", gap: 4 }}>
+        <input
+          value={name}
+          onChange={e => setName(e.target.value)}
+          onKeyDown={e => e.key === "Enter" && name.trim() && handleSave()}
+          placeholder="Workspace name"
+          style={inputStyle}
+        />
+        <button onClick={handleSave} disabled={!name.trim()} style={buttonStyle}>Save</button>
+      </div>
+      <button
+        onClick={handleCopyLink}
+        title="The link keeps the filters, search, level and Described Entity"
+        style={{ ...buttonStyle, marginTop: 4, width: "100%" }}
+      >
+        Copy link to this view
+      </button>
+      {workspaces.length > 0 && (
+        <ul style={{ listStyle: "none", padding: 0, margin: "6px 0 0" }}>
+          {workspaces.map(w => (
+            <li key={w.name} style={{ display: "flex", alignItems: "center", gap: 4, marginBottom: 2 }}>
+              <span style={{ flex: 1, wordBreak: "break-all" }} title={`${w.dataSourceName}, saved ${new Date(w.savedAt).toLocaleString()}`}>
+                {w.name} <span style={{ color: "#666" }}>({w.tripleCount} triples)</span>
+              </span>
+              <button onClick={() => handleOpen(w.name)} style={buttonStyle}>Open</button>
+              <button onClick={() => handleDelete(w.name)} title="Delete" style={buttonStyle}>×</button>
+            </li>
+          ))}
+        </ul>
+      )}
+      {status && <div style={{ color: "#333", marginTop: 4 }}>{status}</div>}
+      {error && (
+        <div style={{
+          marginTop: 6,
+          padding: "6px",
+          borderRadius: "4px",
+          background: "#fdecea",
+          color: "#b71c1c",
+          wordBreak: "break-word"
+        }}>
+          {error}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default WorkspacePanel;
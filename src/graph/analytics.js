@@ -0,0 +1,328 @@
+import * as d3 from "d3";
+
+// --- Graph Analytics ---
+// Metrics over id triples ([subject, predicate, object]): degrees count
+// triples, betweenness and components treat links as undirected, PageRank
+// follows their direction, and communities come from the Louvain method on
+// the undirected graph weighted by the number of triples between two nodes.
+
+export const METRICS = {
+  degree: { label: "Degree" },
+  inDegree: { label: "In-degree" },
+  outDegree: { label: "Out-degree" },
+  betweenness: { label: "Betweenness" },
+  pagerank: { label: "PageRank" },
+  component: { label: "Component", categorical: true },
+  community: { label: "Community", categorical: true }
+};
+
+// Exact betweenness visits every node as a source; larger graphs use this
+// many evenly spread sources and scale the result.
+const BETWEENNESS_SOURCES = 200;
+const EXACT_BETWEENNESS_LIMIT = 2000;
+const DAMPING = 0.85;
+const PAGERANK_ITERATIONS = 100;
+const PAGERANK_TOLERANCE = 1e-8;
+
+// Brandes' algorithm, normalized to [0, 1].
+function betweenness(n, neighbours) {
+  const scores = new Float64Array(n);
+  const sampled = n > EXACT_BETWEENNESS_LIMIT;
+  const step = sampled ? n / BETWEENNESS_SOURCES : 1;
+  const sources = sampled ? d3.range(BETWEENNESS_SOURCES).map(i => Math.floor(i * step)) : d3.range(n);
+  sources.forEach(s => {
+    const stack = [];
+    const predecessors = Array.from({ length: n }, () => []);
+    const paths = new Float64Array(n);
+    const distance = new Int32Array(n).fill(-1);
+    paths[s] = 1;
+    distance[s] = 0;
+    const queue = [s];
+    for (let i = 0; i < queue.length; i++) {
+      const v = queue[i];
+      stack.push(v);
+      neighbours[v].forEach(w => {
+        if (distance[w] < 0) {
+          distance[w] = distance[v] + 1;
+          queue.push(w);
+        }
+        if (distance[w] === distance[v] + 1) {
+          paths[w] += paths[v];
+          predecessors[w].push(v);
+        }
+      });
+    }
+    const dependency = new Float64Array(n);
+    while (stack.length) {
+      const w = stack.pop();
+      predecessors[w].forEach(v => {
+        dependency[v] += (paths[v] / paths[w]) * (1 + dependency[w]);
+      });
+      if (w !== s) scores[w] += dependency[w];
+    }
+  });
+  // Undirected pairs are counted from both ends.
+  const pairs = ((n - 1) * (n - 2)) / 2;
+  const scale = (sampled ? step : 1) / 2 / (pairs || 1);
+  return { scores: Array.from(scores, score => score * scale), sampled };
+}
+
+function pagerank(n, outgoing) {
+  let ranks = new Float64Array(n).fill(1 / n);
+  for (let iteration = 0; iteration < PAGERANK_ITERATIONS; iteration++) {
+    const next = new Float64Array(n);
+    let dangling = 0;
+    outgoing.forEach((targets, v) => {
+      if (!targets.length) dangling += ranks[v];
+      else targets.forEach(w => { next[w] += (DAMPING * ranks[v]) / targets.length; });
+    });
+    const base = (1 - DAMPING) / n + (DAMPING * dangling) / n;
+    let change = 0;
+    for (let v = 0; v < n; v++) {
+      next[v] += base;
+      change += Math.abs(next[v] - ranks[v]);
+    }
+    ranks = next;
+    if (change < PAGERANK_TOLERANCE) break;
+  }
+  return Array.from(ranks);
+}
+
+// Connected components, the largest numbered 1.
+function components(n, neighbours) {
+  const component = new Int32Array(n).fill(-1);
+  const sizes = [];
+  for (let start = 0; start < n; start++) {
+    if (component[start] >= 0) continue;
+    const index = sizes.length;
+    const stack = [start];
+    component[start] = index;
+    let size = 0;
+    while (stack.length) {
+      const v = stack.pop();
+      size++;
+      neighbours[v].forEach(w => {
+        if (component[w] < 0) {
+          component[w] = index;
+          stack.push(w);
+        }
+      });
+    }
+    sizes.push(size);
+  }
+  return renumberBySize(Array.from(component));
+}
+
+// Relabels groups 1, 2, ... from the largest down; ties keep their order.
+function renumberBySize(groups) {
+  const sizes = d3.rollup(groups, v => v.length, group => group);
+  const order = Array.from(sizes.keys()).sort((a, b) => sizes.get(b) - sizes.get(a) || a - b);
+  const label = new Map(order.map((group, i) => [group, i + 1]));
+  return groups.map(group => label.get(group));
+}
+
+// --- Louvain ---
+// Moves nodes to the neighbouring community with the best modularity gain
+// until nothing moves, then merges each community into one node and starts
+// over on the smaller graph. Nodes are visited in a fixed order, so the
+// result does not change between runs.
+function louvainPass({ n, adjacency, selfWeights }) {
+  const degrees = adjacency.map((links, v) => d3.sum(links.values()) + 2 * selfWeights[v]);
+  const total = d3.sum(degrees);
+  const community = d3.range(n);
+  const totals = [...degrees];
+  let moved = false;
+  let changed = true;
+  while (changed && total) {
+    changed = false;
+    for (let v = 0; v < n; v++) {
+      const own = community[v];
+      const weights = new Map();
+      adjacency[v].forEach((weight, w) => weights.set(community[w], (weights.get(community[w]) || 0) + weight));
+      totals[own] -= degrees[v];
+      let best = own;
+      let bestGain = (weights.get(own) || 0) - (totals[own] * degrees[v]) / total;
+      weights.forEach((weight, candidate) => {
+        const gain = weight - (totals[candidate] * degrees[v]) / total;
+        if (gain > bestGain + 1e-12) {
+          best = candidate;
+          bestGain = gain;
+        }
+      });
+      totals[best] += degrees[v];
+      if (best !== own) {
+        community[v] = best;
+        moved = true;
+        changed = true;
+      }
+    }
+  }
+  return { community, moved };
+}
+
+function aggregate({ n, adjacency, selfWeights }, community, count) {
+  const merged = {
+    n: count,
+    adjacency: Array.from({ length: count }, () => new Map()),
+    selfWeights: new Array(count).fill(0)
+  };
+  for (let v = 0; v < n; v++) {
+    const c = community[v];
+    merged.selfWeights[c] += selfWeights[v];
+    adjacency[v].forEach((weight, w) => {
+      const d = community[w];
+      // Links inside a community are seen from both ends.
+      if (c === d) merged.selfWeights[c] += weight / 2;
+      else merged.adjacency[c].set(d, (merged.adjacency[c].get(d) || 0) + weight);
+    });
+  }
+  return merged;
+}
+
+function louvain(n, adjacency) {
+  let graph = { n, adjacency, selfWeights: new Array(n).fill(0) };
+  let membership = d3.range(n);
+  for (;;) {
+    const { community, moved } = louvainPass(graph);
+    if (!moved) break;
+    const ids = new Map();
+    community.forEach(c => {
+      if (!ids.has(c)) ids.set(c, ids.size);
+    });
+    const compact = community.map(c => ids.get(c));
+    membership = membership.map(c => compact[c]);
+    graph = aggregate(graph, compact, ids.size);
+  }
+  return renumberBySize(membership);
+}
+
+function modularity(adjacency, community) {
+  const degrees = adjacency.map(links => d3.sum(links.values()));
+  const total = d3.sum(degrees);
+  if (!total) return 0;
+  const inside = new Map();
+  const totals = new Map();
+  adjacency.forEach((links, v) => {
+    const c = community[v];
+    totals.set(c, (totals.get(c) || 0) + degrees[v]);
+    links.forEach((weight, w) => {
+      if (community[w] === c) inside.set(c, (inside.get(c) || 0) + weight);
+    });
+  });
+  let q = 0;
+  totals.forEach((sum, c) => {
+    q += (inside.get(c) || 0) / total - (sum / total) ** 2;
+  });
+  return q;
+}
+
+// Groups of nodes sharing a component or community, largest first:
+// [{ index, size, ids }] with ids sorted by degree.
+function groupsOf(rows, key) {
+  return Array.from(d3.group(rows, row => row[key]), ([index, members]) => ({
+    index,
+    size: members.length,
+    ids: members.sort((a, b) => b.degree - a.degree).map(row => row.id)
+  })).sort((a, b) => a.index - b.index);
+}
+
+// { rows: [{ id, degree, inDegree, outDegree, betweenness, pagerank,
+// component, community }], byId, components, communities, modularity,
+// linkCount, sampled } where sampled tells whether betweenness was
+// estimated. Repeated triples count once; self-loops count towards degrees
+// only.
+export function computeAnalytics(triples) {
+  const ids = [];
+  const indexOf = new Map();
+  const index = id => {
+    if (!indexOf.has(id)) {
+      indexOf.set(id, ids.length);
+      ids.push(id);
+    }
+    return indexOf.get(id);
+  };
+  const seen = new Set();
+  const links = [];
+  triples.forEach(triple => {
+    const key = triple.join(" ");
+    if (seen.has(key)) return;
+    seen.add(key);
+    links.push([index(triple[0]), index(triple[2])]);
+  });
+
+  const n = ids.length;
+  const inDegree = new Array(n).fill(0);
+  const outDegree = new Array(n).fill(0);
+  const outgoing = Array.from({ length: n }, () => []);
+  const weights = Array.from({ length: n }, () => new Map());
+  links.forEach(([s, o]) => {
+    outDegree[s]++;
+    inDegree[o]++;
+    outgoing[s].push(o);
+    if (s === o) return;
+    weights[s].set(o, (weights[s].get(o) || 0) + 1);
+    weights[o].set(s, (weights[o].get(s) || 0) + 1);
+  });
+  const neighbours = weights.map(links => Array.from(links.keys()));
+
+  const { scores, sampled } = betweenness(n, neighbours);
+  const ranks = n ? pagerank(n, outgoing) : [];
+  const component = components(n, neighbours);
+  const community = louvain(n, weights);
+  const rows = ids.map((id, v) => ({
+    id,
+    degree: inDegree[v] + outDegree[v],
+    inDegree: inDegree[v],
+    outDegree: outDegree[v],
+    betweenness: scores[v],
+    pagerank: ranks[v],
+    component: component[v],
+    community: community[v]
+  }));
+  return {
+    rows,
+    byId: new Map(rows.map(row => [row.id, row])),
+    components: groupsOf(rows, "component"),
+    communities: groupsOf(rows, "community"),
+    modularity: modularity(weights, community),
+    linkCount: links.length,
+    sampled
+  };
+}
+
+// --- Metric Scales ---
+// Node radius and fill for a metric, by node id; null for nodes without a
+// value. Categories past the palette share one grey.
+const SIZE_RANGE = [12, 50];
+const OTHER_CATEGORY_COLOR = "#bbb";
+
+export function metricSize(analytics, metric) {
+  const [min, max] = d3.extent(analytics.rows, row => row[metric]);
+  const scale = d3.scaleSqrt().domain([min, max === min ? min + 1 : max]).range(SIZE_RANGE);
+  return id => (analytics.byId.has(id) ? scale(analytics.byId.get(id)[metric]) : null);
+}
+
+// { color: id => fill, categorical, domain } where domain is [min, max] or,
+// for categories, the indexes with their own color.
+export function metricColor(analytics, metric) {
+  const value = id => (analytics.byId.has(id) ? analytics.byId.get(id)[metric] : null);
+  if (METRICS[metric].categorical) {
+    const palette = d3.schemeTableau10;
+    return {
+      categorical: true,
+      domain: d3.range(1, palette.length + 1),
+      color: id => {
+        const category = value(id);
+        if (category === null) return null;
+        return palette[category - 1] || OTHER_CATEGORY_COLOR;
+      }
+    };
+  }
+  const [min, max] = d3.extent(analytics.rows, row => row[metric]);
+  const scale = d3.scaleSequential(d3.interpolateViridis).domain([min, max === min ? min + 1 : max]);
+  return {
+    categorical: false,
+    domain: [min, max],
+    color: id => (value(id) === null ? null : scale(value(id)))
+  };
+}
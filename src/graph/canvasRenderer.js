@@ -0,0 +1,288 @@
+import * as d3 from "d3";
+import { visibleRect } from "./viewport.js";
+import {
+  edgeGeometry,
+  traceEdge,
+  traceArrow,
+  sampleEdge,
+  placeEdgeLabels,
+  estimateLabelWidth
+} from "./edgeGeometry.js";
+
+// --- Canvas Renderer ---
+// Draws the graph onto a <canvas> for views too large for one SVG element per
+// node. Level of detail depends on the zoom scale: labels only appear when
+// zoomed in far enough, and zoomed-out views thin the edges to an evenly
+// spread subset. Styling comes from the same accessors the SVG view uses,
+// and edges take the same curves, loops and arrowheads (see edgeGeometry.js).
+
+const NODE_LABEL_MIN_SCALE = 0.6;
+const EDGE_LABEL_MIN_SCALE = 1.2;
+// Arrowheads are left out once they would be a few pixels wide.
+const ARROW_MIN_SCALE = 0.4;
+const MAX_NODE_LABELS = 1500;
+const MAX_EDGE_LABELS = 400;
+const MAX_DRAWN_EDGES = 15000;
+const DRAFT_COLOR = "#ff9800";
+// Largest node radius, for the hit-test search.
+const MAX_NODE_RADIUS = 60;
+
+const inRect = (rect, margin) => d =>
+  d.x >= rect.x - margin && d.x <= rect.x + rect.width + margin &&
+  d.y >= rect.y - margin && d.y <= rect.y + rect.height + margin;
+
+function distanceToSegment(x, y, source, target) {
+  const dx = target.x - source.x;
+  const dy = target.y - source.y;
+  const lengthSquared = dx * dx + dy * dy;
+  const t = lengthSquared ? Math.max(0, Math.min(1, ((x - source.x) * dx + (y - source.y) * dy) / lengthSquared)) : 0;
+  return Math.hypot(x - (source.x + t * dx), y - (source.y + t * dy));
+}
+
+function distanceToEdge(x, y, geometry) {
+  const points = sampleEdge(geometry);
+  let distance = Infinity;
+  for (let i = 1; i < points.length; i++) {
+    distance = Math.min(distance, distanceToSegment(x, y, points[i - 1], points[i]));
+  }
+  return distance;
+}
+
+// Quadtree over the centers of the drawn edges' bounding boxes, which hold
+// the curves since they stay inside their control points. Every quad keeps
+// the largest reach (half the box diagonal) of the edges under it, so a
+// search skips the quads whose edges cannot come near the point.
+function indexEdges(drawn) {
+  const items = drawn.map(({ link, geometry }) => {
+    const points = [geometry.start, geometry.control, geometry.control2, geometry.end].filter(Boolean);
+    const [x0, x1] = d3.extent(points, p => p.x);
+    const [y0, y1] = d3.extent(points, p => p.y);
+    return { link, geometry, x: (x0 + x1) / 2, y: (y0 + y1) / 2, reach: Math.hypot(x1 - x0, y1 - y0) / 2 };
+  });
+  return d3.quadtree(items, d => d.x, d => d.y).visitAfter(quad => {
+    let reach = 0;
+    if (quad.length) quad.forEach(child => { reach = Math.max(reach, child.reach); });
+    else for (let leaf = quad; leaf; leaf = leaf.next) reach = Math.max(reach, leaf.data.reach);
+    quad.reach = reach;
+  });
+}
+
+// scene: { nodes, links, transform, style, hoverId, draft }, where draft is
+// an edge being drawn ({ source, x, y }) or null. style holds the same
+// accessors the SVG view uses: nodeFill, nodeRadius, nodeStroke,
+// nodeStrokeWidth, nodeDash, nodeOpacity, nodeLabel, linkColor, linkOpacity,
+// linkWidth, linkDash, edgeLabel, edgeLabelColor, violationCount, violationColor and
+// describedId.
+export function createCanvasRenderer(canvas, { width, height }) {
+  const pixelRatio = window.devicePixelRatio || 1;
+  canvas.width = width * pixelRatio;
+  canvas.height = height * pixelRatio;
+  let scene = null;
+  let quadtree = null;
+  // The edges the last draw showed, with their geometry, and their index.
+  let drawnLinks = [];
+  let linkIndex = null;
+
+  // Returns the edges it drew as [{ link, geometry }].
+  const drawScene = (context, scale, background) => {
+    const { nodes, links, transform, style, hoverId, draft } = scene;
+    const placed = nodes.filter(n => Number.isFinite(n.x) && Number.isFinite(n.y));
+    const visible = inRect(visibleRect(transform, width, height), MAX_NODE_RADIUS);
+    const k = transform.k;
+
+    context.save();
+    context.setTransform(scale, 0, 0, scale, 0, 0);
+    if (background) {
+      context.fillStyle = background;
+      context.fillRect(0, 0, width, height);
+    } else {
+      context.clearRect(0, 0, width, height);
+    }
+    context.translate(transform.x, transform.y);
+    context.scale(k, k);
+
+    // --- Edges ---
+    // Batched into one path per color, opacity, width and dash pattern; the
+    // arrowheads of a batch are filled in its color afterwards.
+    const visibleLinks = links.filter(l => visible(l.source) || visible(l.target));
+    const geometries = new Map(visibleLinks.map(l => [l, edgeGeometry(l, style.nodeRadius)]));
+    const step = visibleLinks.length > MAX_DRAWN_EDGES ? Math.ceil(visibleLinks.length / MAX_DRAWN_EDGES) : 1;
+    const arrows = k >= ARROW_MIN_SCALE && step === 1;
+    const batches = new Map();
+    const drawn = [];
+    visibleLinks.forEach((l, i) => {
+      const touchesDescribed = l.source.id === style.describedId || l.target.id === style.describedId;
+      if (i % step && !touchesDescribed) return;
+      drawn.push({ link: l, geometry: geometries.get(l) });
+      const key = `${style.linkColor(l)}|${style.linkOpacity(l)}|${style.linkWidth(l)}|${(style.linkDash(l) || []).join(" ")}`;
+      if (!batches.has(key)) batches.set(key, []);
+      batches.get(key).push(l);
+    });
+    batches.forEach((batch, key) => {
+      const [color, opacity, lineWidth, dash] = key.split("|");
+      context.lineWidth = Math.max(Number(lineWidth), 0.5 / k);
+      context.setLineDash(dash ? dash.split(" ").map(Number) : []);
+      context.strokeStyle = color;
+      context.globalAlpha = Number(opacity) * (step > 1 ? 0.5 : 1);
+      context.beginPath();
+      batch.forEach(l => traceEdge(context, geometries.get(l)));
+      context.stroke();
+      if (arrows) {
+        context.fillStyle = color;
+        context.beginPath();
+        batch.forEach(l => traceArrow(context, geometries.get(l)));
+        context.fill();
+      }
+    });
+    context.setLineDash([]);
+
+    if (draft) {
+      context.globalAlpha = 1;
+      context.strokeStyle = DRAFT_COLOR;
+      context.lineWidth = 3;
+      context.setLineDash([6, 4]);
+      context.beginPath();
+      context.moveTo(draft.source.x, draft.source.y);
+      context.lineTo(draft.x, draft.y);
+      context.stroke();
+      context.setLineDash([]);
+    }
+
+    if (k >= EDGE_LABEL_MIN_SCALE && visibleLinks.length <= MAX_EDGE_LABELS) {
+      context.font = "12px sans-serif";
+      context.textAlign = "center";
+      context.textBaseline = "middle";
+      const texts = visibleLinks.map(style.edgeLabel);
+      const anchors = visibleLinks.map((l, i) => ({
+        ...geometries.get(l).label,
+        width: estimateLabelWidth(texts[i])
+      }));
+      const spots = placeEdgeLabels(anchors, placed.filter(visible).map(n => ({ x: n.x, y: n.y, r: style.nodeRadius(n) })));
+      visibleLinks.forEach((l, i) => {
+        context.save();
+        context.globalAlpha = style.linkOpacity(l);
+        context.fillStyle = style.edgeLabelColor(l);
+        context.translate(spots[i].x, spots[i].y);
+        context.rotate(anchors[i].angle);
+        context.fillText(texts[i], 0, 0);
+        context.restore();
+      });
+    }
+
+    // --- Nodes ---
+    // The Described Entity and the hovered node are drawn last, on top.
+    const visibleNodes = placed.filter(visible);
+    const onTop = n => n.id === style.describedId || n.id === hoverId;
+    const ordered = [...visibleNodes.filter(n => !onTop(n)), ...visibleNodes.filter(onTop)];
+    ordered.forEach(n => {
+      const r = style.nodeRadius(n);
+      context.globalAlpha = style.nodeOpacity(n);
+      context.fillStyle = style.nodeFill(n);
+      // Tiny on screen: a square is indistinguishable and much cheaper.
+      if (r * k < 1.5) {
+        context.fillRect(n.x - r, n.y - r, 2 * r, 2 * r);
+        return;
+      }
+      context.beginPath();
+      context.arc(n.x, n.y, r, 0, 2 * Math.PI);
+      context.fill();
+      context.lineWidth = n.id === hoverId ? 4 : style.nodeStrokeWidth(n);
+      context.strokeStyle = n.id === hoverId ? "black" : style.nodeStroke(n);
+      context.setLineDash(style.nodeDash(n) || []);
+      context.stroke();
+      context.setLineDash([]);
+
+      const violations = style.violationCount(n);
+      if (violations && r * k >= 6) {
+        const bx = n.x + r * 0.7;
+        const by = n.y - r * 0.7;
+        context.beginPath();
+        context.arc(bx, by, 10, 0, 2 * Math.PI);
+        context.fillStyle = style.violationColor;
+        context.fill();
+        context.lineWidth = 2;
+        context.strokeStyle = "#fff";
+        context.stroke();
+        context.fillStyle = "#fff";
+        context.font = "700 11px sans-serif";
+        context.textAlign = "center";
+        context.textBaseline = "middle";
+        context.fillText(String(violations), bx, by);
+      }
+    });
+
+    const showLabels = k >= NODE_LABEL_MIN_SCALE && visibleNodes.length <= MAX_NODE_LABELS;
+    context.textAlign = "center";
+    context.textBaseline = "middle";
+    context.fillStyle = "#000";
+    visibleNodes.forEach(n => {
+      if (!showLabels && n.id !== style.describedId) return;
+      const described = n.id === style.describedId;
+      context.globalAlpha = style.nodeOpacity(n);
+      context.font = described ? "700 20px sans-serif" : "13px sans-serif";
+      context.fillText(style.nodeLabel(n), n.x, n.y);
+    });
+
+    context.restore();
+    return drawn;
+  };
+
+  return {
+    draw(nextScene) {
+      scene = nextScene;
+      quadtree = null;
+      linkIndex = null;
+      drawnLinks = drawScene(canvas.getContext("2d"), pixelRatio);
+    },
+
+    // Topmost node under a graph-space point, or null.
+    nodeAt(x, y) {
+      if (!scene) return null;
+      if (!quadtree) {
+        quadtree = d3.quadtree(
+          scene.nodes.filter(n => Number.isFinite(n.x) && Number.isFinite(n.y)),
+          d => d.x,
+          d => d.y
+        );
+      }
+      const found = quadtree.find(x, y, MAX_NODE_RADIUS);
+      return found && Math.hypot(found.x - x, found.y - y) <= scene.style.nodeRadius(found) ? found : null;
+    },
+
+    // Nearest drawn link within a few screen pixels of a graph-space point.
+    // Links that are off screen or thinned out cannot be hit.
+    linkAt(x, y) {
+      if (!scene) return null;
+      if (!linkIndex) linkIndex = indexEdges(drawnLinks);
+      let nearest = null;
+      let nearestDistance = 6 / scene.transform.k;
+      linkIndex.visit((quad, x0, y0, x1, y1) => {
+        const outside = Math.hypot(Math.max(x0 - x, 0, x - x1), Math.max(y0 - y, 0, y - y1));
+        if (outside > quad.reach + nearestDistance) return true;
+        if (quad.length) return false;
+        for (let leaf = quad; leaf; leaf = leaf.next) {
+          const { link, geometry, reach } = leaf.data;
+          if (Math.hypot(leaf.data.x - x, leaf.data.y - y) > reach + nearestDistance) continue;
+          const distance = distanceToEdge(x, y, geometry);
+          if (distance <= nearestDistance) {
+            nearest = link;
+            nearestDistance = distance;
+          }
+        }
+        return false;
+      });
+      return nearest;
+    },
+
+    // PNG of the current view at the given scale, on the given background.
+    toBlob(scale, background) {
+      const output = document.createElement("canvas");
+      output.width = Math.round(width * scale);
+      output.height = Math.round(height * scale);
+      if (scene) drawScene(output.getContext("2d"), scale, background);
+      return new Promise((resolve, reject) =>
+        output.toBlob(blob => (blob ? resolve(blob) : reject(new Error("Could not encode the PNG"))), "image/png")
+      );
+    }
+  };
+}
@@ -0,0 +1,204 @@
+// --- Edge Geometry ---
+// Shapes shared by the SVG and canvas renderers. Edges between the same two
+// nodes bend apart, a reverse edge bending to its own side; self-loops are
+// arcs above their node, growing for each further loop. Edges end at the
+// target's outline so an arrowhead fits, and their labels are placed where
+// they do not cover each other or the nodes.
+
+const CURVE_STEP = 36;
+const LOOP_SIZE = 34;
+const LOOP_STEP = 18;
+const LOOP_SPREAD = 0.45;
+// Gap between an edge's end and the target's outline.
+const END_GAP = 2;
+export const ARROW_LENGTH = 12;
+const ARROW_HALF_WIDTH = 5;
+
+const endId = end => (typeof end === "object" ? end.id : end);
+
+// Sets curve (offset of the edge's midpoint, 0 for straight) and loop (index
+// among the node's self-loops, or null) on every link. Links may name their
+// ends by id or by node object.
+export function assignEdgeOffsets(links) {
+  const groups = new Map();
+  links.forEach(l => {
+    const s = endId(l.source);
+    const t = endId(l.target);
+    const pair = s < t ? `${s} ${t}` : `${t} ${s}`;
+    if (!groups.has(pair)) groups.set(pair, []);
+    groups.get(pair).push(l);
+  });
+  groups.forEach(group => {
+    group.sort((a, b) => a.key.localeCompare(b.key));
+    group.forEach((l, i) => {
+      const s = endId(l.source);
+      const t = endId(l.target);
+      if (s === t) {
+        l.loop = i;
+        l.curve = 0;
+        return;
+      }
+      // Offsets are measured along the pair's own direction, so a reverse
+      // edge needs the opposite sign to land on its side.
+      const offset = (i - (group.length - 1) / 2) * CURVE_STEP;
+      l.loop = null;
+      l.curve = s < t ? offset : -offset;
+    });
+  });
+}
+
+// Keeps text upright: angles pointing left are turned half a circle.
+const upright = angle => (Math.abs(angle) > Math.PI / 2 ? angle + Math.PI * Math.sign(-angle || 1) : angle);
+
+// { start, control, control2, end, label: { x, y, angle }, arrow: { x, y,
+// angle } } for a link whose ends have positions; radius gives a node's
+// radius. control is null for straight edges, control2 only set for loops.
+export function edgeGeometry(l, radius) {
+  const { source, target } = l;
+  if (l.loop !== null && l.loop !== undefined) {
+    const r = radius(source);
+    const size = 2 * (LOOP_SIZE + l.loop * LOOP_STEP);
+    const at = (angle, distance) => ({
+      x: source.x + distance * Math.cos(angle),
+      y: source.y + distance * Math.sin(angle)
+    });
+    const up = -Math.PI / 2;
+    const start = at(up - LOOP_SPREAD, r);
+    const end = at(up + LOOP_SPREAD, r + END_GAP);
+    const control = at(up - LOOP_SPREAD * 1.6, r + size);
+    const control2 = at(up + LOOP_SPREAD * 1.6, r + size);
+    const apex = at(up, r + size * 0.75);
+    return {
+      start,
+      control,
+      control2,
+      end,
+      label: { x: apex.x, y: apex.y - 4, angle: 0 },
+      arrow: { x: end.x, y: end.y, angle: Math.atan2(end.y - control2.y, end.x - control2.x) }
+    };
+  }
+
+  const dx = target.x - source.x;
+  const dy = target.y - source.y;
+  const length = Math.hypot(dx, dy) || 1;
+  const nx = -dy / length;
+  const ny = dx / length;
+  const mid = { x: (source.x + target.x) / 2, y: (source.y + target.y) / 2 };
+  const curve = l.curve || 0;
+  // A quadratic curve passes its midpoint halfway to the control point.
+  const control = curve ? { x: mid.x + 2 * curve * nx, y: mid.y + 2 * curve * ny } : null;
+  const toward = (from, to, distance) => {
+    const ux = to.x - from.x;
+    const uy = to.y - from.y;
+    const d = Math.hypot(ux, uy) || 1;
+    return { x: from.x + (ux / d) * distance, y: from.y + (uy / d) * distance };
+  };
+  const start = toward(source, control || target, radius(source));
+  const end = toward(target, control || source, radius(target) + END_GAP);
+  const from = control || start;
+  return {
+    start,
+    control,
+    control2: null,
+    end,
+    label: { x: mid.x + curve * nx, y: mid.y + curve * ny, angle: upright(Math.atan2(dy, dx)) },
+    arrow: { x: end.x, y: end.y, angle: Math.atan2(end.y - from.y, end.x - from.x) }
+  };
+}
+
+// SVG path data for a geometry.
+export function edgePath({ start, control, control2, end }) {
+  if (control2) return `M${start.x},${start.y}C${control.x},${control.y} ${control2.x},${control2.y} ${end.x},${end.y}`;
+  if (control) return `M${start.x},${start.y}Q${control.x},${control.y} ${end.x},${end.y}`;
+  return `M${start.x},${start.y}L${end.x},${end.y}`;
+}
+
+// Adds a geometry to the canvas path being built.
+export function traceEdge(context, { start, control, control2, end }) {
+  context.moveTo(start.x, start.y);
+  if (control2) context.bezierCurveTo(control.x, control.y, control2.x, control2.y, end.x, end.y);
+  else if (control) context.quadraticCurveTo(control.x, control.y, end.x, end.y);
+  else context.lineTo(end.x, end.y);
+}
+
+// Adds an arrowhead with its tip at the edge's end.
+export function traceArrow(context, { arrow }) {
+  const { x, y, angle } = arrow;
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  const bx = x - ARROW_LENGTH * cos;
+  const by = y - ARROW_LENGTH * sin;
+  context.moveTo(x, y);
+  context.lineTo(bx - ARROW_HALF_WIDTH * sin, by + ARROW_HALF_WIDTH * cos);
+  context.lineTo(bx + ARROW_HALF_WIDTH * sin, by - ARROW_HALF_WIDTH * cos);
+  context.closePath();
+}
+
+// Points along the edge, for hit-testing.
+export function sampleEdge({ start, control, control2, end }, segments = 12) {
+  if (!control) return [start, end];
+  const points = [];
+  for (let i = 0; i <= segments; i++) {
+    const t = i / segments;
+    const u = 1 - t;
+    if (control2) {
+      points.push({
+        x: u * u * u * start.x + 3 * u * u * t * control.x + 3 * u * t * t * control2.x + t * t * t * end.x,
+        y: u * u * u * start.y + 3 * u * u * t * control.y + 3 * u * t * t * control2.y + t * t * t * end.y
+      });
+    } else {
+      points.push({
+        x: u * u * start.x + 2 * u * t * control.x + t * t * end.x,
+        y: u * u * start.y + 2 * u * t * control.y + t * t * end.y
+      });
+    }
+  }
+  return points;
+}
+
+// --- Label Placement ---
+// Greedy: each label takes the first spot, alternately above and below its
+// edge, whose box is free of the labels placed before it and of the nodes.
+// Boxes are the axis-aligned bounds of the rotated text; a spatial hash
+// keeps the lookups local.
+const LABEL_OFFSETS = [10, -10, 24, -24, 38, -38];
+const LABEL_HEIGHT = 14;
+const CELL = 64;
+export const estimateLabelWidth = text => text.length * 6.5 + 4;
+
+export function placeEdgeLabels(labels, obstacles) {
+  const cells = new Map();
+  const cellKeys = box => {
+    const keys = [];
+    for (let cx = Math.floor(box.x0 / CELL); cx <= Math.floor(box.x1 / CELL); cx++) {
+      for (let cy = Math.floor(box.y0 / CELL); cy <= Math.floor(box.y1 / CELL); cy++) keys.push(`${cx} ${cy}`);
+    }
+    return keys;
+  };
+  const insert = box => cellKeys(box).forEach(key => {
+    if (!cells.has(key)) cells.set(key, []);
+    cells.get(key).push(box);
+  });
+  const overlaps = box => cellKeys(box).some(key => (cells.get(key) || []).some(other =>
+    box.x0 < other.x1 && other.x0 < box.x1 && box.y0 < other.y1 && other.y0 < box.y1
+  ));
+  obstacles.forEach(({ x, y, r }) => insert({ x0: x - r, y0: y - r, x1: x + r, y1: y + r }));
+
+  return labels.map(({ x, y, angle, width }) => {
+    const cos = Math.abs(Math.cos(angle));
+    const sin = Math.abs(Math.sin(angle));
+    const halfWidth = (width * cos + LABEL_HEIGHT * sin) / 2;
+    const halfHeight = (width * sin + LABEL_HEIGHT * cos) / 2;
+    // "Above" in the label's own frame.
+    const ux = Math.sin(angle);
+    const uy = -Math.cos(angle);
+    const boxAt = offset => {
+      const px = x + ux * offset;
+      const py = y + uy * offset;
+      return { x: px, y: py, x0: px - halfWidth, y0: py - halfHeight, x1: px + halfWidth, y1: py + halfHeight };
+    };
+    const box = LABEL_OFFSETS.map(boxAt).find(candidate => !overlaps(candidate)) || boxAt(LABEL_OFFSETS[0]);
+    insert(box);
+    return { x: box.x, y: box.y };
+  });
+}
@@ -0,0 +1,51 @@
+// --- Entity Tabs ---
+// The entity detail panel keeps several entities open as tabs, each with
+// the trail of entities navigated through in it. State is immutable:
+// { tabs: [{ trail: [id], index }], active } where index points into the
+// trail and active into tabs (-1 with no tabs).
+
+export const NO_ENTITY_TABS = { tabs: [], active: -1 };
+
+// The entity the active tab shows, or "".
+export function activeEntity(state) {
+  const tab = state.tabs[state.active];
+  return tab ? tab.trail[tab.index] : "";
+}
+
+const replaceActive = (state, tab) => ({
+  ...state,
+  tabs: state.tabs.map((t, i) => (i === state.active ? tab : t))
+});
+
+export const openEntityTab = (state, id) => ({
+  tabs: [...state.tabs, { trail: [id], index: 0 }],
+  active: state.tabs.length
+});
+
+// Navigates the active tab to the entity, dropping the trail ahead of the
+// current position; opens a tab when there is none.
+export function visitEntity(state, id) {
+  const tab = state.tabs[state.active];
+  if (!tab) return openEntityTab(state, id);
+  if (tab.trail[tab.index] === id) return state;
+  const trail = [...tab.trail.slice(0, tab.index + 1), id];
+  return replaceActive(state, { trail, index: trail.length - 1 });
+}
+
+// Moves the active tab back to an entity of its trail.
+export function stepEntityTrail(state, index) {
+  const tab = state.tabs[state.active];
+  if (!tab || index < 0 || index >= tab.trail.length) return state;
+  return replaceActive(state, { ...tab, index });
+}
+
+export const selectEntityTab = (state, index) =>
+  (index >= 0 && index < state.tabs.length ? { ...state, active: index } : state);
+
+// Closing the active tab activates the one after it, or else the one before.
+export function closeEntityTab(state, index) {
+  const tabs = state.tabs.filter((_, i) => i !== index);
+  let active = state.active;
+  if (index < active || (index === active && active === tabs.length)) active--;
+  return { tabs, active: tabs.length ? active : -1 };
+}
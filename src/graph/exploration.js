@@ -0,0 +1,62 @@
+// --- Exploration ---
+// An exploration shows a few root nodes plus whatever was added by expanding
+// nodes. State is immutable: { roots: [id], expansions: [[id, [addedId]]] }
+// in the order they happened, so every step can live in the history.
+
+export const startExploration = roots => ({ roots: Array.from(new Set(roots)), expansions: [] });
+
+// Roots plus the nodes added by expansions of visible nodes. An expansion
+// whose node was hidden by a collapse no longer contributes.
+export function exploredNodeIds(state) {
+  const visible = new Set(state.roots);
+  let grew = true;
+  while (grew) {
+    grew = false;
+    state.expansions.forEach(([id, added]) => {
+      if (!visible.has(id)) return;
+      added.forEach(addedId => {
+        if (!visible.has(addedId)) {
+          visible.add(addedId);
+          grew = true;
+        }
+      });
+    });
+  }
+  return visible;
+}
+
+export const isExpanded = (state, id) => state.expansions.some(([expandedId]) => expandedId === id);
+
+// Neighbours of a node that are not visible yet, grouped by predicate and
+// direction: [{ key, predicate, direction: "out" | "in", ids }], largest first.
+export function neighbourGroups(triples, id, visibleIds) {
+  const groups = new Map();
+  const add = (predicate, direction, neighbourId) => {
+    if (visibleIds.has(neighbourId)) return;
+    const key = `${direction} ${predicate}`;
+    if (!groups.has(key)) groups.set(key, { key, predicate, direction, ids: new Set() });
+    groups.get(key).ids.add(neighbourId);
+  };
+  triples.forEach(([s, p, o]) => {
+    if (s === id) add(p, "out", o);
+    if (o === id) add(p, "in", s);
+  });
+  return Array.from(groups.values())
+    .map(group => ({ ...group, ids: Array.from(group.ids) }))
+    .sort((a, b) => b.ids.length - a.ids.length);
+}
+
+export function expandNode(state, id, addedIds) {
+  return {
+    ...state,
+    expansions: [...state.expansions.filter(([expandedId]) => expandedId !== id), [id, Array.from(new Set(addedIds))]]
+  };
+}
+
+// Drops the node's expansion along with expansions that are no longer
+// reachable from the roots.
+export function collapseNode(state, id) {
+  const next = { ...state, expansions: state.expansions.filter(([expandedId]) => expandedId !== id) };
+  const visible = exploredNodeIds(next);
+  return { ...next, expansions: next.expansions.filter(([expandedId]) => visible.has(expandedId)) };
+}
@@ -0,0 +1,147 @@
+import { XSD } from "../rdf/terms.js";
+
+// --- Facets ---
+// A facet selection narrows the view to the triples whose subject matches
+// it. Each facet is one condition: the subject has one of the ticked
+// classes, uses one of the ticked predicates, or has a literal value of a
+// predicate in the chosen range or among the chosen values. A module facet
+// keeps the triples that belong to one of the ticked modules. "and" needs
+// every active facet to match, "or" any of them. Hidden predicates leave
+// the view whatever the facets say.
+
+export const EMPTY_FACETS = {
+  mode: "and",
+  classes: [],
+  predicates: [],
+  modules: [],
+  // predicate IRI -> { min, max } for numbers and dates, { values } for strings
+  literals: {},
+  hiddenPredicates: []
+};
+
+const NUMERIC_TYPES = new Set(["integer", "decimal", "double", "float", "int", "long", "short", "byte",
+  "nonNegativeInteger", "positiveInteger", "negativeInteger", "nonPositiveInteger",
+  "unsignedInt", "unsignedLong", "unsignedShort", "unsignedByte"].map(name => XSD + name));
+const DATE_TYPES = new Set(["date", "dateTime", "dateTimeStamp"].map(name => XSD + name));
+const ISO_DATE = /^-?\d{4}-\d{2}-\d{2}/;
+// String facets list this many of the most common values.
+const MAX_STRING_VALUES = 50;
+
+const isNumber = term => NUMERIC_TYPES.has(term.datatype.value) ||
+  (!term.language && term.value.trim() !== "" && Number.isFinite(Number(term.value)));
+const isDate = term => DATE_TYPES.has(term.datatype.value) || (!term.language && ISO_DATE.test(term.value));
+
+// Dates compare by their "YYYY-MM-DD" part, the form date inputs use.
+const literalKey = (kind, term) => {
+  if (kind === "number") return Number(term.value);
+  if (kind === "date") return term.value.slice(0, 10);
+  return term.value;
+};
+
+// One facet per literal predicate, most used first: { predicate, kind,
+// count, min, max } for "number" and "date" kinds, { predicate, kind:
+// "string", count, values: [{ value, count }] } for the rest. attributes
+// maps subject ids to [{ predicate, value }] with literal values.
+export function literalFacets(attributes) {
+  const byPredicate = new Map();
+  Object.values(attributes).forEach(values => values.forEach(({ predicate, value }) => {
+    if (!byPredicate.has(predicate)) byPredicate.set(predicate, []);
+    byPredicate.get(predicate).push(value);
+  }));
+  return Array.from(byPredicate, ([predicate, terms]) => {
+    let kind = "string";
+    if (terms.every(isNumber)) kind = "number";
+    else if (terms.every(isDate)) kind = "date";
+    if (kind === "string") {
+      const counts = new Map();
+      terms.forEach(term => counts.set(term.value, (counts.get(term.value) || 0) + 1));
+      const values = Array.from(counts, ([value, count]) => ({ value, count }))
+        .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value))
+        .slice(0, MAX_STRING_VALUES);
+      return { predicate, kind, count: terms.length, values };
+    }
+    const keys = terms.map(term => literalKey(kind, term));
+    const order = kind === "number" ? (a, b) => a - b : (a, b) => a.localeCompare(b);
+    keys.sort(order);
+    return { predicate, kind, count: terms.length, min: keys[0], max: keys[keys.length - 1] };
+  }).sort((a, b) => b.count - a.count || a.predicate.localeCompare(b.predicate));
+}
+
+const literalSelectionActive = selection => Boolean(selection) && (selection.values
+  ? selection.values.length > 0
+  : (selection.min !== undefined && selection.min !== "") || (selection.max !== undefined && selection.max !== ""));
+
+// Whether the selection narrows the view at all; hidden predicates do not
+// count, they apply on their own.
+export const hasActiveFacets = facets =>
+  facets.classes.length > 0 ||
+  facets.predicates.length > 0 ||
+  facets.modules.length > 0 ||
+  Object.values(facets.literals).some(literalSelectionActive);
+
+const inRange = (key, min, max) => (min === undefined || key >= min) && (max === undefined || key <= max);
+
+// A test for id triples ([subject, predicate, object]) that matches the
+// selection, or null while no facet is active. The context supplies
+// hasClass(id, cls) (subclasses included), inModule(triple, name), the
+// triples the predicate facet looks at, the literal attributes and the
+// facets from literalFacets.
+export function facetFilter(facets, { triples, attributes, hasClass, inModule, literals }) {
+  const tests = [];
+
+  if (facets.classes.length) {
+    tests.push(([s]) => facets.classes.some(cls => hasClass(s, cls)));
+  }
+
+  if (facets.predicates.length) {
+    const wanted = new Set(facets.predicates);
+    const subjects = new Set(triples.filter(([, p]) => wanted.has(p)).map(([s]) => s));
+    Object.entries(attributes).forEach(([s, values]) => {
+      if (values.some(({ predicate }) => wanted.has(predicate))) subjects.add(s);
+    });
+    tests.push(([s]) => subjects.has(s));
+  }
+
+  if (facets.modules.length) {
+    tests.push(triple => facets.modules.some(name => inModule(triple, name)));
+  }
+
+  const kinds = new Map(literals.map(facet => [facet.predicate, facet.kind]));
+  Object.entries(facets.literals).forEach(([predicate, selection]) => {
+    if (!literalSelectionActive(selection) || !kinds.has(predicate)) return;
+    const kind = kinds.get(predicate);
+    const bound = value => {
+      if (value === undefined || value === "") return undefined;
+      return kind === "number" ? Number(value) : value;
+    };
+    const min = bound(selection.min);
+    const max = bound(selection.max);
+    const matches = selection.values
+      ? term => selection.values.includes(term.value)
+      : term => inRange(literalKey(kind, term), min, max);
+    const subjects = new Set(Object.entries(attributes)
+      .filter(([, values]) => values.some(a => a.predicate === predicate && matches(a.value)))
+      .map(([s]) => s));
+    tests.push(([s]) => subjects.has(s));
+  });
+
+  if (!tests.length) return null;
+  return facets.mode === "or"
+    ? triple => tests.some(test => test(triple))
+    : triple => tests.every(test => test(triple));
+}
+
+// Fills in missing fields, so selections from older links and workspaces
+// can be used as they are.
+export function normalizeFacets(value) {
+  if (!value || typeof value !== "object") return EMPTY_FACETS;
+  const list = field => (Array.isArray(value[field]) ? value[field].filter(item => typeof item === "string") : []);
+  return {
+    mode: value.mode === "or" ? "or" : "and",
+    classes: list("classes"),
+    predicates: list("predicates"),
+    modules: list("modules"),
+    literals: value.literals && typeof value.literals === "object" ? value.literals : {},
+    hiddenPredicates: list("hiddenPredicates")
+  };
+}
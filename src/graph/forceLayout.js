@@ -0,0 +1,119 @@
+import { createLayoutEngine } from "./layoutEngine.js";
+
+// --- Force Layout ---
+// Runs the force simulation in a Web Worker so large graphs do not block the
+// UI, falling back to the main thread when workers are unavailable. Node
+// objects stay on this side: ticks copy the worker's positions into them and
+// links reference them directly, like d3.forceLink after initialization.
+export function createForceLayout({ center, onTick }) {
+  let nodes = [];
+  let links = [];
+  let version = 0;
+  let lastUpdate = null;
+  let engine = null;
+  let worker = null;
+
+  const receive = message => {
+    if (message.type !== "tick" || message.version !== version) return;
+    const { positions } = message;
+    nodes.forEach((node, i) => {
+      node.x = positions[2 * i];
+      node.y = positions[2 * i + 1];
+    });
+    onTick();
+  };
+  const startOnMainThread = () => {
+    engine = createLayoutEngine(receive);
+    if (lastUpdate) engine.handle(lastUpdate);
+  };
+
+  if (typeof Worker !== "undefined") {
+    try {
+      worker = new Worker(new URL("./layoutWorker.js", import.meta.url), { type: "module" });
+      worker.onmessage = event => receive(event.data);
+      worker.onerror = () => {
+        worker.terminate();
+        worker = null;
+        startOnMainThread();
+      };
+    } catch {
+      worker = null;
+    }
+  }
+  if (!worker) startOnMainThread();
+
+  const send = message => (worker ? worker.postMessage(message) : engine.handle(message));
+
+  return {
+    nodes: () => nodes,
+    links: () => links,
+
+    // Replaces the graph. Links name their ends by node id and are resolved
+    // to the node objects. distance is a number or a function of the link. A
+    // zero alpha keeps the simulation as it is.
+    update(nextNodes, nextLinks, { distance, alpha }) {
+      const byId = new Map(nextNodes.map((node, i) => {
+        node.index = i;
+        return [node.id, node];
+      }));
+      nodes = nextNodes;
+      links = nextLinks.filter(l => byId.has(l.source) && byId.has(l.target));
+      links.forEach(l => {
+        l.source = byId.get(l.source);
+        l.target = byId.get(l.target);
+      });
+      version += 1;
+      lastUpdate = {
+        type: "update",
+        version,
+        center,
+        alpha,
+        nodes: nodes.map(({ x, y, fx, fy }) => ({ x, y, fx, fy })),
+        links: links.map(l => ({
+          source: l.source.index,
+          target: l.target.index,
+          distance: typeof distance === "function" ? distance(l) : distance
+        }))
+      };
+      send(lastUpdate);
+    },
+
+    // Animates every node to its position in the Map of id -> { x, y } and
+    // pins it there. Nodes without a position stay where they are.
+    arrange(positions, duration) {
+      const targets = new Float32Array(nodes.length * 2);
+      nodes.forEach((node, i) => {
+        const target = positions.get(node.id) || { x: node.x, y: node.y };
+        node.fx = targets[2 * i] = target.x;
+        node.fy = targets[2 * i + 1] = target.y;
+      });
+      send({ type: "arrange", version, positions: targets, duration });
+    },
+    // Unpins every node and restarts the simulation.
+    release(alpha) {
+      nodes.forEach(node => {
+        node.fx = null;
+        node.fy = null;
+      });
+      send({ type: "release", alpha });
+    },
+    // charge is the many-body strength, linkScale multiplies the link
+    // distances and collide is a collision radius (0 for none).
+    setForces: ({ charge, linkScale, collide }) => send({ type: "forces", charge, linkScale, collide }),
+
+    // Pins a node at (fx, fy); null releases it.
+    fix(node, fx, fy) {
+      node.fx = fx;
+      node.fy = fy;
+      send({ type: "fix", version, index: node.index, fx, fy });
+    },
+    alphaTarget: value => send({ type: "alphaTarget", value }),
+    reheat: alpha => send({ type: "reheat", alpha }),
+    // Stops the simulation where it is, until an update or reheat restarts it.
+    pause: () => send({ type: "stop" }),
+    stop() {
+      if (worker) worker.terminate();
+      else engine.handle({ type: "stop" });
+    }
+  };
+}
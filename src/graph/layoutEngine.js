@@ -0,0 +1,126 @@
+import * as d3 from "d3";
+
+// --- Force Layout Engine ---
+// Message-driven wrapper around d3.forceSimulation. It runs inside the layout
+// worker, or on the main thread when workers are unavailable. Nodes arrive as
+// plain positions and links as index pairs with a distance; every tick posts
+// the positions back as a Float32Array of x, y pairs. "arrange" stops the
+// simulation and moves every node to a given position, pinning it there,
+// until "release" hands the nodes back to the forces.
+
+// Above this many nodes the layout trades accuracy for speed: a coarser
+// Barnes-Hut approximation and fewer ticks before it settles.
+const LARGE_GRAPH_NODES = 5000;
+// d3's default: settles after 300 ticks.
+const DEFAULT_ALPHA_DECAY = 1 - Math.pow(0.001, 1 / 300);
+
+export function createLayoutEngine(post) {
+  let version = 0;
+  let linkScale = 1;
+  let arranged = false;
+  let transition = null;
+  const simulation = d3.forceSimulation()
+    .force("link", d3.forceLink())
+    .force("charge", d3.forceManyBody().strength(-300))
+    .force("center", d3.forceCenter())
+    .stop();
+
+  const stopTransition = () => {
+    if (transition) transition.stop();
+    transition = null;
+  };
+
+  const sendPositions = () => {
+    const nodes = simulation.nodes();
+    const positions = new Float32Array(nodes.length * 2);
+    nodes.forEach((node, i) => {
+      positions[2 * i] = node.x;
+      positions[2 * i + 1] = node.y;
+    });
+    post({ type: "tick", version, positions }, [positions.buffer]);
+  };
+  simulation.on("tick", sendPositions);
+
+  const handle = message => {
+    switch (message.type) {
+      case "update": {
+        const large = message.nodes.length > LARGE_GRAPH_NODES;
+        version = message.version;
+        simulation.force("center").x(message.center[0]).y(message.center[1]);
+        simulation.force("charge").theta(large ? 1.5 : 0.9);
+        simulation.alphaDecay(large ? 0.05 : DEFAULT_ALPHA_DECAY);
+        simulation.nodes(message.nodes);
+        simulation.force("link").links(message.links).distance(l => l.distance * linkScale);
+        if (message.alpha && !arranged) simulation.alpha(message.alpha).restart();
+        // New nodes get their initial positions right away.
+        sendPositions();
+        break;
+      }
+      case "fix": {
+        const node = message.version === version && simulation.nodes()[message.index];
+        if (node) {
+          node.fx = message.fx;
+          node.fy = message.fy;
+        }
+        break;
+      }
+      case "arrange": {
+        if (message.version !== version) break;
+        simulation.stop();
+        stopTransition();
+        arranged = true;
+        const nodes = simulation.nodes();
+        const from = nodes.map(node => [node.x, node.y]);
+        const to = message.positions;
+        const step = t => {
+          const e = d3.easeCubicInOut(t);
+          nodes.forEach((node, i) => {
+            node.x = node.fx = from[i][0] + (to[2 * i] - from[i][0]) * e;
+            node.y = node.fy = from[i][1] + (to[2 * i + 1] - from[i][1]) * e;
+          });
+          sendPositions();
+        };
+        if (!message.duration) {
+          step(1);
+          break;
+        }
+        transition = d3.timer(elapsed => {
+          const t = Math.min(1, elapsed / message.duration);
+          step(t);
+          if (t === 1) stopTransition();
+        });
+        break;
+      }
+      case "release":
+        stopTransition();
+        arranged = false;
+        simulation.nodes().forEach(node => {
+          node.fx = null;
+          node.fy = null;
+        });
+        simulation.alpha(message.alpha).restart();
+        break;
+      case "forces":
+        simulation.force("charge").strength(message.charge);
+        linkScale = message.linkScale;
+        simulation.force("link").distance(l => l.distance * linkScale);
+        simulation.force("collide", message.collide ? d3.forceCollide(message.collide) : null);
+        if (!arranged && simulation.nodes().length) simulation.alpha(Math.max(simulation.alpha(), 0.3)).restart();
+        break;
+      case "alphaTarget":
+        simulation.alphaTarget(message.value).restart();
+        break;
+      case "reheat":
+        simulation.alpha(Math.max(simulation.alpha(), message.alpha)).restart();
+        break;
+      case "stop":
+        stopTransition();
+        simulation.stop();
+        break;
+      default:
+        break;
+    }
+  };
+
+  return { handle };
+}
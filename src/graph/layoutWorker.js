@@ -0,0 +1,6 @@
+import { createLayoutEngine } from "./layoutEngine.js";
+
+// Web Worker entry for the force layout; see forceLayout.js.
+const engine = createLayoutEngine((message, transfer) => self.postMessage(message, transfer));
+
+self.onmessage = event => engine.handle(event.data);
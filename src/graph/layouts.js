@@ -0,0 +1,191 @@
+import * as d3 from "d3";
+import { SUB_CLASS_OF } from "../rdf/ontology.js";
+
+// --- Layouts ---
+// Besides the force layout the graph can be arranged as a tree along one
+// predicate, in rings around a center node, on a circle grouped by class or
+// on a grid. Each arrangement is a Map of node id to { x, y } around center;
+// the layout engine animates the nodes there and pins them.
+
+export const LAYOUTS = {
+  force: "Force-directed",
+  hierarchical: "Hierarchical",
+  radial: "Radial",
+  circular: "Circular by class",
+  grid: "Grid"
+};
+
+export const DEFAULT_LAYOUT_SETTINGS = {
+  mode: "force",
+  // Hierarchical: links of this predicate point from child to parent, or
+  // from parent to child when reversed.
+  predicate: SUB_CLASS_OF,
+  reverse: false,
+  // Force: many-body strength, length of instance links and collision
+  // radius (0 turns collisions off).
+  charge: -300,
+  linkDistance: 300,
+  collide: 0
+};
+
+const SPACING = 130;
+const LEVEL_SPACING = 160;
+const RING_SPACING = 180;
+
+// Moves the positions so their bounding box is centered on center.
+function centerOn(positions, [cx, cy]) {
+  if (!positions.size) return positions;
+  const xs = Array.from(positions.values(), p => p.x);
+  const ys = Array.from(positions.values(), p => p.y);
+  const dx = cx - (d3.min(xs) + d3.max(xs)) / 2;
+  const dy = cy - (d3.min(ys) + d3.max(ys)) / 2;
+  positions.forEach(p => {
+    p.x += dx;
+    p.y += dy;
+  });
+  return positions;
+}
+
+const byTypeAndId = (a, b) => String(a.type).localeCompare(String(b.type)) || a.id.localeCompare(b.id);
+
+function gridPositions(nodes, [x0, y0]) {
+  const columns = Math.ceil(Math.sqrt(nodes.length));
+  return new Map([...nodes].sort(byTypeAndId).map((n, i) => [
+    n.id,
+    { x: x0 + (i % columns) * SPACING, y: y0 + Math.floor(i / columns) * SPACING }
+  ]));
+}
+
+// Lays out a forest given as { id, children } trees with d3.tree under a
+// synthetic root; x is across, y is depth (from 0).
+function treePositions(roots, nodeSize) {
+  const root = d3.hierarchy({ id: null, children: roots });
+  d3.tree().nodeSize(nodeSize).separation((a, b) => (a.parent === b.parent ? 1 : 1.5))(root);
+  return root.descendants().filter(d => d.data.id !== null);
+}
+
+// Builds { id, children } trees from a child -> parent map. Roots are the
+// nodes without a parent; members of parent cycles start trees of their own.
+function forest(ids, parentOf) {
+  const children = new Map();
+  parentOf.forEach((parent, child) => {
+    if (!children.has(parent)) children.set(parent, []);
+    children.get(parent).push(child);
+  });
+  const visited = new Set();
+  const build = id => {
+    visited.add(id);
+    return {
+      id,
+      children: (children.get(id) || []).flatMap(child => (visited.has(child) ? [] : [build(child)]))
+    };
+  };
+  const roots = ids.filter(id => !parentOf.has(id)).map(build);
+  ids.forEach(id => {
+    if (!visited.has(id)) roots.push(build(id));
+  });
+  return roots;
+}
+
+function hierarchicalPositions(nodes, links, { predicate, reverse, center }) {
+  const ids = nodes.map(n => n.id).sort();
+  const parentOf = new Map();
+  const linked = new Set();
+  links.forEach(l => {
+    if (l.predicate !== predicate) return;
+    const [child, parent] = reverse ? [l.target.id, l.source.id] : [l.source.id, l.target.id];
+    if (child === parent || parentOf.has(child)) return;
+    parentOf.set(child, parent);
+    linked.add(child).add(parent);
+  });
+
+  // Nodes the predicate does not reach go on a grid below the tree.
+  const positions = new Map();
+  const placed = treePositions(forest(ids.filter(id => linked.has(id)), parentOf), [SPACING, LEVEL_SPACING]);
+  placed.forEach(d => positions.set(d.data.id, { x: d.x, y: (d.depth - 1) * LEVEL_SPACING }));
+  const loose = nodes.filter(n => !linked.has(n.id));
+  const bottom = placed.length ? d3.max(placed, d => (d.depth - 1) * LEVEL_SPACING) + LEVEL_SPACING : 0;
+  const left = placed.length ? d3.min(placed, d => d.x) : 0;
+  gridPositions(loose, [left, bottom]).forEach((p, id) => positions.set(id, p));
+  return centerOn(positions, center);
+}
+
+// Rings by hop distance from the root, following links both ways; each node
+// sits near the node it was reached from. Unreachable nodes form the
+// outermost ring.
+function radialPositions(nodes, links, { rootId, center }) {
+  if (!nodes.length) return new Map();
+  const neighbours = new Map(nodes.map(n => [n.id, []]));
+  links.forEach(({ source, target }) => {
+    neighbours.get(source.id).push(target.id);
+    neighbours.get(target.id).push(source.id);
+  });
+  const start = neighbours.has(rootId)
+    ? rootId
+    : d3.greatest(nodes, n => neighbours.get(n.id).length).id;
+
+  const parentOf = new Map();
+  const reached = new Set([start]);
+  const queue = [start];
+  while (queue.length) {
+    const id = queue.shift();
+    neighbours.get(id).forEach(next => {
+      if (reached.has(next)) return;
+      reached.add(next);
+      parentOf.set(next, id);
+      queue.push(next);
+    });
+  }
+
+  const [cx, cy] = center;
+  const positions = new Map();
+  const root = d3.hierarchy(forest([start], parentOf)[0]);
+  d3.tree().size([2 * Math.PI, 1]).separation((a, b) => (a.parent === b.parent ? 1 : 2) / a.depth)(root);
+  root.descendants().forEach(d => {
+    const radius = d.depth * RING_SPACING;
+    positions.set(d.data.id, { x: cx + radius * Math.cos(d.x - Math.PI / 2), y: cy + radius * Math.sin(d.x - Math.PI / 2) });
+  });
+  const rest = nodes.filter(n => !reached.has(n.id)).sort(byTypeAndId);
+  const outer = (root.height + 1) * RING_SPACING;
+  rest.forEach((n, i) => {
+    const angle = (2 * Math.PI * i) / rest.length;
+    positions.set(n.id, { x: cx + outer * Math.cos(angle), y: cy + outer * Math.sin(angle) });
+  });
+  return positions;
+}
+
+// One circle with the classes in consecutive arcs and an empty slot
+// between them.
+function circularPositions(nodes, { center }) {
+  const sorted = [...nodes].sort(byTypeAndId);
+  const groups = new Set(sorted.map(n => n.type)).size;
+  const slots = sorted.length + (groups > 1 ? groups : 0);
+  const radius = Math.max(150, (slots * SPACING * 0.6) / (2 * Math.PI));
+  const [cx, cy] = center;
+  const positions = new Map();
+  let slot = 0;
+  sorted.forEach((n, i) => {
+    if (i > 0 && groups > 1 && n.type !== sorted[i - 1].type) slot++;
+    const angle = (2 * Math.PI * slot) / slots - Math.PI / 2;
+    positions.set(n.id, { x: cx + radius * Math.cos(angle), y: cy + radius * Math.sin(angle) });
+    slot++;
+  });
+  return positions;
+}
+
+// Positions for every node under the given layout, or null for the force
+// layout. links reference their node objects.
+export function layoutPositions(mode, nodes, links, { predicate, reverse, rootId, center }) {
+  switch (mode) {
+    case "hierarchical":
+      return hierarchicalPositions(nodes, links, { predicate, reverse, center });
+    case "radial":
+      return radialPositions(nodes, links, { rootId, center });
+    case "circular":
+      return circularPositions(nodes, { center });
+    case "grid":
+      return centerOn(gridPositions(nodes, [0, 0]), center);
+    default:
+      return null;
+  }
+}
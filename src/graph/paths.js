@@ -0,0 +1,110 @@
+// --- Path Finding ---
+// Shortest connections between two nodes over id triples ([subject,
+// predicate, object]). Every triple is its own step, so two predicates
+// between the same nodes give two paths. A path is { nodes: [id], steps:
+// [{ triple, direction: "out" | "in" }] }, where "in" means the triple was
+// followed from its object to its subject.
+
+// How a predicate may be traversed: "both", "out", "in" or "none".
+export const PATH_DIRECTIONS = ["both", "out", "in", "none"];
+
+const stepKey = step => `${step.triple.join(" ")} ${step.direction}`;
+// Identifies a path across searches.
+export const pathKey = path => path.steps.map(stepKey).join("|");
+
+function adjacency(triples, directionOf) {
+  const edges = new Map();
+  const add = (from, step) => {
+    if (!edges.has(from)) edges.set(from, []);
+    edges.get(from).push(step);
+  };
+  const seen = new Set();
+  triples.forEach(triple => {
+    const [s, p, o] = triple;
+    const key = triple.join(" ");
+    if (s === o || seen.has(key)) return;
+    seen.add(key);
+    const direction = directionOf(p);
+    if (direction === "both" || direction === "out") add(s, { triple, direction: "out", next: o });
+    if (direction === "both" || direction === "in") add(o, { triple, direction: "in", next: s });
+  });
+  return edges;
+}
+
+// Breadth-first search avoiding the blocked nodes and steps; the steps of a
+// shortest path, or null.
+function shortestSteps(edges, from, to, blockedNodes, blockedSteps) {
+  const previous = new Map([[from, null]]);
+  const queue = [from];
+  for (let i = 0; i < queue.length; i++) {
+    const id = queue[i];
+    if (id === to) break;
+    (edges.get(id) || []).forEach(step => {
+      if (previous.has(step.next) || blockedNodes.has(step.next) || blockedSteps.has(stepKey(step))) return;
+      previous.set(step.next, { id, step });
+      queue.push(step.next);
+    });
+  }
+  if (!previous.has(to)) return null;
+  const steps = [];
+  for (let at = previous.get(to); at; at = previous.get(at.id)) steps.unshift(at.step);
+  return steps;
+}
+
+const toPath = (from, steps) => ({
+  nodes: [from, ...steps.map(step => step.next)],
+  steps: steps.map(({ triple, direction }) => ({ triple, direction }))
+});
+
+// Up to k shortest paths without repeated nodes (Yen's algorithm), shortest
+// first. directionOf(predicate) gives the predicate's direction.
+export function findPaths(triples, from, to, { k = 3, directionOf = () => "both" } = {}) {
+  if (!from || !to || from === to) return [];
+  const edges = adjacency(triples, directionOf);
+  const first = shortestSteps(edges, from, to, new Set(), new Set());
+  if (!first) return [];
+
+  const found = [first];
+  const candidates = [];
+  const known = new Set([pathKey({ steps: first })]);
+  while (found.length < k) {
+    const last = found[found.length - 1];
+    // Deviate from the last path at each of its nodes in turn.
+    for (let i = 0; i < last.length; i++) {
+      const root = last.slice(0, i);
+      const rootKey = root.map(stepKey).join("|");
+      const spurNode = i ? root[i - 1].next : from;
+      const blockedSteps = new Set();
+      found.forEach(steps => {
+        if (steps.length > i && steps.slice(0, i).map(stepKey).join("|") === rootKey) blockedSteps.add(stepKey(steps[i]));
+      });
+      const blockedNodes = new Set([from, ...root.map(step => step.next)]);
+      blockedNodes.delete(spurNode);
+      const spur = shortestSteps(edges, spurNode, to, blockedNodes, blockedSteps);
+      if (!spur) continue;
+      const steps = [...root, ...spur];
+      const key = pathKey({ steps });
+      if (known.has(key)) continue;
+      known.add(key);
+      candidates.push(steps);
+    }
+    if (!candidates.length) break;
+    // Stable: among equally short candidates the first one found wins.
+    let best = 0;
+    candidates.forEach((steps, i) => {
+      if (steps.length < candidates[best].length) best = i;
+    });
+    found.push(candidates.splice(best, 1)[0]);
+  }
+  return found.map(steps => toPath(from, steps));
+}
+
+// The path as one sentence, each step stated in its triple's own direction:
+// "ex:Alice knows ex:Bob, ex:Bob works at ex:CompanyY and ex:CompanyY located
+// in ex:CityZ." Names are left as they are, CURIEs included.
+export function describePath(path, nameOf, predicateLabel) {
+  const clauses = path.steps.map(({ triple: [s, p, o] }) => `${nameOf(s)} ${predicateLabel(p)} ${nameOf(o)}`);
+  if (!clauses.length) return "";
+  const last = clauses.pop();
+  return `${clauses.length ? `${clauses.join(", ")} and ` : ""}${last}.`;
+}
@@ -0,0 +1,135 @@
+import { RDFS } from "../rdf/terms.js";
+import { DEFAULT_PREFIXES, localName } from "../rdf/prefixes.js";
+
+// --- Search Index ---
+// Full-text search over every loaded entity: its local name, IRI and CURIE,
+// its labels and its literal values. Matches are ranked by how well the text matches
+// (exact, prefix, word prefix, substring, then typo-tolerant) and by what
+// matched (a label counts more than a literal value).
+
+const LABEL_PREDICATES = new Set([
+  `${RDFS}label`,
+  `${DEFAULT_PREFIXES.skos}prefLabel`,
+  `${DEFAULT_PREFIXES.skos}altLabel`,
+  `${DEFAULT_PREFIXES.foaf}name`,
+  `${DEFAULT_PREFIXES.schema}name`,
+  "http://schema.org/name"
+]);
+
+// How much a match in each kind of field is worth.
+const FIELD_WEIGHTS = { label: 1, name: 0.9, value: 0.6, iri: 0.5 };
+// Literal values longer than this are indexed by their start only.
+const MAX_VALUE_LENGTH = 200;
+
+// Lower case without accents, so "Zoë" is found by "zoe".
+const normalize = text => text.normalize("NFD").replace(/[\u0300-\u036f]/g, "").toLowerCase();
+const words = text => text.split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+
+// Levenshtein distance, giving up once it exceeds max.
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// Typos allowed in a query word: none up to 3 letters, then one per four.
+const allowedTypos = word => (word.length <= 3 ? 0 : Math.min(2, Math.floor(word.length / 4)));
+
+// How well a field matches the query, from 0 to 1.
+function matchScore(field, query, queryWords) {
+  const { text } = field;
+  if (text === query) return 1;
+  if (text.startsWith(query)) return 0.9;
+  if (field.words.some(word => word.startsWith(query))) return 0.8;
+  if (text.includes(query)) return 0.6;
+  // Every query word has to match a word of the field, allowing typos.
+  let total = 0;
+  for (const queryWord of queryWords) {
+    const typos = allowedTypos(queryWord);
+    let best = 0;
+    for (const word of field.words) {
+      if (word.startsWith(queryWord)) best = Math.max(best, 1);
+      else if (typos) {
+        const prefix = word.slice(0, queryWord.length + typos);
+        const distance = Math.min(editDistance(queryWord, word, typos), editDistance(queryWord, prefix, typos));
+        if (distance <= typos) best = Math.max(best, 1 - distance / (typos + 1));
+      }
+      if (best === 1) break;
+    }
+    if (!best) return 0;
+    total += best;
+  }
+  return 0.45 * total / queryWords.length;
+}
+
+// Builds the index from id triples ([subject, predicate, object]) and the
+// literal attributes ({ [id]: [{ predicate, value }] }). formatIri gives
+// the CURIE of an IRI.
+export function buildSearchIndex(triples, attributes, formatIri) {
+  const entries = new Map();
+  const entryOf = id => {
+    if (!entries.has(id)) {
+      const fields = [{ kind: "name", text: localName(id) }, { kind: "iri", text: formatIri(id) }];
+      if (formatIri(id) !== id) fields.push({ kind: "iri", text: id });
+      entries.set(id, { id, fields });
+    }
+    return entries.get(id);
+  };
+  triples.forEach(([s, , o]) => {
+    entryOf(s);
+    entryOf(o);
+  });
+  Object.entries(attributes).forEach(([id, values]) => {
+    const entry = entryOf(id);
+    values.forEach(({ predicate, value }) => {
+      entry.fields.push({
+        kind: LABEL_PREDICATES.has(predicate) ? "label" : "value",
+        predicate,
+        text: value.value.slice(0, MAX_VALUE_LENGTH)
+      });
+    });
+  });
+  entries.forEach(entry => {
+    entry.label = (entry.fields.find(field => field.kind === "label") || {}).text || null;
+    entry.fields.forEach(field => {
+      field.original = field.text;
+      field.text = normalize(field.text);
+      field.words = words(field.text);
+    });
+  });
+  return Array.from(entries.values());
+}
+
+// Entities matching the query, best first: [{ id, label, score, match:
+// { kind, predicate, text } }] where match is the field that scored best
+// and label the entity's first label, if any.
+export function searchEntities(index, query, { limit = Infinity } = {}) {
+  const normalized = normalize(query.trim());
+  if (!normalized) return [];
+  const queryWords = words(normalized);
+  if (!queryWords.length) queryWords.push(normalized);
+  const results = [];
+  index.forEach(entry => {
+    let best = null;
+    entry.fields.forEach(field => {
+      const score = matchScore(field, normalized, queryWords) * FIELD_WEIGHTS[field.kind];
+      if (score > 0 && (!best || score > best.score)) best = { score, field };
+    });
+    if (!best) return;
+    const { kind, predicate, original } = best.field;
+    results.push({ id: entry.id, label: entry.label, score: best.score, match: { kind, predicate, text: original } });
+  });
+  return results
+    .sort((a, b) => b.score - a.score || a.match.text.length - b.match.text.length || a.id.localeCompare(b.id))
+    .slice(0, limit);
+}
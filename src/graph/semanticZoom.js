@@ -0,0 +1,89 @@
+import { RDF } from "../rdf/terms.js";
+
+// --- Semantic Zoom ---
+// The abstraction ladder: level 1 shows classes, level 2 adds instance counts
+// and aggregated edge weights, level 3 shows the instances themselves. At the
+// class levels a class can be drilled into: its instances appear around its
+// group node while the other classes stay collapsed.
+
+const RDF_TYPE = `${RDF}type`;
+
+export const SEMANTIC_LEVELS = {
+  1: "Classes",
+  2: "Classes with instance counts",
+  3: "Instances"
+};
+export const INSTANCE_LEVEL = 3;
+
+// Zoom scales from which the view moves one step down the ladder.
+const LEVEL_SCALES = [0.6, 1.5];
+export const levelForScale = k => 1 + LEVEL_SCALES.filter(scale => k >= scale).length;
+
+export const groupRadius = count => Math.min(60, 24 + 4 * Math.sqrt(count));
+// A single triple keeps the usual 3px line.
+export const weightWidth = weight => Math.min(12, 1 + 2 * Math.sqrt(weight));
+
+// Group nodes for the classes in triples, plus the instances of the drilled
+// classes (at most instanceLimit, best connected first). Links between
+// groups aggregate the triples behind them; links between shown instances
+// are the triples themselves, keyed like the instance view.
+export function buildClassView(triples, classMap, { level, drilled, instanceLimit }) {
+  const withCounts = level === 2;
+  const members = new Map();
+  triples.forEach(([s, p, o]) => {
+    if (p !== RDF_TYPE) return;
+    if (!members.has(o)) members.set(o, new Set());
+    members.get(o).add(s);
+  });
+
+  let instanceIds = Array.from(new Set(
+    Array.from(drilled).flatMap(id => Array.from(members.get(id) || []))
+  )).filter(id => !members.has(id));
+  if (instanceIds.length > instanceLimit) {
+    const degrees = new Map();
+    triples.forEach(([s, , o]) => {
+      degrees.set(s, (degrees.get(s) || 0) + 1);
+      degrees.set(o, (degrees.get(o) || 0) + 1);
+    });
+    instanceIds = instanceIds
+      .sort((a, b) => (degrees.get(b) || 0) - (degrees.get(a) || 0))
+      .slice(0, instanceLimit);
+  }
+  const shown = new Set(instanceIds);
+
+  const nodes = [
+    ...Array.from(members, ([id, instances]) => ({
+      id,
+      type: id,
+      isGroup: true,
+      drilled: drilled.has(id),
+      ...(withCounts && { count: instances.size })
+    })),
+    ...instanceIds.map(id => ({ id, type: classMap[id], isGroup: false }))
+  ];
+
+  const groupOf = id => (members.has(classMap[id]) ? classMap[id] : null);
+  const links = new Map();
+  const add = (source, predicate, target, linkLevel) => {
+    const key = `${source} ${predicate} ${target}`;
+    if (!links.has(key)) links.set(key, { key, source, target, predicate, level: linkLevel, weight: 0 });
+    links.get(key).weight += 1;
+  };
+  triples.forEach(([s, p, o]) => {
+    if (p === RDF_TYPE) {
+      if (shown.has(s) && drilled.has(o)) add(s, p, o, INSTANCE_LEVEL);
+      return;
+    }
+    const source = shown.has(s) ? s : groupOf(s);
+    const target = shown.has(o) ? o : groupOf(o);
+    if (!source || !target) return;
+    add(source, p, target, shown.has(s) && shown.has(o) ? INSTANCE_LEVEL : level);
+  });
+
+  return {
+    nodes,
+    links: Array.from(links.values(), ({ weight, ...link }) =>
+      (withCounts && link.level !== INSTANCE_LEVEL ? { ...link, weight } : link)
+    )
+  };
+}
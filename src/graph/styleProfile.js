@@ -0,0 +1,240 @@
+import * as d3 from "d3";
+import { RDF, RDFS, termToString } from "../rdf/terms.js";
+import { compactIri, expandCurie } from "../rdf/prefixes.js";
+
+// --- Style Profiles ---
+// A profile says how a vocabulary is drawn:
+//   classes:    { [iri]: { label, color, icon, size, explanation } }
+//   predicates: { [iri]: { label, color, icon, dash, explanation } }
+//   modules:    { [name]: [class or predicate iri, ...] }
+// Every field is optional. Profiles are loaded from JSON or derived from the
+// labels, comments and viz: annotations in the data; the resolver fills in
+// whatever neither provides.
+
+export const VIZ = "https://github.com/zoeduong127/rdf_visualization_tool/style#";
+// Type of nodes without an rdf:type.
+export const UNTYPED = "Unknown";
+export const DEFAULT_NODE_SIZE = 30;
+
+export const EMPTY_PROFILE = { classes: {}, predicates: {}, modules: {} };
+
+const RDF_TYPE = `${RDF}type`;
+const CLASS_TYPES = new Set([`${RDFS}Class`, "http://www.w3.org/2002/07/owl#Class"]);
+const PROPERTY_TYPES = new Set([
+  `${RDF}Property`,
+  "http://www.w3.org/2002/07/owl#ObjectProperty",
+  "http://www.w3.org/2002/07/owl#DatatypeProperty",
+  "http://www.w3.org/2002/07/owl#AnnotationProperty"
+]);
+
+const CLASS_FIELDS = ["label", "color", "icon", "size", "explanation"];
+const PREDICATE_FIELDS = ["label", "color", "icon", "dash", "explanation"];
+
+const UNTYPED_STYLE = { color: "#9467bd", icon: "❓", explanation: "This node's type is not specified." };
+
+// Dash patterns are written as "6 4" in annotations and forms.
+export const parseDash = value => {
+  if (Array.isArray(value)) return value.every(n => typeof n === "number" && n >= 0) ? value : null;
+  if (typeof value !== "string" || !value.trim()) return null;
+  const numbers = value.trim().split(/[\s,]+/).map(Number);
+  return numbers.every(n => Number.isFinite(n) && n >= 0) ? numbers : null;
+};
+
+const cleanEntry = (entry, fields) => {
+  const clean = {};
+  fields.forEach(field => {
+    const value = entry[field];
+    if (value === undefined || value === null || value === "") return;
+    if (field === "size") {
+      if (Number(value) > 0) clean.size = Number(value);
+    } else if (field === "dash") {
+      const dash = parseDash(value);
+      if (dash && dash.length) clean.dash = dash;
+    } else {
+      clean[field] = String(value);
+    }
+  });
+  return clean;
+};
+
+// Field-by-field merge: override wins, modules are united.
+export function mergeProfiles(base, override) {
+  const mergeEntries = key => {
+    const merged = { ...base[key] };
+    Object.entries(override[key]).forEach(([iri, entry]) => {
+      merged[iri] = { ...merged[iri], ...entry };
+    });
+    return merged;
+  };
+  const modules = { ...base.modules };
+  Object.entries(override.modules).forEach(([name, members]) => {
+    modules[name] = Array.from(new Set([...(modules[name] || []), ...members]));
+  });
+  return { classes: mergeEntries("classes"), predicates: mergeEntries("predicates"), modules };
+}
+
+// Labels and comments in English or without a language tag are preferred.
+const preferLiteral = (current, object) => {
+  if (!current) return object;
+  const rank = term => (term.language === "en" ? 0 : term.language ? 2 : 1);
+  return rank(object) < rank(current) ? object : current;
+};
+
+// The profile the data describes for itself: rdfs:label and rdfs:comment of
+// the classes and predicates it uses or declares, plus viz:color, viz:icon,
+// viz:size, viz:dash and viz:module annotations.
+export function deriveProfile(quads) {
+  const classes = new Set();
+  const predicates = new Set();
+  quads.forEach(({ subject, predicate, object }) => {
+    predicates.add(predicate.value);
+    if (predicate.value !== RDF_TYPE) return;
+    if (CLASS_TYPES.has(object.value)) classes.add(termToString(subject));
+    else if (PROPERTY_TYPES.has(object.value)) predicates.add(termToString(subject));
+    else classes.add(termToString(object));
+  });
+
+  const found = new Map();
+  const modules = {};
+  quads.forEach(({ subject, predicate, object }) => {
+    if (object.termType !== "Literal") return;
+    const id = termToString(subject);
+    const field = {
+      [`${RDFS}label`]: "label",
+      [`${RDFS}comment`]: "explanation",
+      [`${VIZ}color`]: "color",
+      [`${VIZ}icon`]: "icon",
+      [`${VIZ}size`]: "size",
+      [`${VIZ}dash`]: "dash",
+      [`${VIZ}module`]: "module"
+    }[predicate.value];
+    if (!field || (!classes.has(id) && !predicates.has(id))) return;
+    if (field === "module") {
+      modules[object.value] = modules[object.value] || [];
+      if (!modules[object.value].includes(id)) modules[object.value].push(id);
+      return;
+    }
+    if (!found.has(id)) found.set(id, {});
+    const entry = found.get(id);
+    entry[field] = preferLiteral(entry[field], object);
+  });
+
+  const profile = { classes: {}, predicates: {}, modules };
+  found.forEach((entry, id) => {
+    const values = Object.fromEntries(Object.entries(entry).map(([field, term]) => [field, term.value]));
+    if (classes.has(id)) profile.classes[id] = cleanEntry(values, CLASS_FIELDS);
+    if (predicates.has(id)) profile.predicates[id] = cleanEntry(values, PREDICATE_FIELDS);
+  });
+  return profile;
+}
+
+// Reads a profile from JSON. Keys and module members may be CURIEs, using
+// the file's own "prefixes" object and then the given ones.
+export function parseProfile(text, prefixes) {
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`The style profile is not valid JSON: ${err.message}`);
+  }
+  const isObject = value => value && typeof value === "object" && !Array.isArray(value);
+  if (!isObject(json)) throw new Error("A style profile must be a JSON object");
+  ["prefixes", "classes", "predicates", "modules"].forEach(key => {
+    if (json[key] !== undefined && !isObject(json[key])) throw new Error(`"${key}" must be an object`);
+  });
+
+  const allPrefixes = { ...prefixes, ...json.prefixes };
+  const expand = key => expandCurie(key, allPrefixes);
+  const entries = (key, fields) => Object.fromEntries(
+    Object.entries(json[key] || {}).map(([iri, entry]) => {
+      if (!isObject(entry)) throw new Error(`The ${key} entry "${iri}" must be an object`);
+      if (entry.dash !== undefined && !parseDash(entry.dash)) {
+        throw new Error(`The dash pattern of "${iri}" must be numbers such as "6 4"`);
+      }
+      return [expand(iri), cleanEntry(entry, fields)];
+    })
+  );
+  const modules = Object.fromEntries(
+    Object.entries(json.modules || {}).map(([name, members]) => {
+      if (!Array.isArray(members)) throw new Error(`The module "${name}" must list class and predicate IRIs`);
+      return [name, members.map(String).map(expand)];
+    })
+  );
+  return { classes: entries("classes", CLASS_FIELDS), predicates: entries("predicates", PREDICATE_FIELDS), modules };
+}
+
+// JSON with CURIE keys and the prefixes they need.
+export function serializeProfile(profile, prefixes) {
+  const used = {};
+  const compact = iri => {
+    const curie = compactIri(iri, prefixes);
+    if (curie !== iri) {
+      const prefix = curie.slice(0, curie.indexOf(":"));
+      used[prefix] = prefixes[prefix];
+    }
+    return curie;
+  };
+  const entries = key => Object.fromEntries(
+    Object.entries(profile[key]).map(([iri, entry]) => [compact(iri), entry])
+  );
+  const body = {
+    classes: entries("classes"),
+    predicates: entries("predicates"),
+    modules: Object.fromEntries(Object.entries(profile.modules).map(([name, members]) => [name, members.map(compact)]))
+  };
+  return `${JSON.stringify({ prefixes: used, ...body }, null, 2)}\n`;
+}
+
+// Classes without a color get one of the palette colors, picked from their
+// IRI so it stays the same between sessions.
+const PALETTE = d3.schemeTableau10;
+const paletteColor = iri => {
+  let hash = 0;
+  for (let i = 0; i < iri.length; i++) hash = (hash * 31 + iri.charCodeAt(i)) | 0;
+  return PALETTE[Math.abs(hash) % PALETTE.length];
+};
+
+// Complete styles for any class or predicate. Labels fall back to null so
+// callers can use their own CURIE form.
+export function createStyleResolver(profile) {
+  return {
+    classStyle: iri => ({
+      label: null,
+      icon: "",
+      size: DEFAULT_NODE_SIZE,
+      explanation: "",
+      ...(iri === UNTYPED ? UNTYPED_STYLE : { color: paletteColor(iri) }),
+      ...profile.classes[iri]
+    }),
+    predicateStyle: iri => ({
+      label: null,
+      color: null,
+      icon: "",
+      dash: null,
+      explanation: "",
+      ...profile.predicates[iri]
+    }),
+    // Class and predicate IRIs of the module, or null for "All" and
+    // unknown modules.
+    moduleMembers: name => (profile.modules[name] ? new Set(profile.modules[name]) : null)
+  };
+}
+
+// Puts one class or predicate entry into the profile, replacing the old
+// entry and its module memberships.
+export function setProfileEntry(profile, kind, iri, entry, moduleNames) {
+  const fields = kind === "classes" ? CLASS_FIELDS : PREDICATE_FIELDS;
+  const modules = {};
+  Object.entries(profile.modules).forEach(([name, members]) => {
+    const kept = members.filter(member => member !== iri);
+    if (kept.length || moduleNames.includes(name)) modules[name] = kept;
+  });
+  moduleNames.forEach(name => {
+    modules[name] = [...(modules[name] || []), iri];
+  });
+  return {
+    ...profile,
+    [kind]: { ...profile[kind], [iri]: cleanEntry(entry, fields) },
+    modules
+  };
+}
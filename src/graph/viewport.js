@@ -0,0 +1,102 @@
+import * as d3 from "d3";
+
+// --- Viewport ---
+
+export const SCALE_EXTENT = [0.05, 8];
+// Larger graphs show an evenly spread sample in the minimap.
+const MAX_MINIMAP_DOTS = 2000;
+
+// Transform that fits the given points into a width x height view. Single
+// points are centered without zooming in further than maxScale.
+export function fitTransform(points, { width, height, padding = 60, maxScale = 2 }) {
+  if (!points.length) return d3.zoomIdentity;
+  const [x0, x1] = d3.extent(points, p => p.x);
+  const [y0, y1] = d3.extent(points, p => p.y);
+  const scale = Math.max(
+    SCALE_EXTENT[0],
+    Math.min(
+      maxScale,
+      (width - 2 * padding) / Math.max(x1 - x0, 1),
+      (height - 2 * padding) / Math.max(y1 - y0, 1)
+    )
+  );
+  return d3.zoomIdentity
+    .translate(width / 2, height / 2)
+    .scale(scale)
+    .translate(-(x0 + x1) / 2, -(y0 + y1) / 2);
+}
+
+// The part of graph space currently visible through the transform.
+export function visibleRect(transform, width, height) {
+  const [x0, y0] = transform.invert([0, 0]);
+  const [x1, y1] = transform.invert([width, height]);
+  return { x: x0, y: y0, width: x1 - x0, height: y1 - y0 };
+}
+
+// --- Minimap ---
+// Overview of the whole graph in a small <svg>: every node as a dot and the
+// viewport as a draggable rectangle. Elements persist between updates so a
+// drag survives the redraws it causes. onPan receives the graph-space point
+// that should become the center of the view.
+export function createMinimap(minimapSvg, { onPan }) {
+  const size = { width: Number(minimapSvg.getAttribute("width")), height: Number(minimapSvg.getAttribute("height")) };
+  let toWorld = (x, y) => [x, y];
+  let viewSize = [0, 0];
+
+  const svg = d3.select(minimapSvg);
+  svg.selectAll("*").remove();
+  svg.append("rect")
+    .attr("width", size.width)
+    .attr("height", size.height)
+    .attr("fill", "#fff")
+    .style("cursor", "pointer")
+    .on("click", event => onPan(toWorld(...d3.pointer(event))));
+  const dots = svg.append("g").style("pointer-events", "none");
+  const viewport = svg.append("rect")
+    .attr("class", "minimap-viewport")
+    .attr("fill", "rgba(25, 118, 210, 0.12)")
+    .attr("stroke", "#1976d2")
+    .attr("stroke-width", 1.5)
+    .style("cursor", "move")
+    .call(d3.drag().on("drag", event => {
+      const x = Number(viewport.attr("x")) + event.dx;
+      const y = Number(viewport.attr("y")) + event.dy;
+      onPan(toWorld(x + viewSize[0] / 2, y + viewSize[1] / 2));
+    }));
+
+  const update = ({ nodes, transform, width, height, highlightId }) => {
+    const view = visibleRect(transform, width, height);
+    const placed = nodes.filter(n => Number.isFinite(n.x) && Number.isFinite(n.y));
+
+    // World extent: the canvas, the nodes and the viewport, with a margin.
+    const xs = [0, width, view.x, view.x + view.width, ...placed.map(n => n.x)];
+    const ys = [0, height, view.y, view.y + view.height, ...placed.map(n => n.y)];
+    const margin = 40;
+    const world = { x: d3.min(xs) - margin, y: d3.min(ys) - margin };
+    const scale = Math.min(
+      size.width / (d3.max(xs) + margin - world.x),
+      size.height / (d3.max(ys) + margin - world.y)
+    );
+    const toMinimap = (x, y) => [(x - world.x) * scale, (y - world.y) * scale];
+    toWorld = (mx, my) => [mx / scale + world.x, my / scale + world.y];
+    viewSize = [view.width * scale, view.height * scale];
+
+    const step = Math.ceil(placed.length / MAX_MINIMAP_DOTS);
+    dots.selectAll("circle")
+      .data(step > 1 ? placed.filter((d, i) => i % step === 0 || d.id === highlightId) : placed)
+      .join("circle")
+      .attr("cx", d => toMinimap(d.x, d.y)[0])
+      .attr("cy", d => toMinimap(d.x, d.y)[1])
+      .attr("r", d => (d.id === highlightId ? 3.5 : 2))
+      .attr("fill", d => (d.id === highlightId ? "#e91e63" : "#607d8b"));
+
+    const [vx, vy] = toMinimap(view.x, view.y);
+    viewport
+      .attr("x", vx)
+      .attr("y", vy)
+      .attr("width", viewSize[0])
+      .attr("height", viewSize[1]);
+  };
+
+  return { update };
+}
@@ -0,0 +1,91 @@
+import { RDF, termToString } from "./terms.js";
+
+// --- Dataset Diff ---
+// Compares two datasets triple by triple. Graph names are ignored, so a
+// triple that only moved to another graph counts as unchanged.
+
+const RDF_TYPE = `${RDF}type`;
+
+export const tripleKey = q => [q.subject, q.predicate, q.object].map(termToString).join(" ");
+
+// { quads, status } where quads is the union (the after dataset, then what
+// was removed from before) and status maps tripleKey to "added", "removed"
+// or "unchanged".
+export function diffDatasets(before, after) {
+  const beforeKeys = new Set(before.map(tripleKey));
+  const status = new Map();
+  const quads = [];
+  after.forEach(q => {
+    const key = tripleKey(q);
+    if (!status.has(key)) status.set(key, beforeKeys.has(key) ? "unchanged" : "added");
+    quads.push(q);
+  });
+  before.forEach(q => {
+    const key = tripleKey(q);
+    if (status.has(key) && status.get(key) !== "removed") return;
+    status.set(key, "removed");
+    quads.push(q);
+  });
+  return { quads, status };
+}
+
+const emptyCounts = () => ({ added: 0, removed: 0, unchanged: 0 });
+
+// Counts per predicate and per class of the subject, largest change first:
+// { totals, predicates: [{ iri, added, removed, unchanged }], classes } where
+// a class iri of null stands for untyped subjects. Each distinct triple
+// counts once; a subject with several types counts for each.
+export function diffSummary({ quads, status }) {
+  const types = new Map();
+  quads.forEach(q => {
+    if (q.predicate.value !== RDF_TYPE || q.object.termType === "Literal") return;
+    const s = termToString(q.subject);
+    if (!types.has(s)) types.set(s, new Set());
+    types.get(s).add(q.object.value);
+  });
+
+  const totals = emptyCounts();
+  const predicates = new Map();
+  const classes = new Map();
+  const count = (map, iri, kind) => {
+    if (!map.has(iri)) map.set(iri, { iri, ...emptyCounts() });
+    map.get(iri)[kind]++;
+  };
+  const seen = new Set();
+  quads.forEach(q => {
+    const key = tripleKey(q);
+    if (seen.has(key)) return;
+    seen.add(key);
+    const kind = status.get(key);
+    totals[kind]++;
+    count(predicates, q.predicate.value, kind);
+    const subjectTypes = types.get(termToString(q.subject));
+    if (subjectTypes) subjectTypes.forEach(cls => count(classes, cls, kind));
+    else count(classes, null, kind);
+  });
+  const byChange = (a, b) => b.added + b.removed - (a.added + a.removed) || b.unchanged - a.unchanged;
+  return {
+    totals,
+    predicates: Array.from(predicates.values()).sort(byChange),
+    classes: Array.from(classes.values()).sort(byChange)
+  };
+}
+
+// Nodes whose triples were all added, or all removed, by node id.
+export function nodeDiffStatus({ quads, status }) {
+  const kinds = new Map();
+  const note = (id, kind) => {
+    if (!kinds.has(id)) kinds.set(id, new Set());
+    kinds.get(id).add(kind);
+  };
+  quads.forEach(q => {
+    const kind = status.get(tripleKey(q));
+    note(termToString(q.subject), kind);
+    if (q.object.termType !== "Literal") note(termToString(q.object), kind);
+  });
+  const result = new Map();
+  kinds.forEach((set, id) => {
+    if (set.size === 1 && !set.has("unchanged")) result.set(id, Array.from(set)[0]);
+  });
+  return result;
+}
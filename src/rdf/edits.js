@@ -0,0 +1,171 @@
+import { RDF, namedNode, quad, quadKey, termToString } from "./terms.js";
+import { termToNTriples } from "./serialize.js";
+
+// --- Edits ---
+// An edit is { removed: [quad], added: [quad] }, plus anything the caller
+// adds such as a label for the history. Edits are built against the current
+// quads and applied as a whole, so undoing one is applying its inverse.
+// Nodes are addressed by their termToString id.
+
+const RDF_TYPE = namedNode(`${RDF}type`);
+
+const mentions = (q, id) => termToString(q.subject) === id || termToString(q.object) === id;
+
+export function applyEdit(quads, { removed, added }) {
+  const removedKeys = new Set(removed.map(quadKey));
+  const kept = quads.filter(q => !removedKeys.has(quadKey(q)));
+  const keys = new Set(kept.map(quadKey));
+  return [...kept, ...added.filter(q => !keys.has(quadKey(q)))];
+}
+
+// Keeps only what actually changes the quads, so undoing an edit never
+// removes triples that were there before it.
+export function effectiveEdit(quads, edit) {
+  const keys = new Set(quads.map(quadKey));
+  const removed = edit.removed.filter(q => keys.has(quadKey(q)));
+  const removedKeys = new Set(removed.map(quadKey));
+  return {
+    ...edit,
+    removed,
+    added: edit.added.filter(q => !keys.has(quadKey(q)) || removedKeys.has(quadKey(q)))
+  };
+}
+
+export const invertEdit = edit => ({ ...edit, removed: edit.added, added: edit.removed });
+
+// A node only exists through its triples, so a new node starts with its class.
+export const addNodeEdit = (iri, classIri) => ({
+  removed: [],
+  added: [quad(namedNode(iri), RDF_TYPE, namedNode(classIri))]
+});
+
+// Existing nodes keep their term, so blank nodes stay blank.
+export function addTripleEdit(quads, subjectId, predicate, objectId) {
+  const term = id => {
+    const found = quads.find(q => mentions(q, id));
+    if (!found) return namedNode(id);
+    return termToString(found.subject) === id ? found.subject : found.object;
+  };
+  return {
+    removed: [],
+    added: [quad(term(subjectId), namedNode(predicate), term(objectId))]
+  };
+}
+
+// Replaces the node's term wherever it is the subject or object.
+export function renameNodeEdit(quads, id, iri) {
+  const removed = quads.filter(q => mentions(q, id));
+  const rename = term => (termToString(term) === id ? namedNode(iri) : term);
+  return {
+    removed,
+    added: removed.map(q => quad(rename(q.subject), q.predicate, rename(q.object), q.graph))
+  };
+}
+
+export const deleteNodeEdit = (quads, id) => ({
+  removed: quads.filter(q => mentions(q, id)),
+  added: []
+});
+
+const tripleQuads = (quads, [s, p, o]) => quads.filter(q =>
+  termToString(q.subject) === s && q.predicate.value === p && termToString(q.object) === o
+);
+
+export const deleteTripleEdit = (quads, triple) => ({
+  removed: tripleQuads(quads, triple),
+  added: []
+});
+
+export function changePredicateEdit(quads, triple, predicate) {
+  const removed = tripleQuads(quads, triple);
+  return {
+    removed,
+    added: removed.map(q => quad(q.subject, namedNode(predicate), q.object, q.graph))
+  };
+}
+
+// Replaces every rdf:type of the node with the given class.
+export function setClassEdit(quads, id, classIri) {
+  const removed = quads.filter(q => termToString(q.subject) === id && q.predicate.value === RDF_TYPE.value);
+  const subject = removed.length ? removed[0].subject : quads.find(q => mentions(q, id))?.subject || namedNode(id);
+  return {
+    removed,
+    added: [quad(subject, RDF_TYPE, namedNode(classIri))]
+  };
+}
+
+// Net effect of a sequence of edits: quads added and removed overall, with
+// changes that cancel out dropped.
+export function netChanges(edits) {
+  const added = new Map();
+  const removed = new Map();
+  edits.forEach(edit => {
+    edit.removed.forEach(q => {
+      const key = quadKey(q);
+      if (added.has(key)) added.delete(key);
+      else removed.set(key, q);
+    });
+    edit.added.forEach(q => {
+      const key = quadKey(q);
+      if (removed.has(key)) removed.delete(key);
+      else added.set(key, q);
+    });
+  });
+  return { added: Array.from(added.values()), removed: Array.from(removed.values()) };
+}
+
+// --- SPARQL Update ---
+const inNamedGraph = q => q.graph && q.graph.termType !== "DefaultGraph";
+const blankNodesOf = q => [q.subject, q.object].filter(term => term.termType === "BlankNode");
+
+// Triples one per line, those of named graphs inside GRAPH blocks. term
+// writes a single term.
+function quadBlock(quads, term) {
+  const groups = new Map();
+  quads.forEach(q => {
+    const graph = inNamedGraph(q) ? termToNTriples(q.graph) : "";
+    if (!groups.has(graph)) groups.set(graph, []);
+    groups.get(graph).push(`${term(q.subject)} ${term(q.predicate)} ${term(q.object)} .`);
+  });
+  return Array.from(groups, ([graph, lines]) => (graph
+    ? `  GRAPH ${graph} {\n${lines.map(line => `    ${line}\n`).join("")}  }\n`
+    : lines.map(line => `  ${line}\n`).join(""))).join("");
+}
+
+// The changes as a SPARQL Update request for applying them to a store.
+// Quads keep their named graph. DELETE DATA cannot hold blank nodes, so
+// removed quads with blank nodes are matched by a pattern with a variable
+// per blank node, and added quads that mention those nodes are inserted by
+// the same operation. Throws when an added quad has a blank node that no
+// removed quad matches: a store has no way of telling which node it is.
+export function serializeSparqlUpdate({ added, removed }) {
+  const matched = removed.filter(q => blankNodesOf(q).length);
+  const variables = new Map();
+  matched.flatMap(blankNodesOf).forEach(({ value }) => {
+    if (!variables.has(value)) variables.set(value, `?b${variables.size + 1}`);
+  });
+  const relinked = added.filter(q => blankNodesOf(q).length);
+  relinked.forEach(q => {
+    const unmatched = blankNodesOf(q).find(({ value }) => !variables.has(value));
+    if (unmatched) {
+      throw new Error(
+        `The added triple ${termToNTriples(q.subject)} ${termToNTriples(q.predicate)} ${termToNTriples(q.object)} ` +
+        `uses the blank node _:${unmatched.value}, which a store cannot look up; rename the node to an IRI first`
+      );
+    }
+  });
+  const variableOr = term => (term.termType === "BlankNode" ? variables.get(term.value) : termToNTriples(term));
+
+  const parts = [];
+  const deleted = removed.filter(q => !blankNodesOf(q).length);
+  if (deleted.length) parts.push(`DELETE DATA {\n${quadBlock(deleted, termToNTriples)}}`);
+  if (matched.length) {
+    const pattern = quadBlock(matched, variableOr);
+    parts.push(relinked.length
+      ? `DELETE {\n${pattern}}\nINSERT {\n${quadBlock(relinked, variableOr)}}\nWHERE {\n${pattern}}`
+      : `DELETE WHERE {\n${pattern}}`);
+  }
+  const inserted = added.filter(q => !blankNodesOf(q).length);
+  if (inserted.length) parts.push(`INSERT DATA {\n${quadBlock(inserted, termToNTriples)}}`);
+  return `${parts.join(" ;\n")}\n`;
+}
@@ -0,0 +1,138 @@
+import { namedNode, literal } from "./terms.js";
+import { EndpointError } from "./errors.js";
+import { parseRdf, formatFromMediaType, sniffFormat } from "./parse.js";
+import { termToNTriples } from "./serialize.js";
+
+// --- SPARQL 1.1 Protocol Client ---
+// Queries are sent as form-encoded POST requests. CONSTRUCT responses are
+// parsed with the regular importers, so any RDF syntax the endpoint returns
+// for the Accept header below can be merged into the graph.
+
+const RDF_ACCEPT = "application/n-triples, text/turtle;q=0.9, application/ld+json;q=0.8, application/rdf+xml;q=0.7";
+const RESULTS_ACCEPT = "application/sparql-results+json, application/json;q=0.9";
+
+export const DEFAULT_TIMEOUT_MS = 15000;
+
+function basicAuthHeader(username, password) {
+  const bytes = new TextEncoder().encode(`${username}:${password}`);
+  return `Basic ${btoa(String.fromCharCode(...bytes))}`;
+}
+
+// Sends a query and resolves to { text, contentType }. Options: accept, and
+// a signal to cancel the request. Failures reject with an EndpointError.
+export async function queryEndpoint(config, query, { accept = RDF_ACCEPT, signal } = {}) {
+  const { url, username = "", password = "", timeoutMs = DEFAULT_TIMEOUT_MS } = config;
+  if (!url) throw new EndpointError("No endpoint URL configured");
+
+  const headers = {
+    "Content-Type": "application/x-www-form-urlencoded",
+    Accept: accept
+  };
+  if (username) headers.Authorization = basicAuthHeader(username, password);
+
+  const controller = new AbortController();
+  let timedOut = false;
+  const timer = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeoutMs);
+  const cancel = () => controller.abort();
+  if (signal) signal.addEventListener("abort", cancel);
+
+  try {
+    let response;
+    try {
+      response = await fetch(url, {
+        method: "POST",
+        headers,
+        body: `query=${encodeURIComponent(query)}`,
+        signal: controller.signal
+      });
+    } catch (err) {
+      if (timedOut) throw new EndpointError(`Request timed out after ${timeoutMs / 1000} s`);
+      if (controller.signal.aborted) throw new EndpointError("Request cancelled");
+      throw new EndpointError(`Could not reach ${url}: ${err.message} (check the URL and the endpoint's CORS settings)`);
+    }
+    const text = await response.text();
+    if (!response.ok) {
+      const detail = text.trim().slice(0, 300);
+      const reason = response.status === 401 || response.status === 403 ? " — check the username and password" : "";
+      throw new EndpointError(
+        `Endpoint responded ${response.status} ${response.statusText}${reason}${detail ? `: ${detail}` : ""}`,
+        response.status
+      );
+    }
+    return { text, contentType: response.headers.get("Content-Type") || "" };
+  } catch (err) {
+    if (err instanceof EndpointError) throw err;
+    if (timedOut) throw new EndpointError(`Request timed out after ${timeoutMs / 1000} s`);
+    throw new EndpointError(err.message);
+  } finally {
+    clearTimeout(timer);
+    if (signal) signal.removeEventListener("abort", cancel);
+  }
+}
+
+// Runs a CONSTRUCT (or DESCRIBE) query and parses the returned graph.
+export async function constructFromEndpoint(config, query, options = {}) {
+  const { text, contentType } = await queryEndpoint(config, query, { ...options, accept: RDF_ACCEPT });
+  const format = formatFromMediaType(contentType) || sniffFormat(text);
+  try {
+    const { quads, prefixes = {} } = parseRdf(text, format, { baseIri: config.url });
+    return { quads, prefixes };
+  } catch (err) {
+    throw new EndpointError(`Could not parse the endpoint response as ${format}: ${err.message}`);
+  }
+}
+
+// Runs an ASK query; used to check that the endpoint and credentials work.
+export async function askEndpoint(config, query, options = {}) {
+  const { text } = await queryEndpoint(config, query, { ...options, accept: RESULTS_ACCEPT });
+  let result;
+  try {
+    result = JSON.parse(text);
+  } catch {
+    throw new EndpointError("The endpoint did not return SPARQL JSON results");
+  }
+  if (typeof result.boolean !== "boolean") throw new EndpointError("The endpoint did not return an ASK result");
+  return result.boolean;
+}
+
+// --- Query Builders ---
+// Without ORDER BY the endpoint may order rows differently on every
+// request, and pages would skip or repeat them.
+const page = (orderBy, { limit, offset = 0 }) => `ORDER BY ${orderBy} LIMIT ${limit}${offset ? ` OFFSET ${offset}` : ""}`;
+
+// Outgoing and incoming triples of one resource, plus the types of its
+// neighbours so they can be colored by class.
+export function neighbourhoodQuery(iri, { limit = 200, offset = 0 } = {}) {
+  const center = termToNTriples(namedNode(iri));
+  return `CONSTRUCT {
+  ${center} ?p ?o . ?o a ?oType .
+  ?s ?q ${center} . ?s a ?sType .
+}
+WHERE {
+  { ${center} ?p ?o OPTIONAL { ?o a ?oType } }
+  UNION
+  { ?s ?q ${center} OPTIONAL { ?s a ?sType } }
+}
+${page("?p ?o ?oType ?s ?q ?sType", { limit, offset })}`;
+}
+
+// Resources whose IRI or any literal value contains the text (case
+// insensitive), with all of their outgoing triples.
+export function searchMatchesQuery(text, { limit = 25, offset = 0 } = {}) {
+  const needle = termToNTriples(literal(text.toLowerCase()));
+  return `CONSTRUCT { ?s ?p ?o . ?o a ?oType . }
+WHERE {
+  {
+    SELECT DISTINCT ?s WHERE {
+      ?s ?lp ?value .
+      FILTER(CONTAINS(LCASE(STR(?s)), ${needle}) || (isLiteral(?value) && CONTAINS(LCASE(STR(?value)), ${needle})))
+    }
+    ${page("?s", { limit, offset })}
+  }
+  ?s ?p ?o .
+  OPTIONAL { ?o a ?oType }
+}`;
+}
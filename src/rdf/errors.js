@@ -0,0 +1,27 @@
+// Thrown by every importer so the UI can point at the offending position.
+// line and column are left out when the position is not known.
+export class RdfParseError extends Error {
+  constructor(message, line, column) {
+    super(line === undefined ? message : `${message} (line ${line}, column ${column})`);
+    this.name = "RdfParseError";
+    this.line = line;
+    this.column = column;
+  }
+}
+
+export class SparqlSyntaxError extends RdfParseError {
+  constructor(message, line, column) {
+    super(message, line, column);
+    this.name = "SparqlSyntaxError";
+  }
+}
+
+// Raised for failed SPARQL endpoint requests. status is the HTTP status code
+// when the server answered, or null for network errors and timeouts.
+export class EndpointError extends Error {
+  constructor(message, status = null) {
+    super(message);
+    this.name = "EndpointError";
+    this.status = status;
+  }
+}
@@ -0,0 +1,379 @@
+import {
+  RDF,
+  XSD,
+  namedNode,
+  literal,
+  quad,
+  defaultGraph,
+  freshBlankNode,
+  isAbsoluteIri,
+  resolveIri
+} from "./terms.js";
+import { RdfParseError } from "./errors.js";
+
+// --- JSON-LD Import ---
+// Expands JSON-LD straight into quads. Covers inline, embedded, scoped and
+// cached remote contexts, @graph, @type, @reverse, @list/@set and language
+// and index maps. Remote contexts are never fetched: they are looked up in
+// the user's local context cache.
+
+const KEYWORDS = new Set([
+  "@base", "@container", "@context", "@direction", "@graph", "@id", "@import",
+  "@included", "@index", "@json", "@language", "@list", "@nest", "@none",
+  "@prefix", "@propagate", "@protected", "@reverse", "@set", "@type", "@value",
+  "@version", "@vocab"
+]);
+
+const isKeyword = value => KEYWORDS.has(value);
+const asArray = value => (Array.isArray(value) ? value : [value]);
+const isObject = value => value !== null && typeof value === "object" && !Array.isArray(value);
+
+const normalizeContextUrl = url => url.trim().replace(/\/+$/, "");
+
+export function lookupCachedContext(contextCache, url) {
+  const key = normalizeContextUrl(url);
+  const match = Object.keys(contextCache).find(cached => normalizeContextUrl(cached) === key);
+  return match ? contextCache[match] : undefined;
+}
+
+// JSON.parse messages differ between engines: V8 gives an offset ("at
+// position 12"), Firefox a line and column, and some messages neither, in
+// which case the error has no position.
+function jsonParseError(err, text) {
+  const message = `Invalid JSON: ${err.message
+    .replace(/ in JSON at position \d+.*$/, "")
+    .replace(/ at line \d+ column \d+ of the JSON data$/, "")}`;
+  const lineColumn = /line (\d+) column (\d+)/.exec(err.message);
+  if (lineColumn) return new RdfParseError(message, Number(lineColumn[1]), Number(lineColumn[2]));
+  const offset = /position (\d+)/.exec(err.message);
+  const position = offset ? Number(offset[1]) : /end of (JSON )?(input|data)/i.test(err.message) ? text.length : null;
+  if (position === null) return new RdfParseError(message);
+  const before = text.slice(0, position);
+  return new RdfParseError(message, before.split("\n").length, position - before.lastIndexOf("\n"));
+}
+
+const contextError = message => new RdfParseError(`JSON-LD context error: ${message}`);
+
+function canonicalDouble(value) {
+  const [mantissa, exponent] = value.toExponential().split("e");
+  return `${mantissa.includes(".") ? mantissa : `${mantissa}.0`}E${Number(exponent)}`;
+}
+
+// --- Context Processing ---
+function expandIri(context, value, { vocab = false, documentRelative = false } = {}) {
+  if (value === null || typeof value !== "string" || isKeyword(value)) return value;
+  if (vocab && context.terms.has(value)) {
+    const definition = context.terms.get(value);
+    return definition ? definition.id : null;
+  }
+  const colon = value.indexOf(":");
+  if (colon > 0) {
+    const prefix = value.slice(0, colon);
+    const suffix = value.slice(colon + 1);
+    if (prefix === "_" || suffix.startsWith("//")) return value;
+    const definition = context.terms.get(prefix);
+    if (definition) return definition.id + suffix;
+    if (isAbsoluteIri(value)) return value;
+  }
+  if (vocab && context.vocab !== null && context.vocab !== undefined) return context.vocab + value;
+  if (documentRelative) return resolveIri(value, context.base);
+  return value;
+}
+
+function createTermDefinition(context, local, term, defined) {
+  if (defined.get(term) === true) return;
+  if (defined.get(term) === false) throw contextError(`cyclic definition of "${term}"`);
+  defined.set(term, false);
+
+  const raw = local[term];
+  if (raw === null || (isObject(raw) && raw["@id"] === null)) {
+    context.terms.set(term, null);
+    defined.set(term, true);
+    return;
+  }
+  const value = typeof raw === "string" ? { "@id": raw } : raw;
+  if (!isObject(value)) throw contextError(`invalid definition of "${term}"`);
+
+  // Make sure a prefix used by this definition is processed first.
+  const dependOn = iri => {
+    const colon = typeof iri === "string" ? iri.indexOf(":") : -1;
+    if (colon > 0) {
+      const prefix = iri.slice(0, colon);
+      if (prefix !== term && prefix in local) createTermDefinition(context, local, prefix, defined);
+    } else if (typeof iri === "string" && iri !== term && iri in local) {
+      createTermDefinition(context, local, iri, defined);
+    }
+  };
+
+  const definition = { id: null, reverse: false, type: null, language: undefined, container: [], context: undefined };
+
+  if ("@reverse" in value) {
+    dependOn(value["@reverse"]);
+    definition.id = expandIri(context, value["@reverse"], { vocab: true, documentRelative: true });
+    definition.reverse = true;
+  } else if ("@id" in value && value["@id"] !== term) {
+    dependOn(value["@id"]);
+    definition.id = expandIri(context, value["@id"], { vocab: true, documentRelative: true });
+  } else if (term.includes(":")) {
+    dependOn(term);
+    definition.id = expandIri(context, term, { vocab: true });
+  } else if (context.vocab !== null && context.vocab !== undefined) {
+    definition.id = context.vocab + term;
+  } else {
+    throw contextError(`"${term}" has no IRI mapping and there is no @vocab`);
+  }
+
+  if ("@type" in value) {
+    dependOn(value["@type"]);
+    const type = value["@type"];
+    definition.type = type === "@id" || type === "@vocab" || type === "@json"
+      ? type
+      : expandIri(context, type, { vocab: true, documentRelative: true });
+  }
+  if ("@language" in value) definition.language = value["@language"];
+  if ("@container" in value) definition.container = asArray(value["@container"]);
+  if ("@context" in value) definition.context = value["@context"];
+
+  context.terms.set(term, definition);
+  defined.set(term, true);
+}
+
+function processContext(active, localContext, options, remoteSeen = new Set()) {
+  let result = { ...active, terms: new Map(active.terms) };
+  for (const local of asArray(localContext)) {
+    if (local === null) {
+      result = { ...createContext(options.baseIri), terms: new Map() };
+      continue;
+    }
+    if (typeof local === "string") {
+      const url = resolveIri(local, result.base);
+      if (remoteSeen.has(url)) throw contextError(`recursive context inclusion of ${url}`);
+      const cached = lookupCachedContext(options.contextCache, url);
+      if (cached === undefined) {
+        throw contextError(`remote context ${url} is not in the local context cache`);
+      }
+      const document = typeof cached === "string" ? JSON.parse(cached) : cached;
+      const remote = isObject(document) && "@context" in document ? document["@context"] : document;
+      result = processContext(result, remote, options, new Set([...remoteSeen, url]));
+      continue;
+    }
+    if (!isObject(local)) throw contextError("a context must be an object, string or null");
+
+    let definitions = local;
+    if ("@import" in local) {
+      const imported = lookupCachedContext(options.contextCache, resolveIri(local["@import"], result.base));
+      if (imported === undefined) {
+        throw contextError(`imported context ${local["@import"]} is not in the local context cache`);
+      }
+      const document = typeof imported === "string" ? JSON.parse(imported) : imported;
+      definitions = { ...(document["@context"] ?? document), ...local };
+    }
+    if ("@base" in definitions) {
+      const base = definitions["@base"];
+      result.base = base === null ? null : resolveIri(base, result.base);
+    }
+    if ("@vocab" in definitions) {
+      const vocab = definitions["@vocab"];
+      result.vocab = vocab === null ? null : expandIri(result, vocab, { vocab: true, documentRelative: true });
+    }
+    if ("@language" in definitions) {
+      result.language = definitions["@language"] === null ? undefined : definitions["@language"].toLowerCase();
+    }
+    const defined = new Map();
+    Object.keys(definitions)
+      .filter(term => !term.startsWith("@"))
+      .forEach(term => createTermDefinition(result, definitions, term, defined));
+  }
+  return result;
+}
+
+function createContext(baseIri) {
+  return { base: baseIri || null, vocab: null, language: undefined, terms: new Map() };
+}
+
+// --- Expansion to Quads ---
+export function parseJsonLd(input, { baseIri = "", contextCache = {} } = {}) {
+  let document = input;
+  if (typeof input === "string") {
+    try {
+      document = JSON.parse(input);
+    } catch (err) {
+      throw jsonParseError(err, input);
+    }
+  }
+
+  const options = { baseIri, contextCache };
+  const quads = [];
+  const blankNodeLabels = new Map();
+
+  const toTerm = iri => {
+    if (iri.startsWith("_:")) {
+      const label = iri.slice(2);
+      if (!blankNodeLabels.has(label)) blankNodeLabels.set(label, freshBlankNode());
+      return blankNodeLabels.get(label);
+    }
+    return namedNode(iri);
+  };
+  const isUsableIri = iri => typeof iri === "string" && (iri.startsWith("_:") || isAbsoluteIri(iri));
+
+  const emit = (subject, predicate, object, graph) => quads.push(quad(subject, predicate, object, graph));
+
+  const emitList = (items, context, definition, graph) => {
+    const terms = items.flatMap(item => processValue(item, context, definition, graph));
+    if (!terms.length) return namedNode(`${RDF}nil`);
+    const head = freshBlankNode();
+    let current = head;
+    terms.forEach((term, i) => {
+      emit(current, namedNode(`${RDF}first`), term, graph);
+      const next = i === terms.length - 1 ? namedNode(`${RDF}nil`) : freshBlankNode();
+      emit(current, namedNode(`${RDF}rest`), next, graph);
+      current = next;
+    });
+    return head;
+  };
+
+  const literalFromValueObject = (value, context) => {
+    const raw = value["@value"];
+    if (raw === null) return null;
+    const type = value["@type"] ? expandIri(context, value["@type"], { vocab: true, documentRelative: true }) : null;
+    if (type) {
+      const lexical = typeof raw === "number" && type === `${XSD}double` ? canonicalDouble(raw) : String(raw);
+      return literal(lexical, namedNode(type));
+    }
+    if (typeof value["@language"] === "string") return literal(String(raw), value["@language"]);
+    return nativeLiteral(raw);
+  };
+
+  const nativeLiteral = (raw, definition) => {
+    if (typeof raw === "boolean") return literal(String(raw), namedNode(`${XSD}boolean`));
+    if (typeof raw === "number") {
+      if (definition?.type && definition.type.includes(":")) {
+        return literal(definition.type === `${XSD}double` ? canonicalDouble(raw) : String(raw), namedNode(definition.type));
+      }
+      return Number.isInteger(raw) && Math.abs(raw) < 1e21
+        ? literal(String(raw), namedNode(`${XSD}integer`))
+        : literal(canonicalDouble(raw), namedNode(`${XSD}double`));
+    }
+    return literal(raw);
+  };
+
+  // Returns the RDF terms a JSON-LD value expands to.
+  function processValue(value, context, definition, graph) {
+    if (value === null || value === undefined) return [];
+    if (Array.isArray(value)) return value.flatMap(item => processValue(item, context, definition, graph));
+
+    if (isObject(value)) {
+      if ("@value" in value) {
+        const term = literalFromValueObject(value, context);
+        return term ? [term] : [];
+      }
+      if ("@list" in value) return [emitList(asArray(value["@list"]), context, definition, graph)];
+      if ("@set" in value) return processValue(value["@set"], context, definition, graph);
+      const node = processNode(value, context, graph);
+      return node ? [node] : [];
+    }
+
+    if (typeof value === "string") {
+      if (definition?.type === "@id" || definition?.type === "@vocab") {
+        const iri = expandIri(context, value, { vocab: definition.type === "@vocab", documentRelative: true });
+        return isUsableIri(iri) ? [toTerm(iri)] : [];
+      }
+      if (definition?.type && definition.type.includes(":")) return [literal(value, namedNode(definition.type))];
+      const language = definition && definition.language !== undefined ? definition.language : context.language;
+      return [language ? literal(value, language) : literal(value)];
+    }
+
+    return [nativeLiteral(value, definition)];
+  }
+
+  function processProperty(subject, key, value, context, graph) {
+    const definition = context.terms.get(key);
+    const predicateIri = expandIri(context, key, { vocab: true });
+    // Properties that don't expand to an absolute IRI are dropped, as in JSON-LD expansion.
+    if (!predicateIri || isKeyword(predicateIri) || !isAbsoluteIri(predicateIri) || predicateIri.startsWith("_:")) return;
+    const predicate = namedNode(predicateIri);
+    const valueContext = definition?.context !== undefined ? processContext(context, definition.context, options) : context;
+    const container = definition?.container || [];
+
+    let values;
+    if (container.includes("@language") && isObject(value)) {
+      values = Object.entries(value).flatMap(([language, strings]) =>
+        asArray(strings).filter(s => s !== null).map(s => (language === "@none" ? literal(s) : literal(s, language)))
+      );
+    } else if ((container.includes("@index") || container.includes("@id") || container.includes("@type")) && isObject(value)) {
+      values = Object.values(value).flatMap(item => processValue(item, valueContext, definition, graph));
+    } else if (container.includes("@list") && !(isObject(value) && "@list" in value)) {
+      values = [emitList(asArray(value), valueContext, definition, graph)];
+    } else {
+      values = processValue(value, valueContext, definition, graph);
+    }
+
+    values.forEach(object => {
+      if (definition?.reverse) {
+        if (object.termType !== "Literal") emit(object, predicate, subject, graph);
+      } else {
+        emit(subject, predicate, object, graph);
+      }
+    });
+  }
+
+  function processNode(node, activeContext, graph) {
+    let context = "@context" in node ? processContext(activeContext, node["@context"], options) : activeContext;
+
+    // Type-scoped contexts apply to this node's own properties.
+    const typeValues = asArray(node["@type"] ?? []).filter(t => typeof t === "string");
+    typeValues
+      .slice()
+      .sort()
+      .forEach(type => {
+        const definition = context.terms.get(type);
+        if (definition?.context !== undefined) context = processContext(context, definition.context, options);
+      });
+
+    const id = "@id" in node ? expandIri(context, node["@id"], { documentRelative: true }) : null;
+    const subject = id && isUsableIri(id) ? toTerm(id) : freshBlankNode();
+
+    typeValues.forEach(type => {
+      const iri = expandIri(context, type, { vocab: true, documentRelative: true });
+      if (isUsableIri(iri)) emit(subject, namedNode(`${RDF}type`), toTerm(iri), graph);
+    });
+
+    Object.entries(node).forEach(([key, value]) => {
+      if (key.startsWith("@")) return;
+      processProperty(subject, key, value, context, graph);
+    });
+
+    if (isObject(node["@reverse"])) {
+      Object.entries(node["@reverse"]).forEach(([key, value]) => {
+        const predicateIri = expandIri(context, key, { vocab: true });
+        if (!isUsableIri(predicateIri)) return;
+        processValue(value, context, context.terms.get(key), graph)
+          .filter(term => term.termType !== "Literal")
+          .forEach(term => emit(term, namedNode(predicateIri), subject, graph));
+      });
+    }
+
+    if ("@included" in node) {
+      asArray(node["@included"]).forEach(included => processNode(included, context, graph));
+    }
+
+    if ("@graph" in node) {
+      const hasOwnContent = Object.keys(node).some(key => key !== "@graph" && key !== "@context");
+      const target = hasOwnContent ? subject : graph;
+      asArray(node["@graph"]).forEach(member => {
+        if (isObject(member)) processNode(member, context, target);
+      });
+      // A bare { "@context", "@graph" } wrapper is not a node itself.
+      if (!hasOwnContent) return null;
+    }
+
+    return subject;
+  }
+
+  const rootContext = createContext(baseIri);
+  asArray(document).forEach(item => {
+    if (isObject(item)) processNode(item, rootContext, defaultGraph());
+  });
+
+  return { quads };
+}
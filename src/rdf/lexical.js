@@ -0,0 +1,16 @@
+// --- Lexical Patterns ---
+// Terminals shared by the Turtle family parser and the SPARQL tokenizer.
+const PN_CHARS_BASE = "A-Za-z\\u00C0-\\u00D6\\u00D8-\\u00F6\\u00F8-\\u02FF\\u0370-\\u037D\\u037F-\\u1FFF\\u200C-\\u200D\\u2070-\\u218F\\u2C00-\\u2FEF\\u3001-\\uD7FF\\uF900-\\uFDCF\\uFDF0-\\uFFFD\\u{10000}-\\u{EFFFF}";
+const PN_CHARS_U = `${PN_CHARS_BASE}_`;
+const PN_CHARS = `${PN_CHARS_U}\\-0-9\\u00B7\\p{Mn}\\u203F-\\u2040`;
+const PLX = "%[0-9A-Fa-f]{2}|\\\\[_~.\\-!$&'()*+,;=/?#@%]";
+
+export const PNAME_NS = new RegExp(`(?:[${PN_CHARS_BASE}](?:[${PN_CHARS}.]*[${PN_CHARS}])?)?:`, "uy");
+export const PN_LOCAL = new RegExp(`(?:[${PN_CHARS_U}:0-9]|${PLX})(?:(?:[${PN_CHARS}.:]|${PLX})*(?:[${PN_CHARS}:]|${PLX}))?`, "uy");
+export const BLANK_NODE_LABEL = new RegExp(`_:[${PN_CHARS_U}0-9](?:[${PN_CHARS}.]*[${PN_CHARS}])?`, "uy");
+export const LANGTAG = /@[a-zA-Z]+(?:-[a-zA-Z0-9]+)*/y;
+export const DOUBLE = /[+-]?(?:\d+\.\d*[eE][+-]?\d+|\.\d+[eE][+-]?\d+|\d+[eE][+-]?\d+)/y;
+export const DECIMAL = /[+-]?\d*\.\d+/y;
+export const INTEGER = /[+-]?\d+/y;
+
+export const STRING_ESCAPES = { t: "\t", b: "\b", n: "\n", r: "\r", f: "\f", "\"": "\"", "'": "'", "\\": "\\" };
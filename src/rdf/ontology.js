@@ -0,0 +1,152 @@
+import { RDF, RDFS } from "./terms.js";
+
+// --- Ontology ---
+// The RDFS/OWL schema statements the graph understands, read from id triples
+// ([subject, predicate, object] as built by splitQuads): rdfs:subClassOf,
+// rdfs:subPropertyOf, rdfs:domain, rdfs:range and owl:inverseOf.
+
+const RDF_TYPE = `${RDF}type`;
+export const SUB_CLASS_OF = `${RDFS}subClassOf`;
+const SUB_PROPERTY_OF = `${RDFS}subPropertyOf`;
+const DOMAIN = `${RDFS}domain`;
+const RANGE = `${RDFS}range`;
+const INVERSE_OF = "http://www.w3.org/2002/07/owl#inverseOf";
+
+const addTo = (map, key, value) => {
+  if (!map.has(key)) map.set(key, new Set());
+  map.get(key).add(value);
+};
+
+// Everything reachable from iri through map, without iri itself. Cycles
+// (classes declared equivalent through subClassOf both ways) are fine.
+function reachable(map, iri) {
+  const found = new Set();
+  const stack = [iri];
+  while (stack.length) {
+    (map.get(stack.pop()) || []).forEach(next => {
+      if (found.has(next) || next === iri) return;
+      found.add(next);
+      stack.push(next);
+    });
+  }
+  return found;
+}
+
+export function readOntology(triples) {
+  const superClasses = new Map();
+  const subClasses = new Map();
+  const superProperties = new Map();
+  const domains = new Map();
+  const ranges = new Map();
+  const inverses = new Map();
+  const axiomCounts = { subClassOf: 0, subPropertyOf: 0, domain: 0, range: 0, inverseOf: 0 };
+  const seen = new Set();
+  triples.forEach(([s, p, o]) => {
+    const key = `${s} ${p} ${o}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+    if (p === SUB_CLASS_OF) {
+      addTo(superClasses, s, o);
+      addTo(subClasses, o, s);
+      axiomCounts.subClassOf++;
+    } else if (p === SUB_PROPERTY_OF) {
+      addTo(superProperties, s, o);
+      axiomCounts.subPropertyOf++;
+    } else if (p === DOMAIN) {
+      addTo(domains, s, o);
+      axiomCounts.domain++;
+    } else if (p === RANGE) {
+      addTo(ranges, s, o);
+      axiomCounts.range++;
+    } else if (p === INVERSE_OF) {
+      addTo(inverses, s, o);
+      addTo(inverses, o, s);
+      axiomCounts.inverseOf++;
+    }
+  });
+
+  const cache = new Map();
+  const closure = (name, map) => iri => {
+    const key = `${name} ${iri}`;
+    if (!cache.has(key)) cache.set(key, reachable(map, iri));
+    return cache.get(key);
+  };
+  return {
+    superClasses,
+    subClasses,
+    superClassesOf: closure("super", superClasses),
+    subClassesOf: closure("sub", subClasses),
+    superPropertiesOf: closure("property", superProperties),
+    domainsOf: p => domains.get(p) || new Set(),
+    rangesOf: p => ranges.get(p) || new Set(),
+    inversesOf: p => inverses.get(p) || new Set(),
+    axiomCounts,
+    isEmpty: Object.values(axiomCounts).every(count => !count)
+  };
+}
+
+// --- Entailment ---
+// The triples that follow from the ontology and are not already asserted:
+// super-properties (rdfs7), inverses, domain and range types (rdfs2, rdfs3)
+// and super-classes (rdfs9), repeated until nothing new follows.
+// literalStatements are [subject, predicate] pairs whose object is a
+// literal; they only contribute domain types.
+export function inferTriples(triples, literalStatements, ontology) {
+  if (ontology.isEmpty) return [];
+  const known = new Set(triples.map(triple => triple.join(" ")));
+  const inferred = [];
+  const queue = [...triples];
+  const add = (s, p, o) => {
+    const key = `${s} ${p} ${o}`;
+    if (known.has(key)) return;
+    known.add(key);
+    inferred.push([s, p, o]);
+    queue.push([s, p, o]);
+  };
+  const addDomainTypes = (s, p) => {
+    [p, ...ontology.superPropertiesOf(p)].forEach(property => {
+      ontology.domainsOf(property).forEach(cls => add(s, RDF_TYPE, cls));
+    });
+  };
+
+  literalStatements.forEach(([s, p]) => addDomainTypes(s, p));
+  while (queue.length) {
+    const [s, p, o] = queue.pop();
+    if (p === RDF_TYPE) {
+      ontology.superClassesOf(o).forEach(cls => add(s, RDF_TYPE, cls));
+      continue;
+    }
+    ontology.superPropertiesOf(p).forEach(property => add(s, property, o));
+    ontology.inversesOf(p).forEach(property => add(o, property, s));
+    ontology.domainsOf(p).forEach(cls => add(s, RDF_TYPE, cls));
+    ontology.rangesOf(p).forEach(cls => add(o, RDF_TYPE, cls));
+  }
+  return inferred;
+}
+
+// --- Class Tree ---
+// The classes as a forest under their direct super-classes; a class with
+// several parents appears under each. Classes only reachable through a
+// cycle become roots so none go missing.
+export function classTree(classes, ontology) {
+  const known = new Set(classes);
+  const parentsOf = cls => Array.from(ontology.superClasses.get(cls) || []).filter(parent => known.has(parent) && parent !== cls);
+  const childrenOf = cls => Array.from(ontology.subClasses.get(cls) || []).filter(child => known.has(child) && child !== cls);
+
+  const placed = new Set();
+  const build = (cls, path) => {
+    placed.add(cls);
+    return {
+      iri: cls,
+      children: childrenOf(cls)
+        .filter(child => !path.has(child))
+        .sort()
+        .map(child => build(child, new Set([...path, child])))
+    };
+  };
+  const roots = Array.from(known).filter(cls => !parentsOf(cls).length).sort().map(cls => build(cls, new Set([cls])));
+  Array.from(known).sort().forEach(cls => {
+    if (!placed.has(cls)) roots.push(build(cls, new Set([cls])));
+  });
+  return roots;
+}
@@ -0,0 +1,410 @@
+import { RDF, XSD, namedNode, literal, quad, defaultGraph, freshBlankNode, resolveIri } from "./terms.js";
+import { RdfParseError } from "./errors.js";
+import {
+  PNAME_NS,
+  PN_LOCAL,
+  BLANK_NODE_LABEL,
+  LANGTAG,
+  DOUBLE,
+  DECIMAL,
+  INTEGER,
+  STRING_ESCAPES
+} from "./lexical.js";
+import { parseJsonLd } from "./jsonld.js";
+import { parseRdfXml } from "./rdfxml.js";
+
+// --- Formats ---
+export const RDF_FORMATS = {
+  turtle: { label: "Turtle", extensions: [".ttl", ".turtle"], mediaTypes: ["text/turtle", "application/x-turtle"] },
+  trig: { label: "TriG", extensions: [".trig"], mediaTypes: ["application/trig"] },
+  ntriples: { label: "N-Triples", extensions: [".nt"], mediaTypes: ["application/n-triples", "text/plain"] },
+  nquads: { label: "N-Quads", extensions: [".nq"], mediaTypes: ["application/n-quads"] },
+  jsonld: { label: "JSON-LD", extensions: [".jsonld", ".json"], mediaTypes: ["application/ld+json", "application/json"] },
+  rdfxml: { label: "RDF/XML", extensions: [".rdf", ".owl", ".xml"], mediaTypes: ["application/rdf+xml", "application/xml", "text/xml"] }
+};
+
+export function formatFromFileName(fileName) {
+  const lower = fileName.toLowerCase();
+  const match = Object.entries(RDF_FORMATS)
+    .find(([, { extensions }]) => extensions.some(ext => lower.endsWith(ext)));
+  return match ? match[0] : null;
+}
+
+// Maps a Content-Type header value to a format key, or null.
+export function formatFromMediaType(contentType) {
+  const mediaType = (contentType || "").split(";")[0].trim().toLowerCase();
+  const match = Object.entries(RDF_FORMATS)
+    .find(([, { mediaTypes }]) => mediaTypes.includes(mediaType));
+  return match ? match[0] : null;
+}
+
+// Fallback for files without a known extension.
+export function sniffFormat(text) {
+  const start = text.trimStart();
+  if (start.startsWith("{") || start.startsWith("[")) return "jsonld";
+  if (start.startsWith("<?xml") || /^<rdf:RDF[\s>]/.test(start)) return "rdfxml";
+  return "turtle";
+}
+
+// Parses any supported syntax into { quads }. Options: baseIri, and for
+// JSON-LD a contextCache mapping context URLs to their JSON documents.
+export function parseRdf(text, format = "turtle", options = {}) {
+  if (format === "jsonld") return parseJsonLd(text, options);
+  if (format === "rdfxml") return parseRdfXml(text, options);
+  return parseTurtle(text, format, options);
+}
+
+const DIRECTIVE = /@prefix|@base|PREFIX(?=\s)|BASE(?=\s)/iy;
+const GRAPH_KEYWORD = /GRAPH(?=\s)/iy;
+
+// --- Turtle / TriG / N-Triples / N-Quads Parser ---
+// A single recursive-descent parser handles all four syntaxes: N-Triples is
+// a subset of Turtle, N-Quads only adds an optional graph label, and TriG
+// adds graph blocks around Turtle statements.
+function parseTurtle(text, format, { baseIri = "" } = {}) {
+  const isLineBased = format === "ntriples" || format === "nquads";
+  const isTrig = format === "trig";
+  const prefixes = {};
+  const blankNodeLabels = new Map();
+  const quads = [];
+  let base = baseIri;
+  let pos = 0;
+  // The graph of the TriG block being read.
+  let currentGraph = defaultGraph();
+
+  const fail = (message, at = pos) => {
+    const before = text.slice(0, at);
+    const line = before.split("\n").length;
+    const column = at - before.lastIndexOf("\n");
+    throw new RdfParseError(message, line, column);
+  };
+
+  const skipWhitespace = () => {
+    while (pos < text.length) {
+      const ch = text[pos];
+      if (ch === " " || ch === "\t" || ch === "\n" || ch === "\r") {
+        pos++;
+      } else if (ch === "#") {
+        while (pos < text.length && text[pos] !== "\n") pos++;
+      } else {
+        break;
+      }
+    }
+  };
+
+  const peek = () => {
+    skipWhitespace();
+    return text[pos];
+  };
+
+  const expect = ch => {
+    if (peek() !== ch) {
+      fail(pos < text.length ? `Expected "${ch}" but found "${text[pos]}"` : `Expected "${ch}" but reached end of input`);
+    }
+    pos++;
+  };
+
+  const match = pattern => {
+    pattern.lastIndex = pos;
+    const result = pattern.exec(text);
+    if (!result) return null;
+    pos = pattern.lastIndex;
+    return result[0];
+  };
+
+  const labelledBlankNode = label => {
+    if (!blankNodeLabels.has(label)) blankNodeLabels.set(label, freshBlankNode());
+    return blankNodeLabels.get(label);
+  };
+
+  const unescapeNumeric = (hex, at) => {
+    if (!/^[0-9A-Fa-f]+$/.test(hex)) fail("Invalid unicode escape", at);
+    return String.fromCodePoint(parseInt(hex, 16));
+  };
+
+  const readIriRef = () => {
+    const start = pos;
+    pos++; // <
+    let iri = "";
+    while (pos < text.length && text[pos] !== ">") {
+      const ch = text[pos];
+      if (ch === "\\") {
+        const kind = text[pos + 1];
+        const length = kind === "u" ? 4 : kind === "U" ? 8 : 0;
+        if (!length) fail("Invalid escape in IRI");
+        iri += unescapeNumeric(text.slice(pos + 2, pos + 2 + length), pos);
+        pos += 2 + length;
+      } else if (/[\s<"{}|^`]/.test(ch)) {
+        fail(`Invalid character "${ch}" in IRI`);
+      } else {
+        iri += ch;
+        pos++;
+      }
+    }
+    if (pos >= text.length) fail("Unterminated IRI", start);
+    pos++; // >
+    return namedNode(resolveIri(iri, base));
+  };
+
+  const readPrefixedName = () => {
+    const start = pos;
+    const ns = match(PNAME_NS);
+    if (ns === null) return null;
+    const prefix = ns.slice(0, -1);
+    const local = match(PN_LOCAL) || "";
+    if (!(prefix in prefixes)) fail(`Undefined prefix "${prefix}:"`, start);
+    const unescaped = local.replace(/\\(.)/g, "$1");
+    return namedNode(prefixes[prefix] + unescaped);
+  };
+
+  const readIri = () => {
+    if (peek() === "<") return readIriRef();
+    if (isLineBased) fail("Expected an IRI");
+    const name = readPrefixedName();
+    if (!name) fail("Expected an IRI or prefixed name");
+    return name;
+  };
+
+  const readString = () => {
+    const start = pos;
+    const quote = text[pos];
+    const isLong = text.startsWith(quote.repeat(3), pos);
+    if (isLong && isLineBased) fail("Long strings are not allowed in line-based formats");
+    pos += isLong ? 3 : 1;
+    let value = "";
+    for (;;) {
+      if (pos >= text.length) fail("Unterminated string literal", start);
+      const ch = text[pos];
+      if (isLong ? text.startsWith(quote.repeat(3), pos) : ch === quote) {
+        pos += isLong ? 3 : 1;
+        return value;
+      }
+      if (!isLong && (ch === "\n" || ch === "\r")) fail("Line break in short string literal");
+      if (ch === "\\") {
+        const kind = text[pos + 1];
+        if (kind === "u" || kind === "U") {
+          const length = kind === "u" ? 4 : 8;
+          value += unescapeNumeric(text.slice(pos + 2, pos + 2 + length), pos);
+          pos += 2 + length;
+        } else if (kind in STRING_ESCAPES) {
+          value += STRING_ESCAPES[kind];
+          pos += 2;
+        } else {
+          fail(`Invalid escape "\\${kind}" in string literal`);
+        }
+      } else {
+        value += ch;
+        pos++;
+      }
+    }
+  };
+
+  const readLiteral = () => {
+    const value = readString();
+    if (text[pos] === "@") {
+      const tag = match(LANGTAG);
+      if (!tag) fail("Invalid language tag");
+      return literal(value, tag.slice(1));
+    }
+    if (text.startsWith("^^", pos)) {
+      pos += 2;
+      return literal(value, readIri());
+    }
+    return literal(value);
+  };
+
+  const readNumber = () => {
+    let lexical = match(DOUBLE);
+    if (lexical !== null) return literal(lexical, namedNode(`${XSD}double`));
+    lexical = match(DECIMAL);
+    if (lexical !== null) return literal(lexical, namedNode(`${XSD}decimal`));
+    lexical = match(INTEGER);
+    if (lexical !== null) return literal(lexical, namedNode(`${XSD}integer`));
+    return null;
+  };
+
+  const readBlankNodeLabel = () => {
+    const label = match(BLANK_NODE_LABEL);
+    if (!label) fail("Invalid blank node label");
+    return labelledBlankNode(label.slice(2));
+  };
+
+  const emit = (subject, predicate, object, graph = currentGraph) => {
+    quads.push(quad(subject, predicate, object, graph));
+  };
+
+  // Turtle-only constructs: [ ... ] and ( ... )
+  const readBlankNodePropertyList = () => {
+    expect("[");
+    const node = freshBlankNode();
+    if (peek() !== "]") readPredicateObjectList(node);
+    expect("]");
+    return node;
+  };
+
+  const readCollection = () => {
+    expect("(");
+    const items = [];
+    while (peek() !== ")") {
+      if (pos >= text.length) fail("Unterminated collection");
+      items.push(readObject());
+    }
+    pos++; // )
+    if (!items.length) return namedNode(`${RDF}nil`);
+    const head = freshBlankNode();
+    let current = head;
+    items.forEach((item, i) => {
+      emit(current, namedNode(`${RDF}first`), item);
+      const next = i === items.length - 1 ? namedNode(`${RDF}nil`) : freshBlankNode();
+      emit(current, namedNode(`${RDF}rest`), next);
+      current = next;
+    });
+    return head;
+  };
+
+  const readSubject = () => {
+    const ch = peek();
+    if (ch === "_") return readBlankNodeLabel();
+    if (!isLineBased && ch === "[") return readBlankNodePropertyList();
+    if (!isLineBased && ch === "(") return readCollection();
+    return readIri();
+  };
+
+  const readPredicate = () => {
+    if (!isLineBased && peek() === "a" && /[\s<["'_(]/.test(text[pos + 1] || "")) {
+      pos++;
+      return namedNode(`${RDF}type`);
+    }
+    return readIri();
+  };
+
+  const readObject = () => {
+    const ch = peek();
+    if (ch === "\"" || ch === "'") {
+      if (isLineBased && ch === "'") fail("Single-quoted strings are not allowed in line-based formats");
+      return readLiteral();
+    }
+    if (ch === "_") return readBlankNodeLabel();
+    if (ch === "<") return readIriRef();
+    if (isLineBased) fail(pos < text.length ? `Unexpected "${ch}"` : "Unexpected end of input");
+    if (ch === "[") return readBlankNodePropertyList();
+    if (ch === "(") return readCollection();
+    const number = readNumber();
+    if (number) return number;
+    if (/^(true|false)(?![\w:-])/.test(text.slice(pos, pos + 6))) {
+      const value = text.startsWith("true", pos) ? "true" : "false";
+      pos += value.length;
+      return literal(value, namedNode(`${XSD}boolean`));
+    }
+    return readIri();
+  };
+
+  function readPredicateObjectList(subject) {
+    for (;;) {
+      const predicate = readPredicate();
+      for (;;) {
+        emit(subject, predicate, readObject());
+        if (peek() !== ",") break;
+        pos++;
+      }
+      if (peek() !== ";") return;
+      while (peek() === ";") pos++;
+      const next = peek();
+      if (next === "." || next === "]" || next === "}" || next === undefined) return;
+    }
+  }
+
+  const readDirective = () => {
+    const start = pos;
+    const keyword = match(DIRECTIVE);
+    const isSparqlStyle = !keyword.startsWith("@");
+    if (keyword.toLowerCase().endsWith("prefix")) {
+      skipWhitespace();
+      const ns = match(PNAME_NS);
+      if (ns === null) fail("Expected a prefix name");
+      skipWhitespace();
+      if (text[pos] !== "<") fail("Expected an IRI for the prefix");
+      prefixes[ns.slice(0, -1)] = readIriRef().value;
+    } else {
+      skipWhitespace();
+      if (text[pos] !== "<") fail("Expected an IRI for the base", start);
+      base = readIriRef().value;
+    }
+    if (!isSparqlStyle) expect(".");
+  };
+
+  // A subject's predicate-object list; "[ ... ]" may stand on its own.
+  const readTriples = () => {
+    const startsWithPropertyList = peek() === "[";
+    const subject = readSubject();
+    const next = peek();
+    if (startsWithPropertyList && (next === "." || next === "}")) return;
+    readPredicateObjectList(subject);
+  };
+
+  // TriG: "{ ... }" holds statements of the given graph; the final "." is
+  // optional.
+  const readGraphBlock = graph => {
+    expect("{");
+    currentGraph = graph;
+    while (peek() !== "}") {
+      if (pos >= text.length) fail("Unterminated graph block");
+      readTriples();
+      if (peek() !== ".") break;
+      pos++;
+    }
+    expect("}");
+    currentGraph = defaultGraph();
+  };
+
+  const readGraphLabel = () => (peek() === "_" ? readBlankNodeLabel() : readIri());
+
+  const readStatement = () => {
+    DIRECTIVE.lastIndex = pos;
+    if (!isLineBased && DIRECTIVE.test(text)) {
+      readDirective();
+      return;
+    }
+    if (isLineBased) {
+      const subject = readSubject();
+      const predicate = readIri();
+      const object = readObject();
+      let graph = defaultGraph();
+      if (format === "nquads" && peek() !== ".") {
+        graph = peek() === "_" ? readBlankNodeLabel() : readIri();
+      }
+      emit(subject, predicate, object, graph);
+      expect(".");
+      return;
+    }
+    if (isTrig) {
+      if (peek() === "{") {
+        readGraphBlock(defaultGraph());
+        return;
+      }
+      if (match(GRAPH_KEYWORD)) {
+        readGraphBlock(readGraphLabel());
+        return;
+      }
+      // "<graph> { ... }" starts like a statement.
+      const start = pos;
+      const ch = peek();
+      if (ch !== "[" && ch !== "(") {
+        const label = readGraphLabel();
+        if (peek() === "{") {
+          readGraphBlock(label);
+          return;
+        }
+        pos = start;
+      }
+    }
+    readTriples();
+    expect(".");
+  };
+
+  while (peek() !== undefined) {
+    readStatement();
+  }
+
+  return { quads, prefixes, base };
+}
@@ -0,0 +1,61 @@
+import { RDF, RDFS, XSD } from "./terms.js";
+
+// --- Prefix Management ---
+export const DEFAULT_PREFIXES = {
+  rdf: RDF,
+  rdfs: RDFS,
+  xsd: XSD,
+  owl: "http://www.w3.org/2002/07/owl#",
+  foaf: "http://xmlns.com/foaf/0.1/",
+  schema: "https://schema.org/",
+  skos: "http://www.w3.org/2004/02/skos/core#",
+  dcterms: "http://purl.org/dc/terms/",
+  sh: "http://www.w3.org/ns/shacl#",
+  ex: "http://example.org/"
+};
+
+const LOCAL_NAME = /^[A-Za-z0-9_\u00C0-\uFFFD][\w\-.\u00B7\u00C0-\uFFFD]*$/;
+
+// Shortens an IRI to prefix:local using the longest matching namespace, or
+// returns it unchanged when no prefix fits.
+export function compactIri(iri, prefixes) {
+  let best = null;
+  Object.entries(prefixes).forEach(([prefix, namespace]) => {
+    if (!namespace || !iri.startsWith(namespace)) return;
+    const local = iri.slice(namespace.length);
+    if (local && (!LOCAL_NAME.test(local) || local.endsWith("."))) return;
+    if (!best || namespace.length > best.namespace.length) best = { prefix, namespace, local };
+  });
+  return best ? `${best.prefix}:${best.local}` : iri;
+}
+
+// Expands prefix:local back to a full IRI; anything else is returned as-is.
+export function expandCurie(curie, prefixes) {
+  const colon = curie.indexOf(":");
+  if (colon < 0) return curie;
+  const prefix = curie.slice(0, colon);
+  return prefix in prefixes ? prefixes[prefix] + curie.slice(colon + 1) : curie;
+}
+
+// The part after the last "#", "/" or ":"; used to look up the built-in
+// labels, icons and colors regardless of namespace.
+export function localName(iri) {
+  const match = /[^#/:]*$/.exec(iri);
+  return match && match[0] ? match[0] : iri;
+}
+
+// Human-readable form of any term: CURIEs for IRIs, quoted values for literals.
+export function formatTerm(term, prefixes) {
+  switch (term.termType) {
+    case "NamedNode":
+      return compactIri(term.value, prefixes);
+    case "BlankNode":
+      return `_:${term.value}`;
+    case "Literal":
+      if (term.language) return `"${term.value}"@${term.language}`;
+      if (term.datatype.value === `${XSD}string`) return `"${term.value}"`;
+      return `"${term.value}"^^${compactIri(term.datatype.value, prefixes)}`;
+    default:
+      return term.value;
+  }
+}
@@ -0,0 +1,159 @@
+import { RDF, namedNode, literal, quad, freshBlankNode, resolveIri } from "./terms.js";
+import { RdfParseError } from "./errors.js";
+
+// --- RDF/XML Import ---
+// Walks the DOM produced by the browser's XML parser. Supports node and
+// property elements, property attributes, rdf:about/ID/nodeID/resource,
+// rdf:datatype, xml:lang, xml:base, rdf:li and the Resource, Literal and
+// Collection parse types.
+
+const XML_NS = "http://www.w3.org/XML/1998/namespace";
+const XMLNS_NS = "http://www.w3.org/2000/xmlns/";
+
+const isRdf = (el, name) => el.namespaceURI === RDF && el.localName === name;
+const elementIri = el => `${el.namespaceURI || ""}${el.localName}`;
+const childElements = el => Array.from(el.childNodes).filter(n => n.nodeType === 1);
+
+function xmlParseError(doc) {
+  const message = doc.getElementsByTagName("parsererror")[0].textContent;
+  const position = /line(?: number)? (\d+)(?:,| at)? column (\d+)/i.exec(message) || /^(\d+):(\d+):/m.exec(message);
+  const firstLine = message.split("\n").find(line => line.trim()) || "Malformed XML";
+  return position
+    ? new RdfParseError(`Invalid XML: ${firstLine.trim()}`, Number(position[1]), Number(position[2]))
+    : new RdfParseError(`Invalid XML: ${firstLine.trim()}`);
+}
+
+export function parseRdfXml(text, { baseIri = "" } = {}) {
+  const doc = new DOMParser().parseFromString(text, "application/xml");
+  if (doc.getElementsByTagName("parsererror").length) throw xmlParseError(doc);
+
+  const quads = [];
+  const blankNodeLabels = new Map();
+  const emit = (subject, predicate, object) => quads.push(quad(subject, predicate, object));
+
+  const labelled = label => {
+    if (!blankNodeLabels.has(label)) blankNodeLabels.set(label, freshBlankNode());
+    return blankNodeLabels.get(label);
+  };
+
+  const scopeOf = (el, parent) => ({
+    base: el.hasAttributeNS(XML_NS, "base") ? resolveIri(el.getAttributeNS(XML_NS, "base"), parent.base) : parent.base,
+    language: el.hasAttributeNS(XML_NS, "lang") ? el.getAttributeNS(XML_NS, "lang") : parent.language
+  });
+
+  const rdfAttr = (el, name) => (el.hasAttributeNS(RDF, name) ? el.getAttributeNS(RDF, name) : null);
+
+  // The DOM keeps no source positions, so structural errors have none.
+  const fail = message => {
+    throw new RdfParseError(message);
+  };
+
+  // Attributes outside the rdf: and xml: vocabularies are property attributes.
+  const propertyAttributes = el =>
+    Array.from(el.attributes).filter(attr =>
+      attr.namespaceURI !== XML_NS &&
+      attr.namespaceURI !== XMLNS_NS &&
+      attr.namespaceURI &&
+      !(attr.namespaceURI === RDF && ["about", "ID", "nodeID", "resource", "datatype", "parseType", "type"].includes(attr.localName))
+    );
+
+  function nodeElement(el, parentScope) {
+    const scope = scopeOf(el, parentScope);
+    const about = rdfAttr(el, "about");
+    const id = rdfAttr(el, "ID");
+    const nodeId = rdfAttr(el, "nodeID");
+    let subject;
+    if (about !== null) subject = namedNode(resolveIri(about, scope.base));
+    else if (id !== null) subject = namedNode(resolveIri(`#${id}`, scope.base));
+    else if (nodeId !== null) subject = labelled(nodeId);
+    else subject = freshBlankNode();
+
+    if (!isRdf(el, "Description")) emit(subject, namedNode(`${RDF}type`), namedNode(elementIri(el)));
+    const type = rdfAttr(el, "type");
+    if (type !== null) emit(subject, namedNode(`${RDF}type`), namedNode(resolveIri(type, scope.base)));
+
+    propertyAttributes(el).forEach(attr => {
+      emit(subject, namedNode(`${attr.namespaceURI}${attr.localName}`), literal(attr.value, scope.language));
+    });
+
+    let listIndex = 0;
+    childElements(el).forEach(child => {
+      const predicate = isRdf(child, "li") ? namedNode(`${RDF}_${++listIndex}`) : namedNode(elementIri(child));
+      propertyElement(subject, predicate, child, scope);
+    });
+    return subject;
+  }
+
+  function propertyElement(subject, predicate, el, parentScope) {
+    const scope = scopeOf(el, parentScope);
+    const parseType = rdfAttr(el, "parseType");
+    const children = childElements(el);
+
+    if (parseType === "Resource") {
+      const object = freshBlankNode();
+      emit(subject, predicate, object);
+      let listIndex = 0;
+      children.forEach(child => {
+        const childPredicate = isRdf(child, "li") ? namedNode(`${RDF}_${++listIndex}`) : namedNode(elementIri(child));
+        propertyElement(object, childPredicate, child, scope);
+      });
+      return;
+    }
+    if (parseType === "Literal") {
+      const serializer = new XMLSerializer();
+      const xml = Array.from(el.childNodes).map(n => serializer.serializeToString(n)).join("");
+      emit(subject, predicate, literal(xml, namedNode(`${RDF}XMLLiteral`)));
+      return;
+    }
+    if (parseType === "Collection") {
+      const items = children.map(child => nodeElement(child, scope));
+      let rest = namedNode(`${RDF}nil`);
+      for (let i = items.length - 1; i >= 0; i--) {
+        const cell = freshBlankNode();
+        emit(cell, namedNode(`${RDF}first`), items[i]);
+        emit(cell, namedNode(`${RDF}rest`), rest);
+        rest = cell;
+      }
+      emit(subject, predicate, rest);
+      return;
+    }
+
+    if (children.length > 1) fail(`Property element <${el.tagName}> has more than one node element`);
+    if (children.length === 1) {
+      emit(subject, predicate, nodeElement(children[0], scope));
+      return;
+    }
+
+    const resource = rdfAttr(el, "resource");
+    const nodeId = rdfAttr(el, "nodeID");
+    const attributes = propertyAttributes(el);
+    if (resource !== null || nodeId !== null || attributes.length) {
+      const object = resource !== null
+        ? namedNode(resolveIri(resource, scope.base))
+        : nodeId !== null ? labelled(nodeId) : freshBlankNode();
+      emit(subject, predicate, object);
+      const type = rdfAttr(el, "type");
+      if (type !== null) emit(object, namedNode(`${RDF}type`), namedNode(resolveIri(type, scope.base)));
+      attributes.forEach(attr => {
+        emit(object, namedNode(`${attr.namespaceURI}${attr.localName}`), literal(attr.value, scope.language));
+      });
+      return;
+    }
+
+    const datatype = rdfAttr(el, "datatype");
+    emit(
+      subject,
+      predicate,
+      datatype !== null
+        ? literal(el.textContent, namedNode(resolveIri(datatype, scope.base)))
+        : literal(el.textContent, scope.language)
+    );
+  }
+
+  const root = doc.documentElement;
+  const rootScope = scopeOf(root, { base: baseIri || null, language: "" });
+  const nodes = isRdf(root, "RDF") ? childElements(root) : [root];
+  nodes.forEach(el => nodeElement(el, rootScope));
+
+  return { quads };
+}
@@ -0,0 +1,153 @@
+import { RDF, XSD } from "./terms.js";
+import { compactIri } from "./prefixes.js";
+
+// --- Serialization ---
+
+const ESCAPES = { "\\": "\\\\", "\"": "\\\"", "\n": "\\n", "\r": "\\r", "\t": "\\t" };
+const escapeString = value => value.replace(/["\\\n\r\t]/g, char => ESCAPES[char]);
+const escapeIri = iri => iri.replace(/[\s<>"{}|^`\\]/g, char => `\\u${char.charCodeAt(0).toString(16).padStart(4, "0")}`);
+
+// A single term in N-Triples syntax.
+export function termToNTriples(term) {
+  switch (term.termType) {
+    case "NamedNode":
+      return `<${escapeIri(term.value)}>`;
+    case "BlankNode":
+      return `_:${term.value}`;
+    case "Literal":
+      if (term.language) return `"${escapeString(term.value)}"@${term.language}`;
+      if (term.datatype.value === `${XSD}string`) return `"${escapeString(term.value)}"`;
+      return `"${escapeString(term.value)}"^^<${escapeIri(term.datatype.value)}>`;
+    default:
+      throw new Error(`Cannot serialize ${term.termType} terms`);
+  }
+}
+
+// One triple per line; graph names are dropped.
+export function serializeNTriples(quads) {
+  return quads
+    .map(({ subject, predicate, object }) =>
+      `${termToNTriples(subject)} ${termToNTriples(predicate)} ${termToNTriples(object)} .\n`
+    )
+    .join("");
+}
+
+// N-Triples plus the graph name of quads outside the default graph.
+export function serializeNQuads(quads) {
+  return quads
+    .map(({ subject, predicate, object, graph }) => {
+      const terms = [subject, predicate, object];
+      if (graph && graph.termType !== "DefaultGraph") terms.push(graph);
+      return `${terms.map(termToNTriples).join(" ")} .\n`;
+    })
+    .join("");
+}
+
+// --- Turtle ---
+const TURTLE_SHORTHAND = {
+  [`${XSD}integer`]: /^[+-]?\d+$/,
+  [`${XSD}decimal`]: /^[+-]?\d*\.\d+$/,
+  [`${XSD}double`]: /^[+-]?(?:\d+\.\d*|\.?\d+)[eE][+-]?\d+$/,
+  [`${XSD}boolean`]: /^(?:true|false)$/
+};
+
+// Only prefixes that actually shorten an IRI end up in the output.
+function createIriWriter(prefixes) {
+  const used = new Set();
+  const write = iri => {
+    const compact = compactIri(iri, prefixes);
+    if (compact === iri) return `<${escapeIri(iri)}>`;
+    used.add(compact.slice(0, compact.indexOf(":")));
+    return compact;
+  };
+  return { write, used };
+}
+
+function turtleTerm(term, writeIri) {
+  switch (term.termType) {
+    case "NamedNode":
+      return writeIri(term.value);
+    case "Literal": {
+      const shorthand = TURTLE_SHORTHAND[term.datatype.value];
+      if (shorthand && shorthand.test(term.value)) return term.value;
+      if (term.language) return `"${escapeString(term.value)}"@${term.language}`;
+      if (term.datatype.value === `${XSD}string`) return `"${escapeString(term.value)}"`;
+      return `"${escapeString(term.value)}"^^${writeIri(term.datatype.value)}`;
+    }
+    default:
+      return termToNTriples(term);
+  }
+}
+
+// Groups triples by subject and predicate; graph names are dropped.
+export function serializeTurtle(quads, prefixes = {}) {
+  const { write, used } = createIriWriter(prefixes);
+  const subjects = new Map();
+  quads.forEach(({ subject, predicate, object }) => {
+    const subjectText = turtleTerm(subject, write);
+    if (!subjects.has(subjectText)) subjects.set(subjectText, new Map());
+    const predicates = subjects.get(subjectText);
+    const predicateText = predicate.value === `${RDF}type` ? "a" : write(predicate.value);
+    if (!predicates.has(predicateText)) predicates.set(predicateText, []);
+    const objectText = turtleTerm(object, write);
+    if (!predicates.get(predicateText).includes(objectText)) predicates.get(predicateText).push(objectText);
+  });
+
+  const body = Array.from(subjects.entries())
+    .map(([subjectText, predicates]) => {
+      const lines = Array.from(predicates.entries())
+        .map(([predicateText, objects]) => `${predicateText} ${objects.join(", ")}`);
+      return `${subjectText} ${lines.join(" ;\n    ")} .\n`;
+    })
+    .join("\n");
+  const header = Array.from(used)
+    .sort()
+    .map(prefix => `@prefix ${prefix}: <${escapeIri(prefixes[prefix])}> .\n`)
+    .join("");
+  return header ? `${header}\n${body}` : body;
+}
+
+// --- JSON-LD ---
+// Compacted against a context holding the used prefixes, one node object per
+// subject in @graph.
+export function serializeJsonLd(quads, prefixes = {}) {
+  const { write, used } = createIriWriter(prefixes);
+  const compact = iri => {
+    const written = write(iri);
+    return written.startsWith("<") ? iri : written;
+  };
+  const id = term => (term.termType === "BlankNode" ? `_:${term.value}` : compact(term.value));
+
+  const nodes = new Map();
+  quads.forEach(({ subject, predicate, object }) => {
+    const subjectId = id(subject);
+    if (!nodes.has(subjectId)) nodes.set(subjectId, { "@id": subjectId });
+    const node = nodes.get(subjectId);
+    if (predicate.value === `${RDF}type` && object.termType === "NamedNode") {
+      node["@type"] = [...(node["@type"] || []), compact(object.value)];
+      return;
+    }
+    let value;
+    if (object.termType !== "Literal") value = { "@id": id(object) };
+    else if (object.language) value = { "@value": object.value, "@language": object.language };
+    else if (object.datatype.value === `${XSD}string`) value = { "@value": object.value };
+    else value = { "@value": object.value, "@type": compact(object.datatype.value) };
+    const key = compact(predicate.value);
+    node[key] = [...(node[key] || []), value];
+  });
+
+  const context = {};
+  Array.from(used).sort().forEach(prefix => {
+    const namespace = prefixes[prefix];
+    // JSON-LD 1.1 only treats namespaces ending in a gen-delim as prefixes.
+    context[prefix] = /[:/?#[\]@]$/.test(namespace) ? namespace : { "@id": namespace, "@prefix": true };
+  });
+  return `${JSON.stringify({ "@context": context, "@graph": Array.from(nodes.values()) }, null, 2)}\n`;
+}
+
+export const EXPORT_FORMATS = {
+  turtle: { label: "Turtle", extension: ".ttl", mediaType: "text/turtle", serialize: serializeTurtle },
+  ntriples: { label: "N-Triples", extension: ".nt", mediaType: "application/n-triples", serialize: serializeNTriples },
+  nquads: { label: "N-Quads", extension: ".nq", mediaType: "application/n-quads", serialize: serializeNQuads },
+  jsonld: { label: "JSON-LD", extension: ".jsonld", mediaType: "application/ld+json", serialize: serializeJsonLd }
+};
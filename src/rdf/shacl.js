@@ -0,0 +1,261 @@
+import { RDF, RDFS, termToString } from "./terms.js";
+
+// --- SHACL Validation ---
+// Covers the core targets and the property constraints the app uses:
+// sh:minCount, sh:maxCount, sh:class, sh:datatype, sh:pattern and sh:in.
+// Property paths are limited to a predicate or sh:inversePath of one.
+
+export const SH = "http://www.w3.org/ns/shacl#";
+const RDF_TYPE = `${RDF}type`;
+const SUBCLASS_OF = `${RDFS}subClassOf`;
+
+// Subject -> predicate -> objects, for reading shapes and data alike.
+function indexBySubject(quads) {
+  const index = new Map();
+  quads.forEach(({ subject, predicate, object }) => {
+    const key = termToString(subject);
+    if (!index.has(key)) index.set(key, new Map());
+    const byPredicate = index.get(key);
+    if (!byPredicate.has(predicate.value)) byPredicate.set(predicate.value, []);
+    byPredicate.get(predicate.value).push(object);
+  });
+  return index;
+}
+
+const unique = terms => Array.from(new Map(terms.map(t => [termToString(t), t])).values());
+
+// Reads node shapes from a shapes graph. Returns { shapes, warnings }, where
+// warnings list property shapes that were skipped as unsupported.
+export function parseShapes(quads) {
+  const index = indexBySubject(quads);
+  const objects = (node, predicate) => (index.get(termToString(node))?.get(predicate)) || [];
+  const one = (node, predicate) => objects(node, predicate)[0];
+  const value = (node, predicate) => one(node, predicate)?.value;
+  const integer = (node, predicate) => {
+    const term = one(node, predicate);
+    return term ? Number(term.value) : undefined;
+  };
+  const warnings = [];
+
+  const readList = head => {
+    const items = [];
+    const visited = new Set();
+    let node = head;
+    while (node && node.value !== `${RDF}nil` && !visited.has(termToString(node))) {
+      visited.add(termToString(node));
+      const first = one(node, `${RDF}first`);
+      if (!first) break;
+      items.push(first);
+      node = one(node, `${RDF}rest`);
+    }
+    return items;
+  };
+
+  const readPath = node => {
+    const path = one(node, `${SH}path`);
+    if (!path) return null;
+    if (path.termType === "NamedNode") return { iri: path.value, inverse: false };
+    const inverse = one(path, `${SH}inversePath`);
+    if (inverse && inverse.termType === "NamedNode") return { iri: inverse.value, inverse: true };
+    return null;
+  };
+
+  const readPropertyShape = (node, parentSeverity) => {
+    const path = readPath(node);
+    if (!path) {
+      warnings.push(`Skipped property shape ${termToString(node)}: only predicate and inverse paths are supported`);
+      return null;
+    }
+    const inList = one(node, `${SH}in`);
+    return {
+      id: termToString(node),
+      path,
+      name: value(node, `${SH}name`),
+      description: value(node, `${SH}description`),
+      message: value(node, `${SH}message`),
+      severity: value(node, `${SH}severity`) || parentSeverity,
+      minCount: integer(node, `${SH}minCount`),
+      maxCount: integer(node, `${SH}maxCount`),
+      classes: objects(node, `${SH}class`).map(term => term.value),
+      datatype: value(node, `${SH}datatype`),
+      pattern: value(node, `${SH}pattern`),
+      flags: value(node, `${SH}flags`) || "",
+      in: inList ? readList(inList) : null
+    };
+  };
+
+  const isClass = node => objects(node, RDF_TYPE).some(type =>
+    type.value === `${RDFS}Class` || type.value === "http://www.w3.org/2002/07/owl#Class"
+  );
+
+  const shapeNodes = unique(quads
+    .filter(({ predicate, object }) =>
+      (predicate.value === RDF_TYPE && object.value === `${SH}NodeShape`) ||
+      (predicate.value === RDF_TYPE && object.value === `${SH}PropertyShape`) ||
+      [`${SH}targetClass`, `${SH}targetNode`, `${SH}targetSubjectsOf`, `${SH}targetObjectsOf`].includes(predicate.value)
+    )
+    .map(q => q.subject));
+
+  const shapes = shapeNodes
+    .filter(node => value(node, `${SH}deactivated`) !== "true")
+    .map(node => {
+      const severity = value(node, `${SH}severity`) || `${SH}Violation`;
+      // A shape with its own sh:path is a property shape with targets.
+      const propertyNodes = [...objects(node, `${SH}property`), ...(one(node, `${SH}path`) ? [node] : [])];
+      return {
+        id: termToString(node),
+        targetClasses: [
+          ...objects(node, `${SH}targetClass`).map(term => term.value),
+          ...(isClass(node) ? [node.value] : [])
+        ],
+        targetNodes: objects(node, `${SH}targetNode`),
+        targetSubjectsOf: objects(node, `${SH}targetSubjectsOf`).map(term => term.value),
+        targetObjectsOf: objects(node, `${SH}targetObjectsOf`).map(term => term.value),
+        properties: propertyNodes
+          .filter(property => value(property, `${SH}deactivated`) !== "true")
+          .map(property => readPropertyShape(property, severity))
+          .filter(Boolean)
+      };
+    })
+    .filter(shape => shape.properties.length);
+
+  return { shapes, warnings };
+}
+
+// Validates data quads against parsed shapes. Returns { conforms, results };
+// each result names its focus node, the property shape and the failed
+// constraint with enough detail for describeViolation.
+export function validateShacl(quads, shapes) {
+  const outgoing = indexBySubject(quads);
+  const incoming = new Map();
+  const instances = new Map();
+  const subClasses = new Map();
+  const subjectsOf = new Map();
+  const objectsOf = new Map();
+  const add = (map, key, item) => {
+    if (!map.has(key)) map.set(key, []);
+    map.get(key).push(item);
+  };
+
+  quads.forEach(({ subject, predicate, object }) => {
+    const objectKey = termToString(object);
+    if (!incoming.has(objectKey)) incoming.set(objectKey, new Map());
+    const byPredicate = incoming.get(objectKey);
+    if (!byPredicate.has(predicate.value)) byPredicate.set(predicate.value, []);
+    byPredicate.get(predicate.value).push(subject);
+    if (predicate.value === RDF_TYPE) add(instances, object.value, subject);
+    if (predicate.value === SUBCLASS_OF) add(subClasses, object.value, subject.value);
+    add(subjectsOf, predicate.value, subject);
+    add(objectsOf, predicate.value, object);
+  });
+
+  // The class itself plus everything below it via rdfs:subClassOf.
+  const classClosure = classIri => {
+    const closure = new Set([classIri]);
+    const queue = [classIri];
+    while (queue.length) {
+      (subClasses.get(queue.shift()) || []).forEach(sub => {
+        if (!closure.has(sub)) {
+          closure.add(sub);
+          queue.push(sub);
+        }
+      });
+    }
+    return closure;
+  };
+  const instancesOf = classIri => Array.from(classClosure(classIri)).flatMap(c => instances.get(c) || []);
+  const isInstanceOf = (term, classIri) => {
+    if (term.termType === "Literal") return false;
+    const types = (outgoing.get(termToString(term))?.get(RDF_TYPE)) || [];
+    const closure = classClosure(classIri);
+    return types.some(type => closure.has(type.value));
+  };
+
+  const valuesOf = (focus, path) => {
+    const index = path.inverse ? incoming : outgoing;
+    return (index.get(termToString(focus))?.get(path.iri)) || [];
+  };
+
+  const results = [];
+  shapes.forEach(shape => {
+    const focusNodes = unique([
+      ...shape.targetClasses.flatMap(instancesOf),
+      ...shape.targetNodes,
+      ...shape.targetSubjectsOf.flatMap(p => subjectsOf.get(p) || []),
+      ...shape.targetObjectsOf.flatMap(p => (objectsOf.get(p) || []).filter(t => t.termType !== "Literal"))
+    ]);
+
+    shape.properties.forEach(property => {
+      let regex = null;
+      if (property.pattern !== undefined) {
+        try {
+          regex = new RegExp(property.pattern, property.flags.replace(/[^imsu]/g, ""));
+        } catch {
+          regex = null;
+        }
+      }
+      const allowed = property.in && new Set(property.in.map(termToString));
+
+      focusNodes.forEach(focusNode => {
+        const values = valuesOf(focusNode, property.path);
+        const report = (constraint, details = {}) => results.push({
+          focusNode,
+          focusKey: termToString(focusNode),
+          shape: shape.id,
+          property,
+          severity: property.severity,
+          constraint,
+          ...details
+        });
+
+        if (property.minCount !== undefined && values.length < property.minCount) {
+          report("MinCount", { count: values.length });
+        }
+        if (property.maxCount !== undefined && values.length > property.maxCount) {
+          report("MaxCount", { count: values.length });
+        }
+        values.forEach(value => {
+          property.classes.forEach(classIri => {
+            if (!isInstanceOf(value, classIri)) report("Class", { value, expected: classIri });
+          });
+          if (property.datatype && (value.termType !== "Literal" || value.datatype.value !== property.datatype)) {
+            report("Datatype", { value });
+          }
+          if (regex && (value.termType === "BlankNode" || !regex.test(value.value))) {
+            report("Pattern", { value });
+          }
+          if (allowed && !allowed.has(termToString(value))) {
+            report("In", { value });
+          }
+        });
+      });
+    });
+  });
+
+  return { conforms: !results.some(r => r.severity === `${SH}Violation`), results };
+}
+
+// Human-readable text for one validation result. formatTerm renders IRIs
+// and literals, e.g. as CURIEs.
+export function describeViolation(result, formatTerm = term => term.value) {
+  const { property, constraint, count, value, expected } = result;
+  if (property.message) return property.message;
+  const iri = value => ({ termType: "NamedNode", value });
+  const name = property.name || `${property.path.inverse ? "^" : ""}${formatTerm(iri(property.path.iri))}`;
+  switch (constraint) {
+    case "MinCount":
+      return `Missing required "${name}" (${count}/${property.minCount})`;
+    case "MaxCount":
+      return `Too many "${name}" (${count}/${property.maxCount})`;
+    case "Class":
+      return `"${name}" value ${formatTerm(value)} is not a ${formatTerm(iri(expected))}`;
+    case "Datatype":
+      return `"${name}" value ${formatTerm(value)} is not a ${formatTerm(iri(property.datatype))}`;
+    case "Pattern":
+      return `"${name}" value ${formatTerm(value)} does not match /${property.pattern}/${property.flags}`;
+    case "In":
+      return `"${name}" value ${formatTerm(value)} is not one of ${property.in.map(formatTerm).join(", ")}`;
+    default:
+      return `${constraint} constraint failed for "${name}"`;
+  }
+}
@@ -0,0 +1,969 @@
+import { XSD, namedNode, literal, quad, freshBlankNode, termToString, resolveIri } from "./terms.js";
+import { parseSparql } from "./sparqlParser.js";
+
+// --- SPARQL Evaluation ---
+// Runs parsed queries against an in-memory array of quads. The default graph
+// is the union of all loaded graphs; GRAPH patterns address named graphs.
+
+const NUMERIC_TYPES = new Set([
+  "integer", "decimal", "float", "double", "int", "long", "short", "byte",
+  "nonNegativeInteger", "nonPositiveInteger", "positiveInteger", "negativeInteger",
+  "unsignedLong", "unsignedInt", "unsignedShort", "unsignedByte"
+].map(type => `${XSD}${type}`));
+const STRING_TYPES = new Set([`${XSD}string`, "http://www.w3.org/1999/02/22-rdf-syntax-ns#langString"]);
+
+const TRUE = literal("true", namedNode(`${XSD}boolean`));
+const FALSE = literal("false", namedNode(`${XSD}boolean`));
+const bool = value => (value ? TRUE : FALSE);
+
+class ExpressionError extends Error {}
+const typeError = message => new ExpressionError(message);
+
+// Blank nodes in a query pattern behave like variables that are never projected.
+const isVariableLike = term => term.termType === "Variable" || term.termType === "BlankNode";
+const variableName = term => (term.termType === "BlankNode" ? `_:${term.value}` : term.value);
+const isHiddenVariable = name => name.startsWith("_:");
+
+// --- Quad Index ---
+export function createStore(quads) {
+  const entries = quads.map(q => ({
+    quad: q,
+    s: termToString(q.subject),
+    p: termToString(q.predicate),
+    o: termToString(q.object),
+    g: termToString(q.graph)
+  }));
+  const index = { s: new Map(), p: new Map(), o: new Map() };
+  entries.forEach(entry => {
+    ["s", "p", "o"].forEach(position => {
+      const map = index[position];
+      if (!map.has(entry[position])) map.set(entry[position], []);
+      map.get(entry[position]).push(entry);
+    });
+  });
+
+  let nodes = null;
+  let graphs = null;
+
+  return {
+    size: quads.length,
+    // Each argument is a term or null; graph undefined means any graph.
+    match(subject, predicate, object, graph) {
+      const keys = { s: subject && termToString(subject), p: predicate && termToString(predicate), o: object && termToString(object) };
+      let candidates = entries;
+      ["s", "o", "p"].forEach(position => {
+        if (!keys[position]) return;
+        const list = index[position].get(keys[position]) || [];
+        if (list.length < candidates.length) candidates = list;
+      });
+      const graphKey = graph ? termToString(graph) : null;
+      return candidates
+        .filter(e =>
+          (!keys.s || e.s === keys.s) &&
+          (!keys.p || e.p === keys.p) &&
+          (!keys.o || e.o === keys.o) &&
+          (graphKey === null || e.g === graphKey)
+        )
+        .map(e => e.quad);
+    },
+    nodes() {
+      if (!nodes) {
+        const seen = new Map();
+        quads.forEach(q => {
+          seen.set(termToString(q.subject), q.subject);
+          seen.set(termToString(q.object), q.object);
+        });
+        nodes = Array.from(seen.values());
+      }
+      return nodes;
+    },
+    graphs() {
+      if (!graphs) {
+        const seen = new Map();
+        quads.forEach(q => {
+          if (q.graph.termType !== "DefaultGraph") seen.set(termToString(q.graph), q.graph);
+        });
+        graphs = Array.from(seen.values());
+      }
+      return graphs;
+    }
+  };
+}
+
+// --- Term Helpers ---
+const isLiteral = term => term && term.termType === "Literal";
+const isNumeric = term => isLiteral(term) && NUMERIC_TYPES.has(term.datatype.value);
+const isStringLike = term => isLiteral(term) && STRING_TYPES.has(term.datatype.value);
+const datatypeOf = term => term.datatype.value;
+
+function toNumber(term) {
+  if (!isNumeric(term)) throw typeError("Expected a number");
+  const value = Number(term.value);
+  if (Number.isNaN(value) && term.value !== "NaN") throw typeError("Invalid number");
+  return value;
+}
+
+const NUMERIC_RANK = [`${XSD}integer`, `${XSD}decimal`, `${XSD}float`, `${XSD}double`];
+const numericRank = term => {
+  const rank = NUMERIC_RANK.indexOf(datatypeOf(term));
+  return rank < 0 ? 0 : rank;
+};
+
+function numberLiteral(value, datatype) {
+  if (datatype === `${XSD}integer`) return literal(String(Math.trunc(value)), namedNode(datatype));
+  return literal(String(value), namedNode(datatype));
+}
+
+function effectiveBooleanValue(term) {
+  if (!isLiteral(term)) throw typeError("No effective boolean value");
+  const type = datatypeOf(term);
+  if (type === `${XSD}boolean`) return term.value === "true" || term.value === "1";
+  if (NUMERIC_TYPES.has(type)) {
+    const value = Number(term.value);
+    return !Number.isNaN(value) && value !== 0;
+  }
+  if (STRING_TYPES.has(type)) return term.value.length > 0;
+  throw typeError("No effective boolean value");
+}
+
+const isDateTime = term => isLiteral(term) && (datatypeOf(term) === `${XSD}dateTime` || datatypeOf(term) === `${XSD}date`);
+
+function stringValue(term) {
+  if (term.termType === "NamedNode") return term.value;
+  if (isLiteral(term)) return term.value;
+  throw typeError("STR is not defined for blank nodes");
+}
+
+function requireString(term) {
+  if (!isStringLike(term)) throw typeError("Expected a string literal");
+  return term.value;
+}
+
+// Result keeps the language tag of the input, like the SPARQL string functions.
+const stringLike = (value, source) => (source && source.language ? literal(value, source.language) : literal(value));
+
+// Returns a negative, zero or positive number; throws for incomparable terms.
+function compareValues(a, b) {
+  if (isNumeric(a) && isNumeric(b)) return toNumber(a) - toNumber(b);
+  if (isDateTime(a) && isDateTime(b)) return Date.parse(a.value) - Date.parse(b.value);
+  if (isStringLike(a) && isStringLike(b)) return a.value < b.value ? -1 : a.value > b.value ? 1 : 0;
+  if (isLiteral(a) && isLiteral(b) && datatypeOf(a) === `${XSD}boolean` && datatypeOf(b) === `${XSD}boolean`) {
+    return effectiveBooleanValue(a) - effectiveBooleanValue(b);
+  }
+  throw typeError("Values are not comparable");
+}
+
+function valuesEqual(a, b) {
+  if (isNumeric(a) && isNumeric(b)) return toNumber(a) === toNumber(b);
+  if (isDateTime(a) && isDateTime(b)) return Date.parse(a.value) === Date.parse(b.value);
+  if (isLiteral(a) && isLiteral(b) && datatypeOf(a) === `${XSD}boolean` && datatypeOf(b) === `${XSD}boolean`) {
+    return effectiveBooleanValue(a) === effectiveBooleanValue(b);
+  }
+  return termToString(a) === termToString(b);
+}
+
+// Total order used by ORDER BY and MIN/MAX: unbound, blank nodes, IRIs, literals.
+const TERM_ORDER = { undefined: 0, BlankNode: 1, NamedNode: 2, Literal: 3 };
+export function orderTerms(a, b) {
+  const rankA = TERM_ORDER[a ? a.termType : undefined];
+  const rankB = TERM_ORDER[b ? b.termType : undefined];
+  if (rankA !== rankB) return rankA - rankB;
+  if (!a) return 0;
+  if (isLiteral(a)) {
+    try {
+      return compareValues(a, b);
+    } catch {
+      // fall through to lexical order
+    }
+  }
+  const keyA = termToString(a);
+  const keyB = termToString(b);
+  return keyA < keyB ? -1 : keyA > keyB ? 1 : 0;
+}
+
+const XSD_CASTS = {
+  [`${XSD}string`]: term => literal(stringValue(term)),
+  [`${XSD}integer`]: term => {
+    const value = isLiteral(term) && datatypeOf(term) === `${XSD}boolean` ? Number(effectiveBooleanValue(term)) : Number(stringValue(term));
+    if (Number.isNaN(value)) throw typeError("Cannot cast to xsd:integer");
+    return numberLiteral(value, `${XSD}integer`);
+  },
+  [`${XSD}decimal`]: term => {
+    const value = Number(stringValue(term));
+    if (Number.isNaN(value)) throw typeError("Cannot cast to xsd:decimal");
+    return numberLiteral(value, `${XSD}decimal`);
+  },
+  [`${XSD}double`]: term => numberLiteral(Number(stringValue(term)), `${XSD}double`),
+  [`${XSD}float`]: term => numberLiteral(Number(stringValue(term)), `${XSD}float`),
+  [`${XSD}boolean`]: term => {
+    if (isNumeric(term)) return bool(toNumber(term) !== 0);
+    const value = stringValue(term);
+    if (!["true", "false", "1", "0"].includes(value)) throw typeError("Cannot cast to xsd:boolean");
+    return bool(value === "true" || value === "1");
+  },
+  [`${XSD}dateTime`]: term => {
+    const value = stringValue(term);
+    if (Number.isNaN(Date.parse(value))) throw typeError("Cannot cast to xsd:dateTime");
+    return literal(value, namedNode(`${XSD}dateTime`));
+  }
+};
+
+function dateTimePart(term, part) {
+  if (!isDateTime(term)) throw typeError("Expected an xsd:dateTime");
+  const match = /^(-?\d+)-(\d\d)-(\d\d)(?:T(\d\d):(\d\d):(\d\d(?:\.\d+)?))?/.exec(term.value);
+  if (!match) throw typeError("Invalid xsd:dateTime");
+  const value = Number(match[{ YEAR: 1, MONTH: 2, DAY: 3, HOURS: 4, MINUTES: 5, SECONDS: 6 }[part]] || 0);
+  return part === "SECONDS" ? numberLiteral(value, `${XSD}decimal`) : numberLiteral(value, `${XSD}integer`);
+}
+
+function createEvaluator(store, baseIri) {
+  // --- Expressions ---
+  function evaluate(expression, solution, context, group) {
+    switch (expression.type) {
+      case "term": {
+        const { term } = expression;
+        if (term.termType !== "Variable") return term;
+        const value = solution[term.value];
+        if (!value) throw typeError(`?${term.value} is unbound`);
+        return value;
+      }
+      case "operation":
+        return evaluateOperation(expression, solution, context, group);
+      case "call":
+        return evaluateCall(expression, solution, context, group);
+      case "exists": {
+        const found = evaluatePattern(expression.pattern, [solution], context).length > 0;
+        return bool(expression.not ? !found : found);
+      }
+      case "aggregate":
+        if (!group) throw typeError("Aggregates are only allowed in grouped queries");
+        return evaluateAggregate(expression, context, group);
+      default:
+        throw typeError(`Unknown expression ${expression.type}`);
+    }
+  }
+
+  const evaluateBoolean = (expression, solution, context, group) =>
+    effectiveBooleanValue(evaluate(expression, solution, context, group));
+
+  function evaluateOperation({ operator, args }, solution, context, group) {
+    const arg = i => evaluate(args[i], solution, context, group);
+
+    if (operator === "||" || operator === "&&") {
+      // Errors only matter when the other side can't decide the result.
+      let left;
+      let leftError = null;
+      try {
+        left = evaluateBoolean(args[0], solution, context, group);
+      } catch (err) {
+        leftError = err;
+      }
+      if (operator === "||" && left === true) return TRUE;
+      if (operator === "&&" && left === false) return FALSE;
+      const right = evaluateBoolean(args[1], solution, context, group);
+      if (leftError) {
+        if (operator === "||" && right) return TRUE;
+        if (operator === "&&" && !right) return FALSE;
+        throw leftError;
+      }
+      return bool(right);
+    }
+    if (operator === "!") return bool(!evaluateBoolean(args[0], solution, context, group));
+    if (operator === "u-") {
+      const value = arg(0);
+      return numberLiteral(-toNumber(value), datatypeOf(value));
+    }
+    if (operator === "u+") {
+      const value = arg(0);
+      toNumber(value);
+      return value;
+    }
+    if (operator === "in" || operator === "notin") {
+      const value = arg(0);
+      let error = null;
+      const found = args.slice(1).some(candidate => {
+        try {
+          return valuesEqual(value, evaluate(candidate, solution, context, group));
+        } catch (err) {
+          error = err;
+          return false;
+        }
+      });
+      if (!found && error) throw error;
+      return bool(operator === "in" ? found : !found);
+    }
+
+    const left = arg(0);
+    const right = arg(1);
+    switch (operator) {
+      case "=": return bool(valuesEqual(left, right));
+      case "!=": return bool(!valuesEqual(left, right));
+      case "<": return bool(compareValues(left, right) < 0);
+      case ">": return bool(compareValues(left, right) > 0);
+      case "<=": return bool(compareValues(left, right) <= 0);
+      case ">=": return bool(compareValues(left, right) >= 0);
+      default: {
+        const a = toNumber(left);
+        const b = toNumber(right);
+        let type = NUMERIC_RANK[Math.max(numericRank(left), numericRank(right))];
+        if (operator === "/" && type === `${XSD}integer`) type = `${XSD}decimal`;
+        if (operator === "/" && b === 0 && type === `${XSD}decimal`) throw typeError("Division by zero");
+        const result = operator === "+" ? a + b : operator === "-" ? a - b : operator === "*" ? a * b : a / b;
+        return numberLiteral(result, type);
+      }
+    }
+  }
+
+  function evaluateCall({ name, iri, args }, solution, context, group) {
+    const arg = i => evaluate(args[i], solution, context, group);
+
+    if (iri) {
+      const cast = XSD_CASTS[name];
+      if (!cast) throw typeError(`Unknown function <${name}>`);
+      return cast(arg(0));
+    }
+
+    switch (name) {
+      case "BOUND": {
+        const term = args[0].type === "term" ? args[0].term : null;
+        if (!term || term.termType !== "Variable") throw typeError("BOUND needs a variable");
+        return bool(Boolean(solution[term.value]));
+      }
+      case "IF":
+        return evaluateBoolean(args[0], solution, context, group) ? arg(1) : arg(2);
+      case "COALESCE":
+        for (let i = 0; i < args.length; i++) {
+          try {
+            return arg(i);
+          } catch {
+            // try the next argument
+          }
+        }
+        throw typeError("COALESCE found no bound value");
+      case "STR": return literal(stringValue(arg(0)));
+      case "LANG": {
+        const term = arg(0);
+        if (!isLiteral(term)) throw typeError("LANG needs a literal");
+        return literal(term.language);
+      }
+      case "LANGMATCHES": {
+        const tag = requireString(arg(0)).toLowerCase();
+        const range = requireString(arg(1)).toLowerCase();
+        if (range === "*") return bool(tag !== "");
+        return bool(tag === range || tag.startsWith(`${range}-`));
+      }
+      case "DATATYPE": {
+        const term = arg(0);
+        if (!isLiteral(term)) throw typeError("DATATYPE needs a literal");
+        return term.datatype;
+      }
+      case "IRI":
+      case "URI": {
+        const term = arg(0);
+        if (term.termType === "NamedNode") return term;
+        return namedNode(resolveIri(requireString(term), baseIri));
+      }
+      case "BNODE":
+        return freshBlankNode();
+      case "RAND":
+        return numberLiteral(Math.random(), `${XSD}double`);
+      case "ABS":
+      case "CEIL":
+      case "FLOOR":
+      case "ROUND": {
+        const term = arg(0);
+        const fn = { ABS: Math.abs, CEIL: Math.ceil, FLOOR: Math.floor, ROUND: Math.round }[name];
+        return numberLiteral(fn(toNumber(term)), datatypeOf(term));
+      }
+      case "CONCAT": {
+        const parts = args.map((_, i) => arg(i));
+        const value = parts.map(requireString).join("");
+        const languages = new Set(parts.map(p => p.language));
+        return languages.size === 1 && parts[0] && parts[0].language ? literal(value, parts[0].language) : literal(value);
+      }
+      case "STRLEN": return numberLiteral([...requireString(arg(0))].length, `${XSD}integer`);
+      case "UCASE": {
+        const term = arg(0);
+        return stringLike(requireString(term).toUpperCase(), term);
+      }
+      case "LCASE": {
+        const term = arg(0);
+        return stringLike(requireString(term).toLowerCase(), term);
+      }
+      case "ENCODE_FOR_URI": return literal(encodeURIComponent(requireString(arg(0))));
+      case "CONTAINS": return bool(requireString(arg(0)).includes(requireString(arg(1))));
+      case "STRSTARTS": return bool(requireString(arg(0)).startsWith(requireString(arg(1))));
+      case "STRENDS": return bool(requireString(arg(0)).endsWith(requireString(arg(1))));
+      case "STRBEFORE":
+      case "STRAFTER": {
+        const term = arg(0);
+        const value = requireString(term);
+        const search = requireString(arg(1));
+        const at = value.indexOf(search);
+        if (at < 0) return literal("");
+        return stringLike(name === "STRBEFORE" ? value.slice(0, at) : value.slice(at + search.length), term);
+      }
+      case "SUBSTR": {
+        const term = arg(0);
+        const chars = [...requireString(term)];
+        const start = Math.round(toNumber(arg(1)));
+        const length = args.length > 2 ? Math.round(toNumber(arg(2))) : Infinity;
+        const from = Math.max(start, 1);
+        const to = start + length;
+        return stringLike(chars.slice(from - 1, Math.max(to - 1, from - 1)).join(""), term);
+      }
+      case "REGEX":
+      case "REPLACE": {
+        const term = arg(0);
+        const text = requireString(term);
+        const pattern = requireString(arg(1));
+        const flagIndex = name === "REGEX" ? 2 : 3;
+        const flags = args.length > flagIndex ? requireString(arg(flagIndex)).replace(/[^ims]/g, "") : "";
+        let regex;
+        try {
+          regex = new RegExp(pattern, name === "REPLACE" ? `${flags}g` : flags);
+        } catch {
+          throw typeError(`Invalid regular expression "${pattern}"`);
+        }
+        if (name === "REGEX") return bool(regex.test(text));
+        return stringLike(text.replace(regex, requireString(arg(2)).replace(/\$(\d)/g, "$$$1")), term);
+      }
+      case "YEAR":
+      case "MONTH":
+      case "DAY":
+      case "HOURS":
+      case "MINUTES":
+      case "SECONDS":
+        return dateTimePart(arg(0), name);
+      case "NOW": return literal(new Date().toISOString(), namedNode(`${XSD}dateTime`));
+      case "UUID": return namedNode(`urn:uuid:${crypto.randomUUID()}`);
+      case "STRUUID": return literal(crypto.randomUUID());
+      case "STRLANG": return literal(requireString(arg(0)), requireString(arg(1)));
+      case "STRDT": {
+        const type = arg(1);
+        if (type.termType !== "NamedNode") throw typeError("STRDT needs a datatype IRI");
+        return literal(requireString(arg(0)), type);
+      }
+      case "SAMETERM": return bool(termToString(arg(0)) === termToString(arg(1)));
+      case "ISIRI":
+      case "ISURI": return bool(arg(0).termType === "NamedNode");
+      case "ISBLANK": return bool(arg(0).termType === "BlankNode");
+      case "ISLITERAL": return bool(isLiteral(arg(0)));
+      case "ISNUMERIC": return bool(isNumeric(arg(0)));
+      default:
+        throw typeError(`Unsupported function ${name}`);
+    }
+  }
+
+  function evaluateAggregate({ name, distinct, expression, separator }, context, group) {
+    let values;
+    if (!expression) {
+      values = group;
+      if (distinct) {
+        const seen = new Set();
+        values = group.filter(solution => {
+          const key = solutionKey(solution);
+          if (seen.has(key)) return false;
+          seen.add(key);
+          return true;
+        });
+      }
+      return numberLiteral(values.length, `${XSD}integer`);
+    }
+    values = [];
+    group.forEach(solution => {
+      try {
+        values.push(evaluate(expression, solution, context));
+      } catch {
+        // unbound or erroneous values are skipped
+      }
+    });
+    if (distinct) {
+      const seen = new Set();
+      values = values.filter(value => {
+        const key = termToString(value);
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      });
+    }
+    switch (name) {
+      case "COUNT": return numberLiteral(values.length, `${XSD}integer`);
+      case "SUM":
+      case "AVG": {
+        if (!values.length) return numberLiteral(0, `${XSD}integer`);
+        const total = values.reduce((sum, value) => sum + toNumber(value), 0);
+        const rank = Math.max(...values.map(numericRank));
+        if (name === "SUM") return numberLiteral(total, NUMERIC_RANK[rank]);
+        return numberLiteral(total / values.length, NUMERIC_RANK[Math.max(rank, 1)]);
+      }
+      case "MIN":
+      case "MAX": {
+        if (!values.length) throw typeError(`${name} of an empty group`);
+        return values.reduce((best, value) => {
+          const order = orderTerms(value, best);
+          return (name === "MIN" ? order < 0 : order > 0) ? value : best;
+        });
+      }
+      case "SAMPLE":
+        if (!values.length) throw typeError("SAMPLE of an empty group");
+        return values[0];
+      case "GROUP_CONCAT":
+        return literal(values.map(stringValue).join(separator));
+      default:
+        throw typeError(`Unknown aggregate ${name}`);
+    }
+  }
+
+  // --- Property Paths ---
+  // Returns [subject, object] pairs; either end may be given as a term.
+  function evaluatePath(path, subject, object, context) {
+    switch (path.type) {
+      case "link":
+        return store.match(subject, path.iri, object, context.graph).map(q => [q.subject, q.object]);
+      case "inverse":
+        return evaluatePath(path.path, object, subject, context).map(([s, o]) => [o, s]);
+      case "sequence": {
+        let pairs = evaluatePath(path.paths[0], subject, path.paths.length === 1 ? object : null, context);
+        path.paths.slice(1).forEach((step, i) => {
+          const isLast = i === path.paths.length - 2;
+          pairs = pairs.flatMap(([start, middle]) =>
+            evaluatePath(step, middle, isLast ? object : null, context).map(([, end]) => [start, end])
+          );
+        });
+        return distinctPairs(pairs);
+      }
+      case "alternative":
+        return path.paths.flatMap(alternative => evaluatePath(alternative, subject, object, context));
+      case "zeroOrOne":
+        return distinctPairs([
+          ...zeroLengthPairs(subject, object),
+          ...evaluatePath(path.path, subject, object, context)
+        ]);
+      case "zeroOrMore":
+      case "oneOrMore":
+        return closurePairs(path, subject, object, context);
+      case "negated": {
+        const forbidden = new Set(path.iris.map(termToString));
+        const forbiddenInverse = new Set(path.inverseIris.map(termToString));
+        const pairs = [];
+        if (path.iris.length || !path.inverseIris.length) {
+          store.match(subject, null, object, context.graph)
+            .filter(q => !forbidden.has(termToString(q.predicate)))
+            .forEach(q => pairs.push([q.subject, q.object]));
+        }
+        if (path.inverseIris.length) {
+          store.match(object, null, subject, context.graph)
+            .filter(q => !forbiddenInverse.has(termToString(q.predicate)))
+            .forEach(q => pairs.push([q.object, q.subject]));
+        }
+        return pairs;
+      }
+      default:
+        throw new Error(`Unknown path type ${path.type}`);
+    }
+  }
+
+  function zeroLengthPairs(subject, object) {
+    if (subject && object) return termToString(subject) === termToString(object) ? [[subject, object]] : [];
+    if (subject) return [[subject, subject]];
+    if (object) return [[object, object]];
+    return store.nodes().map(node => [node, node]);
+  }
+
+  function reachable(path, start, forward, includeStart, context) {
+    const seen = new Map();
+    if (includeStart) seen.set(termToString(start), start);
+    let frontier = [start];
+    while (frontier.length) {
+      const nextFrontier = [];
+      frontier.forEach(node => {
+        const pairs = forward ? evaluatePath(path, node, null, context) : evaluatePath(path, null, node, context);
+        pairs.forEach(([s, o]) => {
+          const reached = forward ? o : s;
+          const key = termToString(reached);
+          if (!seen.has(key)) {
+            seen.set(key, reached);
+            nextFrontier.push(reached);
+          }
+        });
+      });
+      frontier = nextFrontier;
+    }
+    return Array.from(seen.values());
+  }
+
+  function closurePairs({ type, path }, subject, object, context) {
+    const includeStart = type === "zeroOrMore";
+    if (subject) {
+      const targets = reachable(path, subject, true, includeStart, context);
+      const objectKey = object && termToString(object);
+      return targets.filter(t => !objectKey || termToString(t) === objectKey).map(t => [subject, t]);
+    }
+    if (object) {
+      return reachable(path, object, false, includeStart, context).map(s => [s, object]);
+    }
+    return store.nodes().flatMap(node => reachable(path, node, true, includeStart, context).map(t => [node, t]));
+  }
+
+  // --- Graph Patterns ---
+  function matchTriple(triple, solution, context) {
+    const resolve = term => (isVariableLike(term) ? solution[variableName(term)] || null : term);
+    const subject = resolve(triple.subject);
+    const object = resolve(triple.object);
+    const bind = (extended, term, value) => {
+      if (!isVariableLike(term)) return extended;
+      const name = variableName(term);
+      if (extended[name]) return termToString(extended[name]) === termToString(value) ? extended : null;
+      return { ...extended, [name]: value };
+    };
+
+    if (triple.predicate.type === "path") {
+      return evaluatePath(triple.predicate.path, subject, object, context)
+        .map(([s, o]) => {
+          const withSubject = bind(solution, triple.subject, s);
+          return withSubject && bind(withSubject, triple.object, o);
+        })
+        .filter(Boolean);
+    }
+
+    const predicate = resolve(triple.predicate);
+    return store.match(subject, predicate, object, context.graph)
+      .map(q => {
+        let extended = bind(solution, triple.subject, q.subject);
+        if (extended) extended = bind(extended, triple.predicate, q.predicate);
+        if (extended) extended = bind(extended, triple.object, q.object);
+        if (extended && context.graphVariable) extended = bind(extended, context.graphVariable, q.graph);
+        return extended;
+      })
+      .filter(Boolean);
+  }
+
+  // Greedy join order: next triple is the one with the most bound positions.
+  function evaluateBgp(triples, solutions, context) {
+    const bound = new Set(Object.keys(solutions[0] || {}));
+    const remaining = [...triples];
+    let current = solutions;
+    while (remaining.length && current.length) {
+      const score = t => [t.subject, t.predicate, t.object]
+        .filter(term => term.type === "path" || !isVariableLike(term) || bound.has(variableName(term))).length;
+      remaining.sort((a, b) => score(b) - score(a));
+      const triple = remaining.shift();
+      [triple.subject, triple.predicate, triple.object]
+        .filter(term => term.type !== "path" && isVariableLike(term))
+        .forEach(term => bound.add(variableName(term)));
+      current = current.flatMap(solution => matchTriple(triple, solution, context));
+    }
+    return current;
+  }
+
+  function evaluatePattern(pattern, solutions, context) {
+    switch (pattern.type) {
+      case "group": {
+        let current = solutions;
+        const filters = [];
+        pattern.patterns.forEach(element => {
+          switch (element.type) {
+            case "filter":
+              filters.push(element.expression);
+              break;
+            case "optional":
+              current = current.flatMap(solution => {
+                const extended = evaluatePattern(element.pattern, [solution], context);
+                return extended.length ? extended : [solution];
+              });
+              break;
+            case "minus": {
+              const excluded = evaluatePattern(element.pattern, [{}], context);
+              current = current.filter(solution => !excluded.some(other => {
+                const shared = Object.keys(other).filter(name => solution[name]);
+                return shared.length && shared.every(name => termToString(solution[name]) === termToString(other[name]));
+              }));
+              break;
+            }
+            case "bind":
+              current = current.map(solution => {
+                if (solution[element.variable]) throw new Error(`BIND would rebind ?${element.variable}`);
+                try {
+                  return { ...solution, [element.variable]: evaluate(element.expression, solution, context) };
+                } catch (err) {
+                  if (err instanceof ExpressionError) return solution;
+                  throw err;
+                }
+              });
+              break;
+            default:
+              current = evaluatePattern(element, current, context);
+          }
+        });
+        if (!filters.length) return current;
+        return current.filter(solution => filters.every(filter => {
+          try {
+            return evaluateBoolean(filter, solution, context);
+          } catch (err) {
+            if (err instanceof ExpressionError) return false;
+            throw err;
+          }
+        }));
+      }
+      case "bgp":
+        return evaluateBgp(pattern.triples, solutions, context);
+      case "union":
+        return pattern.patterns.flatMap(branch => evaluatePattern(branch, solutions, context));
+      case "graph": {
+        const { name } = pattern;
+        if (!isVariableLike(name)) return evaluatePattern(pattern.pattern, solutions, { ...context, graph: name });
+        const graphName = variableName(name);
+        return solutions.flatMap(solution => {
+          const graphs = solution[graphName] ? [solution[graphName]] : store.graphs();
+          return graphs.flatMap(graph =>
+            evaluatePattern(pattern.pattern, [{ ...solution, [graphName]: graph }], { ...context, graph })
+          );
+        });
+      }
+      case "values":
+        return solutions.flatMap(solution =>
+          pattern.rows
+            .map(row => {
+              const extended = { ...solution };
+              for (let i = 0; i < pattern.variables.length; i++) {
+                const value = row[i];
+                if (!value) continue;
+                const name = pattern.variables[i];
+                if (extended[name] && termToString(extended[name]) !== termToString(value)) return null;
+                extended[name] = value;
+              }
+              return extended;
+            })
+            .filter(Boolean)
+        );
+      case "query": {
+        const { solutions: inner } = evaluateSelect(pattern.query, context);
+        return solutions.flatMap(solution =>
+          inner
+            .filter(row => Object.keys(row).every(name => !solution[name] || termToString(solution[name]) === termToString(row[name])))
+            .map(row => ({ ...solution, ...row }))
+        );
+      }
+      default:
+        throw new Error(`Unknown pattern type ${pattern.type}`);
+    }
+  }
+
+  // --- Solution Modifiers ---
+  function evaluateSelect(query, context) {
+    let solutions = evaluatePattern(query.where, [{}], context);
+    if (query.values) solutions = evaluatePattern(query.values, solutions, context);
+
+    const projections = query.variables === "*" ? [] : query.variables.filter(v => v.expression);
+    const isAggregated = Boolean(query.group) ||
+      projections.some(v => containsAggregate(v.expression)) ||
+      (query.having || []).some(containsAggregate);
+    const groupsBySolution = new Map();
+
+    const tryEvaluate = (expression, solution, group) => {
+      try {
+        return evaluate(expression, solution, context, group);
+      } catch (err) {
+        if (err instanceof ExpressionError) return undefined;
+        throw err;
+      }
+    };
+
+    if (isAggregated) {
+      const groups = new Map();
+      solutions.forEach(solution => {
+        const key = {};
+        (query.group || []).forEach((condition, i) => {
+          const value = tryEvaluate(condition.expression, solution);
+          const name = condition.variable || (condition.expression.type === "term" ? condition.expression.term.value : `_:group${i}`);
+          if (value) key[name] = value;
+        });
+        const keyString = solutionKey(key);
+        if (!groups.has(keyString)) groups.set(keyString, { key, members: [] });
+        groups.get(keyString).members.push(solution);
+      });
+      // An aggregate without GROUP BY still yields one (possibly empty) group.
+      if (!groups.size && !query.group) groups.set("", { key: {}, members: [] });
+
+      solutions = Array.from(groups.values())
+        .filter(({ key, members }) => (query.having || []).every(condition => {
+          const value = tryEvaluate(condition, key, members);
+          try {
+            return value !== undefined && effectiveBooleanValue(value);
+          } catch {
+            return false;
+          }
+        }))
+        .map(({ key, members }) => {
+          const solution = { ...key };
+          projections.forEach(({ expression, variable }) => {
+            const value = tryEvaluate(expression, solution, members);
+            if (value) solution[variable] = value;
+          });
+          groupsBySolution.set(solution, members);
+          return solution;
+        });
+    } else if (projections.length) {
+      solutions = solutions.map(solution => {
+        const extended = { ...solution };
+        projections.forEach(({ expression, variable }) => {
+          const value = tryEvaluate(expression, extended);
+          if (value) extended[variable] = value;
+        });
+        return extended;
+      });
+    }
+
+    if (query.order) {
+      const keyed = solutions.map(solution => ({
+        solution,
+        keys: query.order.map(({ expression }) => tryEvaluate(expression, solution, groupsBySolution.get(solution)))
+      }));
+      keyed.sort((a, b) => {
+        for (let i = 0; i < query.order.length; i++) {
+          const order = orderTerms(a.keys[i], b.keys[i]);
+          if (order) return query.order[i].descending ? -order : order;
+        }
+        return 0;
+      });
+      solutions = keyed.map(k => k.solution);
+    }
+
+    const variables = query.variables === "*"
+      ? collectVariables(query.where)
+      : query.variables.map(v => v.variable);
+    solutions = solutions.map(solution => {
+      const projected = {};
+      variables.forEach(name => {
+        if (solution[name]) projected[name] = solution[name];
+      });
+      return projected;
+    });
+
+    if (query.distinct) {
+      const seen = new Set();
+      solutions = solutions.filter(solution => {
+        const key = solutionKey(solution);
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      });
+    }
+
+    const offset = query.offset || 0;
+    solutions = solutions.slice(offset, query.limit !== undefined ? offset + query.limit : undefined);
+    return { variables, solutions };
+  }
+
+  function evaluateConstruct(query, context) {
+    const { solutions } = evaluateSelect({ ...query, variables: "*", distinct: false }, context);
+    const seen = new Set();
+    const quads = [];
+    solutions.forEach(solution => {
+      const blankNodes = new Map();
+      const instantiate = term => {
+        if (term.termType === "Variable") return solution[term.value] || null;
+        if (term.termType === "BlankNode") {
+          if (!blankNodes.has(term.value)) blankNodes.set(term.value, freshBlankNode());
+          return blankNodes.get(term.value);
+        }
+        return term;
+      };
+      query.template.forEach(triple => {
+        const subject = instantiate(triple.subject);
+        const predicate = instantiate(triple.predicate);
+        const object = instantiate(triple.object);
+        if (!subject || !predicate || !object) return;
+        if (subject.termType === "Literal" || predicate.termType !== "NamedNode") return;
+        const result = quad(subject, predicate, object);
+        const key = `${termToString(subject)} ${termToString(predicate)} ${termToString(object)}`;
+        if (seen.has(key)) return;
+        seen.add(key);
+        quads.push(result);
+      });
+    });
+    return quads;
+  }
+
+  return { evaluateSelect, evaluateConstruct, evaluatePattern };
+}
+
+function distinctPairs(pairs) {
+  const seen = new Set();
+  return pairs.filter(([s, o]) => {
+    const key = `${termToString(s)} ${termToString(o)}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+function containsAggregate(expression) {
+  if (!expression || typeof expression !== "object") return false;
+  if (expression.type === "aggregate") return true;
+  return (expression.args || []).some(containsAggregate);
+}
+
+function solutionKey(solution) {
+  return Object.keys(solution)
+    .sort()
+    .map(name => `${name}=${termToString(solution[name])}`)
+    .join("\u0000");
+}
+
+// Variables in order of first appearance, for SELECT *.
+function collectVariables(pattern, names = []) {
+  const add = term => {
+    if (term && term.termType === "Variable" && !names.includes(term.value)) names.push(term.value);
+  };
+  switch (pattern.type) {
+    case "group":
+      pattern.patterns.forEach(element => collectVariables(element, names));
+      break;
+    case "bgp":
+      pattern.triples.forEach(t => [t.subject, t.predicate, t.object].forEach(add));
+      break;
+    case "union":
+      pattern.patterns.forEach(branch => collectVariables(branch, names));
+      break;
+    case "optional":
+    case "graph":
+      if (pattern.name) add(pattern.name);
+      collectVariables(pattern.pattern, names);
+      break;
+    case "bind":
+      add({ termType: "Variable", value: pattern.variable });
+      break;
+    case "values":
+      pattern.variables.forEach(name => add({ termType: "Variable", value: name }));
+      break;
+    case "query":
+      (pattern.query.variables === "*" ? collectVariables(pattern.query.where) : pattern.query.variables.map(v => v.variable))
+        .forEach(name => add({ termType: "Variable", value: name }));
+      break;
+    default:
+      break;
+  }
+  return names.filter(name => !isHiddenVariable(name));
+}
+
+// Parses and runs a query. Returns { type: "select", variables, bindings },
+// { type: "construct", quads } or { type: "ask", boolean }. Syntax errors
+// are thrown as SparqlSyntaxError.
+export function executeQuery(quadsOrStore, queryText, { prefixes = {}, baseIri = "" } = {}) {
+  const query = parseSparql(queryText, { prefixes, baseIri });
+  const store = Array.isArray(quadsOrStore) ? createStore(quadsOrStore) : quadsOrStore;
+  const evaluator = createEvaluator(store, baseIri);
+  const context = { graph: undefined };
+
+  if (query.queryType === "ASK") {
+    const { solutions } = evaluator.evaluateSelect({ ...query, variables: "*", limit: 1 }, context);
+    return { type: "ask", boolean: solutions.length > 0 };
+  }
+  if (query.queryType === "CONSTRUCT") {
+    return { type: "construct", quads: evaluator.evaluateConstruct(query, context) };
+  }
+  const { variables, solutions } = evaluator.evaluateSelect(query, context);
+  return { type: "select", variables, bindings: solutions };
+}
@@ -0,0 +1,823 @@
+import { RDF, XSD, namedNode, blankNode, literal, variable, resolveIri } from "./terms.js";
+import { SparqlSyntaxError } from "./errors.js";
+import {
+  PNAME_NS,
+  PN_LOCAL,
+  BLANK_NODE_LABEL,
+  LANGTAG,
+  DOUBLE,
+  DECIMAL,
+  INTEGER,
+  STRING_ESCAPES
+} from "./lexical.js";
+
+// --- SPARQL 1.1 Query Parser ---
+// Turns query text into a small AST that sparql.js evaluates. Covers SELECT,
+// CONSTRUCT and ASK with group patterns, FILTER, OPTIONAL, UNION, MINUS,
+// GRAPH, BIND, VALUES, sub-selects, property paths, aggregates and solution
+// modifiers.
+
+const IRIREF = /<([^<>"{}|^`\\\s]*)>/y;
+const VAR = /[?$]([A-Za-z0-9_\u00B7\u00C0-\uFFFD]+)/y;
+const WORD = /[A-Za-z_][A-Za-z0-9_]*/y;
+const TWO_CHAR_PUNCT = ["^^", "&&", "||", "!=", "<=", ">="];
+const ONE_CHAR_PUNCT = "{}()[].,;*/|^!=<>+-?";
+
+const AGGREGATES = ["COUNT", "SUM", "MIN", "MAX", "AVG", "SAMPLE", "GROUP_CONCAT"];
+export const BUILT_IN_FUNCTIONS = [
+  "STR", "LANG", "LANGMATCHES", "DATATYPE", "BOUND", "IRI", "URI", "BNODE", "RAND",
+  "ABS", "CEIL", "FLOOR", "ROUND", "CONCAT", "STRLEN", "UCASE", "LCASE",
+  "ENCODE_FOR_URI", "CONTAINS", "STRSTARTS", "STRENDS", "STRBEFORE", "STRAFTER",
+  "YEAR", "MONTH", "DAY", "HOURS", "MINUTES", "SECONDS", "NOW", "UUID", "STRUUID",
+  "COALESCE", "IF", "STRLANG", "STRDT", "SAMETERM", "ISIRI", "ISURI", "ISBLANK",
+  "ISLITERAL", "ISNUMERIC", "REGEX", "SUBSTR", "REPLACE"
+];
+const PATTERN_KEYWORDS = ["OPTIONAL", "MINUS", "GRAPH", "BIND", "VALUES", "FILTER", "SERVICE"];
+
+function tokenize(text) {
+  const tokens = [];
+  let pos = 0;
+
+  const fail = (message, at = pos) => {
+    const before = text.slice(0, at);
+    throw new SparqlSyntaxError(message, before.split("\n").length, at - before.lastIndexOf("\n"));
+  };
+
+  const match = pattern => {
+    pattern.lastIndex = pos;
+    const result = pattern.exec(text);
+    if (!result) return null;
+    pos = pattern.lastIndex;
+    return result;
+  };
+
+  const unescape = (value, at) =>
+    value.replace(/\\(?:u([0-9A-Fa-f]{4})|U([0-9A-Fa-f]{8})|(.))/g, (escape, u4, u8, ch) => {
+      if (u4 || u8) return String.fromCodePoint(parseInt(u4 || u8, 16));
+      if (ch in STRING_ESCAPES) return STRING_ESCAPES[ch];
+      return fail(`Invalid escape "\\${ch}"`, at);
+    });
+
+  const readString = () => {
+    const start = pos;
+    const quote = text[pos];
+    const isLong = text.startsWith(quote.repeat(3), pos);
+    const delimiter = isLong ? quote.repeat(3) : quote;
+    pos += delimiter.length;
+    let raw = "";
+    for (;;) {
+      if (pos >= text.length) fail("Unterminated string literal", start);
+      if (text.startsWith(delimiter, pos)) break;
+      const ch = text[pos];
+      if (!isLong && (ch === "\n" || ch === "\r")) fail("Line break in string literal");
+      if (ch === "\\") {
+        raw += text.slice(pos, pos + 2);
+        pos += 2;
+      } else {
+        raw += ch;
+        pos++;
+      }
+    }
+    pos += delimiter.length;
+    return unescape(raw, start);
+  };
+
+  for (;;) {
+    while (pos < text.length) {
+      if (/\s/.test(text[pos])) pos++;
+      else if (text[pos] === "#") while (pos < text.length && text[pos] !== "\n") pos++;
+      else break;
+    }
+    if (pos >= text.length) break;
+
+    const start = pos;
+    const ch = text[pos];
+    let result;
+
+    if (ch === "<" && (result = match(IRIREF))) {
+      tokens.push({ type: "iri", value: unescape(result[1], start), start });
+    } else if ((ch === "?" || ch === "$") && (result = match(VAR))) {
+      tokens.push({ type: "var", value: result[1], start });
+    } else if (ch === "_" && text[pos + 1] === ":") {
+      result = match(BLANK_NODE_LABEL);
+      if (!result) fail("Invalid blank node label");
+      tokens.push({ type: "bnode", value: result[0].slice(2), start });
+    } else if (ch === "\"" || ch === "'") {
+      tokens.push({ type: "string", value: readString(), start });
+    } else if (ch === "@") {
+      result = match(LANGTAG);
+      if (!result) fail("Invalid language tag");
+      tokens.push({ type: "langtag", value: result[0].slice(1), start });
+    } else if (/[0-9]/.test(ch) || (ch === "." && /[0-9]/.test(text[pos + 1] || ""))) {
+      if ((result = match(DOUBLE))) tokens.push({ type: "number", datatype: "double", value: result[0], start });
+      else if ((result = match(DECIMAL))) tokens.push({ type: "number", datatype: "decimal", value: result[0], start });
+      else tokens.push({ type: "number", datatype: "integer", value: match(INTEGER)[0], start });
+    } else if ((result = match(PNAME_NS))) {
+      const local = match(PN_LOCAL);
+      tokens.push({
+        type: "pname",
+        prefix: result[0].slice(0, -1),
+        local: local ? local[0].replace(/\\(.)/g, "$1") : "",
+        start
+      });
+    } else if ((result = match(WORD))) {
+      tokens.push({ type: "word", value: result[0], start });
+    } else {
+      const two = text.slice(pos, pos + 2);
+      if (TWO_CHAR_PUNCT.includes(two)) {
+        pos += 2;
+        tokens.push({ type: "punct", value: two, start });
+      } else if (ONE_CHAR_PUNCT.includes(ch)) {
+        pos++;
+        tokens.push({ type: "punct", value: ch, start });
+      } else {
+        fail(`Unexpected character "${ch}"`);
+      }
+    }
+  }
+  tokens.push({ type: "eof", start: text.length });
+  return tokens;
+}
+
+export function parseSparql(text, { prefixes: knownPrefixes = {}, baseIri = "" } = {}) {
+  const tokens = tokenize(text);
+  const prefixes = { ...knownPrefixes };
+  let base = baseIri;
+  let index = 0;
+  let anonymousCounter = 0;
+
+  const fail = (message, token = tokens[index]) => {
+    const before = text.slice(0, token.start);
+    throw new SparqlSyntaxError(message, before.split("\n").length, token.start - before.lastIndexOf("\n"));
+  };
+
+  const peek = (offset = 0) => tokens[Math.min(index + offset, tokens.length - 1)];
+  const next = () => tokens[index++];
+  const describe = token => {
+    if (token.type === "eof") return "end of query";
+    if (token.type === "pname") return `"${token.prefix}:${token.local}"`;
+    if (token.type === "var") return `"?${token.value}"`;
+    return `"${token.value}"`;
+  };
+
+  const isWord = (token, ...words) => token.type === "word" && words.includes(token.value.toUpperCase());
+  const isPunct = (token, value) => token.type === "punct" && token.value === value;
+  const acceptWord = word => {
+    if (!isWord(peek(), word)) return false;
+    index++;
+    return true;
+  };
+  const acceptPunct = value => {
+    if (!isPunct(peek(), value)) return false;
+    index++;
+    return true;
+  };
+  const expectWord = word => {
+    if (!acceptWord(word)) fail(`Expected ${word} but found ${describe(peek())}`);
+  };
+  const expectPunct = value => {
+    if (!acceptPunct(value)) fail(`Expected "${value}" but found ${describe(peek())}`);
+  };
+
+  const freshAnonymous = () => blankNode(`anon${++anonymousCounter}`);
+
+  // --- Terms ---
+  const toIri = token => {
+    if (token.type === "iri") return namedNode(resolveIri(token.value, base));
+    if (!(token.prefix in prefixes)) fail(`Undefined prefix "${token.prefix}:"`, token);
+    return namedNode(prefixes[token.prefix] + token.local);
+  };
+
+  const isIriToken = token => token.type === "iri" || token.type === "pname";
+
+  const parseIri = () => {
+    const token = peek();
+    if (!isIriToken(token)) fail(`Expected an IRI but found ${describe(token)}`);
+    index++;
+    return toIri(token);
+  };
+
+  const parseVar = () => {
+    const token = peek();
+    if (token.type !== "var") fail(`Expected a variable but found ${describe(token)}`);
+    index++;
+    return token.value;
+  };
+
+  const parseLiteralTail = value => {
+    if (peek().type === "langtag") return literal(value, next().value);
+    if (acceptPunct("^^")) return literal(value, parseIri());
+    return literal(value);
+  };
+
+  const numberLiteral = (token, sign = "") =>
+    literal(sign + token.value, namedNode(`${XSD}${token.datatype}`));
+
+  // A term usable in a triple pattern or VALUES row.
+  const parseGraphTerm = ({ allowVariables = true } = {}) => {
+    const token = peek();
+    if (token.type === "var" && allowVariables) {
+      index++;
+      return variable(token.value);
+    }
+    if (isIriToken(token)) return parseIri();
+    if (token.type === "bnode") {
+      index++;
+      return blankNode(token.value);
+    }
+    if (token.type === "string") {
+      index++;
+      return parseLiteralTail(token.value);
+    }
+    if (token.type === "number") {
+      index++;
+      return numberLiteral(token);
+    }
+    if ((isPunct(token, "+") || isPunct(token, "-")) && peek(1).type === "number") {
+      index += 2;
+      return numberLiteral(peek(-1), token.value === "-" ? "-" : "");
+    }
+    if (isWord(token, "TRUE", "FALSE")) {
+      index++;
+      return literal(token.value.toLowerCase(), namedNode(`${XSD}boolean`));
+    }
+    if (isPunct(token, "[") && isPunct(peek(1), "]")) {
+      index += 2;
+      return freshAnonymous();
+    }
+    if (isPunct(token, "(") && isPunct(peek(1), ")")) {
+      index += 2;
+      return namedNode(`${RDF}nil`);
+    }
+    return fail(`Expected a term but found ${describe(token)}`);
+  };
+
+  // --- Property Paths ---
+  const parsePathPrimary = () => {
+    const token = peek();
+    if (isWord(token, "A") && token.value === "a") {
+      index++;
+      return { type: "link", iri: namedNode(`${RDF}type`) };
+    }
+    if (isIriToken(token)) return { type: "link", iri: parseIri() };
+    if (acceptPunct("!")) return parseNegatedPropertySet();
+    if (acceptPunct("(")) {
+      const path = parsePath();
+      expectPunct(")");
+      return path;
+    }
+    return fail(`Expected a property path but found ${describe(token)}`);
+  };
+
+  const parseNegatedPropertySet = () => {
+    const set = { type: "negated", iris: [], inverseIris: [] };
+    const parseOne = () => {
+      const inverse = acceptPunct("^");
+      const token = peek();
+      let iri;
+      if (token.type === "word" && token.value === "a") {
+        index++;
+        iri = namedNode(`${RDF}type`);
+      } else {
+        iri = parseIri();
+      }
+      (inverse ? set.inverseIris : set.iris).push(iri);
+    };
+    if (acceptPunct("(")) {
+      if (!isPunct(peek(), ")")) {
+        parseOne();
+        while (acceptPunct("|")) parseOne();
+      }
+      expectPunct(")");
+    } else {
+      parseOne();
+    }
+    return set;
+  };
+
+  const parsePathElt = () => {
+    const primary = parsePathPrimary();
+    const token = peek();
+    if (isPunct(token, "*")) {
+      index++;
+      return { type: "zeroOrMore", path: primary };
+    }
+    if (isPunct(token, "+")) {
+      index++;
+      return { type: "oneOrMore", path: primary };
+    }
+    if (isPunct(token, "?")) {
+      index++;
+      return { type: "zeroOrOne", path: primary };
+    }
+    return primary;
+  };
+
+  const parsePathSequence = () => {
+    const paths = [acceptPunct("^") ? { type: "inverse", path: parsePathElt() } : parsePathElt()];
+    while (acceptPunct("/")) {
+      paths.push(acceptPunct("^") ? { type: "inverse", path: parsePathElt() } : parsePathElt());
+    }
+    return paths.length === 1 ? paths[0] : { type: "sequence", paths };
+  };
+
+  function parsePath() {
+    const paths = [parsePathSequence()];
+    while (acceptPunct("|")) paths.push(parsePathSequence());
+    return paths.length === 1 ? paths[0] : { type: "alternative", paths };
+  }
+
+  // Plain IRIs stay terms; anything more complex becomes a path object.
+  const parseVerb = () => {
+    if (peek().type === "var") return variable(next().value);
+    const path = parsePath();
+    return path.type === "link" ? path.iri : { type: "path", path };
+  };
+
+  // --- Triple Patterns ---
+  const parseObject = triples => {
+    const token = peek();
+    if (isPunct(token, "[") && !isPunct(peek(1), "]")) return parseBlankNodePropertyList(triples);
+    if (isPunct(token, "(") && !isPunct(peek(1), ")")) return parseCollection(triples);
+    return parseGraphTerm();
+  };
+
+  const parseBlankNodePropertyList = triples => {
+    expectPunct("[");
+    const node = freshAnonymous();
+    parsePropertyListNotEmpty(node, triples);
+    expectPunct("]");
+    return node;
+  };
+
+  const parseCollection = triples => {
+    expectPunct("(");
+    const items = [];
+    while (!acceptPunct(")")) {
+      if (peek().type === "eof") fail("Unterminated collection");
+      items.push(parseObject(triples));
+    }
+    const head = freshAnonymous();
+    let current = head;
+    items.forEach((item, i) => {
+      triples.push({ subject: current, predicate: namedNode(`${RDF}first`), object: item });
+      const rest = i === items.length - 1 ? namedNode(`${RDF}nil`) : freshAnonymous();
+      triples.push({ subject: current, predicate: namedNode(`${RDF}rest`), object: rest });
+      current = rest;
+    });
+    return head;
+  };
+
+  function parsePropertyListNotEmpty(subject, triples) {
+    for (;;) {
+      const predicate = parseVerb();
+      for (;;) {
+        triples.push({ subject, predicate, object: parseObject(triples) });
+        if (!acceptPunct(",")) break;
+      }
+      if (!acceptPunct(";")) return;
+      while (acceptPunct(";"));
+      const token = peek();
+      if (isPunct(token, ".") || isPunct(token, "]") || isPunct(token, "}") || token.type === "eof") return;
+    }
+  }
+
+  const startsTriples = token =>
+    ["var", "iri", "pname", "bnode", "string", "number"].includes(token.type) ||
+    isPunct(token, "[") || isPunct(token, "(") || isPunct(token, "+") || isPunct(token, "-") ||
+    isWord(token, "TRUE", "FALSE");
+
+  const parseTriplesSameSubject = triples => {
+    const token = peek();
+    let subject;
+    if (isPunct(token, "[") && !isPunct(peek(1), "]")) {
+      subject = parseBlankNodePropertyList(triples);
+      if (isPunct(peek(), ".") || isPunct(peek(), "}")) return;
+    } else if (isPunct(token, "(") && !isPunct(peek(1), ")")) {
+      subject = parseCollection(triples);
+      if (isPunct(peek(), ".") || isPunct(peek(), "}")) return;
+    } else {
+      subject = parseGraphTerm();
+    }
+    parsePropertyListNotEmpty(subject, triples);
+  };
+
+  // --- Expressions ---
+  const parseArgumentList = () => {
+    expectPunct("(");
+    const args = [];
+    if (acceptPunct(")")) return args;
+    args.push(parseExpression());
+    while (acceptPunct(",")) args.push(parseExpression());
+    expectPunct(")");
+    return args;
+  };
+
+  const parseAggregate = name => {
+    expectPunct("(");
+    const distinct = acceptWord("DISTINCT");
+    let expression = null;
+    if (name === "COUNT" && acceptPunct("*")) {
+      expression = null;
+    } else {
+      expression = parseExpression();
+    }
+    let separator = " ";
+    if (name === "GROUP_CONCAT" && acceptPunct(";")) {
+      expectWord("SEPARATOR");
+      expectPunct("=");
+      const token = next();
+      if (token.type !== "string") fail("Expected a separator string", token);
+      separator = token.value;
+    }
+    expectPunct(")");
+    return { type: "aggregate", name, distinct, expression, separator };
+  };
+
+  const parsePrimaryExpression = () => {
+    const token = peek();
+    if (acceptPunct("(")) {
+      const expression = parseExpression();
+      expectPunct(")");
+      return expression;
+    }
+    if (token.type === "word") {
+      const name = token.value.toUpperCase();
+      if (name === "TRUE" || name === "FALSE") {
+        index++;
+        return { type: "term", term: literal(name.toLowerCase(), namedNode(`${XSD}boolean`)) };
+      }
+      if (AGGREGATES.includes(name)) {
+        index++;
+        return parseAggregate(name);
+      }
+      if (name === "EXISTS" || (name === "NOT" && isWord(peek(1), "EXISTS"))) {
+        index += name === "NOT" ? 2 : 1;
+        return { type: "exists", not: name === "NOT", pattern: parseGroupGraphPattern() };
+      }
+      if (BUILT_IN_FUNCTIONS.includes(name)) {
+        index++;
+        return { type: "call", name, args: parseArgumentList() };
+      }
+      return fail(`Unknown function or keyword ${describe(token)}`);
+    }
+    if (isIriToken(token)) {
+      const iri = parseIri();
+      if (isPunct(peek(), "(")) return { type: "call", name: iri.value, iri: true, args: parseArgumentList() };
+      return { type: "term", term: iri };
+    }
+    if (token.type === "var") {
+      index++;
+      return { type: "term", term: variable(token.value) };
+    }
+    if (token.type === "string") {
+      index++;
+      return { type: "term", term: parseLiteralTail(token.value) };
+    }
+    if (token.type === "number") {
+      index++;
+      return { type: "term", term: numberLiteral(token) };
+    }
+    return fail(`Unexpected ${describe(token)} in expression`);
+  };
+
+  const parseUnaryExpression = () => {
+    if (acceptPunct("!")) return { type: "operation", operator: "!", args: [parseUnaryExpression()] };
+    if (acceptPunct("-")) return { type: "operation", operator: "u-", args: [parseUnaryExpression()] };
+    if (acceptPunct("+")) return { type: "operation", operator: "u+", args: [parseUnaryExpression()] };
+    return parsePrimaryExpression();
+  };
+
+  const parseMultiplicativeExpression = () => {
+    let left = parseUnaryExpression();
+    while (isPunct(peek(), "*") || isPunct(peek(), "/")) {
+      const operator = next().value;
+      left = { type: "operation", operator, args: [left, parseUnaryExpression()] };
+    }
+    return left;
+  };
+
+  const parseAdditiveExpression = () => {
+    let left = parseMultiplicativeExpression();
+    while (isPunct(peek(), "+") || isPunct(peek(), "-")) {
+      const operator = next().value;
+      left = { type: "operation", operator, args: [left, parseMultiplicativeExpression()] };
+    }
+    return left;
+  };
+
+  const parseRelationalExpression = () => {
+    const left = parseAdditiveExpression();
+    const token = peek();
+    if (token.type === "punct" && ["=", "!=", "<", ">", "<=", ">="].includes(token.value)) {
+      index++;
+      return { type: "operation", operator: token.value, args: [left, parseAdditiveExpression()] };
+    }
+    if (isWord(token, "IN")) {
+      index++;
+      return { type: "operation", operator: "in", args: [left, ...parseArgumentList()] };
+    }
+    if (isWord(token, "NOT") && isWord(peek(1), "IN")) {
+      index += 2;
+      return { type: "operation", operator: "notin", args: [left, ...parseArgumentList()] };
+    }
+    return left;
+  };
+
+  const parseAndExpression = () => {
+    let left = parseRelationalExpression();
+    while (acceptPunct("&&")) {
+      left = { type: "operation", operator: "&&", args: [left, parseRelationalExpression()] };
+    }
+    return left;
+  };
+
+  function parseExpression() {
+    let left = parseAndExpression();
+    while (acceptPunct("||")) {
+      left = { type: "operation", operator: "||", args: [left, parseAndExpression()] };
+    }
+    return left;
+  }
+
+  // FILTER, HAVING and ORDER BY take a bracketed expression or a function call.
+  const parseConstraint = () => {
+    const token = peek();
+    if (isPunct(token, "(")) return parsePrimaryExpression();
+    if (token.type === "word" || isIriToken(token)) {
+      const expression = parsePrimaryExpression();
+      if (expression.type === "call" || expression.type === "exists" || expression.type === "aggregate") return expression;
+    }
+    return fail(`Expected a constraint but found ${describe(token)}`);
+  };
+
+  // --- Graph Patterns ---
+  const parseDataBlock = () => {
+    let variables;
+    if (peek().type === "var") {
+      variables = [next().value];
+    } else {
+      expectPunct("(");
+      variables = [];
+      while (!acceptPunct(")")) variables.push(parseVar());
+    }
+    const parseValue = () => {
+      if (acceptWord("UNDEF")) return undefined;
+      return parseGraphTerm({ allowVariables: false });
+    };
+    const rows = [];
+    expectPunct("{");
+    while (!acceptPunct("}")) {
+      if (variables.length === 1 && !isPunct(peek(), "(")) {
+        rows.push([parseValue()]);
+      } else {
+        expectPunct("(");
+        const row = [];
+        while (!acceptPunct(")")) row.push(parseValue());
+        if (row.length !== variables.length) fail("VALUES row has the wrong number of values");
+        rows.push(row);
+      }
+    }
+    return { type: "values", variables, rows };
+  };
+
+  const parseGroupOrUnion = () => {
+    const patterns = [parseGroupGraphPattern()];
+    while (acceptWord("UNION")) patterns.push(parseGroupGraphPattern());
+    return patterns.length === 1 ? patterns[0] : { type: "union", patterns };
+  };
+
+  function parseGroupGraphPattern() {
+    expectPunct("{");
+    if (isWord(peek(), "SELECT")) {
+      const query = parseSelectQuery();
+      expectPunct("}");
+      return { type: "group", patterns: [{ type: "query", query }] };
+    }
+
+    const patterns = [];
+    const currentBgp = () => {
+      const last = patterns[patterns.length - 1];
+      if (last && last.type === "bgp") return last;
+      const bgp = { type: "bgp", triples: [] };
+      patterns.push(bgp);
+      return bgp;
+    };
+
+    for (;;) {
+      const token = peek();
+      if (isPunct(token, "}")) break;
+      if (token.type === "eof") fail("Unterminated group pattern, expected \"}\"");
+
+      if (isPunct(token, "{")) {
+        patterns.push(parseGroupOrUnion());
+      } else if (isWord(token, ...PATTERN_KEYWORDS)) {
+        index++;
+        const keyword = token.value.toUpperCase();
+        if (keyword === "OPTIONAL") patterns.push({ type: "optional", pattern: parseGroupGraphPattern() });
+        else if (keyword === "MINUS") patterns.push({ type: "minus", pattern: parseGroupGraphPattern() });
+        else if (keyword === "FILTER") patterns.push({ type: "filter", expression: parseConstraint() });
+        else if (keyword === "VALUES") patterns.push(parseDataBlock());
+        else if (keyword === "SERVICE") fail("SERVICE is not supported in the browser", token);
+        else if (keyword === "GRAPH") {
+          const name = parseGraphTerm();
+          patterns.push({ type: "graph", name, pattern: parseGroupGraphPattern() });
+        } else {
+          expectPunct("(");
+          const expression = parseExpression();
+          expectWord("AS");
+          const name = parseVar();
+          expectPunct(")");
+          patterns.push({ type: "bind", expression, variable: name });
+        }
+      } else if (startsTriples(token)) {
+        const triples = [];
+        parseTriplesSameSubject(triples);
+        currentBgp().triples.push(...triples);
+        if (!acceptPunct(".")) {
+          const after = peek();
+          if (!isPunct(after, "}") && !isPunct(after, "{") && !isWord(after, ...PATTERN_KEYWORDS)) {
+            fail(`Expected "." or "}" but found ${describe(after)}`);
+          }
+        }
+        continue;
+      } else {
+        fail(`Unexpected ${describe(token)} in group pattern`);
+      }
+      acceptPunct(".");
+    }
+    expectPunct("}");
+    return { type: "group", patterns };
+  }
+
+  // --- Queries ---
+  const parsePrologue = () => {
+    for (;;) {
+      if (acceptWord("PREFIX")) {
+        const token = next();
+        if (token.type !== "pname" || token.local) fail("Expected a prefix name like \"foaf:\"", token);
+        const iri = next();
+        if (iri.type !== "iri") fail("Expected an IRI for the prefix", iri);
+        prefixes[token.prefix] = resolveIri(iri.value, base);
+      } else if (acceptWord("BASE")) {
+        const iri = next();
+        if (iri.type !== "iri") fail("Expected an IRI for the base", iri);
+        base = resolveIri(iri.value, base);
+      } else {
+        return;
+      }
+    }
+  };
+
+  const skipDatasetClauses = () => {
+    while (acceptWord("FROM")) {
+      acceptWord("NAMED");
+      parseIri();
+    }
+  };
+
+  const parseSolutionModifiers = query => {
+    if (acceptWord("GROUP")) {
+      expectWord("BY");
+      query.group = [];
+      for (;;) {
+        const token = peek();
+        if (token.type === "var") {
+          index++;
+          query.group.push({ expression: { type: "term", term: variable(token.value) }, variable: token.value });
+        } else if (acceptPunct("(")) {
+          const expression = parseExpression();
+          const alias = acceptWord("AS") ? parseVar() : null;
+          expectPunct(")");
+          query.group.push({ expression, variable: alias });
+        } else if ((token.type === "word" && !isWord(token, "HAVING", "ORDER", "LIMIT", "OFFSET", "VALUES")) || isIriToken(token)) {
+          query.group.push({ expression: parseConstraint(), variable: null });
+        } else {
+          break;
+        }
+      }
+      if (!query.group.length) fail("GROUP BY needs at least one condition");
+    }
+    if (acceptWord("HAVING")) {
+      query.having = [parseConstraint()];
+      while (isPunct(peek(), "(") || (peek().type === "word" && !isWord(peek(), "ORDER", "LIMIT", "OFFSET", "VALUES"))) {
+        query.having.push(parseConstraint());
+      }
+    }
+    if (acceptWord("ORDER")) {
+      expectWord("BY");
+      query.order = [];
+      for (;;) {
+        const token = peek();
+        if (isWord(token, "ASC", "DESC")) {
+          index++;
+          expectPunct("(");
+          query.order.push({ expression: parseExpression(), descending: token.value.toUpperCase() === "DESC" });
+          expectPunct(")");
+        } else if (token.type === "var") {
+          index++;
+          query.order.push({ expression: { type: "term", term: variable(token.value) }, descending: false });
+        } else if (isPunct(token, "(") || (token.type === "word" && !isWord(token, "LIMIT", "OFFSET", "VALUES"))) {
+          query.order.push({ expression: parseConstraint(), descending: false });
+        } else {
+          break;
+        }
+      }
+      if (!query.order.length) fail("ORDER BY needs at least one condition");
+    }
+    for (;;) {
+      if (acceptWord("LIMIT")) {
+        const token = next();
+        if (token.type !== "number" || token.datatype !== "integer") fail("LIMIT needs an integer", token);
+        query.limit = Number(token.value);
+      } else if (acceptWord("OFFSET")) {
+        const token = next();
+        if (token.type !== "number" || token.datatype !== "integer") fail("OFFSET needs an integer", token);
+        query.offset = Number(token.value);
+      } else {
+        break;
+      }
+    }
+  };
+
+  function parseSelectQuery() {
+    expectWord("SELECT");
+    const query = { queryType: "SELECT", distinct: false, variables: [] };
+    if (acceptWord("DISTINCT")) query.distinct = true;
+    else acceptWord("REDUCED");
+    if (acceptPunct("*")) {
+      query.variables = "*";
+    } else {
+      for (;;) {
+        if (peek().type === "var") {
+          query.variables.push({ variable: next().value });
+        } else if (acceptPunct("(")) {
+          const expression = parseExpression();
+          expectWord("AS");
+          const name = parseVar();
+          expectPunct(")");
+          query.variables.push({ expression, variable: name });
+        } else {
+          break;
+        }
+      }
+      if (!query.variables.length) fail(`Expected variables or "*" after SELECT but found ${describe(peek())}`);
+    }
+    skipDatasetClauses();
+    acceptWord("WHERE");
+    query.where = parseGroupGraphPattern();
+    parseSolutionModifiers(query);
+    return query;
+  }
+
+  const parseConstructQuery = () => {
+    expectWord("CONSTRUCT");
+    const query = { queryType: "CONSTRUCT" };
+    if (isPunct(peek(), "{")) {
+      expectPunct("{");
+      const template = [];
+      while (!acceptPunct("}")) {
+        parseTriplesSameSubject(template);
+        if (!acceptPunct(".") && !isPunct(peek(), "}")) fail(`Expected "." or "}" but found ${describe(peek())}`);
+      }
+      if (template.some(t => t.predicate.type === "path")) fail("Property paths are not allowed in a CONSTRUCT template");
+      query.template = template;
+      skipDatasetClauses();
+      acceptWord("WHERE");
+      query.where = parseGroupGraphPattern();
+    } else {
+      skipDatasetClauses();
+      expectWord("WHERE");
+      query.where = parseGroupGraphPattern();
+      const bgp = query.where.patterns.length === 1 && query.where.patterns[0].type === "bgp" ? query.where.patterns[0] : null;
+      if (!bgp && query.where.patterns.length) fail("CONSTRUCT WHERE only allows a basic graph pattern");
+      query.template = bgp ? bgp.triples : [];
+    }
+    parseSolutionModifiers(query);
+    return query;
+  };
+
+  const parseAskQuery = () => {
+    expectWord("ASK");
+    skipDatasetClauses();
+    acceptWord("WHERE");
+    const query = { queryType: "ASK", where: parseGroupGraphPattern() };
+    parseSolutionModifiers(query);
+    return query;
+  };
+
+  parsePrologue();
+  let query;
+  const token = peek();
+  if (isWord(token, "SELECT")) query = parseSelectQuery();
+  else if (isWord(token, "CONSTRUCT")) query = parseConstructQuery();
+  else if (isWord(token, "ASK")) query = parseAskQuery();
+  else if (isWord(token, "DESCRIBE")) fail("DESCRIBE queries are not supported, use CONSTRUCT instead");
+  else fail(`Expected SELECT, CONSTRUCT or ASK but found ${describe(token)}`);
+
+  if (acceptWord("VALUES")) query.values = parseDataBlock();
+  if (peek().type !== "eof") fail(`Unexpected ${describe(peek())} after the query`);
+
+  query.prefixes = prefixes;
+  return query;
+}
@@ -0,0 +1,75 @@
+// --- RDF Term Model ---
+// Plain objects shaped after the RDF/JS data model so terms can be passed
+// around, compared and serialized without a library.
+
+export const RDF = "http://www.w3.org/1999/02/22-rdf-syntax-ns#";
+export const XSD = "http://www.w3.org/2001/XMLSchema#";
+export const RDFS = "http://www.w3.org/2000/01/rdf-schema#";
+
+export const namedNode = value => ({ termType: "NamedNode", value });
+
+export const blankNode = value => ({ termType: "BlankNode", value });
+
+// Generated labels are unique across every parsed document, so merging
+// several files never conflates their blank nodes.
+let blankNodeCounter = 0;
+export const freshBlankNode = () => blankNode(`b${++blankNodeCounter}`);
+
+// Only appears in query patterns, never in loaded data.
+export const variable = value => ({ termType: "Variable", value });
+
+export const defaultGraph = () => ({ termType: "DefaultGraph", value: "" });
+
+export const literal = (value, languageOrDatatype) => {
+  if (typeof languageOrDatatype === "string" && languageOrDatatype) {
+    return {
+      termType: "Literal",
+      value,
+      language: languageOrDatatype.toLowerCase(),
+      datatype: namedNode(`${RDF}langString`)
+    };
+  }
+  return {
+    termType: "Literal",
+    value,
+    language: "",
+    datatype: languageOrDatatype || namedNode(`${XSD}string`)
+  };
+};
+
+export const isAbsoluteIri = iri => /^[a-z][a-z0-9+.-]*:/i.test(iri);
+
+export function resolveIri(iri, base) {
+  if (!base || isAbsoluteIri(iri)) return iri;
+  try {
+    return new URL(iri, base).href;
+  } catch {
+    return iri;
+  }
+}
+
+export const quad = (subject, predicate, object, graph = defaultGraph()) => ({
+  subject,
+  predicate,
+  object,
+  graph
+});
+
+// N-Triples style key, unique per term.
+export function termToString(term) {
+  switch (term.termType) {
+    case "NamedNode":
+      return term.value;
+    case "BlankNode":
+      return `_:${term.value}`;
+    case "Literal":
+      if (term.language) return `"${term.value}"@${term.language}`;
+      if (term.datatype.value === `${XSD}string`) return `"${term.value}"`;
+      return `"${term.value}"^^<${term.datatype.value}>`;
+    default:
+      return "";
+  }
+}
+
+// Unique per quad, for de-duplicating and diffing quad lists.
+export const quadKey = q => [q.subject, q.predicate, q.object, q.graph].map(termToString).join(" ");
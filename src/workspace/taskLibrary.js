@@ -0,0 +1,222 @@
+import { executeQuery } from "../rdf/sparql.js";
+import { RDF, termToString } from "../rdf/terms.js";
+import { expandCurie } from "../rdf/prefixes.js";
+
+// --- Guided Task Library ---
+// A guided task is a question with parameters, such as "Who has skill
+// {?skill}?", answered by triple patterns or by a SPARQL query over the
+// loaded data:
+//   { id, title, kind: "patterns", patterns: [[s, p, o]], params }
+//   { id, title, kind: "sparql", query, params }
+// Pattern terms are "?variables", CURIEs, IRIs or quoted literals. Every
+// "{?name}" in the title is a parameter that binds ?name before the query
+// runs; params may narrow the choices offered for one to the instances of
+// a class: { [name]: { class: iri } }. Libraries are shared as JSON with
+// the prefixes their CURIEs need.
+
+const RDF_TYPE = `${RDF}type`;
+const PARAMETER = /\{\?([A-Za-z_][\w]*)\}/g;
+
+export const DEFAULT_TASKS = [
+  {
+    id: "coworkers",
+    title: "Who works with {?person}?",
+    kind: "sparql",
+    query: `SELECT ?coworker ?organization
+WHERE {
+  ?person ex:worksAt ?organization .
+  ?coworker ex:worksAt ?organization .
+  FILTER(?coworker != ?person)
+}`,
+    params: { person: { class: "ex:Person" } }
+  },
+  {
+    id: "skill-holders",
+    title: "Who has skill {?skill}?",
+    kind: "patterns",
+    patterns: [["?person", "ex:hasSkill", "?skill"]],
+    params: { skill: { class: "ex:Skill" } }
+  },
+  {
+    id: "workplace",
+    title: "Where does {?person} work?",
+    kind: "patterns",
+    patterns: [["?person", "ex:worksAt", "?organization"]],
+    params: {}
+  },
+  {
+    id: "project-skills",
+    title: "What skills are in {?project}?",
+    kind: "patterns",
+    patterns: [["?project", "ex:involves", "?person"], ["?person", "ex:hasSkill", "?skill"]],
+    params: {}
+  }
+];
+
+export const taskParameters = task => Array.from(new Set(Array.from(task.title.matchAll(PARAMETER), match => match[1])));
+
+// The title with its parameters replaced by the chosen values' names.
+export const taskLabel = (task, values = {}, nameOf = id => id) =>
+  task.title.replace(PARAMETER, (placeholder, name) => (values[name] ? nameOf(values[name]) : placeholder));
+
+const isVariable = term => term.startsWith("?");
+
+// Full IRIs written without angle brackets; anything else (CURIEs, "a",
+// variables, literals) is already SPARQL.
+const BARE_IRI = /^(?:[a-z][a-z0-9+.-]*:\/\/|urn:)/i;
+const sparqlTerm = term => (BARE_IRI.test(term) ? `<${term}>` : term);
+
+// The SPARQL text a task runs, with the chosen values (ids as in the
+// graph: IRIs or "_:" blank node labels) bound through VALUES. Blank nodes
+// cannot be bound and are left open.
+export function taskQuery(task, values = {}) {
+  const text = task.kind === "sparql"
+    ? task.query.trim()
+    : `SELECT * WHERE {\n${task.patterns.map(pattern => `  ${pattern.map(sparqlTerm).join(" ")} .`).join("\n")}\n}`;
+  const bound = Object.entries(values).filter(([, id]) => id && !id.startsWith("_:"));
+  if (!bound.length) return text;
+  return `${text}\nVALUES (${bound.map(([name]) => `?${name}`).join(" ")}) { (${bound.map(([, id]) => `<${id}>`).join(" ")}) }`;
+}
+
+// The graph id of a pattern constant, or null for literals.
+const constantId = (term, prefixes) => {
+  if (term.startsWith("\"")) return null;
+  if (term === "a") return RDF_TYPE;
+  if (term.startsWith("<") && term.endsWith(">")) return term.slice(1, -1);
+  return expandCurie(term, prefixes);
+};
+
+// Runs a task and explains the result. Returns { triples, explanations,
+// rows } where triples are the id triples that answer it (for the graph
+// filter and highlights) and explanations maps each matched node id to the
+// reasons it matched: { triple } for a pattern or CONSTRUCT triple that
+// mentions it, { binding: [[variable, term]] } for a SELECT row that binds
+// it. SPARQL errors are thrown.
+export function runTask(quads, task, values, { prefixes = {} } = {}) {
+  const output = executeQuery(quads, taskQuery(task, values), { prefixes });
+  const explanations = new Map();
+  const explain = (id, reason) => {
+    if (!explanations.has(id)) explanations.set(id, []);
+    explanations.get(id).push(reason);
+  };
+  const triples = [];
+  const seen = new Set();
+  const addTriple = triple => {
+    const key = triple.join(" ");
+    if (seen.has(key)) return;
+    seen.add(key);
+    triples.push(triple);
+    explain(triple[0], { triple });
+    if (!triple[2].startsWith("\"")) explain(triple[2], { triple });
+  };
+
+  if (output.type === "construct") {
+    output.quads.forEach(({ subject, predicate, object }) =>
+      addTriple([termToString(subject), predicate.value, termToString(object)]));
+    return { triples, explanations, rows: output.quads.length };
+  }
+  if (output.type !== "select") throw new Error("A task query must be a SELECT or CONSTRUCT query");
+
+  if (task.kind === "patterns") {
+    output.bindings.forEach(row => {
+      const resolve = term => (isVariable(term)
+        ? (row[term.slice(1)] ? termToString(row[term.slice(1)]) : null)
+        : constantId(term, prefixes) || term);
+      task.patterns.forEach(pattern => {
+        const triple = pattern.map(resolve);
+        if (triple.every(Boolean)) addTriple(triple);
+      });
+    });
+  } else {
+    output.bindings.forEach(row => {
+      const binding = Object.entries(row).filter(([, term]) => term);
+      binding.forEach(([, term]) => {
+        if (term.termType !== "Literal") explain(termToString(term), { binding });
+      });
+    });
+  }
+  return { triples, explanations, rows: output.bindings.length };
+}
+
+// The values a parameter can take: instances of its class when it names
+// one, else what the task binds it to with no parameter set. null when the
+// query does not tell (CONSTRUCT queries or unprojected variables).
+export function parameterOptions(quads, task, name, { prefixes = {} } = {}) {
+  const cls = task.params && task.params[name] && task.params[name].class;
+  if (cls) {
+    const iri = expandCurie(cls, prefixes);
+    return Array.from(new Set(quads
+      .filter(q => q.predicate.value === RDF_TYPE && q.object.value === iri)
+      .map(q => termToString(q.subject)))).sort();
+  }
+  let output;
+  try {
+    output = executeQuery(quads, taskQuery(task), { prefixes });
+  } catch {
+    return null;
+  }
+  if (output.type !== "select" || !output.variables.includes(name)) return null;
+  return Array.from(new Set(output.bindings
+    .map(row => row[name])
+    .filter(term => term && term.termType !== "Literal")
+    .map(termToString))).sort();
+}
+
+// Reasons why a task definition cannot run, as messages; empty when it can.
+export function validateTask(task) {
+  const problems = [];
+  if (!task.title.trim()) problems.push("The task needs a title.");
+  const variables = task.kind === "sparql"
+    ? new Set(Array.from(task.query.matchAll(/[?$]([A-Za-z_]\w*)/g), match => match[1]))
+    : new Set(task.patterns.flat().filter(isVariable).map(term => term.slice(1)));
+  if (task.kind === "sparql" && !task.query.trim()) problems.push("The task needs a query.");
+  if (task.kind === "patterns") {
+    if (!task.patterns.length) problems.push("The task needs at least one triple pattern.");
+    if (task.patterns.some(pattern => pattern.some(term => !term.trim()))) problems.push("Every pattern needs a subject, a predicate and an object.");
+  }
+  taskParameters(task).forEach(name => {
+    if (!variables.has(name)) problems.push(`The parameter {?${name}} is not a variable of the query.`);
+  });
+  return problems;
+}
+
+// --- Import and Export ---
+const isObject = value => value && typeof value === "object" && !Array.isArray(value);
+
+// Reads a library from JSON: { prefixes, tasks }. Returns the tasks and
+// the prefixes they use, which the caller adds to its own.
+export function parseTaskLibrary(text) {
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`The task library is not valid JSON: ${err.message}`);
+  }
+  if (!isObject(json) || !Array.isArray(json.tasks)) throw new Error("A task library must be a JSON object with a \"tasks\" array");
+  if (json.prefixes !== undefined && !isObject(json.prefixes)) throw new Error("\"prefixes\" must be an object");
+
+  const tasks = json.tasks.map((entry, index) => {
+    if (!isObject(entry) || typeof entry.title !== "string") throw new Error(`Task ${index + 1} must be an object with a "title"`);
+    const kind = entry.kind === "sparql" ? "sparql" : "patterns";
+    if (kind === "sparql" && typeof entry.query !== "string") throw new Error(`The task "${entry.title}" needs a "query"`);
+    if (kind === "patterns" && !(Array.isArray(entry.patterns) && entry.patterns.every(p => Array.isArray(p) && p.length === 3))) {
+      throw new Error(`The task "${entry.title}" needs "patterns" of three terms each`);
+    }
+    return {
+      id: typeof entry.id === "string" && entry.id ? entry.id : `task-${Date.now()}-${index}`,
+      title: entry.title,
+      kind,
+      ...(kind === "sparql" ? { query: entry.query } : { patterns: entry.patterns.map(p => p.map(String)) }),
+      params: isObject(entry.params) ? entry.params : {}
+    };
+  });
+  return { tasks, prefixes: json.prefixes || {} };
+}
+
+// JSON with the prefixes that the tasks' CURIEs use.
+export function serializeTaskLibrary(tasks, prefixes) {
+  const text = JSON.stringify(tasks);
+  const used = Object.fromEntries(Object.entries(prefixes).filter(([prefix]) =>
+    new RegExp(`(^|[^\\w:/])${prefix}:`).test(text)));
+  return `${JSON.stringify({ prefixes: used, tasks }, null, 2)}\n`;
+}
@@ -0,0 +1,103 @@
+import { levelForScale } from "../graph/semanticZoom.js";
+import { EMPTY_FACETS, hasActiveFacets, normalizeFacets } from "../graph/facets.js";
+
+// --- View State ---
+// The filters and view settings that make up "what the graph shows". It is
+// mirrored in the URL hash so a link reproduces the view, and saved with
+// every workspace. Only settings that differ from the defaults go into the
+// hash.
+
+export const DEFAULT_VIEW_STATE = {
+  facets: EMPTY_FACETS,
+  search: "",
+  // The level that matches the initial zoom.
+  level: levelForScale(1),
+  nodeLimit: 20,
+  describedEntity: "",
+  renderer: "svg",
+  drilled: []
+};
+
+// Hash parameter names, kept short so links stay readable.
+const PARAMS = {
+  facets: "facets",
+  search: "q",
+  level: "level",
+  nodeLimit: "limit",
+  describedEntity: "entity",
+  renderer: "renderer",
+  drilled: "drill"
+};
+
+const LEGACY_PARAMS = { module: "module", classFilter: "class", objectFilter: "object" };
+
+const parsers = {
+  facets: value => {
+    try {
+      return normalizeFacets(JSON.parse(value));
+    } catch {
+      return undefined;
+    }
+  },
+  level: value => (["1", "2", "3"].includes(value) ? Number(value) : undefined),
+  nodeLimit: value => (/^\d+$/.test(value) && Number(value) > 0 ? Number(value) : undefined),
+  renderer: value => (value === "svg" || value === "canvas" ? value : undefined),
+  drilled: value => value.split(" ").filter(Boolean)
+};
+
+// Facets keep only their non-empty fields; normalizeFacets fills in the rest.
+const formatFacets = facets => {
+  if (!hasActiveFacets(facets) && !facets.hiddenPredicates.length) return "";
+  const compact = {};
+  Object.entries(facets).forEach(([field, value]) => {
+    if (field === "mode" ? value !== EMPTY_FACETS.mode : Object.keys(value).length) compact[field] = value;
+  });
+  return JSON.stringify(compact);
+};
+
+const formatters = {
+  facets: formatFacets,
+  drilled: value => value.join(" ")
+};
+
+export function viewStateToHash(state) {
+  const params = new URLSearchParams();
+  Object.entries(PARAMS).forEach(([key, param]) => {
+    const value = state[key];
+    if (value === DEFAULT_VIEW_STATE[key]) return;
+    const text = formatters[key] ? formatters[key](value) : String(value);
+    if (text) params.set(param, text);
+  });
+  return params.toString();
+}
+
+// Links and workspaces from before the facet panel name a single class and
+// module; they become facets.
+export function upgradeViewState(view) {
+  const { module, classFilter, ...rest } = view;
+  // The single-instance filter has no facet; it is dropped.
+  delete rest.objectFilter;
+  const state = { ...DEFAULT_VIEW_STATE, ...rest };
+  if (!rest.facets && ((classFilter && classFilter !== "All") || (module && module !== "All"))) {
+    state.facets = {
+      ...EMPTY_FACETS,
+      classes: classFilter && classFilter !== "All" ? [classFilter] : [],
+      modules: module && module !== "All" ? [module] : []
+    };
+  }
+  state.facets = normalizeFacets(state.facets);
+  return state;
+}
+
+// The complete view state described by a hash; unknown or invalid
+// parameters fall back to the defaults.
+export function viewStateFromHash(hash) {
+  const params = new URLSearchParams(hash.replace(/^#/, ""));
+  const state = {};
+  Object.entries({ ...PARAMS, ...LEGACY_PARAMS }).forEach(([key, param]) => {
+    if (!params.has(param)) return;
+    const value = parsers[key] ? parsers[key](params.get(param)) : params.get(param);
+    if (value !== undefined) state[key] = value;
+  });
+  return upgradeViewState(state);
+}
@@ -0,0 +1,51 @@
+// --- Workspace Store ---
+// Named workspaces in IndexedDB. A workspace is
+// { name, savedAt, dataSourceName, quads, prefixes, view, positions, viewport }:
+// quads are stored as the RDF/JS term objects themselves, positions as
+// [id, x, y, fx, fy] rows (fx and fy null for nodes that are not pinned)
+// and the viewport as the zoom transform's { x, y, k }.
+
+const DB_NAME = "rdfVisualizationTool";
+const DB_VERSION = 1;
+const STORE = "workspaces";
+
+const promisify = request => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+let dbPromise = null;
+function openDb() {
+  if (typeof indexedDB === "undefined") {
+    return Promise.reject(new Error("This browser does not allow IndexedDB, so workspaces cannot be saved"));
+  }
+  if (!dbPromise) {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => request.result.createObjectStore(STORE, { keyPath: "name" });
+    dbPromise = promisify(request).catch(err => {
+      dbPromise = null;
+      throw err;
+    });
+  }
+  return dbPromise;
+}
+
+async function withStore(mode, action) {
+  const db = await openDb();
+  return promisify(action(db.transaction(STORE, mode).objectStore(STORE)));
+}
+
+// Names and summaries only, newest first.
+export async function listWorkspaces() {
+  const workspaces = await withStore("readonly", store => store.getAll());
+  return workspaces
+    .map(({ name, savedAt, dataSourceName, quads }) => ({ name, savedAt, dataSourceName, tripleCount: quads.length }))
+    .sort((a, b) => b.savedAt - a.savedAt);
+}
+
+export const loadWorkspace = name => withStore("readonly", store => store.get(name));
+
+export const saveWorkspace = workspace =>
+  withStore("readwrite", store => store.put({ ...workspace, savedAt: Date.now() }));
+
+export const deleteWorkspace = name => withStore("readwrite", store => store.delete(name));